@@ -27,6 +27,13 @@ const fileFilter = (req, file, cb) => {
         } else {
             cb(new Error('Only image files (JPEG, PNG, GIF, WebP) are allowed'), false);
         }
+    } else if (file.fieldname === 'dataset') {
+        // Dataset upload (CSV exported from Excel or Sheets)
+        if (/^\.(csv|tsv|txt)$/.test(extname) && /csv|text|excel|octet-stream/.test(mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed for datasets'), false);
+        }
     } else {
         cb(null, true);
     }
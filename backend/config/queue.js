@@ -11,12 +11,14 @@ export const worksheetQueue = new PQueue({
 });
 
 /**
- * PDF Generation Queue  
- * Handles Puppeteer PDF generation with 3 concurrent workers
- * Lower concurrency to manage memory usage
+ * PDF Generation Queue
+ * Renders share the warm browsers of the browser pool, so concurrency
+ * should match pool size x pages per browser (BROWSER_POOL_SIZE x BROWSER_MAX_PAGES)
  */
+const pdfConcurrency = parseInt(process.env.PDF_QUEUE_CONCURRENCY) || 6;
+
 export const pdfQueue = new PQueue({
-    concurrency: 3,
+    concurrency: pdfConcurrency,
     timeout: 45000, // 45 seconds timeout per job
     throwOnTimeout: true
 });
@@ -30,6 +32,18 @@ export const imageQueue = new PQueue({
     timeout: 30000 // 30 seconds timeout per job
 });
 
+/**
+ * Code Execution Queue
+ * Each run starts a sandbox (a container in docker mode), so keep this low
+ */
+const codeConcurrency = parseInt(process.env.CODE_RUNNER_CONCURRENCY) || 2;
+
+export const codeQueue = new PQueue({
+    concurrency: codeConcurrency,
+    timeout: 60000, // compile + run, including sandbox start-up
+    throwOnTimeout: true
+});
+
 // Event listeners for monitoring
 worksheetQueue.on('active', () => {
     console.log(`📝 Worksheet queue: ${worksheetQueue.size} waiting, ${worksheetQueue.pending} processing`);
@@ -47,9 +61,10 @@ setInterval(() => {
     if (pdfQueue.size > 0 || pdfQueue.pending > 0) {
         console.log(`📊 PDF Queue Stats: ${pdfQueue.size} waiting, ${pdfQueue.pending} active`);
     }
-}, 60000); // Every 60 seconds
+}, 60000).unref(); // Every 60 seconds
 
 console.log('✅ Queue system initialized (p-queue)');
 console.log('   - Worksheet Queue: 5 concurrent workers');
-console.log('   - PDF Queue: 3 concurrent workers');
+console.log(`   - PDF Queue: ${pdfConcurrency} concurrent workers`);
 console.log('   - Image Queue: 5 concurrent workers');
+console.log(`   - Code Queue: ${codeConcurrency} concurrent workers`);
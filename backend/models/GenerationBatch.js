@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+const batchItemSchema = new mongoose.Schema({
+    topic: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    experimentNumber: String,
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'succeeded', 'failed'],
+        default: 'queued'
+    },
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GenerationJob',
+        default: null
+    },
+    worksheetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Worksheet',
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    }
+});
+
+const generationBatchSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    // Shared generation settings for every item
+    subject: String,
+    syllabus: String,
+    difficulty: {
+        type: String,
+        default: 'medium'
+    },
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template'
+    },
+    additionalInstructions: {
+        type: String,
+        default: ''
+    },
+    // Run each worksheet's code in the sandbox and use the real output
+    runCode: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'partial', 'failed'],
+        default: 'queued'
+    },
+    items: [batchItemSchema],
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+// Index for listing a user's recent batches
+generationBatchSchema.index({ userId: 1, createdAt: -1 });
+
+// Count items per status
+generationBatchSchema.methods.getSummary = function () {
+    const summary = { total: this.items.length, queued: 0, running: 0, succeeded: 0, failed: 0 };
+    this.items.forEach(item => {
+        summary[item.status] += 1;
+    });
+    return summary;
+};
+
+// Derive the batch status from its items
+generationBatchSchema.methods.computeStatus = function () {
+    const { total, queued, running, succeeded, failed } = this.getSummary();
+
+    if (queued === total) return 'queued';
+    if (queued > 0 || running > 0) return 'running';
+    if (succeeded === total) return 'completed';
+    if (failed === total) return 'failed';
+    return 'partial';
+};
+
+// Atomically update one item, then refresh the batch status
+// Items finish concurrently on the queue, so a read-modify-save of the whole batch would lose updates
+generationBatchSchema.statics.updateItem = async function (batchId, itemId, changes) {
+    const update = Object.fromEntries(
+        Object.entries(changes).map(([field, value]) => [`items.$.${field}`, value])
+    );
+
+    const batch = await this.findOneAndUpdate(
+        { _id: batchId, 'items._id': itemId },
+        { $set: update },
+        { new: true }
+    );
+    if (!batch) return null;
+
+    const status = batch.computeStatus();
+    const isFinished = ['completed', 'partial', 'failed'].includes(status);
+
+    if (status !== batch.status) {
+        batch.status = status;
+        batch.finishedAt = isFinished ? new Date() : null;
+        await this.updateOne({ _id: batch._id }, { $set: { status, finishedAt: batch.finishedAt } });
+    }
+
+    return batch;
+};
+
+export default mongoose.model('GenerationBatch', generationBatchSchema);
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const generationJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    topic: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'succeeded', 'failed'],
+        default: 'queued'
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    worksheetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Worksheet',
+        default: null
+    },
+    pdf: {
+        status: {
+            type: String,
+            enum: ['pending', 'queued', 'running', 'succeeded', 'failed'],
+            default: 'pending'
+        },
+        url: { type: String, default: null },
+        error: { type: String, default: null }
+    },
+    stages: [{
+        stage: String,         // e.g. "template_resolved", "pdf_uploaded"
+        message: String,
+        seq: Number,           // Position in the timeline, used to de-duplicate replays
+        at: { type: Date, default: Date.now }
+    }],
+    startedAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+// Index for listing a user's recent jobs
+generationJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Mark job as picked up by a queue worker
+generationJobSchema.methods.markRunning = async function () {
+    this.status = 'running';
+    this.startedAt = new Date();
+    await this.save();
+};
+
+// Mark job as finished with the generated worksheet
+generationJobSchema.methods.markSucceeded = async function (worksheetId) {
+    // A timed-out job has already been reported as failed
+    if (this.status === 'failed') return;
+
+    this.status = 'succeeded';
+    this.worksheetId = worksheetId;
+    this.finishedAt = new Date();
+    await this.save();
+};
+
+// Link a worksheet that was saved after the job had already timed out
+generationJobSchema.methods.linkLateWorksheet = async function (worksheetId) {
+    this.worksheetId = worksheetId;
+    await this.updateOne({ worksheetId });
+};
+
+// Mark job as failed with a user-facing error message
+generationJobSchema.methods.markFailed = async function (errorMessage) {
+    this.status = 'failed';
+    this.error = errorMessage || 'Worksheet generation failed';
+    this.finishedAt = new Date();
+    await this.save();
+};
+
+// Append a progress stage to the job timeline
+generationJobSchema.methods.addStage = async function (stage, message = '') {
+    const entry = { stage, message, seq: this.stages.length, at: new Date() };
+    this.stages.push(entry);
+    await this.save();
+    return entry;
+};
+
+// Update PDF generation state for the job's worksheet
+generationJobSchema.methods.setPdfState = async function (status, { url, error } = {}) {
+    this.pdf.status = status;
+    if (url !== undefined) this.pdf.url = url;
+    if (error !== undefined) this.pdf.error = error;
+    await this.save();
+};
+
+export default mongoose.model('GenerationJob', generationJobSchema);
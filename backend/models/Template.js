@@ -55,6 +55,12 @@ const templateSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Template this one was copied from (a suggestion cloned into the user's library)
+    clonedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template',
+        default: null
+    },
     usageCount: {
         type: Number,
         default: 0
@@ -71,6 +77,9 @@ const templateSchema = new mongoose.Schema({
 // Index for fast template suggestions
 templateSchema.index({ university: 1, course: 1, subject: 1 });
 
+// Owner's library listing
+templateSchema.index({ userId: 1, updatedAt: -1 });
+
 // Increment usage count
 templateSchema.methods.incrementUsage = async function () {
     this.usageCount += 1;
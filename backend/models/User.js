@@ -52,6 +52,11 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // PDF preference: number the lines of code blocks
+    codeLineNumbers: {
+        type: Boolean,
+        default: false
+    },
     headerImageUrl: {
         type: String,
         trim: true,
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import sectionRegistry from '../services/sectionRegistry.js';
 
 const worksheetSchema = new mongoose.Schema({
     userId: {
@@ -42,7 +43,8 @@ const worksheetSchema = new mongoose.Schema({
 
         aim: { type: String, default: '' },
         problemStatement: { type: String, default: '' },
-        dataset: { type: String, default: '' },
+        // { columns, rows, caption }; older worksheets hold an HTML string
+        dataset: { type: mongoose.Schema.Types.Mixed, default: () => ({ columns: [], rows: [] }) },
         algorithm: { type: String, default: '' },
         objective: { type: [String], default: [] },
         code: {
@@ -56,12 +58,73 @@ const worksheetSchema = new mongoose.Schema({
         imageAnalysis: { type: mongoose.Schema.Types.Mixed, default: null },
         additionalNotes: { type: String, default: '' }
     },
+    // Ordered sections as rendered in preview and PDF (template order and headings)
+    // Known sections are mirrored to the fixed content fields above; custom ones ("Viva Questions") live only here
+    sections: [{
+        _id: false,
+        key: { type: String, required: true },     // "aim", "code", or camelCase custom key ("vivaQuestions")
+        heading: { type: String, default: '' },    // Heading as written in the template
+        type: {
+            type: String,
+            enum: ['html', 'list', 'code', 'table'],
+            default: 'html'
+        },
+        value: { type: mongoose.Schema.Types.Mixed, default: '' }
+    }],
     images: [{
         url: String,
         section: String,
         caption: String,
+        // "terminal" images are rendered by the server from the output and replaced on re-render
+        kind: {
+            type: String,
+            enum: ['upload', 'terminal'],
+            default: 'upload'
+        },
+        publicId: String,
         uploadedAt: { type: Date, default: Date.now }
     }],
+    // Diagram-as-code (flowcharts, ER / UML diagrams, circuits) shown under a section
+    // The source is what the user edits; svg is re-rendered from it on every change
+    diagrams: [{
+        section: { type: String, required: true },  // Section key, e.g. "algorithm"
+        title: { type: String, default: '' },
+        format: {
+            type: String,
+            enum: ['mermaid', 'graphviz'],
+            required: true
+        },
+        source: { type: String, required: true },
+        svg: { type: String, default: '' },
+        error: { type: String, default: null },     // Why the source could not be rendered
+        renderedAt: Date
+    }],
+    // Charts of the dataset shown in the Output section
+    // Only the specification is stored; the SVG is drawn from the current dataset when it is read
+    charts: [{
+        type: {
+            type: String,
+            enum: ['bar', 'line', 'pie', 'scatter'],
+            required: true
+        },
+        title: { type: String, default: '' },
+        x: { type: String, required: true },        // Column along the x axis (pie: slice labels)
+        y: { type: [String], default: [] }          // Value columns, one series each
+    }],
+    // Last sandbox run of content.code; its output is written to the Output section
+    codeRun: {
+        status: {
+            type: String,
+            enum: ['success', 'runtime_error', 'compile_error', 'timeout', 'output_limit']
+        },
+        language: String,
+        stdout: String,
+        stderr: String,
+        exitCode: Number,
+        durationMs: Number,
+        truncated: Boolean,
+        ranAt: Date
+    },
     pdfUrl: {
         type: String
     },
@@ -89,10 +152,70 @@ const worksheetSchema = new mongoose.Schema({
 worksheetSchema.index({ userId: 1, createdAt: -1 });
 
 // Update version on edit
+// The save only matches the version the edit started from, so a concurrent edit
+// makes it fail with a DocumentNotFoundError instead of overwriting the other change
 worksheetSchema.methods.incrementVersion = async function () {
+    this.$where = { version: this.version };
     this.version += 1;
     this.status = 'edited';
-    await this.save();
+
+    try {
+        await this.save();
+    } finally {
+        this.$where = null;
+    }
+};
+
+// Find a section by key
+worksheetSchema.methods.getSection = function (key) {
+    return this.sections.find(section => section.key === key) || null;
+};
+
+// Set a section value (appending the section if missing) and mirror it to content
+worksheetSchema.methods.setSectionValue = function (key, value, { heading, type } = {}) {
+    const isKnown = sectionRegistry.isKnownKey(key);
+    let section = this.getSection(key);
+
+    if (!section) {
+        const sectionType = isKnown ? sectionRegistry.getType(key) : (sectionRegistry.isValidType(type) ? type : 'html');
+        this.sections.push({
+            key,
+            heading: heading || sectionRegistry.getLabel(key),
+            type: sectionType,
+            value: sectionRegistry.emptyValue(sectionType)
+        });
+        section = this.sections[this.sections.length - 1];
+    }
+
+    if (heading) section.heading = heading;
+    if (!isKnown && sectionRegistry.isValidType(type)) section.type = type;
+    section.value = sectionRegistry.normalizeValue(section.type, value);
+
+    const field = sectionRegistry.getContentField(key);
+    if (field) this.set(`content.${field}`, section.value);
+
+    this.markModified('sections');
+    return section;
+};
+
+// Apply a patch of content fields, keeping sections that mirror them in sync
+worksheetSchema.methods.applyContentPatch = function (patch = {}) {
+    Object.entries(patch).forEach(([field, value]) => {
+        const key = sectionRegistry.getKeyForField(field);
+        if (key && this.getSection(key)) {
+            this.setSectionValue(key, value);
+        } else {
+            this.set(`content.${field}`, value);
+        }
+    });
+};
+
+// Build sections from content for documents created before sections existed
+worksheetSchema.methods.ensureSections = function (template, customSections = []) {
+    if (this.sections && this.sections.length > 0) return false;
+
+    this.sections = sectionRegistry.buildSections(this.content || {}, template?.sectionsOrder, customSections);
+    return true;
 };
 
 export default mongoose.model('Worksheet', worksheetSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const worksheetVersionSchema = new mongoose.Schema({
+    worksheetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Worksheet',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    // Who made the change
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['generation', 'manual', 'ai_regeneration', 'code_run', 'restore'],
+        default: 'manual'
+    },
+    changedSections: {
+        type: [String],        // Section keys that differ from the previous version
+        default: []
+    },
+    restoredFrom: {
+        type: Number,          // Version number, when source is "restore"
+        default: null
+    },
+    // Snapshot of the worksheet after the change
+    sections: { type: mongoose.Schema.Types.Mixed, default: [] },
+    content: { type: mongoose.Schema.Types.Mixed, default: {} },
+    experimentNumber: String,  // Header details, restored with the content
+    dateOfPerformance: Date
+}, {
+    timestamps: true
+});
+
+// One snapshot per worksheet version
+worksheetVersionSchema.index({ worksheetId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('WorksheetVersion', worksheetVersionSchema);
@@ -161,7 +161,7 @@ router.post('/login', [
  */
 router.put('/profile', auth, async (req, res) => {
     try {
-        const { name, university, course, semester, defaultSubject, uid, branch, section } = req.body;
+        const { name, university, course, semester, defaultSubject, uid, branch, section, codeLineNumbers } = req.body;
 
         const user = await User.findById(req.userId);
         if (!user) {
@@ -180,6 +180,7 @@ router.put('/profile', auth, async (req, res) => {
         if (uid !== undefined) user.uid = uid;
         if (branch !== undefined) user.branch = branch;
         if (section !== undefined) user.section = section;
+        if (codeLineNumbers !== undefined) user.codeLineNumbers = Boolean(codeLineNumbers);
 
         await user.save();
 
@@ -1,15 +1,38 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import auth from '../middleware/auth.js';
 import upload from '../config/multer.js';
 import Template from '../models/Template.js';
 import User from '../models/User.js';
 import cloudinaryService from '../services/cloudinaryService.js';
 import pdfService from '../services/pdfService.js';
-import geminiService from '../services/geminiService.js';
+import aiService from '../services/aiService.js';
 
 const router = express.Router();
 
+const MAX_SECTIONS = 30;
+
+// Unique template name in the form University_Subject_timestamp
+function buildTemplateName(university, subject) {
+    return `${university.replace(/\s+/g, '_')}_${subject.replace(/\s+/g, '_')}_${Date.now()}`;
+}
+
+// Cloudinary public ID of a sample PDF, or null when it is hosted elsewhere
+function samplePdfPublicId(url) {
+    if (!url || !url.includes('cloudinary.com')) return null;
+    const matches = url.match(/\/upload\/(?:v\d+\/)?(.+)$/);
+    return matches && matches[1] ? decodeURIComponent(matches[1]) : null;
+}
+
+// Headings are matched to sections by name, so the same heading twice would fill both with one section
+const uniqueHeadings = (sections) => {
+    const names = sections.map(section => String(section).trim().toLowerCase());
+    if (new Set(names).size !== names.length) {
+        throw new Error('Section headings must be unique');
+    }
+    return true;
+};
+
 /**
  * @route   POST /api/templates/upload-sample
  * @desc    Upload sample worksheet PDF
@@ -138,7 +161,7 @@ router.post('/analyze', auth, [
 
         // Analyze with AI
         console.log('Analyzing structure with AI...');
-        const aiAnalysis = await geminiService.analyzeWorksheetStructure(
+        const aiAnalysis = await aiService.analyzeWorksheetStructure(
             extractedData.text,
             {
                 university: user.university,
@@ -199,7 +222,7 @@ router.post('/save', auth, [
         const user = await User.findById(req.userId);
 
         // Create template name
-        const templateName = `${user.university.replace(/\s+/g, '_')}_${subject.replace(/\s+/g, '_')}_${Date.now()}`;
+        const templateName = buildTemplateName(user.university, subject);
 
         // Create template
         const template = new Template({
@@ -245,7 +268,7 @@ router.get('/suggestions', auth, async (req, res) => {
         const query = {
             university: user.university,
             course: user.course,
-            status: { $ne: 'invalid' } // Hide invalid templates
+            status: 'active' // Hide invalid and archived templates
         };
 
         if (subject) {
@@ -270,6 +293,44 @@ router.get('/suggestions', auth, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/templates/mine
+ * @desc    List the user's own templates (newest change first)
+ * @access  Private
+ */
+router.get('/mine', auth, [
+    query('status').optional().isIn(['active', 'archived', 'invalid']).withMessage('Status must be active, archived or invalid')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const filter = { userId: req.userId };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const templates = await Template.find(filter).sort({ updatedAt: -1 });
+
+        res.json({
+            success: true,
+            count: templates.length,
+            templates
+        });
+    } catch (error) {
+        console.error('Get my templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get your templates'
+        });
+    }
+});
+
 /**
  * @route   GET /api/templates/:id
  * @desc    Get specific template
@@ -326,27 +387,23 @@ router.get('/:id/signed-url', auth, async (req, res) => {
         let signedUrl = template.samplePdfUrl;
 
         // If it's a Cloudinary URL, generate signed version
-        if (template.samplePdfUrl.includes('cloudinary.com')) {
-            const matches = template.samplePdfUrl.match(/\/upload\/(?:v\d+\/)?(.+)$/);
-            if (matches && matches[1]) {
-                const publicId = decodeURIComponent(matches[1]);
-
-                // Check if resource still exists in Cloudinary
-                const exists = await cloudinaryService.checkResourceExists(publicId);
-                if (!exists) {
-                    console.log(`🗑️ Template resource ${publicId} deleted from Cloudinary. Invalidating template record.`);
-                    template.status = 'invalid';
-                    await template.save();
-                    return res.status(404).json({
-                        success: false,
-                        message: 'Template PDF has been deleted from Cloudinary'
-                    });
-                }
+        const publicId = samplePdfPublicId(template.samplePdfUrl);
+        if (publicId) {
+            // Check if resource still exists in Cloudinary
+            const exists = await cloudinaryService.checkResourceExists(publicId);
+            if (!exists) {
+                console.log(`🗑️ Template resource ${publicId} deleted from Cloudinary. Invalidating template record.`);
+                template.status = 'invalid';
+                await template.save();
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template PDF has been deleted from Cloudinary'
+                });
+            }
 
-                const generatedUrl = cloudinaryService.getSignedUrl(publicId);
-                if (generatedUrl) {
-                    signedUrl = generatedUrl;
-                }
+            const generatedUrl = cloudinaryService.getSignedUrl(publicId);
+            if (generatedUrl) {
+                signedUrl = generatedUrl;
             }
         }
 
@@ -363,4 +420,204 @@ router.get('/:id/signed-url', auth, async (req, res) => {
     }
 });
 
+/**
+ * @route   PUT /api/templates/:id
+ * @desc    Edit an own template: name, subject, section headings and order, style, level,
+ *          or archive it (status "archived") / bring it back (status "active")
+ * @access  Private
+ */
+router.put('/:id', auth, [
+    body('templateName').optional().isString().trim().isLength({ min: 1, max: 150 }).withMessage('Template name must be 1-150 characters'),
+    body('subject').optional().isString().trim().isLength({ min: 1, max: 150 }).withMessage('Subject must be 1-150 characters'),
+    body('sectionsOrder').optional().isArray({ min: 1, max: MAX_SECTIONS }).withMessage(`Sections must be a list of 1-${MAX_SECTIONS} headings`)
+        .bail().custom(uniqueHeadings),
+    body('sectionsOrder.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each section heading must be 1-100 characters'),
+    body('style').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Style must be 1-100 characters'),
+    body('level').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Level must be 1-100 characters'),
+    body('status').optional().isIn(['active', 'archived']).withMessage('Status must be active or archived')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const template = await Template.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        const { templateName, subject, sectionsOrder, style, level, status } = req.body;
+
+        // An invalid template lost its sample PDF; it can be edited or deleted but not put back into use
+        if (status && template.status === 'invalid') {
+            return res.status(400).json({
+                success: false,
+                message: 'The sample PDF of this template was deleted, so it cannot be archived or restored'
+            });
+        }
+
+        if (templateName !== undefined) template.templateName = templateName;
+        if (subject !== undefined) template.subject = subject;
+        if (sectionsOrder !== undefined) template.sectionsOrder = sectionsOrder;
+        if (style !== undefined) template.style = style;
+        if (level !== undefined) template.level = level;
+        if (status !== undefined) template.status = status;
+
+        await template.save();
+
+        res.json({
+            success: true,
+            message: status === 'archived' ? 'Template archived' : 'Template updated',
+            template
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A template with this name already exists'
+            });
+        }
+        console.error('Update template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update template'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/clone
+ * @desc    Copy a template (usually a suggestion from the same course) into the user's library
+ * @access  Private
+ */
+router.post('/:id/clone', auth, [
+    body('templateName').optional().isString().trim().isLength({ min: 1, max: 150 }).withMessage('Template name must be 1-150 characters'),
+    body('subject').optional().isString().trim().isLength({ min: 1, max: 150 }).withMessage('Subject must be 1-150 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.userId);
+
+        // Own templates, or the ones suggested to this user (active, same university and course)
+        const source = await Template.findOne({
+            _id: req.params.id,
+            $or: [
+                { userId: req.userId },
+                { university: user.university, course: user.course, status: 'active' }
+            ]
+        });
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        // Its sample PDF is gone, so a copy would point at a missing file
+        if (source.status === 'invalid') {
+            return res.status(400).json({
+                success: false,
+                message: 'The sample PDF of this template was deleted, so it cannot be copied'
+            });
+        }
+        const subject = req.body.subject || source.subject;
+
+        // The sample PDF is shared, not copied; deleting either template keeps it while the other uses it
+        const template = new Template({
+            templateName: req.body.templateName || buildTemplateName(user.university, subject),
+            university: user.university,
+            course: user.course,
+            subject,
+            sectionsOrder: source.sectionsOrder,
+            style: source.style,
+            level: source.level,
+            createdFromSample: source.createdFromSample,
+            samplePdfUrl: source.samplePdfUrl,
+            clonedFrom: source._id,
+            userId: req.userId
+        });
+
+        await template.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Template copied to your library',
+            template
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A template with this name already exists'
+            });
+        }
+        console.error('Clone template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to copy template'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/templates/:id
+ * @desc    Delete an own template
+ *          Worksheets generated from it keep their sections; the sample PDF is removed once no template uses it
+ * @access  Private
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const template = await Template.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        await template.deleteOne();
+
+        const publicId = samplePdfPublicId(template.samplePdfUrl);
+        if (publicId && !(await Template.exists({ samplePdfUrl: template.samplePdfUrl }))) {
+            // Not worth failing the request over; an orphaned file only costs storage
+            cloudinaryService.deleteFile(publicId).catch(error => {
+                console.error('Failed to delete template sample PDF:', error);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete template'
+        });
+    }
+});
+
 export default router;
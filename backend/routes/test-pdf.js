@@ -1,5 +1,8 @@
 import express from 'express';
+import auth from '../middleware/auth.js';
 import pdfService from '../services/pdfService.js';
+import browserPoolService from '../services/browserPoolService.js';
+import { pdfQueue } from '../config/queue.js';
 
 const router = express.Router();
 
@@ -46,4 +49,21 @@ router.post('/pdf-download', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/test/pdf-pool
+ * @desc    Browser pool and PDF queue stats
+ * @access  Private
+ */
+router.get('/pdf-pool', auth, (req, res) => {
+    res.json({
+        success: true,
+        pool: browserPoolService.getStats(),
+        queue: {
+            concurrency: pdfQueue.concurrency,
+            waiting: pdfQueue.size,
+            active: pdfQueue.pending
+        }
+    });
+});
+
 export default router;
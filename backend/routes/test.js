@@ -1,8 +1,40 @@
 import express from 'express';
 import geminiService from '../services/geminiService.js';
+import aiService from '../services/aiService.js';
 
 const router = express.Router();
 
+/**
+ * @route   GET /api/test/ai
+ * @desc    Test if the configured AI provider (AI_PROVIDER) is working
+ * @access  Public
+ */
+router.get('/ai', async (req, res) => {
+    let provider;
+    try {
+        provider = aiService.getProvider();
+        const result = await provider.testConnection();
+
+        res.json({
+            success: true,
+            message: `${provider.displayName} is working perfectly!`,
+            provider: result.provider,
+            apiKeyValid: true,
+            model: result.model,
+            testResponse: result.message
+        });
+    } catch (error) {
+        console.error('AI provider test error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'AI provider test failed',
+            provider: provider?.name || process.env.AI_PROVIDER || 'gemini',
+            apiKeyValid: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * @route   GET /api/test/gemini
  * @desc    Test if Gemini AI is working
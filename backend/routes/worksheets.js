@@ -1,15 +1,31 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
 import auth from '../middleware/auth.js';
 import upload from '../config/multer.js';
-import { worksheetQueue, pdfQueue } from '../config/queue.js';
+import { worksheetQueue, pdfQueue, codeQueue } from '../config/queue.js';
 import Worksheet from '../models/Worksheet.js';
+import WorksheetVersion from '../models/WorksheetVersion.js';
+import GenerationJob from '../models/GenerationJob.js';
+import GenerationBatch from '../models/GenerationBatch.js';
 import Template from '../models/Template.js';
 import User from '../models/User.js';
 import UserAIMemory from '../models/UserAIMemory.js';
-import geminiService from '../services/geminiService.js';
+import aiService from '../services/aiService.js';
+import sectionRegistry from '../services/sectionRegistry.js';
 import cloudinaryService from '../services/cloudinaryService.js';
 import pdfGeneratorService from '../services/pdfGeneratorService.js';
+import docxExportService from '../services/docxExportService.js';
+import markupExportService from '../services/markupExportService.js';
+import jobEventService from '../services/jobEventService.js';
+import worksheetVersionService from '../services/worksheetVersionService.js';
+import syllabusSplitterService from '../services/syllabusSplitterService.js';
+import htmlSanitizerService from '../services/htmlSanitizerService.js';
+import codeRunnerService from '../services/codeRunnerService.js';
+import terminalImageService from '../services/terminalImageService.js';
+import diagramService from '../services/diagramService.js';
+import datasetService from '../services/datasetService.js';
+import chartService from '../services/chartService.js';
 
 const router = express.Router();
 
@@ -18,12 +34,14 @@ const router = express.Router();
 /**
  * Worksheet generation logic (extracted for queue processing)
  * Can be called both synchronously and asynchronously
+ * Progress is reported through the optional onStage(stage, message) callback
  */
 async function generateWorksheetLogic(params) {
     const {
         topic, subject, syllabus, difficulty, templateId,
-        additionalInstructions, experimentNumber,
-        files, headerImageFile, userId
+        additionalInstructions, experimentNumber, dataset,
+        files, headerImageFile, userId, signal,
+        onStage = async () => { }
     } = params;
 
     // Get template or create default
@@ -51,6 +69,8 @@ async function generateWorksheetLogic(params) {
         }
     }
 
+    await onStage('template_resolved', `Using template "${template.templateName}"`);
+
     // Get user and AI memory
     const user = await User.findById(userId);
     let aiMemory = await UserAIMemory.findOne({ userId });
@@ -76,7 +96,12 @@ async function generateWorksheetLogic(params) {
             return null;
         })
     );
-    const uploadedImages = (await Promise.all(uploadPromises)).filter(img => img !== null);
+    // Keep each image's original index - the AI refers to images by their upload position
+    const uploadedImages = (await Promise.all(uploadPromises))
+        .map((img, index) => (img ? { ...img, index } : null))
+        .filter(img => img !== null);
+
+    await onStage('images_uploaded', `${uploadedImages.length} of ${files.length} context images uploaded`);
 
     // Use stored header image from user profile (or upload new one if provided)
     let headerImageUrl = user.headerImageUrl; // Default to stored header
@@ -100,7 +125,8 @@ async function generateWorksheetLogic(params) {
     const variationSeed = `${userId}_${Date.now()}_${Math.random()}`;
 
     // Generate content with AI
-    const generatedContent = await geminiService.generateWorksheetContent({
+    await onStage('prompt_sent', 'Prompt sent to the AI model');
+    const generatedContent = await aiService.generateWorksheetContent({
         topic,
         syllabus,
         difficulty: difficulty || 'medium',
@@ -117,11 +143,14 @@ async function generateWorksheetLogic(params) {
             variationLevel: aiMemory.variationLevel,
             commonMistakes: aiMemory.commonMistakes
         },
-        additionalInstructions: additionalInstructions || '',
+        // An uploaded dataset is what the worksheet is about, so the AI sees it too
+        additionalInstructions: [additionalInstructions, dataset && datasetService.toPromptText(dataset)].filter(Boolean).join('\n\n'),
         variationSeed,
         images: imageParts
     });
 
+    await onStage('json_parsed', `AI response parsed (${Object.keys(generatedContent).length} fields)`);
+
     // Process multi-part questions
     let formattedQuestionTitle = '';
     if (generatedContent.mainQuestionTitle && generatedContent.questionParts) {
@@ -146,21 +175,66 @@ async function generateWorksheetLogic(params) {
     Object.entries(placements).forEach(([section, indices]) => {
         if (Array.isArray(indices)) {
             indices.forEach(idx => {
-                indexToSection[idx] = section;
+                indexToSection[Number(idx)] = section;
             });
         }
     });
 
-    uploadedImages.forEach((img, idx) => {
-        const mappedSection = indexToSection[idx] || 'Additional Resources';
+    uploadedImages.forEach((img) => {
+        const mappedSection = indexToSection[img.index] || 'Additional Resources';
         dbImages.push({
             url: img.url,
             section: mappedSection,
-            caption: captions[idx] || `Figure ${idx + 1}`,
+            caption: captions[img.index] || `Figure ${img.index + 1}`,
             uploadedAt: new Date()
         });
     });
 
+    // AI output is untrusted markup: strip scripts and unknown tags before it is stored
+    const content = htmlSanitizerService.sanitizeContent({
+        mainQuestionTitle: generatedContent.mainQuestionTitle || '',
+        questionParts: generatedContent.questionParts || [],
+        questionTitle: formattedQuestionTitle,
+        aim: generatedContent.aim || '',
+        problemStatement: generatedContent.problemStatement || '',
+        dataset: dataset || sectionRegistry.normalizeValue('table', generatedContent.dataset),
+        algorithm: generatedContent.algorithm || '',
+        objective: generatedContent.objective || [],
+        code: (typeof generatedContent.code === 'string')
+            ? { language: 'plaintext', source: generatedContent.code, explanation: '' }
+            : {
+                language: generatedContent.code?.language || 'plaintext',
+                source: generatedContent.code?.source || generatedContent.code || '',
+                explanation: generatedContent.code?.explanation || ''
+            },
+        output: generatedContent.output || '',
+        conclusion: generatedContent.conclusion || '',
+        learningOutcome: generatedContent.learningOutcome || [],
+        imageAnalysis: generatedContent.imageAnalysis || null,
+        additionalNotes: generatedContent.additionalNotes || ''
+    });
+
+    // Template headings without a content field ("Viva Questions", "Apparatus") are kept as custom sections
+    const customSections = (generatedContent.customSections || []).map(section => ({
+        heading: section.heading,
+        type: section.type,
+        value: htmlSanitizerService.sanitizeSectionValue(section.type, section.type === 'list' ? section.items : section.content)
+    }));
+
+    // Optional diagrams, rendered by finishGeneratedWorksheet()
+    const diagrams = selectGeneratedDiagrams(generatedContent.diagrams);
+
+    // Optional charts of the dataset; ones naming columns it does not have are dropped
+    const charts = (Array.isArray(generatedContent.charts) ? generatedContent.charts : [])
+        .filter(chart => chart && typeof chart === 'object' && !chartService.validate(chart, content.dataset))
+        .slice(0, MAX_GENERATED_CHARTS)
+        .map(chart => ({
+            type: chart.type,
+            title: String(chart.title || '').trim().slice(0, 200),
+            x: chart.x,
+            y: chart.y
+        }));
+
     // Create worksheet document
     const worksheet = new Worksheet({
         userId,
@@ -170,36 +244,23 @@ async function generateWorksheetLogic(params) {
         syllabus,
         difficulty: difficulty || 'medium',
         headerImageUrl,
-        content: {
-            mainQuestionTitle: generatedContent.mainQuestionTitle || '',
-            questionParts: generatedContent.questionParts || [],
-            questionTitle: formattedQuestionTitle,
-            aim: generatedContent.aim || '',
-            problemStatement: generatedContent.problemStatement || '',
-            dataset: generatedContent.dataset || '',
-            algorithm: generatedContent.algorithm || '',
-            objective: generatedContent.objective || [],
-            code: (typeof generatedContent.code === 'string')
-                ? { language: 'plaintext', source: generatedContent.code, explanation: '' }
-                : {
-                    language: generatedContent.code?.language || 'plaintext',
-                    source: generatedContent.code?.source || generatedContent.code || '',
-                    explanation: generatedContent.code?.explanation || ''
-                },
-            output: generatedContent.output || '',
-            conclusion: generatedContent.conclusion || '',
-            learningOutcome: generatedContent.learningOutcome || [],
-            imageAnalysis: generatedContent.imageAnalysis || null,
-            additionalNotes: generatedContent.additionalNotes || ''
-        },
+        content,
+        sections: sectionRegistry.buildSections(content, template.sectionsOrder, customSections),
         images: dbImages,
+        diagrams,
+        charts,
         status: 'generated',
         experimentNumber: experimentNumber || 'N/A',
         dateOfPerformance: new Date()
     });
 
+    // The queue gave up on this generation, so nobody is waiting for the worksheet
+    signal?.throwIfAborted();
+
     await worksheet.save();
 
+    await onStage('worksheet_saved', 'Worksheet saved to your history');
+
     // Update template usage
     await template.incrementUsage();
 
@@ -209,11 +270,41 @@ async function generateWorksheetLogic(params) {
     return worksheet;
 }
 
+/**
+ * Stages after a generated worksheet is saved: run its program and render its diagrams,
+ * then record the first version
+ * They wait in the code and PDF queues, which have their own time limits, so a slow
+ * sandbox or a cold browser does not count against the generation queue's timeout
+ * A program or diagram that fails is reported and never fails the generation
+ */
+async function finishGeneratedWorksheet(worksheet, { runCode, userId }, onStage = async () => { }) {
+    // Optional: replace the output the AI imagined with what the program really prints
+    if (runCode && codeRunnerService.canRun(worksheet.content.code)) {
+        try {
+            const codeRun = await codeQueue.add(() => codeRunnerService.run(worksheet.content.code));
+            worksheet.setSectionValue('output', codeRunnerService.toOutputHtml(codeRun));
+            worksheet.codeRun = codeRun;
+            await onStage('code_run', `Program ran in ${codeRun.durationMs} ms (${codeRun.status.replace('_', ' ')})`);
+        } catch (error) {
+            console.error('Code run failed, keeping the generated output:', error);
+            await onStage('code_run', `Could not run the program: ${error.message}`);
+        }
+    }
+
+    await renderGeneratedDiagrams(worksheet, onStage);
+
+    await worksheet.save();
+    await worksheetVersionService.record(worksheet, { userId, source: 'generation' });
+
+    return worksheet;
+}
+
 /**
  * PDF generation logic (for queue processing)
+ * @returns {Promise<String>} - Uploaded PDF URL
  */
-async function generatePDFForWorksheet(worksheetId) {
-    const worksheet = await Worksheet.findById(worksheetId).populate('userId');
+async function generatePDFForWorksheet(worksheetId, onStage = async () => { }) {
+    const worksheet = await Worksheet.findById(worksheetId);
     if (!worksheet) {
         throw new Error('Worksheet not found');
     }
@@ -223,20 +314,248 @@ async function generatePDFForWorksheet(worksheetId) {
         throw new Error('User not found');
     }
 
+    // Template decides section order and headings (falls back to the default layout)
+    const template = await Template.findById(worksheet.templateId);
+
     console.log(`📄 Generating PDF for worksheet ${worksheetId}...`);
 
     // Generate PDF
-    const pdfBuffer = await pdfGeneratorService.generateWorksheetPDF(worksheet, user);
+    const pdfBuffer = await pdfGeneratorService.generateWorksheetPDF(worksheet, user, template);
 
     // Upload to Cloudinary
-    const pdfUrl = await cloudinaryService.uploadPDF(pdfBuffer, worksheet.userId.toString(), worksheet.topic);
+    const uploadResult = await cloudinaryService.uploadGeneratedPDF(
+        pdfBuffer,
+        worksheet.userId.toString(),
+        worksheet._id.toString()
+    );
 
     // Update worksheet with PDF URL
-    worksheet.pdfUrl = pdfUrl;
-    worksheet.status = 'completed';
+    worksheet.pdfUrl = uploadResult.url;
+    worksheet.status = 'finalized';
     await worksheet.save();
 
-    return pdfUrl;
+    await onStage('pdf_uploaded', 'PDF uploaded and ready to download');
+
+    return uploadResult.url;
+}
+
+/**
+ * Record a progress stage on a job and push it to SSE subscribers
+ * Failures are logged but never interrupt generation
+ */
+async function recordJobStage(job, stage, message) {
+    try {
+        const entry = await job.addStage(stage, message);
+        jobEventService.publish(job._id, 'stage', entry);
+    } catch (error) {
+        console.error(`Failed to record stage ${stage} for job ${job._id}:`, error);
+    }
+}
+
+/**
+ * Run a generation job and track its state
+ * Only the AI stage waits in the worksheet queue; the code run, diagrams and PDF use their own queues
+ * Throws on failure so the caller can mark the job as failed
+ * @param {Function} params.onStart - Called when the job leaves the worksheet queue
+ */
+async function runGenerationJob(job, { onStart = async () => { }, ...params }) {
+    const onStage = (stage, message) => recordJobStage(job, stage, message);
+
+    // A queue timeout does not stop the generation itself: it is aborted before the worksheet is saved,
+    // and a worksheet saved just before the timeout is linked to the job so a retry can reuse it
+    const controller = new AbortController();
+    let generation = null;
+
+    let worksheet;
+    try {
+        worksheet = await worksheetQueue.add(async () => {
+            await job.markRunning();
+            jobEventService.publishStatus(job);
+            await onStart();
+
+            generation = generateWorksheetLogic({ ...params, onStage, signal: controller.signal });
+            return await generation;
+        });
+    } catch (error) {
+        controller.abort(error);
+        generation?.then(late => job.linkLateWorksheet(late._id)).catch(() => { });
+        throw error;
+    }
+
+    await finishGeneratedWorksheet(worksheet, params, onStage);
+    await job.markSucceeded(worksheet._id);
+    jobEventService.publishStatus(job);
+
+    console.log(`✅ Worksheet ${worksheet._id} generated successfully in background (job ${job._id})`);
+
+    // Auto-generate PDF in background
+    await job.setPdfState('queued');
+    await onStage('pdf_queued', `PDF queued (${pdfQueue.size} waiting)`);
+    jobEventService.publishStatus(job);
+
+    pdfQueue.add(async () => {
+        await job.setPdfState('running');
+        jobEventService.publishStatus(job);
+
+        const pdfUrl = await generatePDFForWorksheet(worksheet._id, onStage);
+        await job.setPdfState('succeeded', { url: pdfUrl, error: null });
+        jobEventService.publishStatus(job);
+        console.log(`✅ PDF generated for worksheet ${worksheet._id}`);
+    }).catch(async (pdfError) => {
+        console.error(`❌ PDF generation failed for ${worksheet._id}:`, pdfError);
+        try {
+            await job.setPdfState('failed', { error: pdfError.message });
+            jobEventService.publishStatus(job);
+        } catch (stateError) {
+            console.error('Failed to record PDF job state:', stateError);
+        }
+    });
+
+    return worksheet;
+}
+
+/**
+ * Queue one batch item as its own generation job
+ * The item keeps the job ID so its progress can be followed like a single generation
+ */
+async function enqueueBatchItem(batch, item) {
+    const job = new GenerationJob({
+        userId: batch.userId,
+        topic: item.topic
+    });
+    await job.save();
+
+    await GenerationBatch.updateItem(batch._id, item._id, {
+        status: 'queued',
+        jobId: job._id,
+        worksheetId: null,
+        error: null,
+        attempts: (item.attempts || 0) + 1
+    });
+
+    runGenerationJob(job, {
+        onStart: () => GenerationBatch.updateItem(batch._id, item._id, { status: 'running' }),
+        topic: item.topic,
+        subject: batch.subject,
+        syllabus: batch.syllabus,
+        difficulty: batch.difficulty,
+        templateId: batch.templateId,
+        additionalInstructions: batch.additionalInstructions,
+        experimentNumber: item.experimentNumber,
+        runCode: batch.runCode,
+        files: [],
+        headerImageFile: null,
+        userId: batch.userId
+    }).then(worksheet => GenerationBatch.updateItem(batch._id, item._id, {
+        status: 'succeeded',
+        worksheetId: worksheet._id
+    })).catch(async (error) => {
+        console.error(`❌ Batch ${batch._id} item "${item.topic}" failed:`, error);
+        try {
+            await job.markFailed(error.message);
+            jobEventService.publishStatus(job);
+            await GenerationBatch.updateItem(batch._id, item._id, {
+                status: 'failed',
+                error: error.message
+            });
+        } catch (stateError) {
+            console.error('Failed to record batch item failure:', stateError);
+        }
+    });
+}
+
+/**
+ * Batch response with live status and per-status counts
+ */
+function serializeBatch(batch) {
+    return {
+        ...batch.toObject(),
+        status: batch.computeStatus(),
+        summary: batch.getSummary()
+    };
+}
+
+/**
+ * Worksheet response for the editor
+ * Worksheets saved before sanitization existed are cleaned on the way out
+ */
+function serializeWorksheet(worksheet) {
+    const payload = worksheet.toObject();
+    payload.content = htmlSanitizerService.sanitizeContent(payload.content);
+    payload.sections = htmlSanitizerService.sanitizeSections(payload.sections);
+    // Charts are drawn from the current dataset, so an edited table is reflected straight away
+    payload.charts = chartService.renderWorksheetCharts(payload)
+        .map(({ chart, svg, error }) => ({ ...chart, svg, error }));
+    return payload;
+}
+
+/**
+ * Render diagram source to SVG
+ * Mermaid needs a browser page, so it waits its turn in the PDF queue
+ * @returns {Promise<Object>} - { svg, error }
+ */
+function renderDiagram(format, source) {
+    return format === 'mermaid'
+        ? pdfQueue.add(() => diagramService.render(format, source))
+        : diagramService.render(format, source);
+}
+
+// Diagrams kept from one generation
+const MAX_GENERATED_DIAGRAMS = 5;
+const MAX_GENERATED_CHARTS = 5;
+
+/**
+ * Turn the diagrams the AI returned into worksheet diagram entries, not yet rendered
+ * Entries without source or with an unknown format are dropped
+ */
+function selectGeneratedDiagrams(generated) {
+    const { formats } = diagramService.getOptions();
+    return (Array.isArray(generated) ? generated : [])
+        .filter(diagram => diagram && typeof diagram.source === 'string' && diagram.source.trim() && formats.includes(diagram.format))
+        .slice(0, MAX_GENERATED_DIAGRAMS)
+        .map(diagram => ({
+            section: String(diagram.section || 'additionalNotes').trim().slice(0, 100),
+            title: String(diagram.title || '').trim().slice(0, 200),
+            format: diagram.format,
+            source: diagram.source.trim()
+        }));
+}
+
+/**
+ * Render the generated diagrams of a worksheet
+ * One that fails to render keeps its source and error so it can be fixed in the preview
+ */
+async function renderGeneratedDiagrams(worksheet, onStage) {
+    const diagrams = worksheet.diagrams;
+    if (diagrams.length === 0) return;
+
+    await Promise.all(diagrams.map(async (diagram) => {
+        let result;
+        try {
+            result = await renderDiagram(diagram.format, diagram.source);
+        } catch (error) {
+            console.error('Diagram rendering failed:', error);
+            result = { svg: '', error: `Could not render the diagram: ${error.message}` };
+        }
+
+        diagram.svg = result.svg;
+        diagram.error = result.error;
+        diagram.renderedAt = new Date();
+    }));
+
+    const failed = diagrams.filter(diagram => diagram.error).length;
+    await onStage('diagrams_rendered', `${diagrams.length - failed} of ${diagrams.length} diagrams rendered${failed > 0 ? ' (fix the others in the preview)' : ''}`);
+}
+
+/**
+ * 409 for an edit based on an outdated version, with the server copy to merge against
+ */
+function sendVersionConflict(res, worksheet) {
+    return res.status(409).json({
+        success: false,
+        message: 'This worksheet was changed somewhere else. Review the changes before saving.',
+        worksheet: serializeWorksheet(worksheet)
+    });
 }
 
 // ========== END HELPER FUNCTIONS ==========
@@ -247,7 +566,7 @@ async function generatePDFForWorksheet(worksheetId) {
  * @desc    Generate a new worksheet
  * @access  Private
  */
-router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, { name: 'headerImage', maxCount: 1 }]), async (req, res) => {
+router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, { name: 'headerImage', maxCount: 1 }, { name: 'dataset', maxCount: 1 }]), async (req, res) => {
     // Check if user wants synchronous mode (for backward compatibility)
     const syncMode = req.query.mode === 'sync';
 
@@ -262,6 +581,9 @@ router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, {
             experimentNumber
         } = req.body;
 
+        // Multipart form fields arrive as strings
+        const runCode = req.body.runCode === true || req.body.runCode === 'true';
+
         console.log('📝 Generate Worksheet Request:', {
             body: req.body,
             files: req.files ? Object.keys(req.files) : 'No files'
@@ -269,6 +591,7 @@ router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, {
 
         const files = (req.files && req.files['images']) ? req.files['images'] : [];
         const headerImageFile = (req.files && req.files['headerImage']) ? req.files['headerImage'][0] : null;
+        const datasetFile = (req.files && req.files['dataset']) ? req.files['dataset'][0] : null;
 
         // Validate required fields
         if (!topic || !syllabus || !templateId) {
@@ -301,44 +624,54 @@ router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, {
             });
         }
 
+        // Optional CSV becomes the worksheet dataset; a file that cannot be read is rejected before queueing
+        let dataset;
+        if (datasetFile) {
+            try {
+                dataset = datasetService.parseCsv(datasetFile.buffer);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
+
         // Async mode (default) - queue the job and return immediately
         if (!syncMode) {
             console.log('📋 Queueing worksheet generation (async mode)...');
 
+            const job = new GenerationJob({
+                userId: req.userId,
+                topic: topic.trim()
+            });
+            await job.save();
+
             // Return immediate response
             res.status(202).json({
                 success: true,
                 message: 'Worksheet generation started! You will be notified when complete.',
-                status: 'processing',
+                status: job.status,
+                jobId: job._id,
+                job,
                 queuePosition: worksheetQueue.size + 1,
                 estimatedTime: (worksheetQueue.size * 8) + ' seconds'
             });
 
             // Queue the generation task (non-blocking)
-            worksheetQueue.add(async () => {
+            runGenerationJob(job, {
+                topic, subject, syllabus, difficulty, templateId,
+                additionalInstructions, experimentNumber, runCode, dataset,
+                files, headerImageFile, userId: req.userId
+            }).catch(async (error) => {
+                console.error('❌ Background worksheet generation failed:', error);
                 try {
-                    const worksheet = await generateWorksheetLogic({
-                        topic, subject, syllabus, difficulty, templateId,
-                        additionalInstructions, experimentNumber,
-                        files, headerImageFile, userId: req.userId
-                    });
-
-                    console.log(`✅ Worksheet ${worksheet._id} generated successfully in background`);
-
-                    // Auto-generate PDF in background
-                    pdfQueue.add(async () => {
-                        try {
-                            await generatePDFForWorksheet(worksheet._id);
-                            console.log(`✅ PDF generated for worksheet ${worksheet._id}`);
-                        } catch (pdfError) {
-                            console.error(`❌ PDF generation failed for ${worksheet._id}:`, pdfError);
-                        }
-                    }).catch(err => console.error('PDF queue error:', err));
-
-                } catch (error) {
-                    console.error('❌ Background worksheet generation failed:', error);
+                    await job.markFailed(error.message);
+                    jobEventService.publishStatus(job);
+                } catch (stateError) {
+                    console.error('Failed to record job failure:', stateError);
                 }
-            }).catch(err => console.error('Worksheet queue error:', err));
+            });
 
             return; // Exit early, response already sent
         }
@@ -348,14 +681,15 @@ router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, {
 
         const worksheet = await generateWorksheetLogic({
             topic, subject, syllabus, difficulty, templateId,
-            additionalInstructions, experimentNumber,
+            additionalInstructions, experimentNumber, dataset,
             files, headerImageFile, userId: req.userId
         });
+        await finishGeneratedWorksheet(worksheet, { runCode, userId: req.userId });
 
         res.status(201).json({
             success: true,
             message: 'Worksheet generated successfully',
-            worksheet
+            worksheet: serializeWorksheet(worksheet)
         });
 
     } catch (error) {
@@ -367,6 +701,43 @@ router.post('/generate', auth, upload.fields([{ name: 'images', maxCount: 5 }, {
     }
 });
 
+/**
+ * @route   POST /api/worksheets/dataset/parse-csv
+ * @desc    Read an uploaded CSV file into a dataset table ({ columns, rows }) for the editor
+ * @access  Private
+ */
+router.post('/dataset/parse-csv', auth, upload.single('dataset'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload a CSV file'
+            });
+        }
+
+        let dataset;
+        try {
+            dataset = datasetService.parseCsv(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            dataset
+        });
+    } catch (error) {
+        console.error('Parse CSV error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to read CSV file'
+        });
+    }
+});
+
 /**
  * @route   POST /api/worksheets/:id/upload-image
  * @desc    Upload image/screenshot for worksheet
@@ -430,14 +801,118 @@ router.post('/:id/upload-image', auth, upload.single('image'), async (req, res)
     }
 });
 
+/**
+ * @route   POST /api/worksheets/:id/output-screenshot
+ * @desc    Render the output as a terminal window image and attach it to the Output section
+ *          A screenshot rendered earlier is replaced; uploaded images are kept
+ * @access  Private
+ */
+router.post('/:id/output-screenshot', auth, [
+    body('theme').optional().isIn(terminalImageService.getOptions().themes)
+        .withMessage(`Theme must be one of: ${terminalImageService.getOptions().themes.join(', ')}`),
+    body('chrome').optional().isIn(terminalImageService.getOptions().chromes)
+        .withMessage(`Window style must be one of: ${terminalImageService.getOptions().chromes.join(', ')}`),
+    body('prompt').optional().isString().isLength({ max: 100 }).withMessage('Prompt must be at most 100 characters'),
+    body('command').optional().isString().isLength({ max: 200 }).withMessage('Command must be at most 200 characters'),
+    body('title').optional().isString().isLength({ max: 100 }).withMessage('Title must be at most 100 characters'),
+    body('caption').optional().isString().trim().isLength({ max: 200 }).withMessage('Caption must be at most 200 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        const text = terminalImageService.getOutputText(worksheet);
+        if (!text.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The Output section is empty'
+            });
+        }
+
+        const { theme, chrome, prompt, title, caption } = req.body;
+        // An empty command hides the command line
+        const command = req.body.command ?? terminalImageService.getRunCommand(worksheet.content.code?.language);
+
+        // Rendered in the shared browser pool, like PDFs
+        const imageBuffer = await pdfQueue.add(() => terminalImageService.render(text, { theme, chrome, prompt, command, title }));
+
+        const uploadResult = await cloudinaryService.uploadImage(
+            imageBuffer,
+            req.userId.toString(),
+            req.params.id
+        );
+
+        const previous = worksheet.images.filter(image => image.kind === 'terminal');
+        worksheet.images = worksheet.images.filter(image => image.kind !== 'terminal');
+        worksheet.images.push({
+            url: uploadResult.url,
+            section: 'output',
+            caption: caption || 'Program output',
+            kind: 'terminal',
+            publicId: uploadResult.publicId
+        });
+
+        await worksheet.save();
+
+        previous.filter(image => image.publicId).forEach(image => {
+            cloudinaryService.deleteResource(image.publicId).catch(error => {
+                console.error('Failed to delete old output screenshot:', error);
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Output screenshot created',
+            image: worksheet.images[worksheet.images.length - 1],
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        console.error('Output screenshot error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to create output screenshot'
+        });
+    }
+});
+
 /**
  * @route   PUT /api/worksheets/:id
  * @desc    Update worksheet content (manual edit)
  * @access  Private
  */
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, [
+    body('sections').optional().isArray().withMessage('Sections must be an array'),
+    body('sections.*.key').optional().isString().notEmpty().withMessage('Each section needs a key'),
+    body('sections.*.type').optional().isIn(['html', 'list', 'code', 'table']).withMessage('Invalid section type'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive number')
+], async (req, res) => {
     try {
-        const { content, experimentNumber, dateOfPerformance } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { content, sections, experimentNumber, dateOfPerformance, version } = req.body;
 
         const worksheet = await Worksheet.findOne({
             _id: req.params.id,
@@ -451,26 +926,50 @@ router.put('/:id', auth, async (req, res) => {
             });
         }
 
-        // Update content
+        // Edits based on an older version are rejected with the server copy so the client can merge
+        // (clients that send no version keep the old last-write-wins behaviour)
+        if (version !== undefined && Number(version) !== worksheet.version) {
+            return sendVersionConflict(res, worksheet);
+        }
+
+        if (worksheet.sections.length === 0) {
+            worksheet.ensureSections(await Template.findById(worksheet.templateId));
+        }
+        const before = worksheetVersionService.snapshot(worksheet);
+
+        // Update content fields (legacy clients), keeping their sections in sync
         if (content) {
-            worksheet.content = {
-                ...worksheet.content,
-                ...content
-            };
+            worksheet.applyContentPatch(htmlSanitizerService.sanitizeContent(content));
+        }
+
+        // Update sections by key; unknown keys are added as custom sections
+        if (sections) {
+            sections.forEach(({ key, heading, type, value }) => {
+                const sectionType = sectionRegistry.isKnownKey(key) ? sectionRegistry.getType(key) : type;
+                worksheet.setSectionValue(key, htmlSanitizerService.sanitizeSectionValue(sectionType, value), { heading, type });
+            });
         }
 
         if (experimentNumber) worksheet.experimentNumber = experimentNumber;
         if (dateOfPerformance) worksheet.dateOfPerformance = dateOfPerformance;
 
-        // Increment version
-        await worksheet.incrementVersion();
+        // Increment version and keep a snapshot for history (no-op saves are skipped)
+        await worksheetVersionService.commit(worksheet, before, { userId: req.userId, source: 'manual' });
 
         res.json({
             success: true,
             message: 'Worksheet updated successfully',
-            worksheet
+            worksheet: serializeWorksheet(worksheet)
         });
     } catch (error) {
+        // Another save landed between loading and saving this edit
+        if (error.name === 'DocumentNotFoundError') {
+            const current = await Worksheet.findOne({ _id: req.params.id, userId: req.userId });
+            if (current) {
+                return sendVersionConflict(res, current);
+            }
+        }
+
         console.error('Update worksheet error:', error);
         res.status(500).json({
             success: false,
@@ -503,8 +1002,8 @@ router.post('/:id/generate-pdf', auth, async (req, res) => {
 
         console.log('Generating PDF...');
 
-        // Generate PDF
-        const pdfBuffer = await pdfGeneratorService.generateWorksheetPDF(worksheet, user);
+        // Generate PDF (populated template supplies section order and headings)
+        const pdfBuffer = await pdfGeneratorService.generateWorksheetPDF(worksheet, user, worksheet.templateId);
 
         // Upload to Cloudinary
         const uploadResult = await cloudinaryService.uploadGeneratedPDF(
@@ -533,6 +1032,68 @@ router.post('/:id/generate-pdf', auth, async (req, res) => {
     }
 });
 
+// Export formats: file extension and content type of the download
+const EXPORT_FORMATS = {
+    docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    latex: { extension: 'zip', contentType: 'application/zip' },
+    markdown: { extension: 'zip', contentType: 'application/zip' }
+};
+
+/**
+ * @route   GET /api/worksheets/:id/export?format=docx|latex|markdown
+ * @desc    Download the worksheet as an editable document
+ *          LaTeX and Markdown come as a zip with the images in images/
+ * @access  Private
+ */
+router.get('/:id/export', auth, [
+    query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+        .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        }).populate('templateId');
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const format = req.query.format || 'docx';
+        const buffer = format === 'docx'
+            ? await docxExportService.generateWorksheetDocx(worksheet, user, worksheet.templateId)
+            : await markupExportService.generateWorksheetBundle(worksheet, user, worksheet.templateId, format);
+        const fileName = `Worksheet_${worksheet.experimentNumber || ''}_${worksheet.topic}`
+            .replace(/[^a-zA-Z0-9-]+/g, '_')
+            .substring(0, 80);
+
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${fileName}.${EXPORT_FORMATS[format].extension}"`,
+            'Content-Length': buffer.length
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error('Export worksheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to export worksheet'
+        });
+    }
+});
+
 /**
  * @route   GET /api/worksheets/history
  * @desc    Get user's worksheet history
@@ -570,44 +1131,1041 @@ router.get('/history', auth, async (req, res) => {
 });
 
 /**
- * @route   GET /api/worksheets/:id
- * @desc    Get specific worksheet
+ * @route   GET /api/worksheets/jobs
+ * @desc    Get user's recent generation jobs
  * @access  Private
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/jobs', auth, async (req, res) => {
     try {
-        const worksheet = await Worksheet.findOne({
-            _id: req.params.id,
-            userId: req.userId
-        }).populate('templateId');
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
 
-        if (!worksheet) {
-            return res.status(404).json({
-                success: false,
-                message: 'Worksheet not found'
-            });
+        const query = { userId: req.userId };
+        if (req.query.status) {
+            query.status = req.query.status;
         }
 
+        const jobs = await GenerationJob.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await GenerationJob.countDocuments(query);
+
+        res.json({
+            success: true,
+            count: jobs.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            jobs
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get generation jobs'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/jobs/:id
+ * @desc    Get generation job status
+ * @access  Private
+ */
+router.get('/jobs/:id', auth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Generation job not found'
+        });
+    }
+
+    try {
+        const job = await GenerationJob.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Generation job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get generation job'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/jobs/:id/events
+ * @desc    Stream generation progress as Server-Sent Events
+ * @access  Private
+ */
+router.get('/jobs/:id/events', auth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Generation job not found'
+        });
+    }
+
+    // Subscribe before loading the job so no stage is missed in between
+    const pending = [];
+    let forward = (message) => pending.push(message);
+    const unsubscribe = jobEventService.subscribe(req.params.id, (message) => forward(message));
+
+    try {
+        const job = await GenerationJob.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!job) {
+            unsubscribe();
+            return res.status(404).json({
+                success: false,
+                message: 'Generation job not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        let closed = false;
+        // Keep proxies from dropping an idle connection
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        };
+        req.on('close', close);
+
+        // Replay stages recorded before the client connected
+        let lastSeq = -1;
+        job.stages.forEach(entry => {
+            send('stage', entry);
+            lastSeq = entry.seq;
+        });
+
+        const status = jobEventService.toStatus(job);
+        send('status', status);
+        if (jobEventService.isFinished(status)) {
+            return close();
+        }
+
+        forward = ({ event, data }) => {
+            if (closed) return;
+            if (event === 'stage' && data.seq <= lastSeq) return;
+            send(event, data);
+            if (event === 'status' && jobEventService.isFinished(data)) {
+                close();
+            }
+        };
+        // Events published while the job was loading may already finish the stream
+        pending.forEach(message => forward(message));
+    } catch (error) {
+        unsubscribe();
+        console.error('Job events error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to stream generation progress'
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/lab-record
+ * @desc    Combine selected worksheets into one lab record PDF
+ *          (cover page, index with page numbers, continuous page numbering)
+ * @access  Private
+ */
+router.post('/lab-record', auth, [
+    body('worksheetIds').isArray({ min: 1, max: 50 }).withMessage('Select between 1 and 50 worksheets'),
+    body('worksheetIds.*').isMongoId().withMessage('Invalid worksheet ID'),
+    body('title').optional().isString().trim().isLength({ max: 200 }),
+    body('subject').optional().isString().trim().isLength({ max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheetIds = [...new Set(req.body.worksheetIds.map(String))];
+        const worksheets = await Worksheet.find({
+            _id: { $in: worksheetIds },
+            userId: req.userId
+        }).populate('templateId');
+
+        if (worksheets.length !== worksheetIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'One or more worksheets were not found'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+
+        // Keep the order the worksheets were selected in
+        const byId = new Map(worksheets.map(worksheet => [worksheet._id.toString(), worksheet]));
+        const entries = worksheetIds.map(id => ({
+            worksheet: byId.get(id),
+            template: byId.get(id).templateId
+        }));
+
+        console.log(`📚 Generating lab record with ${entries.length} worksheet(s)...`);
+
+        // A full record renders every worksheet twice (page count + final), so allow more than a single PDF
+        const pdfBuffer = await pdfQueue.add(() => pdfGeneratorService.generateLabRecordPDF(entries, user, {
+            title: req.body.title,
+            subject: req.body.subject
+        }), { timeout: 180000 });
+
+        const uploadResult = await cloudinaryService.uploadGeneratedPDF(
+            pdfBuffer,
+            req.userId.toString(),
+            `lab_record_${req.userId}`
+        );
+
+        res.json({
+            success: true,
+            message: 'Lab record generated successfully',
+            pdfUrl: uploadResult.url,
+            pdfBase64: pdfBuffer.toString('base64')
+        });
+    } catch (error) {
+        console.error('Generate lab record error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to generate lab record'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/batches
+ * @desc    Generate a series of experiments (a semester lab file) in one batch
+ *          Accepts a list of topics, or a pasted syllabus split into one topic per experiment
+ * @access  Private
+ */
+router.post('/batches', auth, [
+    body('topics').optional().isArray({ min: 1, max: syllabusSplitterService.maxTopics })
+        .withMessage(`Topics must be a list of 1-${syllabusSplitterService.maxTopics} items`),
+    body('topics.*').optional().isString().trim().isLength({ min: 2, max: 1000 })
+        .withMessage('Each topic must be between 2 and 1000 characters'),
+    body('syllabus').optional().isString().isLength({ max: 5000 })
+        .withMessage('Syllabus must be at most 5000 characters'),
+    body('templateId').notEmpty().withMessage('Template ID is required')
+        .bail().isMongoId().withMessage('Invalid template ID'),
+    body('difficulty').optional().isIn(['easy', 'medium', 'hard', 'Easy', 'Medium', 'Hard'])
+        .withMessage('Difficulty must be one of: easy, medium, hard'),
+    body('startExperimentNumber').optional().isInt({ min: 1, max: 999 })
+        .withMessage('Start experiment number must be a positive number'),
+    body('runCode').optional().isBoolean().withMessage('runCode must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const {
+            title,
+            syllabus = '',
+            subject,
+            difficulty,
+            templateId,
+            additionalInstructions = '',
+            startExperimentNumber = 1,
+            runCode = false
+        } = req.body;
+
+        const topics = req.body.topics?.length
+            ? req.body.topics
+            : syllabusSplitterService.splitTopics(syllabus);
+
+        if (topics.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a list of topics or a syllabus with one experiment per line'
+            });
+        }
+
+        const template = await Template.findById(templateId);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        const firstNumber = parseInt(startExperimentNumber);
+        const batch = new GenerationBatch({
+            userId: req.userId,
+            title: title || `${subject || template.subject} lab file`,
+            subject: subject || template.subject,
+            // Every worksheet is generated against the full syllabus for context
+            syllabus: (syllabus.trim() || topics.join('\n')).substring(0, 5000),
+            difficulty: difficulty || 'medium',
+            templateId: template._id,
+            additionalInstructions,
+            runCode: runCode === true || runCode === 'true',
+            items: topics.map((topic, index) => ({
+                topic,
+                experimentNumber: String(firstNumber + index)
+            }))
+        });
+        await batch.save();
+
+        for (const item of batch.items) {
+            await enqueueBatchItem(batch, item);
+        }
+
+        const saved = await GenerationBatch.findById(batch._id);
+
+        res.status(202).json({
+            success: true,
+            message: `${topics.length} worksheet(s) queued for generation`,
+            batch: serializeBatch(saved),
+            queuePosition: worksheetQueue.size,
+            estimatedTime: (worksheetQueue.size * 8) + ' seconds'
+        });
+    } catch (error) {
+        console.error('Create batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to start batch generation'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/batches/split-syllabus
+ * @desc    Preview how a pasted syllabus is split into experiments
+ * @access  Private
+ */
+router.post('/batches/split-syllabus', auth, [
+    body('syllabus').isString().notEmpty().withMessage('Syllabus is required')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    const topics = syllabusSplitterService.splitTopics(req.body.syllabus);
+
+    res.json({
+        success: true,
+        count: topics.length,
+        topics
+    });
+});
+
+/**
+ * @route   GET /api/worksheets/batches
+ * @desc    Get user's generation batches
+ * @access  Private
+ */
+router.get('/batches', auth, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const batches = await GenerationBatch.find({ userId: req.userId })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await GenerationBatch.countDocuments({ userId: req.userId });
+
+        res.json({
+            success: true,
+            count: batches.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            batches: batches.map(serializeBatch)
+        });
+    } catch (error) {
+        console.error('Get batches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get generation batches'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/batches/:id
+ * @desc    Get batch status with per-item progress
+ * @access  Private
+ */
+router.get('/batches/:id', auth, async (req, res) => {
+    try {
+        const batch = await GenerationBatch.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        }).populate('items.worksheetId', 'topic experimentNumber pdfUrl status');
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            batch: serializeBatch(batch)
+        });
+    } catch (error) {
+        console.error('Get batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get batch status'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/batches/:id/retry
+ * @desc    Retry failed items (all of them, or only body.itemIds)
+ * @access  Private
+ */
+router.post('/batches/:id/retry', auth, [
+    body('itemIds').optional().isArray().withMessage('itemIds must be an array')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const batch = await GenerationBatch.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        const itemIds = req.body.itemIds?.map(String);
+        const items = batch.items.filter(item =>
+            item.status === 'failed' && (!itemIds || itemIds.includes(item._id.toString()))
+        );
+
+        if (items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No failed items to retry'
+            });
+        }
+
+        // Items that timed out after their worksheet was saved keep that worksheet instead of generating another
+        const lateJobs = await GenerationJob.find({
+            _id: { $in: items.map(item => item.jobId).filter(Boolean) },
+            worksheetId: { $ne: null }
+        });
+        const lateWorksheets = new Map(lateJobs.map(job => [job._id.toString(), job.worksheetId]));
+
+        let queued = 0;
+        for (const item of items) {
+            const worksheetId = item.jobId && lateWorksheets.get(item.jobId.toString());
+            if (worksheetId) {
+                await GenerationBatch.updateItem(batch._id, item._id, { status: 'succeeded', worksheetId, error: null });
+            } else {
+                await enqueueBatchItem(batch, item);
+                queued++;
+            }
+        }
+
+        const saved = await GenerationBatch.findById(batch._id);
+        const recovered = items.length - queued;
+
+        res.status(202).json({
+            success: true,
+            message: recovered > 0
+                ? `${queued} item(s) queued again, ${recovered} already had a worksheet`
+                : `${queued} item(s) queued again`,
+            batch: serializeBatch(saved)
+        });
+    } catch (error) {
+        console.error('Retry batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry batch items'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/:id
+ * @desc    Get specific worksheet
+ * @access  Private
+ */
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        }).populate('templateId');
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        // Worksheets created before sections existed get them on first open
+        if (worksheet.ensureSections(worksheet.templateId)) {
+            await worksheet.save();
+        }
+
+        res.json({
+            success: true,
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        console.error('Get worksheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get worksheet'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/:id/regenerate-section
+ * @desc    Regenerate one section of a worksheet, optionally following an instruction
+ * @access  Private
+ */
+router.post('/:id/regenerate-section', auth, [
+    body('section').isString().notEmpty().withMessage('Section is required'),
+    body('instruction').optional({ values: 'falsy' }).isString().isLength({ max: 500 }).withMessage('Instruction must be at most 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { section: requested, instruction } = req.body;
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        if (worksheet.sections.length === 0) {
+            worksheet.ensureSections(await Template.findById(worksheet.templateId));
+        }
+
+        // Accept a section key ("learningOutcome") or a heading ("Learning Outcome", "Viva Questions")
+        const section = worksheet.getSection(requested)
+            || worksheet.getSection(sectionRegistry.resolveKey(requested))
+            || worksheet.getSection(sectionRegistry.customKey(requested));
+
+        if (!section) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown section "${requested}"`
+            });
+        }
+
+        const { key, heading, type } = section;
+
+        // Regenerate section with AI, typed for the section (list items, code object, table)
+        const newValue = htmlSanitizerService.sanitizeSectionValue(
+            type,
+            await aiService.regenerateSection(
+                { key, heading, type, value: section.value },
+                {
+                    topic: worksheet.topic,
+                    subject: worksheet.subject,
+                    syllabus: worksheet.syllabus,
+                    difficulty: worksheet.difficulty,
+                    instruction: instruction?.trim()
+                }
+            )
+        );
+
+        // Update worksheet
+        const before = worksheetVersionService.snapshot(worksheet);
+        worksheet.setSectionValue(key, newValue);
+        await worksheetVersionService.commit(worksheet, before, { userId: req.userId, source: 'ai_regeneration' });
+
+        res.json({
+            success: true,
+            message: `${heading} regenerated successfully`,
+            section: worksheet.getSection(key),
+            newContent: worksheet.getSection(key).value,
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        // Another save landed while the section was being regenerated
+        if (error.name === 'DocumentNotFoundError') {
+            const current = await Worksheet.findOne({ _id: req.params.id, userId: req.userId });
+            if (current) {
+                return sendVersionConflict(res, current);
+            }
+        }
+
+        console.error('Regenerate section error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate section'
+        });
+    }
+});
+
+// Inline rewrite actions for a selected passage
+const REWRITE_ACTIONS = ['simplify', 'expand', 'grammar', 'formal', 'translate'];
+
+/**
+ * @route   POST /api/worksheets/:id/rewrite
+ * @desc    Suggest a rewrite of a selected passage (not saved; the client applies it)
+ * @access  Private
+ */
+router.post('/:id/rewrite', auth, [
+    body('text').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Selected text must be 1-5000 characters'),
+    body('action').isIn(REWRITE_ACTIONS).withMessage(`Action must be one of: ${REWRITE_ACTIONS.join(', ')}`),
+    body('language').if(body('action').equals('translate')).isString().trim().notEmpty().withMessage('Target language is required for translation'),
+    body('section').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { text, action, language, section: sectionKey } = req.body;
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        // The rest of the section is sent as context so the rewrite fits in
+        const section = sectionKey ? worksheet.getSection(sectionKey) : null;
+
+        const suggestion = await aiService.rewritePassage({
+            text,
+            action,
+            language,
+            context: {
+                topic: worksheet.topic,
+                subject: worksheet.subject,
+                heading: section?.heading,
+                surrounding: section ? worksheetVersionService.toLines(section).join('\n') : ''
+            }
+        });
+
+        res.json({
+            success: true,
+            original: text,
+            suggestion
+        });
+    } catch (error) {
+        console.error('Rewrite passage error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to rewrite the selected text'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/:id/run-code
+ * @desc    Run the worksheet code in the sandbox and write its real output into the Output section
+ * @access  Private
+ */
+router.post('/:id/run-code', auth, [
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        if (!codeRunnerService.isEnabled()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Running code is disabled on this server'
+            });
+        }
+
+        const code = worksheet.content.code;
+        if (!codeRunnerService.canRun(code)) {
+            return res.status(400).json({
+                success: false,
+                message: code?.source?.trim()
+                    ? `${code.language || 'This'} code cannot be run. Supported: ${codeRunnerService.getSupportedLanguages().join(', ')}`
+                    : 'This worksheet has no code to run'
+            });
+        }
+
+        // The run uses the saved code, so it must be the version the client is looking at
+        if (req.body.version !== undefined && parseInt(req.body.version) !== worksheet.version) {
+            return sendVersionConflict(res, worksheet);
+        }
+
+        const codeRun = await codeQueue.add(() => codeRunnerService.run(code));
+
+        if (worksheet.sections.length === 0) {
+            worksheet.ensureSections(await Template.findById(worksheet.templateId));
+        }
+
+        const before = worksheetVersionService.snapshot(worksheet);
+        worksheet.setSectionValue('output', codeRunnerService.toOutputHtml(codeRun));
+        worksheet.codeRun = codeRun;
+        await worksheetVersionService.commit(worksheet, before, { userId: req.userId, source: 'code_run' });
+
+        res.json({
+            success: true,
+            message: codeRun.status === 'success' ? 'Code ran successfully' : `Code run finished: ${codeRun.status.replace('_', ' ')}`,
+            run: codeRun,
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        // Another save landed while the code was running
+        if (error.name === 'DocumentNotFoundError') {
+            const current = await Worksheet.findOne({ _id: req.params.id, userId: req.userId });
+            if (current) {
+                return sendVersionConflict(res, current);
+            }
+        }
+
+        console.error('Run code error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to run code'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/:id/diagrams
+ * @desc    Add a diagram (Mermaid or Graphviz source) under a section, rendered to SVG
+ * @access  Private
+ */
+router.post('/:id/diagrams', auth, [
+    body('section').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Section is required'),
+    body('title').optional().isString().trim().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+    body('format').isIn(diagramService.getOptions().formats)
+        .withMessage(`Format must be one of: ${diagramService.getOptions().formats.join(', ')}`),
+    body('source').isString().trim().notEmpty().isLength({ max: diagramService.getOptions().maxSourceLength })
+        .withMessage(`Source is required (at most ${diagramService.getOptions().maxSourceLength} characters)`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        const { section, title = '', format, source } = req.body;
+        const { svg, error } = await renderDiagram(format, source);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        worksheet.diagrams.push({ section, title, format, source, svg, error: null, renderedAt: new Date() });
+        await worksheet.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Diagram added',
+            diagram: worksheet.diagrams[worksheet.diagrams.length - 1],
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        console.error('Add diagram error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to add diagram'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/worksheets/:id/diagrams/:diagramId
+ * @desc    Edit a diagram's source, format, title or section and render it again
+ *          Source that does not render is rejected and the saved diagram is kept
+ * @access  Private
+ */
+router.put('/:id/diagrams/:diagramId', auth, [
+    body('section').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Section must not be empty'),
+    body('title').optional().isString().trim().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+    body('format').optional().isIn(diagramService.getOptions().formats)
+        .withMessage(`Format must be one of: ${diagramService.getOptions().formats.join(', ')}`),
+    body('source').optional().isString().trim().notEmpty().isLength({ max: diagramService.getOptions().maxSourceLength })
+        .withMessage(`Source must not be empty (at most ${diagramService.getOptions().maxSourceLength} characters)`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        const diagram = worksheet?.diagrams.id(req.params.diagramId);
+        if (!diagram) {
+            return res.status(404).json({
+                success: false,
+                message: worksheet ? 'Diagram not found' : 'Worksheet not found'
+            });
+        }
+
+        const { section, title, format = diagram.format, source = diagram.source } = req.body;
+
+        if (format !== diagram.format || source !== diagram.source || !diagram.svg) {
+            const result = await renderDiagram(format, source);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            diagram.set({ format, source, svg: result.svg, error: null, renderedAt: new Date() });
+        }
+
+        if (section !== undefined) diagram.section = section;
+        if (title !== undefined) diagram.title = title;
+
+        await worksheet.save();
+
         res.json({
             success: true,
-            worksheet
+            message: 'Diagram updated',
+            diagram,
+            worksheet: serializeWorksheet(worksheet)
         });
     } catch (error) {
-        console.error('Get worksheet error:', error);
+        console.error('Update diagram error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get worksheet'
+            message: error.message || 'Failed to update diagram'
         });
     }
 });
 
 /**
- * @route   POST /api/worksheets/:id/regenerate-section
- * @desc    Regenerate specific section of worksheet
+ * @route   DELETE /api/worksheets/:id/diagrams/:diagramId
+ * @desc    Remove a diagram
  * @access  Private
  */
-router.post('/:id/regenerate-section', auth, [
-    body('section').notEmpty().withMessage('Section name is required')
+router.delete('/:id/diagrams/:diagramId', auth, async (req, res) => {
+    try {
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        const diagram = worksheet?.diagrams.id(req.params.diagramId);
+        if (!diagram) {
+            return res.status(404).json({
+                success: false,
+                message: worksheet ? 'Diagram not found' : 'Worksheet not found'
+            });
+        }
+
+        diagram.deleteOne();
+        await worksheet.save();
+
+        res.json({
+            success: true,
+            message: 'Diagram deleted',
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        console.error('Delete diagram error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to delete diagram'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/:id/charts
+ * @desc    Add a chart of the dataset (bar, line, pie or scatter), shown in the Output section
+ * @access  Private
+ */
+router.post('/:id/charts', auth, [
+    body('type').isIn(chartService.getTypes()).withMessage(`Type must be one of: ${chartService.getTypes().join(', ')}`),
+    body('title').optional().isString().trim().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+    body('x').isString().trim().notEmpty().withMessage('Choose the column for the x axis'),
+    body('y').isArray({ min: 1 }).withMessage('Choose at least one value column'),
+    body('y.*').isString().withMessage('Value columns must be column names')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        const { type, title = '', x, y } = req.body;
+        const invalid = chartService.validate({ type, x, y }, datasetService.getWorksheetTable(worksheet));
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        worksheet.charts.push({ type, title, x, y });
+        await worksheet.save();
+
+        const payload = serializeWorksheet(worksheet);
+        res.status(201).json({
+            success: true,
+            message: 'Chart added',
+            chart: payload.charts[payload.charts.length - 1],
+            worksheet: payload
+        });
+    } catch (error) {
+        console.error('Add chart error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to add chart'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/worksheets/:id/charts/:chartId
+ * @desc    Change a chart's type, title or columns
+ * @access  Private
+ */
+router.put('/:id/charts/:chartId', auth, [
+    body('type').optional().isIn(chartService.getTypes()).withMessage(`Type must be one of: ${chartService.getTypes().join(', ')}`),
+    body('title').optional().isString().trim().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+    body('x').optional().isString().trim().notEmpty().withMessage('Choose the column for the x axis'),
+    body('y').optional().isArray({ min: 1 }).withMessage('Choose at least one value column'),
+    body('y.*').isString().withMessage('Value columns must be column names')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -618,13 +2176,96 @@ router.post('/:id/regenerate-section', auth, [
             });
         }
 
-        const { section } = req.body;
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        const chart = worksheet?.charts.id(req.params.chartId);
+        if (!chart) {
+            return res.status(404).json({
+                success: false,
+                message: worksheet ? 'Chart not found' : 'Worksheet not found'
+            });
+        }
+
+        const { type = chart.type, title = chart.title, x = chart.x, y = chart.y } = req.body;
+        const invalid = chartService.validate({ type, x, y }, datasetService.getWorksheetTable(worksheet));
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        chart.set({ type, title, x, y });
+        await worksheet.save();
+
+        const payload = serializeWorksheet(worksheet);
+        res.json({
+            success: true,
+            message: 'Chart updated',
+            chart: payload.charts.find(item => String(item._id) === String(chart._id)),
+            worksheet: payload
+        });
+    } catch (error) {
+        console.error('Update chart error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to update chart'
+        });
+    }
+});
 
+/**
+ * @route   DELETE /api/worksheets/:id/charts/:chartId
+ * @desc    Remove a chart
+ * @access  Private
+ */
+router.delete('/:id/charts/:chartId', auth, async (req, res) => {
+    try {
         const worksheet = await Worksheet.findOne({
             _id: req.params.id,
             userId: req.userId
         });
 
+        const chart = worksheet?.charts.id(req.params.chartId);
+        if (!chart) {
+            return res.status(404).json({
+                success: false,
+                message: worksheet ? 'Chart not found' : 'Worksheet not found'
+            });
+        }
+
+        chart.deleteOne();
+        await worksheet.save();
+
+        res.json({
+            success: true,
+            message: 'Chart deleted',
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        console.error('Delete chart error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to delete chart'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/:id/versions
+ * @desc    List saved versions of a worksheet (newest first, without snapshots)
+ * @access  Private
+ */
+router.get('/:id/versions', auth, async (req, res) => {
+    try {
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        }).select('version');
+
         if (!worksheet) {
             return res.status(404).json({
                 success: false,
@@ -632,50 +2273,181 @@ router.post('/:id/regenerate-section', auth, [
             });
         }
 
-        // Map section names to content keys
-        const sectionMap = {
-            'Aim': 'aim',
-            'Problem Statement': 'problemStatement',
-            'Dataset': 'dataset',
-            'Code': 'code',
-            'Output': 'output'
-        };
+        const versions = await WorksheetVersion.find({ worksheetId: worksheet._id })
+            .select('-sections -content')
+            .populate('userId', 'name email')
+            .sort({ version: -1 });
+
+        res.json({
+            success: true,
+            currentVersion: worksheet.version,
+            count: versions.length,
+            versions
+        });
+    } catch (error) {
+        console.error('Get versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get worksheet versions'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/:id/versions/diff?from=1&to=3
+ * @desc    Compare two versions section by section
+ * @access  Private
+ */
+router.get('/:id/versions/diff', auth, async (req, res) => {
+    try {
+        const from = parseInt(req.query.from);
+        const to = parseInt(req.query.to);
 
-        const contentKey = sectionMap[section];
-        if (!contentKey) {
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid section name'
+                message: 'Query parameters "from" and "to" must be version numbers'
             });
         }
 
-        const currentContent = worksheet.content[contentKey];
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        }).select('_id');
 
-        // Regenerate section with AI
-        const newContent = await geminiService.regenerateSection(
-            section,
-            currentContent,
-            {
-                topic: worksheet.topic,
-                syllabus: worksheet.syllabus
-            }
-        );
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
 
-        // Update worksheet
-        worksheet.content[contentKey] = newContent;
-        await worksheet.incrementVersion();
+        const [fromVersion, toVersion] = await Promise.all([
+            WorksheetVersion.findOne({ worksheetId: worksheet._id, version: from }),
+            WorksheetVersion.findOne({ worksheetId: worksheet._id, version: to })
+        ]);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
 
         res.json({
             success: true,
-            message: `${section} regenerated successfully`,
-            newContent,
-            worksheet
+            diff: worksheetVersionService.diff(fromVersion, toVersion)
         });
     } catch (error) {
-        console.error('Regenerate section error:', error);
+        console.error('Diff versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare versions'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/worksheets/:id/versions/:version
+ * @desc    Get a saved version with its snapshot
+ * @access  Private
+ */
+router.get('/:id/versions/:version', auth, async (req, res) => {
+    try {
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        }).select('_id');
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        const version = await WorksheetVersion.findOne({
+            worksheetId: worksheet._id,
+            version: parseInt(req.params.version)
+        }).populate('userId', 'name email');
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            version
+        });
+    } catch (error) {
+        console.error('Get version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get worksheet version'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/worksheets/:id/versions/:version/restore
+ * @desc    Restore a saved version (recorded as a new version)
+ * @access  Private
+ */
+router.post('/:id/versions/:version/restore', auth, async (req, res) => {
+    try {
+        const worksheet = await Worksheet.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!worksheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Worksheet not found'
+            });
+        }
+
+        const version = await WorksheetVersion.findOne({
+            worksheetId: worksheet._id,
+            version: parseInt(req.params.version)
+        });
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const before = worksheetVersionService.snapshot(worksheet);
+
+        worksheet.content = version.content;
+        worksheet.sections = version.sections;
+        // Versions recorded before header details were kept leave them as they are
+        if (version.experimentNumber !== undefined) worksheet.experimentNumber = version.experimentNumber;
+        if (version.dateOfPerformance) worksheet.dateOfPerformance = version.dateOfPerformance;
+
+        const restored = await worksheetVersionService.commit(worksheet, before, {
+            userId: req.userId,
+            source: 'restore',
+            restoredFrom: version.version
+        });
+
+        res.json({
+            success: true,
+            message: restored
+                ? `Version ${version.version} restored as version ${restored.version}`
+                : `Version ${version.version} matches the current content`,
+            worksheet: serializeWorksheet(worksheet)
+        });
+    } catch (error) {
+        console.error('Restore version error:', error);
         res.status(500).json({
             success: false,
-            message: error.message || 'Failed to regenerate section'
+            message: 'Failed to restore version'
         });
     }
 });
@@ -0,0 +1,90 @@
+// Builds Worksheet.sections for documents saved before sections existed
+// Usage: npm run migrate:sections [-- --dry-run]
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Worksheet from '../models/Worksheet.js';
+import Template from '../models/Template.js';
+import sectionRegistry from '../services/sectionRegistry.js';
+
+// Migrated worksheets no longer match, so running the script again changes nothing
+export const UNMIGRATED_QUERY = { $or: [{ sections: { $exists: false } }, { sections: { $size: 0 } }] };
+
+/**
+ * Sections for a raw worksheet document
+ * Custom sections stored by older versions under content.customSections are kept
+ * @param {Object} doc - Raw worksheet document
+ * @param {Object|null} template - Its template, if it still exists
+ * @returns {Array} - [{ key, heading, type, value }]
+ */
+export function buildLegacySections(doc, template) {
+    const customSections = (doc.content?.customSections || []).map(section => ({
+        heading: section.heading,
+        type: 'html',
+        value: section.content
+    }));
+
+    return sectionRegistry.buildSections(doc.content || {}, template?.sectionsOrder, customSections);
+}
+
+/**
+ * Add sections to every worksheet in a collection that has none
+ * @param {Object} collection - Raw worksheets collection
+ * @param {Object} options - { loadTemplate(id), dryRun }
+ * @returns {Promise<Object>} - { total, migrated, failed }
+ */
+export async function migrateSections(collection, { loadTemplate, dryRun = false }) {
+    const templates = new Map();
+    const total = await collection.countDocuments(UNMIGRATED_QUERY);
+    console.log(`📋 ${total} worksheet(s) without sections${dryRun ? ' (dry run)' : ''}`);
+
+    let migrated = 0;
+    let failed = 0;
+
+    // Raw documents, so content fields the model no longer declares are still readable
+    for await (const doc of collection.find(UNMIGRATED_QUERY)) {
+        try {
+            const templateKey = doc.templateId ? doc.templateId.toString() : '';
+            if (!templates.has(templateKey)) {
+                templates.set(templateKey, templateKey ? await loadTemplate(templateKey) : null);
+            }
+
+            const sections = buildLegacySections(doc, templates.get(templateKey));
+
+            if (!dryRun) {
+                await collection.updateOne(
+                    { _id: doc._id },
+                    { $set: { sections }, $unset: { 'content.customSections': '' } }
+                );
+            }
+
+            migrated += 1;
+        } catch (error) {
+            failed += 1;
+            console.error(`❌ Worksheet ${doc._id}:`, error.message);
+        }
+    }
+
+    console.log(`✅ Migrated ${migrated} worksheet(s), ${failed} failed`);
+    return { total, migrated, failed };
+}
+
+async function main() {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected Successfully');
+
+    await migrateSections(Worksheet.collection, {
+        loadTemplate: (id) => Template.findById(id).lean(),
+        dryRun: process.argv.includes('--dry-run')
+    });
+}
+
+// Only run when executed directly, not when imported by tests
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main()
+        .catch((error) => {
+            console.error('❌ Migration failed:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
@@ -12,6 +12,7 @@ import templateRoutes from './routes/templates.js';
 import worksheetRoutes from './routes/worksheets.js';
 import testRoutes from './routes/test.js';
 import testPdfRoutes from './routes/test-pdf.js';
+import browserPoolService from './services/browserPoolService.js';
 
 const app = express();
 
@@ -81,10 +82,22 @@ app.use((req, res) => {
 
 // Start Server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 Server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 API URL: http://localhost:${PORT}/api`);
 });
 
+// Close pooled browsers so no Chromium processes outlive the server
+const shutdown = async (signal) => {
+  console.log(`\n${signal} received, shutting down...`);
+  server.close();
+  await browserPoolService.shutdown();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 export default app;
@@ -0,0 +1,904 @@
+import worksheetContentSchema from './worksheetContentSchema.js';
+import sectionRegistry from './sectionRegistry.js';
+
+// Extra AI calls allowed to fix invalid fields before falling back to defaults
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// What each inline rewrite action asks the model to do with the selected passage
+const REWRITE_INSTRUCTIONS = {
+    simplify: 'Rewrite it in simpler, clearer language a first-year student can follow. Keep every fact.',
+    expand: 'Expand it with more explanation or an example, about twice as long. Stay on the same point.',
+    grammar: 'Fix grammar, spelling and punctuation only. Keep the wording otherwise unchanged.',
+    formal: 'Rewrite it in a more formal, academic register suitable for a lab record.',
+    translate: 'Translate it into {language}. Keep technical terms, code identifiers and numbers unchanged.'
+};
+
+/**
+ * Shared behaviour for AI providers (prompts, JSON parsing, schema repair)
+ * Subclasses implement _ensureInitialized() and _generate() for their transport
+ */
+class AIProviderBase {
+    /**
+     * @param {String} name - Provider key used in AI_PROVIDER (e.g. 'gemini')
+     * @param {String} displayName - Human readable name for logs and errors
+     */
+    constructor(name, displayName) {
+        this.name = name;
+        this.displayName = displayName;
+        this.modelName = null;
+    }
+
+    /**
+     * Set up the provider client (lazy, called before every request)
+     * Must throw if the provider is not configured
+     */
+    _ensureInitialized() {
+        throw new Error(`${this.displayName} provider does not implement _ensureInitialized()`);
+    }
+
+    /**
+     * Send one prompt to the model and return the reply text
+     * @param {Object} request - { prompt, images, jsonSchema, temperature, topK, topP, maxOutputTokens }
+     *   images are { inlineData: { data, mimeType } } parts; jsonSchema asks for a JSON reply
+     * @returns {Promise<String>} - Reply text
+     */
+    async _generate(request) {
+        throw new Error(`${this.displayName} provider does not implement _generate()`);
+    }
+
+    /**
+     * Test provider connection
+     * @returns {Promise<Object>} - Test result
+     */
+    async testConnection() {
+        this._ensureInitialized();
+
+        try {
+            const text = await this._generate({
+                prompt: `Say "Hello, ${this.displayName} is working perfectly!"`
+            });
+
+            return {
+                success: true,
+                message: text,
+                model: this.modelName,
+                provider: this.name
+            };
+        } catch (error) {
+            throw new Error(`${this.displayName} test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Analyze PDF structure and extract worksheet template
+     * @param {String} pdfText - Extracted text from PDF
+     * @param {Object} userContext - University, course, subject info
+     * @returns {Promise<Object>} - Analyzed template structure
+     */
+    async analyzeWorksheetStructure(pdfText, userContext) {
+        // CRITICAL: Must initialize client before the first request
+        this._ensureInitialized();
+
+        try {
+            const prompt = `You are an academic document analyzer. Analyze this worksheet and extract its structure.
+
+WORKSHEET CONTENT:
+${pdfText.substring(0, 3000)}
+
+CONTEXT:
+- University: ${userContext.university}
+- Course: ${userContext.course}
+- Subject: ${userContext.subject || 'Not specified'}
+
+TASK:
+Extract and identify:
+1. All section headings in the order they appear
+2. The writing style (Formal Academic, Practical, Research-oriented)
+3. The academic level (Undergraduate, Postgraduate, Research)
+4. Header format fields (if present)
+
+IMPORTANT: Return ONLY a valid JSON object with this exact structure:
+{
+  "sections": ["Section1", "Section2", ...],
+  "style": "style here",
+  "level": "level here",
+  "confidence": "high/medium/low"
+}`;
+
+            const text = await this._generate({
+                prompt,
+                temperature: 0.4,
+                topK: 32,
+                topP: 0.8,
+                maxOutputTokens: 2048
+            });
+
+            // Extract JSON from response
+            const jsonMatch = text.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) {
+                throw new Error('AI did not return valid JSON');
+            }
+
+            const analyzed = JSON.parse(jsonMatch[0]);
+
+            return {
+                sections: analyzed.sections || [],
+                style: analyzed.style || 'Formal Academic',
+                level: analyzed.level || 'Post Graduate',
+                confidence: analyzed.confidence || 'medium'
+            };
+        } catch (error) {
+            console.error('Structure analysis error:', error);
+            // Return default structure on error
+            return {
+                sections: ['Aim', 'Problem Statement', 'Dataset', 'Objective', 'Code', 'Output', 'Learning Outcome'],
+                style: 'Formal Academic',
+                level: 'Post Graduate',
+                confidence: 'low',
+                error: error.message
+            };
+        }
+    }
+
+    async _retryOperation(operation, maxRetries = 5, delay = 2000) {
+        for (let i = 0; i < maxRetries; i++) {
+            try {
+                return await operation();
+            } catch (error) {
+                // Check if error is 503 (Overloaded) or 429 (Rate Limit)
+                const isTransient = error.status === 503 || error.status === 429 || error.message?.includes('overloaded');
+                if (i === maxRetries - 1 || !isTransient) throw error;
+
+                console.log(`⚠️ ${this.displayName} API overloaded. Retrying in ${delay}ms... (Attempt ${i + 1}/${maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= 2; // Exponential backoff
+            }
+        }
+    }
+
+    /**
+     * Generate worksheet content using AI
+     * @param {Object} params - Generation parameters
+     * @returns {Promise<Object>} - Generated worksheet content
+     */
+    async generateWorksheetContent(params) {
+        this._ensureInitialized();
+
+        const {
+            topic,
+            syllabus,
+            difficulty,
+            sections,
+            userContext,
+            userMemory,
+            variationSeed,
+            images,
+            additionalInstructions
+        } = params;
+
+        try {
+            const imageCount = images ? images.length : 0;
+
+            const prompt = this.buildWorksheetPrompt({
+                topic,
+                syllabus,
+                difficulty,
+                sections,
+                userContext,
+                userMemory,
+                variationSeed,
+                imageCount,
+                additionalInstructions: additionalInstructions || ''
+            });
+
+            // Prompt text is followed by the labelled images in one multimodal message
+            console.log(`🖼️ Sending ${imageCount} image(s) with the generation prompt`);
+
+            // Wrap generation with retry logic
+            const text = await this._retryOperation(async () => {
+                return await this._generate({
+                    prompt,
+                    images,
+                    temperature: 0.8,
+                    topK: 40,
+                    topP: 0.95,
+                    // Long (~10 page) worksheets need more room than 8k tokens; a cut-off reply is invalid JSON
+                    maxOutputTokens: 32768,
+                    jsonSchema: worksheetContentSchema.getJsonSchema()
+                });
+            });
+            console.log('📝 RAW AI RESPONSE:', text.substring(0, 500) + '...'); // Log first 500 chars
+
+            const content = await this._parseAndValidateContent(text, { topic, syllabus });
+            console.log('✅ Extracted Content Keys:', Object.keys(content));
+            if (content.imagePlacements && Object.keys(content.imagePlacements).length > 0) {
+                console.log('🖼️ AI Image Placements:', JSON.stringify(content.imagePlacements, null, 2));
+            } else {
+                console.warn('⚠️ No imagePlacements found in AI response');
+            }
+
+            return content;
+        } catch (error) {
+            console.error('Worksheet generation error:', error);
+            throw new Error(`Failed to generate worksheet: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse the AI reply, validate it against the worksheet schema and repair invalid fields
+     * Only a reply that cannot be turned into JSON at all is treated as a failure
+     * @param {String} text - Raw model reply
+     * @param {Object} context - Topic and syllabus, used when asking for repairs
+     * @returns {Promise<Object>} - Valid worksheet content
+     */
+    async _parseAndValidateContent(text, context) {
+        let content = this._parseJSON(text);
+
+        if (!content) {
+            console.warn('⚠️ AI returned malformed JSON, requesting a corrected copy');
+            content = this._parseJSON(await this._requestJsonRepair(text));
+            if (!content) {
+                console.error('❌ JSON Extraction Failed. Raw text:', text);
+                throw new Error('AI did not return valid JSON format');
+            }
+        }
+
+        content = worksheetContentSchema.coerce(content);
+        let { valid, errors } = worksheetContentSchema.validate(content);
+
+        for (let attempt = 1; !valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+            const fields = worksheetContentSchema.invalidFields(errors);
+            console.warn(`⚠️ Invalid AI fields (repair ${attempt}/${MAX_REPAIR_ATTEMPTS}):`, errors.map(e => `${e.path} ${e.message}`));
+
+            try {
+                const repaired = await this._repairFields(content, fields, errors, context);
+                fields.forEach(field => {
+                    if (repaired[field] !== undefined) content[field] = repaired[field];
+                });
+                content = worksheetContentSchema.coerce(content);
+            } catch (error) {
+                console.error('Repair pass failed:', error.message);
+                break;
+            }
+
+            ({ valid, errors } = worksheetContentSchema.validate(content));
+        }
+
+        if (!valid) {
+            const fields = worksheetContentSchema.invalidFields(errors);
+            console.warn('⚠️ Using defaults for fields that could not be repaired:', fields);
+            content = worksheetContentSchema.applyDefaults(content, fields);
+        }
+
+        return content;
+    }
+
+    /**
+     * Parse JSON from a model reply, tolerating code fences and surrounding prose
+     * @param {String} text - Raw model reply
+     * @returns {Object|null} - Parsed object or null
+     */
+    _parseJSON(text) {
+        if (!text) return null;
+
+        const cleaned = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+        const candidates = [cleaned];
+
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            candidates.push(cleaned.slice(start, end + 1));
+        }
+
+        for (const candidate of candidates) {
+            try {
+                const parsed = JSON.parse(candidate);
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    return parsed;
+                }
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Ask the model to turn a malformed reply into valid JSON
+     * @param {String} text - Raw model reply
+     * @returns {Promise<String>} - Corrected reply text
+     */
+    async _requestJsonRepair(text) {
+        return await this._retryOperation(async () => {
+            return await this._generate({
+                prompt: `The following worksheet response is not valid JSON. Fix the syntax (quotes, escapes, commas, truncated endings) without changing the content and return ONLY the corrected JSON object.
+
+${text}`,
+                temperature: 0.1,
+                maxOutputTokens: 32768,
+                jsonSchema: worksheetContentSchema.getJsonSchema()
+            });
+        });
+    }
+
+    /**
+     * Ask the model for corrected values of the fields that failed validation
+     * @param {Object} content - Current (partially invalid) content
+     * @param {Array} fields - Invalid top-level fields
+     * @param {Array} errors - Validation errors
+     * @param {Object} context - Topic and syllabus
+     * @returns {Promise<Object>} - Object with corrected fields
+     */
+    async _repairFields(content, fields, errors, context) {
+        const currentValues = Object.fromEntries(fields.map(field => [field, content[field] ?? null]));
+
+        const prompt = `You generated JSON content for an academic worksheet, but some fields are invalid.
+
+Topic: ${context.topic}
+Syllabus: ${context.syllabus}
+
+VALIDATION ERRORS:
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+CURRENT VALUES:
+${JSON.stringify(currentValues, null, 2)}
+
+Return ONLY a JSON object containing corrected values for these fields: ${fields.join(', ')}.
+Keep valid parts of the current values; generate missing content in the same HTML style as the rest of the worksheet.`;
+
+        const text = await this._retryOperation(async () => {
+            return await this._generate({
+                prompt,
+                temperature: 0.3,
+                maxOutputTokens: 8192,
+                jsonSchema: worksheetContentSchema.getJsonSchema(fields)
+            });
+        });
+
+        const repaired = this._parseJSON(text);
+        if (!repaired) {
+            throw new Error('Repair response was not valid JSON');
+        }
+        return repaired;
+    }
+
+    /**
+     * Get dynamic length instructions based on image count
+     * @param {number} count - Number of images
+     * @returns {String} - Prompt instruction
+     */
+    _getDynamicLengthInstructions(count) {
+        if (count >= 4) {
+            return `
+═══════════════════════════════════════════════════════════════
+📏 DYNAMIC CONTENT SCALING: EXTENSIVE (Goal: ~10 Pages)
+═══════════════════════════════════════════════════════════════
+Requirement: User provided ${count} images. You MUST generate a HIGHLY DETAILED, EXTENSIVE worksheet.
+- Aim for approximately 10 PDF pages of content.
+- EXPAND every section with deep theoretical background, multiple code examples, and detailed analysis.
+- The "Theory" or "Problem Statement" section must be at least 800 words.
+- The "Code" section must include full implementation details, edge cases, and alternative approaches.
+- The "Conclusion" must be a comprehensive summary (min 300 words).
+`;
+        } else if (count >= 2) {
+            return `
+═══════════════════════════════════════════════════════════════
+📏 DYNAMIC CONTENT SCALING: MODERATE (Goal: ~6 Pages)
+═══════════════════════════════════════════════════════════════
+Requirement: User provided ${count} images. Generate a MODERATE length worksheet.
+- Aim for approximately 6 PDF pages of content.
+- Provide clear, concise explanations but ensure full coverage of the topic.
+- The "Theory" or "Problem Statement" should be ~400-500 words.
+- The "Code" section should focus on the core implementation.
+`;
+        } else {
+            return `
+═══════════════════════════════════════════════════════════════
+📏 DYNAMIC CONTENT SCALING: STANDARD (Goal: ~3-4 Pages)
+═══════════════════════════════════════════════════════════════
+Requirement: Standard worksheet length. Focus on clarity and precision.
+`;
+        }
+    }
+
+    /**
+     * Build comprehensive prompt for worksheet generation
+     * @param {Object} params - Prompt parameters
+     * @returns {String} - Complete prompt
+     */
+    buildWorksheetPrompt({
+        topic, syllabus, difficulty, sections,
+        userContext, userMemory, variationSeed,
+        imageCount, additionalInstructions
+    }) {
+        const customHeadings = sectionRegistry.getCustomHeadings(sections);
+
+        return `You are an ELITE ACADEMIC WORKSHEET GENERATOR for ${userContext.university}.
+
+Your mission: Generate PUBLICATION-READY academic worksheets with professional formatting, intelligent structure, and domain-adaptive content.
+
+═══════════════════════════════════════════════════════════════
+📋 CONTEXT & METADATA
+═══════════════════════════════════════════════════════════════
+Institution: ${userContext.university}
+Course: ${userContext.course} | Semester: ${userContext.semester}
+Subject: ${userContext.subject}
+
+${this._getDynamicLengthInstructions(imageCount)}
+
+═══════════════════════════════════════════════════════════════
+🎯 TASK OVERVIEW
+═══════════════════════════════════════════════════════════════
+Topic: ${topic}
+Difficulty: ${difficulty}
+Syllabus Alignment: ${syllabus}
+
+Uniqueness Seed: ${variationSeed || Date.now()}
+Variation Level: ${userMemory?.variationLevel || 'high'}
+
+═══════════════════════════════════════════════════════════════
+🎯 PRIMARY OBJECTIVE
+═══════════════════════════════════════════════════════════════
+Generate a worksheet that:
+✓ Looks professionally typeset (like LaTeX/Word documents)
+✓ Uses intelligent spacing, hierarchy, and visual structure
+✓ Properly separates multi-part questions (a, b, c)
+✓ Handles uploaded images/screenshots intelligently
+✓ Maintains academic rigor across all disciplines
+✓ not add any images after the LEARNING OUTCOMES section
+═══════════════════════════════════════════════════════════════
+🧠 INTELLIGENT MULTI-PART QUESTION DETECTION
+═══════════════════════════════════════════════════════════════
+
+IF INPUT CONTAINS MULTI-PART QUESTIONS (e.g., "a. Do X, b. Do Y"):
+
+STEP 1: DETECT PATTERNS
+- Pattern 1: "a. ... b. ..." or "a) ... b) ..."
+- Pattern 2: "(a) ... (b) ..."
+- Pattern 3: "Part A: ... Part B: ..."
+- Pattern 4: "Question 1: ... Question 2: ..."
+
+STEP 2: SPLIT INTO STRUCTURED PARTS
+Example Input: "a. Implement VLOOKUP. b. Create pivot table."
+
+MUST OUTPUT AS:
+{
+  "mainQuestionTitle": "Advanced Excel Data Analysis",
+  "questionParts": [
+    {
+      "part": "a",
+      "title": "VLOOKUP and HLOOKUP Implementation",
+      "description": "Implement the use of VLOOKUP and HLOOKUP on the same sheet and multiple sheets."
+    },
+    {
+      "part": "b",
+      "title": "Pivot Table Creation and Analysis",
+      "description": "Create a pivot table with the company dataset having following columns: emp_id, date, sales_man_name, quantity, Department, State, Sales. Generate pivot table, pivot chart, and implement the slicer. Create 4 different pivot tables on the same sheet."
+    }
+  ]
+}
+
+═══════════════════════════════════════════════════════════════
+📐 PROFESSIONAL FORMATTING STANDARDS
+═══════════════════════════════════════════════════════════════
+
+DOCUMENT STRUCTURE (TOP TO BOTTOM):
+
+┌─────────────────────────────────────────────────────────────┐
+│ 1. HEADER SECTION (Student/Course Details)                  │
+│    Font: 11pt, Line height: 1.4, Margin bottom: 20px       │
+└─────────────────────────────────────────────────────────────┘
+
+┌─────────────────────────────────────────────────────────────┐
+│ 2. MAIN TITLE/QUESTION                                       │
+│    Style: font-size: 16px; font-weight: 600; margin: 24px 0;│
+│                                                              │
+│    FOR MULTI-PART QUESTIONS:                                │
+│    <div style="margin-bottom: 20px;">                       │
+│      <h3 style="font-size: 16px; font-weight: 600;         │
+│        line-height: 1.5; margin-bottom: 16px;">             │
+│        [Main Question Title]                                 │
+│      </h3>                                                   │
+│      <div style="margin-left: 20px;">                       │
+│        <p style="margin-bottom: 12px;">                     │
+│          <b>a.</b> [First part description]                 │
+│        </p>                                                  │
+│        <p style="margin-bottom: 12px;">                     │
+│          <b>b.</b> [Second part description]                │
+│        </p>                                                  │
+│      </div>                                                  │
+│    </div>                                                    │
+└─────────────────────────────────────────────────────────────┘
+
+┌─────────────────────────────────────────────────────────────┐
+│ 3. AIM / OVERVIEW HEADING                                    │
+│    <h3 style="font-size: 15px; font-weight: 600;           │
+│      margin-top: 24px; margin-bottom: 12px;                 │
+│      border-bottom: 1px solid #333; padding-bottom: 8px;">  │
+│      Aim / Overview of the Practical                        │
+│    </h3>                                                     │
+└─────────────────────────────────────────────────────────────┘
+
+┌─────────────────────────────────────────────────────────────┐
+│ 4. AIM CONTENT                                               │
+│    <div style="margin-left: 20px; margin-bottom: 20px;     │
+│      line-height: 1.7;">                                     │
+│      [Aim title/subtitle]                                    │
+│      <p style="margin-top: 8px;">[Description]</p>          │
+│      <ul style="margin-top: 12px; margin-left: 20px;       │
+│        line-height: 1.8;">                                   │
+│        <li>Objective point 1</li>                           │
+│        <li>Objective point 2</li>                           │
+│      </ul>                                                   │
+│    </div>                                                    │
+└─────────────────────────────────────────────────────────────┘
+
+┌─────────────────────────────────────────────────────────────┐
+│ 5. PROBLEM STATEMENT HEADING                                 │
+│    <h3 style="font-size: 15px; font-weight: 600;           │
+│      margin-top: 24px; margin-bottom: 12px;                 │
+│      border-bottom: 1px solid #333; padding-bottom: 8px;">  │
+│      Problem Statement                                       │
+│    </h3>                                                     │
+└─────────────────────────────────────────────────────────────┘
+
+┌─────────────────────────────────────────────────────────────┐
+│ 6. SUBSEQUENT SECTIONS (Dataset, Objective, Code, Output)   │
+│    ALL follow the same heading + content pattern            │
+│    Spacing: 24px between sections, 20px left indent         │
+└─────────────────────────────────────────────────────────────┘
+
+TYPOGRAPHY SPECIFICATIONS:
+• Main Section Headings: 15px, bold (600), underline border
+• Subsection Headings: 14px, semibold (500)
+• Body Text: 13px, line-height 1.7
+• Code Blocks: 12px, monospace, background #f8f8f8
+• Indentation: 20px for all content under headings
+• Paragraph Spacing: 12px between paragraphs
+• Section Spacing: 24px between major sections
+
+═══════════════════════════════════════════════════════════════
+🖼️ IMAGE ANALYSIS & INTEGRATION (CRITICAL)
+═══════════════════════════════════════════════════════════════
+
+${imageCount > 0 ? `
+┌─────────────────────────────────────────────────────────────┐
+│ ⚠️ IMAGE UPLOADED - ANALYZE THOROUGHLY                      │
+└─────────────────────────────────────────────────────────────┘
+
+The ${imageCount} image(s) are attached after this prompt, each preceded by a label
+"Image 0:", "Image 1:", ... Use exactly these indices in imagePlacements and imageCaptions.
+
+ANALYSIS CHECKLIST:
+☐ Extract text from image (OCR if screenshot)
+☐ Identify question parts (a, b, c)
+☐ Determine proper placement ("code", "output", "problemStatement")
+☐ Generate a descriptive caption
+
+3. RETURN IMAGE PLACEMENTS (CRITICAL):
+   In your JSON response, you MUST include an "imagePlacements" object mapping valid section names to image indices.
+   
+   VALID SECTION KEYS: "aim", "problemStatement", "dataset", "algorithm", "code", "output"
+
+   RULES FOR PLACEMENT:
+   - Code Screenshots -> "code"
+   - Output/Terminal/Console Screenshots -> "output" (If multiple outputs, place sequentially)
+   - Hardware/Circuit Diagrams -> "problemStatement" or "aim" or "dataset"
+   - Data Tables/Graphs -> "dataset" or "output"
+   
+   Example:
+   "imagePlacements": {
+     "code": [0],           // Image 0 -> code section
+     "output": [1]          // Image 1 -> output section
+   }
+
+CRITICAL: YOU HAVE RECEIVED ${imageCount} IMAGES (Indices 0 to ${imageCount - 1}).
+YOU MUST USE ALL ${imageCount} IMAGES.
+Map EVERY single image index (0 to ${imageCount - 1}) to a section.
+If an image doesn't fit perfectly, place it in "aim" or "problemStatement" or "additionalNotes".
+DO NOT LEAVE ANY IMAGE UNUSED.
+CRITICAL: Do NOT dump all images in one section. Distribute them where they contextually belong.
+☐ Extract any tables/datasets visible
+☐ Note any diagrams/flowcharts
+☐ Check for code snippets or formulas
+
+INTEGRATION RULES:
+1. If image contains the main question → Use it as questionParts
+2. If image shows a dataset → Extract it into "dataset" field
+3. If image has diagrams → Describe in "problemStatement"
+4. If image is a reference → Mention in "additionalNotes"
+
+OUTPUT IN JSON:
+"imageAnalysis": {
+  "type": "question|dataset|diagram|reference",
+  "extractedText": "[Full text from image]",
+  "detectedParts": ["a", "b"],
+  "integrationMethod": "Used as main question parts"
+}
+` : ''
+            }
+
+═══════════════════════════════════════════════════════════════
+📝 REQUIRED OUTPUT STRUCTURE
+═══════════════════════════════════════════════════════════════
+
+YOU MUST GENERATE: ${sections.map((s, i) => `${i + 1}. ${s}`).join(', ')}
+${customHeadings.length > 0 ? `
+CUSTOM SECTIONS: The template also has these headings with no dedicated JSON field:
+${customHeadings.map(heading => `• ${heading}`).join('\n')}
+Return them in "customSections", one entry per heading, in this order:
+[{ "heading": "<exact heading>", "type": "html", "content": "<HTML>" }] for prose (Theory, Apparatus, ...)
+[{ "heading": "<exact heading>", "type": "list", "items": ["..."] }] for point-wise sections (Viva Questions, Precautions, ...)
+` : ''}
+═══════════════════════════════════════════════════════════════
+🎨 DOMAIN - ADAPTIVE EXAMPLES
+═══════════════════════════════════════════════════════════════
+
+EXCEL / DATA ANALYSIS: Include formulas, pivot table steps, slicer instructions
+  • "dataset" is a table: { "columns": [...], "rows": [[...]] }, every row as long as "columns", numbers written plainly ("1200", not "1,200 units")
+  • Leave "dataset" with no rows when the question has no data
+CHARTS (optional, at most 3): when the dataset has numbers worth plotting, return "charts" - they are drawn in the Output section
+  • "type": "bar" | "line" | "pie" | "scatter"; "x" is one dataset column, "y" lists numeric columns (exactly one for "pie")
+  • Use the exact column names of "dataset"
+PROGRAMMING: Include complete runnable code with comments
+ENGINEERING: Include calculations, units, diagrams descriptions
+MATHS / SCIENCE: Write formulas in LaTeX - inline as $E = mc^2$, on their own line as $$F = \\frac{Gm_1m_2}{r^2}$$
+CHEMISTRY: Write reactions with \\ce inside math, e.g. $\\ce{2H2 + O2 -> 2H2O}$
+MANAGEMENT: Include case studies, frameworks, decision matrices
+DIAGRAMS (optional, at most 3): when a flowchart, ER diagram, UML diagram, tree or circuit makes the answer clearer, return its source in "diagrams"
+  • "format": "mermaid" for flowcharts (flowchart TD), ER diagrams (erDiagram), UML (classDiagram, sequenceDiagram)
+  • "format": "graphviz" (DOT) for trees, state machines and circuits
+  • "section" is the key of the section it belongs under (usually "algorithm", "problemStatement" or "output")
+  • Plain labels only: no HTML, no LaTeX, no styling directives
+
+═══════════════════════════════════════════════════════════════
+⚠️ CRITICAL QUALITY RULES
+═══════════════════════════════════════════════════════════════
+
+✗ NEVER: Put multi - part questions in one line
+✗ NEVER: Skip section headings
+✗ NEVER: Use inconsistent indentation
+✗ NEVER: Ignore uploaded images
+
+✓ ALWAYS: Separate question parts(a, b, c) with proper formatting
+✓ ALWAYS: Use consistent heading styles
+✓ ALWAYS: Apply 20px left margin under each heading
+✓ ALWAYS: Analyze and integrate uploaded images
+✓ ALWAYS: Put every formula and chemical equation between $ ... $ (never in <code>), escaping each backslash for JSON (\\\\frac)
+
+Common Mistakes to Avoid:
+${userMemory?.commonMistakes?.length > 0 ? userMemory.commonMistakes.map(m => `• ${m}`).join('\n') : '• None recorded yet'}
+
+═══════════════════════════════════════════════════════════════
+📤 JSON OUTPUT FORMAT(STRICTLY FOLLOW)
+═══════════════════════════════════════════════════════════════
+
+Return ONLY valid JSON(no markdown, no backticks):
+
+{
+    "mainQuestionTitle": "Primary topic or title extracted from question",
+
+        "questionParts": [
+            {
+                "part": "a",
+                "title": "Short descriptive title for part a",
+                "description": "Full description of what part a asks"
+            }
+        ],
+
+            "aim": "<div style='margin-left: 20px; line-height: 1.7;'><p style='margin-bottom: 12px; font-weight: 500;'>[Aim Title]</p><p style='margin-bottom: 12px;'>[Description paragraph]</p><ul style='margin-left: 20px; line-height: 1.8;'><li>Point 1</li><li>Point 2</li></ul></div>",
+
+                "problemStatement": "<div style='margin-left: 20px; line-height: 1.7;'><p style='margin-bottom: 12px;'>[Problem description with context]</p></div>",
+
+                    "dataset": {
+        "columns": ["Month", "Sales"],
+            "rows": [["Jan", "1200"], ["Feb", "1500"]],
+                "caption": "One sentence describing the data (optional)"
+    },
+
+                        "objective": [
+                            "Clear, specific objective 1",
+                            "Clear, specific objective 2"
+                        ],
+
+                            "code": {
+        "language": "excel|python|java|cpp|etc",
+            "source": "Complete code here with proper formatting and comments",
+                "explanation": "<div style='line-height: 1.7;'><p><b>Key Concepts:</b></p><ul style='margin-left: 20px;'><li>Explanation point 1</li><li>Explanation point 2</li></ul></div>"
+    },
+
+    "output": "<div style='margin-left: 20px; line-height: 1.7;'><h4 style='font-size: 14px; font-weight: 500; margin-bottom: 10px;'>Expected Output</h4><ol style='margin-left: 20px; line-height: 1.8;'><li>Output point 1</li><li>Output point 2</li></ol></div>",
+
+        "learningOutcome": [
+            "<b>Outcome 1:</b> Detailed skill/knowledge gained",
+            "<b>Outcome 2:</b> Detailed application understanding"
+        ],
+
+            "imageAnalysis": "${imageCount > 0 ? 'Detailed analysis of uploaded image and how it was integrated' : 'No image provided'}",
+
+                "imagePlacements": {
+        "code": [0],
+            "output": [1]
+    },
+    "imageCaptions": [
+        "Figure 1: Caption for image 0",
+        "Figure 2: Caption for image 1"
+    ],
+
+        "diagrams": [
+            {
+                "section": "algorithm",
+                "title": "Flowchart of the algorithm",
+                "format": "mermaid",
+                "source": "flowchart TD\\n    A([Start]) --> B[/Read n/]\\n    B --> C{n > 1?}\\n    C -- Yes --> D[Compute]\\n    C -- No --> E([Stop])\\n    D --> E"
+            }
+        ],
+
+        "charts": [
+            {
+                "type": "bar",
+                "title": "Monthly sales",
+                "x": "Month",
+                "y": ["Sales"]
+            }
+        ],
+
+        "additionalNotes": "Any supplementary information or references"
+}
+
+═══════════════════════════════════════════════════════════════
+🚀 PRE - SUBMISSION CHECKLIST
+═══════════════════════════════════════════════════════════════
+
+Before returning JSON, verify:
+☑ Multi - part questions(a, b) are properly separated
+☑ Each section has a proper heading with underline border
+☑ All content under headings has 20px left margin
+☑ Image content(if any) is analyzed and integrated
+☑ Code is properly formatted with language specified
+☑ JSON is valid and parseable
+☑ Professional typography applied throughout
+☑ Spacing is consistent(24px between sections)
+
+═══════════════════════════════════════════════════════════════
+
+NOW GENERATE THE WORKSHEET WITH EXCELLENCE AND PRECISION.`;
+    }
+
+    /**
+     * Regenerate one worksheet section, optionally following a user instruction
+     * The reply is a { value } object shaped for the section type
+     * @param {Object} section - { key, heading, type, value } current section
+     * @param {Object} context - { topic, syllabus, subject, difficulty, instruction }
+     * @returns {Promise<*>} - New value of the section's type
+     */
+    async regenerateSection(section, context = {}) {
+        this._ensureInitialized();
+
+        const heading = section.heading || sectionRegistry.getLabel(section.key);
+
+        try {
+            const text = await this._retryOperation(async () => {
+                return await this._generate({
+                    prompt: this.buildSectionPrompt(section, context),
+                    // Follow instructions closely; without one, vary the wording
+                    temperature: context.instruction ? 0.5 : 0.9,
+                    topK: 40,
+                    topP: 0.95,
+                    maxOutputTokens: 8192,
+                    jsonSchema: worksheetContentSchema.getSectionSchema(section.type)
+                });
+            });
+
+            const reply = this._parseJSON(text);
+            if (!reply || reply.value === undefined || reply.value === null) {
+                // Plain-text replies are still usable for HTML sections
+                if (section.type === 'html' && text.trim()) return text.trim();
+                throw new Error('AI did not return the section in the expected format');
+            }
+
+            return sectionRegistry.normalizeValue(section.type, reply.value);
+        } catch (error) {
+            console.error('Section regeneration error:', error);
+            throw new Error(`Failed to regenerate ${heading}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rewrite a selected passage of a section (simplify, expand, fix grammar, formalize, translate)
+     * Only the passage is returned, so it can replace the selection as is
+     * @param {Object} params - { text, action, language, context: { topic, subject, heading, surrounding } }
+     * @returns {Promise<String>} - Replacement text
+     */
+    async rewritePassage({ text, action, language, context = {} }) {
+        this._ensureInitialized();
+
+        const instruction = (REWRITE_INSTRUCTIONS[action] || REWRITE_INSTRUCTIONS.simplify)
+            .replace('{language}', language || 'English');
+
+        const prompt = `You are editing one passage of an academic lab worksheet.
+
+Topic: ${context.topic}
+Subject: ${context.subject || 'Not specified'}
+Section: ${context.heading || 'Not specified'}
+
+SECTION TEXT (for context only, do not rewrite it):
+${(context.surrounding || '').slice(0, 3000)}
+
+PASSAGE TO REWRITE:
+${text}
+
+Task: ${instruction}
+
+Return ONLY a JSON object { "replacement": "..." } with the new passage as plain text (no HTML, no markdown, no quotes around it).
+It replaces the passage in place, so do not repeat the surrounding text.`;
+
+        try {
+            const reply = await this._retryOperation(async () => {
+                return await this._generate({
+                    prompt,
+                    temperature: action === 'grammar' || action === 'translate' ? 0.2 : 0.6,
+                    maxOutputTokens: 4096,
+                    jsonSchema: {
+                        type: 'object',
+                        properties: { replacement: { type: 'string' } },
+                        required: ['replacement']
+                    }
+                });
+            });
+
+            const parsed = this._parseJSON(reply);
+            const replacement = typeof parsed?.replacement === 'string' ? parsed.replacement : reply;
+            if (!replacement || !replacement.trim()) {
+                throw new Error('AI returned an empty replacement');
+            }
+
+            return replacement.trim();
+        } catch (error) {
+            console.error('Passage rewrite error:', error);
+            throw new Error(`Failed to rewrite the selected text: ${error.message}`);
+        }
+    }
+
+    /**
+     * Prompt for regenerating one section
+     * @param {Object} section - { key, heading, type, value }
+     * @param {Object} context - { topic, syllabus, subject, difficulty, instruction }
+     * @returns {String} - Prompt text
+     */
+    buildSectionPrompt(section, context = {}) {
+        const heading = section.heading || sectionRegistry.getLabel(section.key);
+
+        const formats = {
+            html: `"value" is an HTML string in the same style as the current content (<p>, <ul>/<ol>, <strong>, <table> for data; margin-left: 20px on content blocks). No <html>, <body>, <script> or <style> tags.`,
+            list: `"value" is an array of 3-6 strings, one point each. Points may use inline HTML (<strong>, <em>, <code>) but no list tags.`,
+            code: `"value" is an object { "language", "source", "explanation" }. "source" is complete, runnable code as plain text (no HTML, no markdown fences). "language" is the lowercase language name of the source (e.g. "python", "java", "cpp"). "explanation" is an HTML string explaining the logic.`,
+            table: `"value" is an object { "columns": [header strings], "rows": [[cell strings]] } with every row as long as "columns". Cells are plain text; numbers are written plainly. An optional "caption" string describes the table.`
+        };
+
+        return `Regenerate ONLY the "${heading}" section of an academic lab worksheet.
+
+Topic: ${context.topic}
+Subject: ${context.subject || 'Not specified'}
+Syllabus: ${context.syllabus || 'Not specified'}
+Difficulty: ${context.difficulty || 'medium'}
+
+CURRENT "${heading}" CONTENT:
+${JSON.stringify(section.value ?? '', null, 2)}
+
+${context.instruction
+        ? `USER INSTRUCTION (follow it exactly, keep everything it does not mention):
+${context.instruction}`
+        : `Write a new version that is DIFFERENT from the current one while covering the same purpose.`}
+
+Requirements:
+- Maintain academic quality and stay within the syllabus scope
+- Keep it consistent with the topic and the rest of the worksheet
+- Return ONLY a JSON object of the form { "value": ... }
+- ${formats[section.type] || formats.html}
+- Formulas in HTML are LaTeX between $ ... $ (inline) or $$ ... $$ (own line); chemical equations use $\\ce{...}$`;
+    }
+}
+
+export default AIProviderBase;
@@ -0,0 +1,53 @@
+import geminiService from './geminiService.js';
+import openAICompatibleService from './openAICompatibleService.js';
+import mockAIService from './mockAIService.js';
+
+const PROVIDERS = {
+    gemini: geminiService,
+    openai: openAICompatibleService,
+    mock: mockAIService
+};
+
+/**
+ * Entry point for all AI calls
+ * Delegates to the provider selected by AI_PROVIDER (gemini | openai | mock, default gemini)
+ */
+class AIService {
+    /**
+     * Get the configured provider
+     * Resolved on every call so env vars loaded after import are respected
+     * @returns {Object} - Provider instance
+     */
+    getProvider() {
+        const name = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+        const provider = PROVIDERS[name];
+
+        if (!provider) {
+            throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+
+        return provider;
+    }
+
+    async testConnection() {
+        return await this.getProvider().testConnection();
+    }
+
+    async analyzeWorksheetStructure(pdfText, userContext) {
+        return await this.getProvider().analyzeWorksheetStructure(pdfText, userContext);
+    }
+
+    async generateWorksheetContent(params) {
+        return await this.getProvider().generateWorksheetContent(params);
+    }
+
+    async regenerateSection(section, context) {
+        return await this.getProvider().regenerateSection(section, context);
+    }
+
+    async rewritePassage(params) {
+        return await this.getProvider().rewritePassage(params);
+    }
+}
+
+export default new AIService();
@@ -0,0 +1,193 @@
+import puppeteer from 'puppeteer';
+
+const LAUNCH_OPTIONS = {
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+};
+
+class BrowserPoolService {
+    constructor() {
+        // Warm browsers kept alive between renders
+        this.size = parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+        // Pages rendered at once in one browser
+        this.maxPagesPerBrowser = parseInt(process.env.BROWSER_MAX_PAGES) || 3;
+        // Renders before a browser is replaced, to release leaked memory
+        this.maxRenders = parseInt(process.env.BROWSER_MAX_RENDERS) || 100;
+
+        this.slots = [];
+        this.waiters = [];
+        this.nextId = 1;
+        this.closed = false;
+        this.counters = { launched: 0, recycled: 0, crashed: 0, renders: 0, failures: 0 };
+    }
+
+    /**
+     * Run a task with a fresh page from a pooled browser
+     * The page is always closed afterwards; the browser stays warm for the next job
+     * @param {Function} task - async (page) => result
+     * @returns {Promise<*>} - Task result
+     */
+    async withPage(task) {
+        const slot = await this._acquire();
+        let page;
+
+        try {
+            page = await slot.browser.newPage();
+            const result = await task(page);
+            this.counters.renders += 1;
+            return result;
+        } catch (error) {
+            this.counters.failures += 1;
+            throw error;
+        } finally {
+            if (page) {
+                try {
+                    await page.close();
+                } catch (closeError) {
+                    // Browser already gone (crash or recycle)
+                }
+            }
+            this._release(slot);
+        }
+    }
+
+    // Reserve a page slot in the least busy browser, launching one if the pool has room
+    async _acquire() {
+        while (true) {
+            if (this.closed) {
+                throw new Error('Browser pool is shut down');
+            }
+
+            const ready = this.slots
+                .filter(slot => slot.browser && !slot.retiring && slot.activePages < this.maxPagesPerBrowser)
+                .sort((a, b) => a.activePages - b.activePages)[0];
+
+            if (ready) {
+                ready.activePages += 1;
+                ready.renders += 1;
+                if (ready.renders >= this.maxRenders) ready.retiring = true;
+                return ready;
+            }
+
+            if (this.slots.length < this.size) {
+                await this._launch().launching;
+                continue;
+            }
+
+            // All browsers busy or starting: wait for a page to be released
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    _launch() {
+        const slot = {
+            id: this.nextId++,
+            browser: null,
+            renders: 0,
+            activePages: 0,
+            retiring: false,
+            launchedAt: null
+        };
+
+        slot.launching = puppeteer.launch(LAUNCH_OPTIONS)
+            .then(browser => {
+                slot.browser = browser;
+                slot.launchedAt = new Date();
+                this.counters.launched += 1;
+                browser.on('disconnected', () => this._onDisconnected(slot));
+                console.log(`🌐 Browser #${slot.id} launched (${this.slots.length}/${this.size} in pool)`);
+                return browser;
+            })
+            .catch(error => {
+                this._remove(slot);
+                throw error;
+            })
+            .finally(() => this._notify());
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    _release(slot) {
+        slot.activePages = Math.max(0, slot.activePages - 1);
+
+        if (slot.retiring && slot.activePages === 0 && this.slots.includes(slot)) {
+            this.counters.recycled += 1;
+            console.log(`♻️ Recycling browser #${slot.id} after ${slot.renders} renders`);
+            this._close(slot);
+        }
+
+        this._notify();
+    }
+
+    _onDisconnected(slot) {
+        if (slot.closing || !this.slots.includes(slot)) return;
+
+        // Chromium crashed or was killed: drop it, the next job launches a replacement
+        this.counters.crashed += 1;
+        console.error(`❌ Browser #${slot.id} disconnected unexpectedly`);
+        this._remove(slot);
+        this._notify();
+    }
+
+    _close(slot) {
+        slot.closing = true;
+        this._remove(slot);
+        slot.browser.close().catch(error => {
+            console.error(`Error closing browser #${slot.id}:`, error);
+        });
+    }
+
+    _remove(slot) {
+        this.slots = this.slots.filter(existing => existing !== slot);
+    }
+
+    _notify() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Pool usage for monitoring
+     * @returns {Object} - Configuration, per-browser state and lifetime counters
+     */
+    getStats() {
+        return {
+            size: this.size,
+            maxPagesPerBrowser: this.maxPagesPerBrowser,
+            maxRenders: this.maxRenders,
+            waiting: this.waiters.length,
+            browsers: this.slots.map(slot => ({
+                id: slot.id,
+                status: !slot.browser ? 'launching' : slot.retiring ? 'retiring' : 'ready',
+                activePages: slot.activePages,
+                renders: slot.renders,
+                launchedAt: slot.launchedAt
+            })),
+            ...this.counters
+        };
+    }
+
+    /**
+     * Close every browser (server shutdown)
+     */
+    async shutdown() {
+        this.closed = true;
+        const slots = this.slots;
+        this.slots = [];
+        this._notify();
+
+        await Promise.all(slots.map(async slot => {
+            slot.closing = true;
+            try {
+                const browser = slot.browser || await slot.launching;
+                await browser.close();
+            } catch (error) {
+                console.error(`Error closing browser #${slot.id}:`, error);
+            }
+        }));
+    }
+}
+
+export default new BrowserPoolService();
@@ -0,0 +1,358 @@
+import datasetService from './datasetService.js';
+
+/**
+ * Draws charts of the worksheet dataset as standalone SVG
+ * A chart is only a specification ({ type, title, x, y }); it is drawn from the current
+ * dataset every time, so it always matches the table printed above it
+ */
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'scatter'];
+
+// Readable in colour and distinguishable when printed in grey
+const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+const WIDTH = 640;
+const HEIGHT = 400;
+const MARGIN = { top: 48, right: 24, bottom: 72, left: 64 };
+
+// Categories drawn along the x axis; longer datasets are cut
+const MAX_POINTS = 50;
+const MAX_SERIES = 6;
+
+class ChartService {
+    /**
+     * Supported chart types
+     * @returns {Array<String>}
+     */
+    getTypes() {
+        return CHART_TYPES;
+    }
+
+    /**
+     * Check a chart specification against a dataset
+     * @param {Object} chart - { type, title, x, y }
+     * @param {Object} table - { columns, rows }
+     * @returns {String|null} - What is wrong, or null when it can be drawn
+     */
+    validate(chart, table) {
+        const y = Array.isArray(chart.y) ? chart.y : [];
+
+        if (!CHART_TYPES.includes(chart.type)) return `Chart type must be one of: ${CHART_TYPES.join(', ')}`;
+        if (!table.columns.length || !table.rows.length) return 'The dataset is empty; add columns and rows first';
+        if (!table.columns.includes(chart.x)) return `Column "${chart.x}" is not in the dataset`;
+        if (y.length === 0) return 'Choose at least one value column';
+        if (y.length > MAX_SERIES) return `At most ${MAX_SERIES} value columns can be drawn`;
+        if (chart.type === 'pie' && y.length > 1) return 'A pie chart shows one value column';
+
+        const missing = y.find(column => !table.columns.includes(column));
+        if (missing) return `Column "${missing}" is not in the dataset`;
+
+        const notNumeric = y.find(column => !this.isNumericColumn(table, column));
+        if (notNumeric) return `Column "${notNumeric}" has no numbers to plot`;
+
+        if (chart.type === 'scatter' && !this.isNumericColumn(table, chart.x)) {
+            return `A scatter chart needs numbers in "${chart.x}"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Draw a chart of a dataset
+     * @param {Object} chart - { type, title, x, y }
+     * @param {Object} table - { columns, rows }
+     * @returns {Object} - { svg, error }
+     */
+    render(chart, table) {
+        const error = this.validate(chart, table);
+        if (error) return { svg: '', error };
+
+        const column = name => {
+            const index = table.columns.indexOf(name);
+            return table.rows.slice(0, MAX_POINTS).map(row => row[index] ?? '');
+        };
+        const labels = column(chart.x);
+        const series = chart.y.map((name, idx) => ({
+            name,
+            color: PALETTE[idx % PALETTE.length],
+            values: column(name).map(value => this.parseNumber(value))
+        }));
+
+        let body;
+        switch (chart.type) {
+            case 'pie':
+                body = this.drawPie(labels, series[0]);
+                break;
+            case 'scatter':
+                body = this.drawScatter(labels.map(value => this.parseNumber(value)), series, chart.x);
+                break;
+            case 'line':
+                body = this.drawCategories(labels, series, 'line', chart.x);
+                break;
+            default:
+                body = this.drawCategories(labels, series, 'bar', chart.x);
+        }
+
+        const title = chart.title
+            ? `<text x="${WIDTH / 2}" y="26" text-anchor="middle" font-size="16" font-weight="bold">${this.escape(chart.title)}</text>`
+            : '';
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Arial, Helvetica, sans-serif" font-size="11" fill="#1f2937"><rect width="${WIDTH}" height="${HEIGHT}" fill="#ffffff"/>${title}${body}</svg>`;
+        return { svg, error: null };
+    }
+
+    /**
+     * Charts of a worksheet drawn from its dataset
+     * @param {Object} worksheet - Worksheet document
+     * @returns {Array} - [{ chart, svg, error }]
+     */
+    renderWorksheetCharts(worksheet) {
+        if (!worksheet.charts || worksheet.charts.length === 0) return [];
+
+        const table = datasetService.getWorksheetTable(worksheet);
+        return worksheet.charts.map(chart => ({ chart, ...this.render(chart, table) }));
+    }
+
+    /**
+     * Charts of a worksheet as Output section images (for the PDF)
+     * @param {Object} worksheet - Worksheet document
+     * @returns {Array} - [{ url, section, caption }]
+     */
+    toImages(worksheet) {
+        return this.renderWorksheetCharts(worksheet)
+            .filter(({ svg }) => svg)
+            .map(({ chart, svg }) => ({
+                url: `data:image/svg+xml;base64,${Buffer.from(svg, 'utf8').toString('base64')}`,
+                section: 'output',
+                caption: chart.title || `${chart.y.join(', ')} by ${chart.x}`
+            }));
+    }
+
+    /**
+     * Number in a cell ("1,200", "45%", "$3.50" included)
+     * @param {String} value - Cell text
+     * @returns {Number|null} - Number, or null when the cell is not numeric
+     */
+    parseNumber(value) {
+        const text = String(value ?? '').replace(/[\s,%₹$€£]/g, '');
+        if (!text) return null;
+        const number = Number(text);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Whether a column has at least one number
+    isNumericColumn(table, name) {
+        const index = table.columns.indexOf(name);
+        return table.rows.some(row => this.parseNumber(row[index]) !== null);
+    }
+
+    // Bar (grouped) or line chart over the categories of the x column
+    drawCategories(labels, series, kind, xName) {
+        const plot = this.plotArea();
+        const values = series.flatMap(item => item.values).filter(value => value !== null);
+        const scale = this.niceScale(Math.min(0, ...values), Math.max(0, ...values));
+        const y = value => plot.bottom - ((value - scale.min) / (scale.max - scale.min)) * plot.height;
+        const band = plot.width / labels.length;
+        const parts = [this.drawValueAxis(plot, scale, y)];
+
+        if (kind === 'bar') {
+            const barWidth = Math.max(1, (band * 0.8) / series.length);
+            series.forEach((item, seriesIdx) => {
+                item.values.forEach((value, idx) => {
+                    if (value === null) return;
+                    const x = plot.left + band * idx + band * 0.1 + barWidth * seriesIdx;
+                    const top = Math.min(y(value), y(0));
+                    parts.push(`<rect x="${this.round(x)}" y="${this.round(top)}" width="${this.round(barWidth)}" height="${this.round(Math.abs(y(value) - y(0)))}" fill="${item.color}"/>`);
+                });
+            });
+        } else {
+            series.forEach((item) => {
+                const points = item.values
+                    .map((value, idx) => (value === null ? null : [plot.left + band * (idx + 0.5), y(value)]));
+                // Gaps in the data break the line
+                const path = points
+                    .map((point, idx) => (point ? `${idx > 0 && points[idx - 1] ? 'L' : 'M'}${this.round(point[0])},${this.round(point[1])}` : ''))
+                    .join('');
+                parts.push(`<path d="${path}" fill="none" stroke="${item.color}" stroke-width="2"/>`);
+                points.filter(Boolean).forEach(([px, py]) => {
+                    parts.push(`<circle cx="${this.round(px)}" cy="${this.round(py)}" r="3" fill="${item.color}"/>`);
+                });
+            });
+        }
+
+        parts.push(this.drawCategoryAxis(plot, labels, band, xName));
+        parts.push(this.drawLegend(series));
+        return parts.join('');
+    }
+
+    // Scatter chart of numeric x against each value column
+    drawScatter(xValues, series, xName) {
+        const plot = this.plotArea();
+        const xs = xValues.filter(value => value !== null);
+        const ys = series.flatMap(item => item.values).filter(value => value !== null);
+        const xScale = this.niceScale(Math.min(...xs), Math.max(...xs));
+        const yScale = this.niceScale(Math.min(...ys), Math.max(...ys));
+        const x = value => plot.left + ((value - xScale.min) / (xScale.max - xScale.min)) * plot.width;
+        const y = value => plot.bottom - ((value - yScale.min) / (yScale.max - yScale.min)) * plot.height;
+        const parts = [this.drawValueAxis(plot, yScale, y)];
+
+        for (let tick = xScale.min; tick <= xScale.max + xScale.step / 2; tick += xScale.step) {
+            parts.push(`<line x1="${this.round(x(tick))}" y1="${plot.bottom}" x2="${this.round(x(tick))}" y2="${plot.bottom + 4}" stroke="#6b7280"/>`);
+            parts.push(`<text x="${this.round(x(tick))}" y="${plot.bottom + 16}" text-anchor="middle">${this.formatNumber(tick)}</text>`);
+        }
+        parts.push(`<text x="${plot.left + plot.width / 2}" y="${plot.bottom + 36}" text-anchor="middle" font-weight="bold">${this.escape(xName)}</text>`);
+
+        series.forEach((item) => {
+            item.values.forEach((value, idx) => {
+                if (value === null || xValues[idx] === null) return;
+                parts.push(`<circle cx="${this.round(x(xValues[idx]))}" cy="${this.round(y(value))}" r="4" fill="${item.color}" fill-opacity="0.8"/>`);
+            });
+        });
+
+        parts.push(this.drawLegend(series));
+        return parts.join('');
+    }
+
+    // Pie chart of one value column, labelled by the x column
+    drawPie(labels, item) {
+        const slices = item.values
+            .map((value, idx) => ({ label: labels[idx], value }))
+            .filter(slice => slice.value !== null && slice.value > 0);
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        if (total === 0) {
+            return `<text x="${WIDTH / 2}" y="${HEIGHT / 2}" text-anchor="middle">No positive values to show</text>`;
+        }
+
+        const cx = 200;
+        const cy = (HEIGHT + MARGIN.top) / 2;
+        const radius = Math.min(150, (HEIGHT - MARGIN.top) / 2 - 16);
+        const parts = [];
+        let angle = -Math.PI / 2;
+
+        slices.forEach((slice, idx) => {
+            const color = PALETTE[idx % PALETTE.length];
+            const sweep = (slice.value / total) * Math.PI * 2;
+
+            if (slices.length === 1) {
+                parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"/>`);
+            } else {
+                const start = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+                const end = [cx + radius * Math.cos(angle + sweep), cy + radius * Math.sin(angle + sweep)];
+                parts.push(`<path d="M${cx},${cy}L${this.round(start[0])},${this.round(start[1])}A${radius},${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${this.round(end[0])},${this.round(end[1])}Z" fill="${color}" stroke="#ffffff" stroke-width="1"/>`);
+            }
+            angle += sweep;
+
+            // Legend to the right, with the share of each slice
+            if (idx < 16) {
+                const ly = MARGIN.top + 16 + idx * 20;
+                const share = `${this.formatNumber((slice.value / total) * 100)}%`;
+                parts.push(`<rect x="400" y="${ly - 9}" width="12" height="12" fill="${color}"/>`);
+                parts.push(`<text x="418" y="${ly + 1}">${this.escape(this.truncate(slice.label, 22))} (${share})</text>`);
+            }
+        });
+
+        if (slices.length > 16) {
+            parts.push(`<text x="400" y="${MARGIN.top + 16 + 16 * 20}">... ${slices.length - 16} more</text>`);
+        }
+
+        return parts.join('');
+    }
+
+    // Left axis with grid lines
+    drawValueAxis(plot, scale, y) {
+        const parts = [];
+        for (let tick = scale.min; tick <= scale.max + scale.step / 2; tick += scale.step) {
+            const ty = this.round(y(tick));
+            parts.push(`<line x1="${plot.left}" y1="${ty}" x2="${plot.right}" y2="${ty}" stroke="#e5e7eb"/>`);
+            parts.push(`<text x="${plot.left - 6}" y="${ty + 4}" text-anchor="end">${this.formatNumber(tick)}</text>`);
+        }
+        parts.push(`<line x1="${plot.left}" y1="${plot.top}" x2="${plot.left}" y2="${plot.bottom}" stroke="#6b7280"/>`);
+        parts.push(`<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="#6b7280"/>`);
+        return parts.join('');
+    }
+
+    // Category labels under the plot, slanted when they would overlap
+    drawCategoryAxis(plot, labels, band, xName) {
+        const slanted = labels.some(label => String(label).length * 6 > band);
+        const step = Math.ceil(labels.length / 25);
+        const parts = labels.map((label, idx) => {
+            if (idx % step !== 0) return '';
+            const x = this.round(plot.left + band * (idx + 0.5));
+            const text = this.escape(this.truncate(label, 14));
+            return slanted
+                ? `<text x="${x}" y="${plot.bottom + 12}" text-anchor="end" transform="rotate(-35 ${x} ${plot.bottom + 12})">${text}</text>`
+                : `<text x="${x}" y="${plot.bottom + 16}" text-anchor="middle">${text}</text>`;
+        });
+
+        if (!slanted) {
+            parts.push(`<text x="${plot.left + plot.width / 2}" y="${plot.bottom + 36}" text-anchor="middle" font-weight="bold">${this.escape(xName)}</text>`);
+        }
+        return parts.join('');
+    }
+
+    // One entry per value column, along the bottom edge
+    drawLegend(series) {
+        let x = MARGIN.left;
+        return series.map((item) => {
+            const entry = `<rect x="${x}" y="${HEIGHT - 18}" width="12" height="12" fill="${item.color}"/><text x="${x + 16}" y="${HEIGHT - 8}">${this.escape(this.truncate(item.name, 24))}</text>`;
+            x += 28 + Math.min(item.name.length, 24) * 6.5;
+            return entry;
+        }).join('');
+    }
+
+    plotArea() {
+        const left = MARGIN.left;
+        const top = MARGIN.top;
+        const right = WIDTH - MARGIN.right;
+        const bottom = HEIGHT - MARGIN.bottom;
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Round axis bounds to 1, 2 or 5 times a power of ten
+     * @param {Number} min - Smallest value
+     * @param {Number} max - Largest value
+     * @returns {Object} - { min, max, step }
+     */
+    niceScale(min, max) {
+        if (min === max) {
+            const pad = Math.abs(min) || 1;
+            min -= pad;
+            max += pad;
+        }
+
+        const rough = (max - min) / 5;
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+
+        return {
+            min: Math.floor(min / step) * step,
+            max: Math.ceil(max / step) * step,
+            step
+        };
+    }
+
+    formatNumber(value) {
+        // Floating point steps (0.1 + 0.2) are shown rounded
+        return String(Number(value.toPrecision(10)));
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    truncate(text, length) {
+        const value = String(text ?? '');
+        return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default new ChartService();
@@ -0,0 +1,160 @@
+import hljs from 'highlight.js';
+
+// Names the AI writes for languages that highlight.js knows under another name
+const LANGUAGE_ALIASES = {
+    'c++': 'cpp',
+    'c#': 'csharp',
+    'objective-c': 'objectivec',
+    shell: 'bash',
+    sh: 'bash',
+    node: 'javascript',
+    nodejs: 'javascript'
+};
+
+// Blank-line separated chunks up to this many lines (a short function) are kept on one page
+const KEEP_TOGETHER_LINES = 25;
+
+// Tab width used when measuring indentation
+const TAB_WIDTH = 4;
+
+class CodeHighlightService {
+    /**
+     * highlight.js language name for a code block language
+     * @param {String} language - e.g. "Python", "C++", "plaintext"
+     * @returns {String|null} - Language name, or null when it cannot be highlighted
+     */
+    resolveLanguage(language) {
+        const name = String(language || '').trim().toLowerCase();
+        const resolved = LANGUAGE_ALIASES[name] || name;
+        return resolved && hljs.getLanguage(resolved) ? resolved : null;
+    }
+
+    /**
+     * Highlight source code into one HTML fragment per line
+     * Tokens spanning lines (block comments, multi-line strings) are closed and reopened on every line
+     * @param {String} source - Source code
+     * @param {String} language - Code language
+     * @returns {Array<String>} - HTML of each line
+     */
+    highlightLines(source, language) {
+        const code = String(source || '').replace(/\r\n?/g, '\n').replace(/\t/g, ' '.repeat(TAB_WIDTH)).replace(/\n+$/, '');
+        const resolved = this.resolveLanguage(language);
+
+        let html;
+        try {
+            html = resolved ? hljs.highlight(code, { language: resolved, ignoreIllegals: true }).value : this.escapeHtml(code);
+        } catch (error) {
+            html = this.escapeHtml(code);
+        }
+
+        const lines = [];
+        const open = [];
+        let current = '';
+
+        html.split(/(<span[^>]*>|<\/span>|\n)/).forEach(token => {
+            if (token === '\n') {
+                lines.push(current + '</span>'.repeat(open.length));
+                current = open.join('');
+            } else if (token.startsWith('<span')) {
+                open.push(token);
+                current += token;
+            } else if (token === '</span>') {
+                open.pop();
+                current += token;
+            } else {
+                current += token;
+            }
+        });
+        lines.push(current);
+
+        return lines;
+    }
+
+    /**
+     * Highlighted code block for the PDF
+     * Long lines wrap under their own indentation; short blank-line separated chunks avoid page breaks
+     * @param {String} source - Source code
+     * @param {String} language - Code language
+     * @param {Object} options - { lineNumbers }
+     * @returns {String} - HTML
+     */
+    renderBlock(source, language, { lineNumbers = false } = {}) {
+        const plainLines = String(source || '').replace(/\r\n?/g, '\n').replace(/\t/g, ' '.repeat(TAB_WIDTH)).replace(/\n+$/, '').split('\n');
+        const htmlLines = this.highlightLines(source, language);
+        const digits = String(htmlLines.length).length;
+
+        const renderLine = (html, index) => {
+            // Hanging indent: wrapped parts continue two columns past the line's own indentation
+            const indent = plainLines[index].match(/^ */)[0].length + 2;
+            return `<div class="code-line">${lineNumbers ? `<span class="code-line-number" style="width: ${digits}ch">${index + 1}</span>` : ''}<span class="code-line-text" style="padding-left: ${indent}ch; text-indent: -${indent}ch">${html || ' '}</span></div>`;
+        };
+
+        // Group lines into chunks separated by blank lines
+        const chunks = [];
+        let chunk = [];
+        htmlLines.forEach((html, index) => {
+            chunk.push(renderLine(html, index));
+            if (!plainLines[index].trim() && chunk.length > 0) {
+                chunks.push(chunk);
+                chunk = [];
+            }
+        });
+        if (chunk.length > 0) chunks.push(chunk);
+
+        const body = chunks
+            .map(lines => `<div class="code-chunk${lines.length <= KEEP_TOGETHER_LINES ? ' keep-together' : ''}">${lines.join('')}</div>`)
+            .join('');
+
+        const languageClass = this.resolveLanguage(language) ? ` language-${this.resolveLanguage(language)}` : '';
+        const shortClass = htmlLines.length <= KEEP_TOGETHER_LINES ? ' keep-together' : '';
+        return `<div class="code-block hljs${languageClass}${shortClass}${lineNumbers ? ' with-line-numbers' : ''}">${body}</div>`;
+    }
+
+    /**
+     * Print styles for highlighted code (light theme, readable in black and white too)
+     * @returns {String} - CSS
+     */
+    getStyles() {
+        return `
+    .code-line { display: flex; break-inside: avoid; page-break-inside: avoid; }
+    .code-line-text { flex: 1; min-width: 0; white-space: pre-wrap; overflow-wrap: anywhere; }
+    .code-line-number {
+      flex: 0 0 auto;
+      box-sizing: content-box;
+      padding-right: 8px;
+      margin-right: 8px;
+      border-right: 1px solid #ddd;
+      color: #999;
+      text-align: right;
+    }
+    .keep-together { break-inside: avoid; page-break-inside: avoid; }
+    .hljs-comment, .hljs-quote { color: #6a737d; font-style: italic; }
+    .hljs-keyword, .hljs-selector-tag, .hljs-doctag, .hljs-meta .hljs-keyword { color: #d73a49; font-weight: bold; }
+    .hljs-built_in, .hljs-type, .hljs-literal { color: #005cc5; }
+    .hljs-number { color: #005cc5; }
+    .hljs-string, .hljs-regexp, .hljs-meta .hljs-string { color: #032f62; }
+    .hljs-title, .hljs-title.function_, .hljs-title.class_, .hljs-section { color: #6f42c1; font-weight: bold; }
+    .hljs-attr, .hljs-attribute, .hljs-variable, .hljs-template-variable, .hljs-property { color: #e36209; }
+    .hljs-params { color: #24292e; }
+    .hljs-meta { color: #735c0f; }
+    .hljs-symbol, .hljs-bullet, .hljs-link { color: #22863a; }
+    .hljs-emphasis { font-style: italic; }
+    .hljs-strong { font-weight: bold; }
+`;
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {String} text - Raw text
+     * @returns {String} - Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default new CodeHighlightService();
@@ -0,0 +1,362 @@
+import { spawn, execFile } from 'child_process';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Runs worksheet code in a locked-down sandbox and captures what it really prints
+ *
+ * CODE_RUNNER_MODE:
+ *   docker (default) - one throwaway container per step: no network, read-only root,
+ *                      memory / pid / CPU limits, all capabilities dropped, nobody user
+ *   local            - child process with ulimits and an empty environment (development only,
+ *                      the program can still read the filesystem and use the network)
+ *   disabled         - code is never run
+ */
+
+// Supported languages; {file} and {main} are filled in per program
+const LANGUAGES = {
+    python: {
+        label: 'Python',
+        file: 'main.py',
+        image: 'python:3.12-alpine',
+        run: ['python3', '-B', '{file}']
+    },
+    javascript: {
+        label: 'JavaScript',
+        file: 'main.js',
+        image: 'node:20-alpine',
+        run: ['node', '--max-old-space-size=128', '{file}'],
+        // V8 reserves far more address space than it uses, so ulimit -v would stop it from starting
+        limitAddressSpace: false
+    },
+    c: {
+        label: 'C',
+        file: 'main.c',
+        image: 'gcc:13',
+        compile: ['gcc', '-O2', '-o', 'main', '{file}', '-lm'],
+        run: ['./main']
+    },
+    cpp: {
+        label: 'C++',
+        file: 'main.cpp',
+        image: 'gcc:13',
+        compile: ['g++', '-O2', '-std=c++17', '-o', 'main', '{file}'],
+        run: ['./main']
+    },
+    java: {
+        label: 'Java',
+        file: '{main}.java',
+        image: 'eclipse-temurin:21-jdk',
+        compile: ['javac', '-J-Xmx256m', '{file}'],
+        run: ['java', '-Xmx128m', '-cp', '.', '{main}'],
+        limitAddressSpace: false
+    }
+};
+
+// Names the AI (or a user) may write for a supported language
+const LANGUAGE_ALIASES = {
+    py: 'python',
+    python3: 'python',
+    js: 'javascript',
+    node: 'javascript',
+    nodejs: 'javascript',
+    'c++': 'cpp',
+    cc: 'cpp',
+    cxx: 'cpp'
+};
+
+// Bytes kept per stream; a program printing more is stopped
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+class CodeRunnerService {
+    constructor() {
+        this.mode = process.env.CODE_RUNNER_MODE || 'docker';
+        this.timeoutMs = parseInt(process.env.CODE_RUNNER_TIMEOUT_MS) || 5000;
+        this.compileTimeoutMs = parseInt(process.env.CODE_RUNNER_COMPILE_TIMEOUT_MS) || 20000;
+        this.memoryMb = parseInt(process.env.CODE_RUNNER_MEMORY_MB) || 256;
+    }
+
+    /**
+     * Whether running code is switched on
+     * @returns {Boolean}
+     */
+    isEnabled() {
+        return this.mode !== 'disabled';
+    }
+
+    /**
+     * Canonical language key for a code block language
+     * @param {String} language - e.g. "Python", "c++", "js"
+     * @returns {String|null} - Key of LANGUAGES, or null when the language cannot be run
+     */
+    resolveLanguage(language) {
+        const name = String(language || '').trim().toLowerCase();
+        const key = LANGUAGE_ALIASES[name] || name;
+        return LANGUAGES[key] ? key : null;
+    }
+
+    /**
+     * Whether a code block can be run
+     * @param {Object} code - { language, source }
+     * @returns {Boolean}
+     */
+    canRun(code) {
+        return this.isEnabled() && Boolean(code?.source?.trim()) && this.resolveLanguage(code.language) !== null;
+    }
+
+    /**
+     * Labels of the languages that can be run
+     * @returns {Array<String>}
+     */
+    getSupportedLanguages() {
+        return Object.values(LANGUAGES).map(language => language.label);
+    }
+
+    /**
+     * Compile (when needed) and run a program
+     * The program gets no stdin; a program waiting for input ends at the time limit
+     * @param {Object} code - { language, source }
+     * @returns {Promise<Object>} - { status, language, stdout, stderr, exitCode, durationMs, truncated, ranAt }
+     *   status: success | runtime_error | compile_error | timeout | output_limit
+     */
+    async run({ language, source }) {
+        if (!this.isEnabled()) {
+            throw new Error('Running code is disabled on this server');
+        }
+
+        const key = this.resolveLanguage(language);
+        if (!key) {
+            throw new Error(`Running ${language || 'this'} code is not supported. Supported: ${this.getSupportedLanguages().join(', ')}`);
+        }
+
+        const definition = LANGUAGES[key];
+        // Java needs the file named after its public class
+        const main = key === 'java' ? (source.match(/public\s+(?:final\s+)?class\s+(\w+)/)?.[1] || 'Main') : 'main';
+        const fill = args => args.map(arg => arg.replace('{file}', definition.file.replace('{main}', main)).replace('{main}', main));
+
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'worksheet-run-'));
+
+        try {
+            await fs.writeFile(path.join(workDir, fill([definition.file])[0]), source);
+            // The sandbox user is "nobody" and must be able to write build output
+            await fs.chmod(workDir, 0o777);
+
+            const ranAt = new Date();
+
+            if (definition.compile) {
+                const compiled = await this._execute(definition, fill(definition.compile), workDir, this.compileTimeoutMs);
+                if (compiled.timedOut || compiled.exitCode !== 0) {
+                    return {
+                        status: compiled.timedOut ? 'timeout' : 'compile_error',
+                        language: key,
+                        stdout: compiled.stdout,
+                        stderr: compiled.stderr,
+                        exitCode: compiled.exitCode,
+                        durationMs: compiled.durationMs,
+                        truncated: compiled.truncated,
+                        ranAt
+                    };
+                }
+            }
+
+            const result = await this._execute(definition, fill(definition.run), workDir, this.timeoutMs);
+
+            let status = 'success';
+            if (result.timedOut) status = 'timeout';
+            else if (result.truncated) status = 'output_limit';
+            else if (result.exitCode !== 0) status = 'runtime_error';
+
+            return {
+                status,
+                language: key,
+                stdout: result.stdout,
+                stderr: result.stderr,
+                exitCode: result.exitCode,
+                durationMs: result.durationMs,
+                truncated: result.truncated,
+                ranAt
+            };
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true }).catch(() => { });
+        }
+    }
+
+    /**
+     * HTML for the Output section from a run result
+     * @param {Object} result - run() result
+     * @returns {String} - HTML
+     */
+    toOutputHtml(result) {
+        const block = text => `<pre>${this.escapeHtml(text.replace(/\s+$/, ''))}</pre>`;
+        const parts = [];
+
+        if (result.status === 'compile_error') {
+            parts.push('<p><strong>Compilation failed:</strong></p>', block(result.stderr || result.stdout || 'No compiler output'));
+            return parts.join('\n');
+        }
+
+        parts.push(block(result.stdout || (result.stderr ? '' : '(no output)')));
+
+        if (result.status === 'timeout') {
+            parts.push(`<p><strong>Stopped after ${Math.round(result.durationMs / 1000)} seconds (time limit).</strong></p>`);
+        } else if (result.status === 'output_limit') {
+            parts.push('<p><strong>Output truncated: the program printed too much.</strong></p>');
+        } else if (result.status === 'runtime_error') {
+            parts.push(`<p><strong>Program exited with code ${result.exitCode}.</strong></p>`);
+        }
+
+        if (result.stderr) {
+            parts.push('<p><strong>Error output:</strong></p>', block(result.stderr));
+        }
+
+        return parts.filter(part => part !== '<pre></pre>').join('\n');
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {String} text - Raw text
+     * @returns {String} - Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Run one step (compile or run) in the sandbox, killing it at the time limit or output cap
+    _execute(definition, args, workDir, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const containerName = `worksheet-run-${randomUUID()}`;
+            const child = this.mode === 'docker'
+                ? spawn('docker', [...this._dockerArgs(definition, workDir, containerName), ...args], {
+                    stdio: ['ignore', 'pipe', 'pipe']
+                })
+                : spawn('sh', ['-c', this._ulimitScript(definition, timeoutMs), 'sandbox', ...args], {
+                    cwd: workDir,
+                    // Never pass the server environment (API keys, database URI) to the program
+                    env: { PATH: process.env.PATH, HOME: workDir, LANG: 'C.UTF-8' },
+                    stdio: ['ignore', 'pipe', 'pipe'],
+                    detached: true
+                });
+
+            const startedAt = Date.now();
+            const output = { stdout: [], stderr: [] };
+            const size = { stdout: 0, stderr: 0 };
+            let truncated = false;
+            let timedOut = false;
+            let killed = false;
+
+            const kill = () => {
+                if (killed) return;
+                killed = true;
+                if (this.mode === 'docker') {
+                    execFile('docker', ['kill', containerName], () => { });
+                }
+                try {
+                    // Local runs are a process group, so children of the program go too
+                    process.kill(this.mode === 'docker' ? child.pid : -child.pid, 'SIGKILL');
+                } catch (error) {
+                    // Already exited
+                }
+            };
+
+            const collect = stream => chunk => {
+                const room = MAX_OUTPUT_BYTES - size[stream];
+                if (room > 0) output[stream].push(chunk.subarray(0, room));
+                size[stream] += chunk.length;
+                if (size[stream] > MAX_OUTPUT_BYTES) {
+                    truncated = true;
+                    kill();
+                }
+            };
+
+            child.stdout.on('data', collect('stdout'));
+            child.stderr.on('data', collect('stderr'));
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                kill();
+            }, timeoutMs);
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT'
+                    ? new Error(this.mode === 'docker' ? 'Docker is not available to run code' : `${args[0]} is not installed on the server`)
+                    : error);
+            });
+
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (this.mode !== 'docker') {
+                    try {
+                        // Background processes the program started must not outlive it
+                        process.kill(-child.pid, 'SIGKILL');
+                    } catch (error) {
+                        // Nothing left in the group
+                    }
+                }
+                // Tracebacks name the temporary directory; show paths relative to it
+                const readOutput = stream => Buffer.concat(output[stream]).toString('utf8').split(`${workDir}${path.sep}`).join('');
+                const stderr = readOutput('stderr');
+
+                // 125: docker itself failed (missing image, daemon down) - not the program
+                if (this.mode === 'docker' && code === 125 && !killed) {
+                    reject(new Error(`Sandbox failed to start: ${stderr.trim() || 'docker exited with 125'}`));
+                    return;
+                }
+
+                resolve({
+                    stdout: readOutput('stdout'),
+                    stderr,
+                    exitCode: code ?? (signal ? 128 : 1),
+                    durationMs: Date.now() - startedAt,
+                    truncated,
+                    timedOut
+                });
+            });
+        });
+    }
+
+    // docker run flags for a throwaway container with the work directory mounted
+    _dockerArgs(definition, workDir, containerName) {
+        return [
+            'run', '--rm',
+            '--name', containerName,
+            // Images are expected to be pulled ahead of time; pulling would eat the time limit
+            '--pull', 'never',
+            '--network', 'none',
+            '--memory', `${this.memoryMb}m`,
+            '--memory-swap', `${this.memoryMb}m`,
+            '--cpus', '1',
+            '--pids-limit', '64',
+            '--read-only',
+            '--tmpfs', '/tmp:rw,size=64m',
+            '--cap-drop', 'ALL',
+            '--security-opt', 'no-new-privileges',
+            '--user', '65534:65534',
+            '--env', 'HOME=/tmp',
+            '--volume', `${workDir}:/sandbox`,
+            '--workdir', '/sandbox',
+            definition.image
+        ];
+    }
+
+    // Shell prelude applying resource limits before exec'ing the command ("$@")
+    _ulimitScript(definition, timeoutMs) {
+        const limits = [
+            `ulimit -t ${Math.ceil(timeoutMs / 1000) + 1}`,
+            'ulimit -f 10240',
+            'ulimit -c 0'
+        ];
+        if (definition.limitAddressSpace !== false) {
+            limits.push(`ulimit -v ${this.memoryMb * 1024}`);
+        }
+        return `${limits.join('; ')}; exec "$@"`;
+    }
+}
+
+export default new CodeRunnerService();
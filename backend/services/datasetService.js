@@ -0,0 +1,140 @@
+import htmlConverterService from './htmlConverterService.js';
+
+/**
+ * Reads uploaded CSV files into dataset table values ({ columns, rows })
+ * and gives the dataset of a worksheet as a table whatever its stored shape
+ */
+
+// Largest dataset kept from an upload; a lab worksheet prints every row
+const MAX_ROWS = 500;
+const MAX_COLUMNS = 30;
+const MAX_CELL_LENGTH = 200;
+
+// Rows of the dataset shown to the AI when it generates around an uploaded file
+const PROMPT_ROWS = 20;
+
+class DatasetService {
+    /**
+     * Parse CSV (comma, semicolon or tab separated; quoted fields allowed) into a table
+     * The first row is the header
+     * @param {Buffer|String} input - File contents
+     * @returns {Object} - { columns, rows }
+     */
+    parseCsv(input) {
+        // Excel adds a byte order mark to UTF-8 CSV
+        const text = String(input || '').replace(/^\uFEFF/, '');
+        if (!text.trim()) {
+            throw new Error('The CSV file is empty');
+        }
+
+        const delimiter = this.detectDelimiter(text);
+        const records = this.splitRecords(text, delimiter)
+            .filter(record => record.some(cell => cell.trim() !== ''));
+
+        if (records.length < 2) {
+            throw new Error('The CSV file needs a header row and at least one data row');
+        }
+        if (records.length - 1 > MAX_ROWS) {
+            throw new Error(`The CSV file has ${records.length - 1} rows; at most ${MAX_ROWS} are allowed`);
+        }
+
+        const [header, ...data] = records;
+        const width = Math.max(header.length, ...data.map(record => record.length));
+        if (width > MAX_COLUMNS) {
+            throw new Error(`The CSV file has ${width} columns; at most ${MAX_COLUMNS} are allowed`);
+        }
+
+        const fit = record => Array.from({ length: width }, (_, idx) => String(record[idx] ?? '').trim().slice(0, MAX_CELL_LENGTH));
+
+        return {
+            columns: fit(header).map((column, idx) => column || `Column ${idx + 1}`),
+            rows: data.map(fit)
+        };
+    }
+
+    /**
+     * Delimiter used most often outside quotes on the first line
+     * @param {String} text - CSV text
+     * @returns {String} - Delimiter character
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 0 ? counts[0][0] : ',';
+    }
+
+    // Split CSV text into records of fields (RFC 4180: "" is a quote inside a quoted field)
+    splitRecords(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i += 1) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                quoted = true;
+                field = '';
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i += 1;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Dataset section of a worksheet as a table
+     * Older worksheets store it as HTML and are read from their <table>
+     * @param {Object} worksheet - Worksheet document
+     * @returns {Object} - { columns, rows }
+     */
+    getWorksheetTable(worksheet) {
+        const section = (worksheet.sections || []).find(existing => existing.key === 'dataset');
+        const value = section ? section.value : worksheet.content?.dataset;
+
+        if (!value) return { columns: [], rows: [] };
+        if (typeof value === 'string') return htmlConverterService.tableFromHtml(value);
+        return { columns: value.columns || [], rows: value.rows || [] };
+    }
+
+    /**
+     * Dataset description for the generation prompt
+     * @param {Object} table - { columns, rows }
+     * @returns {String} - Instruction text
+     */
+    toPromptText(table) {
+        const shown = table.rows.slice(0, PROMPT_ROWS);
+        const lines = [table.columns, ...shown].map(row => row.join(', '));
+        const more = table.rows.length > shown.length ? `\n... ${table.rows.length - shown.length} more rows` : '';
+
+        return `Use the uploaded dataset below (${table.rows.length} rows) for the problem, the code and the output. It is stored as the worksheet dataset as is, so do not write another one; refer to its exact column names.\n${lines.join('\n')}${more}`;
+    }
+}
+
+export default new DatasetService();
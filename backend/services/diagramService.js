@@ -0,0 +1,154 @@
+import { createRequire } from 'module';
+import { instance as createViz } from '@viz-js/viz';
+import browserPoolService from './browserPoolService.js';
+
+const require = createRequire(import.meta.url);
+
+// Diagram source languages
+const FORMATS = ['mermaid', 'graphviz'];
+
+// Longest diagram source accepted
+const MAX_SOURCE_LENGTH = 10000;
+
+// Mermaid runs in the pooled browser from the installed package, so rendering never needs the network
+const MERMAID_SCRIPT = require.resolve('mermaid/dist/mermaid.min.js');
+
+class DiagramService {
+    constructor() {
+        this.viz = null;
+    }
+
+    /**
+     * Supported diagram formats and limits
+     * @returns {Object} - { formats, maxSourceLength }
+     */
+    getOptions() {
+        return { formats: FORMATS, maxSourceLength: MAX_SOURCE_LENGTH };
+    }
+
+    /**
+     * Render diagram source to SVG
+     * Mistakes in the source are returned as `error` so they can be shown next to it;
+     * only failures of the renderer itself are thrown
+     * @param {String} format - mermaid | graphviz
+     * @param {String} source - Diagram source
+     * @returns {Promise<Object>} - { svg, error }
+     */
+    async render(format, source) {
+        const text = String(source || '').trim();
+        if (!text) return { svg: '', error: 'Diagram source is empty' };
+        if (text.length > MAX_SOURCE_LENGTH) {
+            return { svg: '', error: `Diagram source must be at most ${MAX_SOURCE_LENGTH} characters` };
+        }
+
+        switch (format) {
+            case 'graphviz':
+                return await this.renderGraphviz(text);
+            case 'mermaid':
+                return await this.renderMermaid(text);
+            default:
+                return { svg: '', error: `Diagram format must be one of: ${FORMATS.join(', ')}` };
+        }
+    }
+
+    /**
+     * Render Graphviz DOT with the WebAssembly build of Graphviz (in process)
+     * @param {String} source - DOT source
+     * @returns {Promise<Object>} - { svg, error }
+     */
+    async renderGraphviz(source) {
+        if (!this.viz) {
+            this.viz = await createViz();
+        }
+
+        const result = this.viz.render(source, { format: 'svg' });
+        if (result.status !== 'success') {
+            const messages = result.errors.filter(error => error.level === 'error').map(error => error.message);
+            return { svg: '', error: `Graphviz: ${messages.join('; ') || 'invalid diagram'}` };
+        }
+
+        return { svg: this.cleanSvg(result.output), error: null };
+    }
+
+    /**
+     * Render Mermaid in a pooled browser page
+     * Labels are drawn as SVG text (no HTML) so the image looks the same wherever it is shown
+     * @param {String} source - Mermaid source
+     * @returns {Promise<Object>} - { svg, error }
+     */
+    async renderMermaid(source) {
+        const result = await browserPoolService.withPage(async (page) => {
+            await page.setContent('<!DOCTYPE html><html><body></body></html>');
+            await page.addScriptTag({ path: MERMAID_SCRIPT });
+
+            return await page.evaluate(async (text) => {
+                try {
+                    window.mermaid.initialize({
+                        startOnLoad: false,
+                        securityLevel: 'strict',
+                        theme: 'neutral',
+                        htmlLabels: false,
+                        flowchart: { htmlLabels: false }
+                    });
+                    const { svg } = await window.mermaid.render('diagram', text);
+                    return { svg, error: null };
+                } catch (error) {
+                    return { svg: '', error: error.message || String(error) };
+                }
+            }, source);
+        });
+
+        if (result.error) {
+            return { svg: '', error: `Mermaid: ${result.error.split('\n').slice(0, 4).join(' ').trim()}` };
+        }
+
+        return { svg: this.sizeFromViewBox(this.cleanSvg(result.svg)), error: null };
+    }
+
+    /**
+     * Data URL of a rendered diagram
+     * Diagrams are always shown through <img>, where scripts and links in the SVG cannot run
+     * @param {String} svg - SVG markup
+     * @returns {String} - data: URL
+     */
+    toDataUrl(svg) {
+        return `data:image/svg+xml;base64,${Buffer.from(svg, 'utf8').toString('base64')}`;
+    }
+
+    /**
+     * Rendered diagrams of a worksheet as section images (for the PDF)
+     * @param {Array} diagrams - Worksheet diagrams
+     * @returns {Array} - [{ url, section, caption }]
+     */
+    toImages(diagrams = []) {
+        return diagrams
+            .filter(diagram => diagram.svg)
+            .map(diagram => ({
+                url: this.toDataUrl(diagram.svg),
+                section: diagram.section,
+                caption: diagram.title || 'Diagram'
+            }));
+    }
+
+    // Drop the XML prolog, doctype and comments in front of <svg>
+    cleanSvg(svg) {
+        const start = svg.indexOf('<svg');
+        return start === -1 ? svg : svg.slice(start);
+    }
+
+    // Mermaid sizes its SVG to 100% of the container; an <img> needs the real size
+    sizeFromViewBox(svg) {
+        const viewBox = svg.match(/<svg[^>]*\sviewBox="[\d.-]+\s+[\d.-]+\s+([\d.]+)\s+([\d.]+)"/);
+        if (!viewBox) return svg;
+
+        const [, width, height] = viewBox;
+        return svg.replace(/<svg([^>]*)>/, (match, attributes) => {
+            const rest = attributes
+                .replace(/\s(width|height)="[^"]*"/g, '')
+                .replace(/\sstyle="[^"]*"/, '');
+            return `<svg${rest} width="${Math.ceil(width)}" height="${Math.ceil(height)}">`;
+        });
+    }
+}
+
+export default new DiagramService();
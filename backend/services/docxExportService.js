@@ -0,0 +1,330 @@
+import {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    HeadingLevel,
+    ImageRun,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} from 'docx';
+import sectionRegistry from './sectionRegistry.js';
+import htmlConverterService from './htmlConverterService.js';
+import pdfGeneratorService from './pdfGeneratorService.js';
+import exportImageService from './exportImageService.js';
+
+const FONT = 'Times New Roman';
+const CODE_FONT = 'Courier New';
+
+// Largest embedded image size in pixels (fits an A4 page with margins)
+const MAX_IMAGE_WIDTH = 500;
+const MAX_IMAGE_HEIGHT = 350;
+
+const NO_BORDERS = {
+    top: { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' },
+    bottom: { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' },
+    left: { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' },
+    right: { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' },
+    insideHorizontal: { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' },
+    insideVertical: { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' }
+};
+
+class DocxExportService {
+    /**
+     * Generate an editable Word document for a worksheet
+     * Same layout as the PDF: header image, student details, sections in template order
+     * @param {Object} worksheet - Worksheet document
+     * @param {Object} user - User document
+     * @param {Object} template - Template document, optional
+     * @returns {Promise<Buffer>} - DOCX buffer
+     */
+    async generateWorksheetDocx(worksheet, user, template = null) {
+        try {
+            const images = worksheet.images || [];
+            const sections = pdfGeneratorService.getWorksheetSections(worksheet, template);
+            const imageCache = await exportImageService.loadImages([
+                worksheet.headerImageUrl,
+                ...images.map(image => image.url)
+            ]);
+
+            const children = [];
+
+            const header = imageCache.get(worksheet.headerImageUrl);
+            if (header) {
+                children.push(new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    children: [this._imageRun(header, 600, 100)]
+                }));
+            }
+
+            children.push(new Paragraph({
+                alignment: AlignmentType.CENTER,
+                spacing: { before: 200, after: 300 },
+                children: [new TextRun({
+                    text: `Worksheet No - ${pdfGeneratorService.cleanValue(worksheet.experimentNumber)}`,
+                    bold: true,
+                    size: 32,
+                    font: FONT
+                })]
+            }));
+
+            children.push(this._renderDetailsTable(worksheet, user));
+
+            if (!worksheet.content?.questionTitle) {
+                children.push(new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    spacing: { before: 300, after: 300 },
+                    children: [new TextRun({ text: worksheet.topic, bold: true, size: 28, font: FONT })]
+                }));
+            }
+
+            sections.forEach(section => {
+                children.push(...this._renderSection(section, images, imageCache));
+            });
+
+            children.push(...this._renderAdditionalImages(images, sections.map(section => section.key), imageCache));
+
+            const document = new Document({
+                creator: user.name || 'Worksheet AI',
+                title: `Worksheet - ${worksheet.topic}`,
+                styles: {
+                    default: {
+                        document: { run: { font: FONT, size: 22 } }
+                    }
+                },
+                sections: [{
+                    properties: {
+                        page: {
+                            // A4 with the same margins as the PDF (twips)
+                            size: { width: 11906, height: 16838 },
+                            margin: { top: 1134, right: 850, bottom: 1134, left: 850 }
+                        }
+                    },
+                    children
+                }]
+            });
+
+            return await Packer.toBuffer(document);
+        } catch (error) {
+            console.error('DOCX generation error:', error);
+            throw new Error('Failed to generate Word document');
+        }
+    }
+
+    // Two-column student details table without borders
+    _renderDetailsTable(worksheet, user) {
+        const clean = value => pdfGeneratorService.cleanValue(value);
+        const dateOfPerf = worksheet.dateOfPerformance
+            ? new Date(worksheet.dateOfPerformance).toLocaleDateString('en-IN')
+            : '';
+
+        const rows = [
+            [['Student Name', clean(user.name)], ['UID', clean(user.uid)]],
+            [['Branch', clean(user.branch || user.course)], ['Section/Group', clean(user.section)]],
+            [['Semester', clean(user.semester)], ['Date of Performance', dateOfPerf]],
+            [['Subject Name', clean(worksheet.subject || user.defaultSubject)], ['Subject Code', '']]
+        ];
+
+        const cell = ([label, value]) => new TableCell({
+            width: { size: 50, type: WidthType.PERCENTAGE },
+            children: [new Paragraph({
+                spacing: { after: 120 },
+                children: [
+                    new TextRun({ text: `${label.toUpperCase()}: `, bold: true, font: FONT }),
+                    new TextRun({ text: value || '', font: FONT })
+                ]
+            })]
+        });
+
+        return new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            borders: NO_BORDERS,
+            rows: rows.map(row => new TableRow({ children: row.map(cell) }))
+        });
+    }
+
+    // One section rendered by its type, followed by its images
+    _renderSection({ key, heading, type, value }, images, imageCache) {
+        const title = heading || sectionRegistry.getLabel(key);
+        let body = [];
+
+        if (key === 'output') {
+            body = this._htmlParagraphs(value || 'No output description provided');
+        } else if (type === 'list') {
+            body = (value || []).map(item => new Paragraph({
+                bullet: { level: 0 },
+                children: this._runs(htmlConverterService.toBlocks(item).flatMap(block => block.runs))
+            }));
+        } else if (type === 'code') {
+            body = this._renderCode(value);
+        } else if (type === 'table') {
+            body = this._renderTable(value);
+        } else {
+            body = this._htmlParagraphs(value);
+        }
+
+        if (body.length === 0) return [];
+
+        const headingText = type === 'code' && value?.language ? `${title} (${value.language})` : title;
+
+        return [
+            new Paragraph({
+                heading: HeadingLevel.HEADING_2,
+                spacing: { before: 240, after: 120 },
+                children: [new TextRun({ text: headingText.toUpperCase(), bold: true, size: 24, font: FONT, color: '000000' })]
+            }),
+            ...body,
+            ...this._renderImages(exportImageService.getSectionImages(images, key), imageCache, `Figure: ${title} Image`)
+        ];
+    }
+
+    _renderCode(code) {
+        if (!code) return [];
+
+        const source = typeof code === 'object' ? code.source || '' : String(code);
+        const explanation = typeof code === 'object' ? code.explanation || '' : '';
+        const paragraphs = [];
+
+        if (source) {
+            // One paragraph per line keeps indentation and lets Word wrap long lines
+            source.replace(/\t/g, '    ').split('\n').forEach(line => {
+                paragraphs.push(new Paragraph({
+                    spacing: { after: 0, line: 240 },
+                    shading: { type: ShadingType.CLEAR, fill: 'F8F9FA', color: 'auto' },
+                    children: [new TextRun({ text: line || ' ', font: CODE_FONT, size: 18 })]
+                }));
+            });
+        }
+
+        if (explanation) {
+            paragraphs.push(new Paragraph({
+                spacing: { before: 200 },
+                children: [new TextRun({ text: 'Explanation:', bold: true, italics: true })]
+            }));
+            paragraphs.push(...this._htmlParagraphs(explanation, { italics: true }));
+        }
+
+        return paragraphs;
+    }
+
+    _renderTable(table) {
+        if (!table) return [];
+
+        const caption = table.caption
+            ? [new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: table.caption, italics: true, size: 22 })] })]
+            : [];
+        if (!table.rows || table.rows.length === 0) return caption;
+
+        const columns = table.columns || [];
+        const cell = (text, isHeader) => new TableCell({
+            shading: isHeader ? { type: ShadingType.CLEAR, fill: 'F0F0F0', color: 'auto' } : undefined,
+            children: [new Paragraph({
+                children: [new TextRun({ text: String(text ?? ''), bold: isHeader, size: 20 })]
+            })]
+        });
+
+        const rows = [
+            ...(columns.length > 0 ? [new TableRow({ tableHeader: true, children: columns.map(column => cell(column, true)) })] : []),
+            ...table.rows.map(row => new TableRow({ children: row.map(value => cell(value, false)) }))
+        ];
+
+        return [...caption, new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows })];
+    }
+
+    // Paragraphs for an HTML fragment
+    _htmlParagraphs(html, baseFormat = {}) {
+        return htmlConverterService.toBlocks(html).map(block => {
+            const runs = this._runs(block.runs, baseFormat);
+
+            switch (block.type) {
+                case 'heading':
+                    return new Paragraph({ spacing: { before: 120, after: 80 }, children: this._runs(block.runs, { ...baseFormat, bold: true }) });
+                case 'listItem':
+                    return block.ordered
+                        ? new Paragraph({
+                            indent: { left: 720 * (block.level + 1), hanging: 360 },
+                            children: [new TextRun({ text: `${block.index}. `, ...baseFormat }), ...runs]
+                        })
+                        : new Paragraph({ bullet: { level: Math.min(block.level, 8) }, children: runs });
+                case 'pre':
+                    return new Paragraph({
+                        shading: { type: ShadingType.CLEAR, fill: 'F8F9FA', color: 'auto' },
+                        children: this._runs(block.runs, { ...baseFormat, code: true })
+                    });
+                default:
+                    return new Paragraph({ alignment: AlignmentType.JUSTIFIED, spacing: { after: 120 }, children: runs });
+            }
+        });
+    }
+
+    _runs(runs, baseFormat = {}) {
+        return runs.map(run => {
+            if (run.break) return new TextRun({ break: 1 });
+
+            const isCode = run.code || baseFormat.code;
+            return new TextRun({
+                text: run.text,
+                bold: run.bold || baseFormat.bold,
+                italics: run.italic || baseFormat.italics,
+                underline: run.underline ? {} : undefined,
+                font: isCode ? CODE_FONT : undefined,
+                size: isCode ? 18 : undefined
+            });
+        });
+    }
+
+    _renderAdditionalImages(images, renderedKeys, imageCache) {
+        const unassigned = exportImageService.getUnassignedImages(images, renderedKeys);
+        const paragraphs = this._renderImages(unassigned, imageCache, 'Figure: Additional Resource');
+        if (paragraphs.length === 0) return [];
+
+        return [
+            new Paragraph({
+                heading: HeadingLevel.HEADING_2,
+                spacing: { before: 240, after: 120 },
+                children: [new TextRun({ text: 'ADDITIONAL RESOURCES', bold: true, size: 24, font: FONT, color: '000000' })]
+            }),
+            ...paragraphs
+        ];
+    }
+
+    _renderImages(images, imageCache, defaultCaption) {
+        return images.flatMap(image => {
+            const data = imageCache.get(image.url);
+            if (!data) return [];
+
+            return [
+                new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    spacing: { before: 200 },
+                    children: [this._imageRun(data, MAX_IMAGE_WIDTH, MAX_IMAGE_HEIGHT)]
+                }),
+                new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    spacing: { after: 200 },
+                    children: [new TextRun({ text: image.caption || defaultCaption, italics: true, size: 18 })]
+                })
+            ];
+        });
+    }
+
+    // Scale an image down to fit the box, keeping its aspect ratio
+    _imageRun({ buffer, type, width, height }, maxWidth, maxHeight) {
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+        return new ImageRun({
+            type,
+            data: buffer,
+            transformation: {
+                width: Math.round(width * scale),
+                height: Math.round(height * scale)
+            }
+        });
+    }
+}
+
+export default new DocxExportService();
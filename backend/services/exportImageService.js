@@ -0,0 +1,107 @@
+import axios from 'axios';
+
+class ExportImageService {
+    /**
+     * Download images for embedding
+     * Images that fail to download or have an unknown format are skipped
+     * @param {Array} urls - Image URLs
+     * @returns {Promise<Map>} - url -> { buffer, type, width, height }
+     */
+    async loadImages(urls) {
+        const cache = new Map();
+        const uniqueUrls = [...new Set(urls.filter(Boolean))];
+
+        await Promise.all(uniqueUrls.map(async url => {
+            try {
+                const response = await axios.get(url, {
+                    responseType: 'arraybuffer',
+                    timeout: 15000,
+                    maxContentLength: 10 * 1024 * 1024
+                });
+                const buffer = Buffer.from(response.data);
+                const info = this.getImageInfo(buffer);
+                if (info) cache.set(url, { buffer, ...info });
+            } catch (error) {
+                console.error(`Failed to load image ${url} for export:`, error.message);
+            }
+        }));
+
+        return cache;
+    }
+
+    /**
+     * Detect format and pixel size from the image header
+     * @param {Buffer} buffer - Image data
+     * @returns {Object|null} - { type: 'png' | 'jpg' | 'gif' | 'bmp', width, height }
+     */
+    getImageInfo(buffer) {
+        if (buffer.length < 24) return null;
+
+        // PNG: IHDR width/height
+        if (buffer.readUInt32BE(0) === 0x89504e47) {
+            return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+
+        // GIF: logical screen size
+        if (buffer.toString('ascii', 0, 3) === 'GIF') {
+            return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+
+        // BMP: DIB header size
+        if (buffer.toString('ascii', 0, 2) === 'BM') {
+            return { type: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+        }
+
+        // JPEG: walk the markers until a start-of-frame
+        if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xff) {
+                    offset += 1;
+                    continue;
+                }
+                const marker = buffer[offset + 1];
+                const length = buffer.readUInt16BE(offset + 2);
+                const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+                if (isStartOfFrame) {
+                    return { type: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+                }
+                offset += 2 + length;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Images assigned to a section (same matching as the PDF)
+     * @param {Array} images - Worksheet images
+     * @param {String} key - Section key
+     * @returns {Array} - Images
+     */
+    getSectionImages(images, key) {
+        const sectionKey = key.toLowerCase();
+        return images.filter(image => {
+            const section = (image.section || '').toLowerCase();
+            return section === sectionKey ||
+                (sectionKey === 'output' && section === 'result') ||
+                (sectionKey === 'aim' && section === 'overview');
+        });
+    }
+
+    /**
+     * Images not shown with any rendered section
+     * @param {Array} images - Worksheet images
+     * @param {Array} renderedKeys - Keys of the rendered sections
+     * @returns {Array} - Images
+     */
+    getUnassignedImages(images, renderedKeys) {
+        const rendered = new Set(renderedKeys.map(key => key.toLowerCase()));
+        if (rendered.has('aim')) rendered.add('overview');
+        if (rendered.has('output')) rendered.add('result');
+
+        return images.filter(image => !image.section || !rendered.has(image.section.toLowerCase()));
+    }
+}
+
+export default new ExportImageService();
@@ -0,0 +1,137 @@
+import sectionRegistry from '../sectionRegistry.js';
+
+/**
+ * Deterministic fixtures for the mock AI provider (AI_PROVIDER=mock)
+ * Output depends only on the inputs, so local runs and demos are repeatable without an API key
+ */
+
+export const MOCK_STRUCTURE = {
+    sections: ['Aim', 'Problem Statement', 'Dataset', 'Algorithm', 'Objective', 'Code', 'Output', 'Learning Outcome'],
+    style: 'Formal Academic',
+    level: 'Post Graduate',
+    confidence: 'high'
+};
+
+/**
+ * Build a complete worksheet response for a topic
+ * @param {Object} params - Generation parameters (topic, syllabus, difficulty, userContext, images)
+ * @returns {Object} - Content shaped like the AI JSON reply
+ */
+export const buildWorksheetFixture = ({ topic, syllabus, difficulty, sections, userContext = {}, images = [] }) => {
+    const subject = userContext.subject || 'the subject';
+    const imageCount = images ? images.length : 0;
+    const indices = Array.from({ length: imageCount }, (_, index) => index);
+
+    return {
+        mainQuestionTitle: `Implement and analyse ${topic}`,
+        questionParts: [],
+        aim: `<p>To study and implement <b>${topic}</b> as part of ${subject}.</p>`,
+        problemStatement: `<p>Write a program that demonstrates ${topic}. The solution should follow the syllabus scope: ${syllabus}.</p>`,
+        dataset: {
+            caption: 'Hand-crafted sample input, small enough to verify manually',
+            columns: ['Input', 'Expected output'],
+            rows: [['1', '2'], ['2', '4'], ['3', '6'], ['4', '8']]
+        },
+        algorithm: [
+            '<ol>',
+            '<li>Read the input values.</li>',
+            `<li>Apply the core steps of ${topic}.</li>`,
+            '<li>Store the intermediate results.</li>',
+            '<li>Print the final result.</li>',
+            '</ol>'
+        ].join(''),
+        objective: [
+            `Understand the working principle of ${topic}`,
+            `Implement ${topic} in a working program`,
+            `Verify the output for a ${difficulty || 'medium'} difficulty input`
+        ],
+        code: {
+            language: 'python',
+            source: [
+                `# ${topic}`,
+                'def solve(values):',
+                '    result = []',
+                '    for value in values:',
+                '        result.append(value * 2)',
+                '    return result',
+                '',
+                'if __name__ == "__main__":',
+                '    print(solve([1, 2, 3, 4]))'
+            ].join('\n'),
+            explanation: '<p>The <code>solve</code> function processes each input value and returns the collected results.</p>'
+        },
+        output: '<pre>[2, 4, 6, 8]</pre>',
+        conclusion: `<p>${topic} was implemented successfully and produced the expected output.</p>`,
+        learningOutcome: [
+            `Explained the concept behind ${topic}`,
+            'Translated an algorithm into working code',
+            'Validated program output against expected results'
+        ],
+        imageAnalysis: imageCount > 0 ? `${imageCount} image(s) attached by the user` : '',
+        imagePlacements: imageCount > 0 ? { output: indices } : {},
+        imageCaptions: indices.map(index => `Figure ${index + 1}: Output of ${topic}`),
+        additionalNotes: '',
+        customSections: sectionRegistry.getCustomHeadings(sections).map(heading => ({
+            heading,
+            type: 'html',
+            content: `<p>${heading} for ${topic}.</p>`
+        }))
+    };
+};
+
+/**
+ * Build a regenerated value for a single section, shaped for its type
+ * @param {Object} section - { key, heading, type, value }
+ * @param {Object} context - Worksheet context (topic, instruction)
+ * @returns {*} - Section value
+ */
+export const buildSectionFixture = (section, context = {}) => {
+    const heading = section.heading || section.key;
+    const topic = context.topic || 'this worksheet';
+    const note = context.instruction ? ` (${context.instruction})` : '';
+
+    switch (section.type) {
+        case 'list':
+            return [`Regenerated ${heading} point 1 for ${topic}${note}`, `Regenerated ${heading} point 2 for ${topic}`];
+        case 'code':
+            return {
+                language: section.value?.language || 'python',
+                source: `# Regenerated ${heading} for ${topic}${note}\nprint("${topic}")`,
+                explanation: `<p>Regenerated explanation for ${topic}.</p>`
+            };
+        case 'table':
+            return { columns: ['Input', 'Output'], rows: [['1', '1'], ['2', '4']] };
+        default:
+            return `<p>Regenerated ${heading} for ${topic}${note}.</p>`;
+    }
+};
+
+/**
+ * Build a rewritten passage for an inline rewrite action
+ * @param {Object} params - { text, action, language }
+ * @returns {String} - Replacement text
+ */
+export const buildRewriteFixture = ({ text, action, language }) => {
+    switch (action) {
+        case 'expand':
+            return `${text} This is explained in more detail for the mock provider.`;
+        case 'grammar':
+            return text.trim().replace(/^./, char => char.toUpperCase());
+        case 'formal':
+            return `It may be observed that ${text.trim().replace(/^./, char => char.toLowerCase())}`;
+        case 'translate':
+            return `[${language || 'English'}] ${text}`;
+        default:
+            return `In short: ${text}`;
+    }
+};
+
+/**
+ * Reply for free-form prompts (connection test and other plain text calls)
+ * @param {String} prompt - Prompt text
+ * @returns {String} - Reply text
+ */
+export const buildTextReply = (prompt = '') => {
+    const quoted = prompt.match(/Say "([^"]+)"/);
+    return quoted ? quoted[1] : 'Mock AI response';
+};
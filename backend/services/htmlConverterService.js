@@ -0,0 +1,337 @@
+// Tags that start a new block of text
+const BLOCK_TAGS = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'pre', 'blockquote', 'tr'];
+
+const ENTITIES = {
+    '&nbsp;': ' ',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#039;': "'",
+    '&#39;': "'",
+    '&apos;': "'",
+    '&amp;': '&'
+};
+
+class HtmlConverterService {
+    /**
+     * Break the stored section HTML into blocks of formatted text runs
+     * Only the small subset the AI and editor produce is understood
+     * (paragraphs, headings, lists, pre, b/i/u/code, br); other tags are dropped
+     * @param {String} html - Section HTML
+     * @returns {Array} - [{ type: 'paragraph' | 'heading' | 'listItem' | 'pre', level, ordered, index, runs }]
+     */
+    toBlocks(html) {
+        if (!html) return [];
+
+        const blocks = [];
+        const lists = [];
+        const format = { bold: 0, italic: 0, underline: 0, code: 0, pre: 0 };
+        let current = null;
+
+        const flush = () => {
+            if (current && current.runs.some(run => run.break || run.text.trim())) {
+                // Trim whitespace at the block edges
+                const first = current.runs.find(run => !run.break);
+                const last = [...current.runs].reverse().find(run => !run.break);
+                if (current.type !== 'pre') {
+                    if (first) first.text = first.text.replace(/^\s+/, '');
+                    if (last) last.text = last.text.replace(/\s+$/, '');
+                }
+                current.runs = current.runs.filter(run => run.break || run.text);
+                blocks.push(current);
+            }
+            current = null;
+        };
+
+        const start = (type, extra = {}) => {
+            flush();
+            current = { type, runs: [], ...extra };
+        };
+
+        const tokens = String(html).split(/(<[^>]+>)/);
+
+        tokens.forEach(token => {
+            if (!token) return;
+
+            const tag = token.match(/^<\s*(\/)?\s*([a-zA-Z0-9]+)[^>]*?(\/)?\s*>$/);
+            if (!tag) {
+                if (token.startsWith('<')) return; // comments, doctype
+
+                const text = format.pre > 0
+                    ? this.decodeEntities(token)
+                    : this.decodeEntities(token.replace(/\s+/g, ' '));
+                if (!current) {
+                    if (!text.trim()) return;
+                    start(lists.length > 0 ? 'listItem' : 'paragraph', this._listInfo(lists));
+                }
+                const run = {
+                    bold: format.bold > 0,
+                    italic: format.italic > 0,
+                    underline: format.underline > 0,
+                    code: format.code > 0 || format.pre > 0
+                };
+                // Preformatted newlines become explicit line breaks
+                text.split('\n').forEach((line, idx) => {
+                    if (idx > 0) current.runs.push({ text: '', break: true });
+                    current.runs.push({ ...run, text: line });
+                });
+                return;
+            }
+
+            const isClosing = Boolean(tag[1]);
+            const name = tag[2].toLowerCase();
+
+            switch (name) {
+                case 'b':
+                case 'strong':
+                    format.bold += isClosing ? -1 : 1;
+                    break;
+                case 'i':
+                case 'em':
+                    format.italic += isClosing ? -1 : 1;
+                    break;
+                case 'u':
+                    format.underline += isClosing ? -1 : 1;
+                    break;
+                case 'code':
+                case 'kbd':
+                case 'tt':
+                    format.code += isClosing ? -1 : 1;
+                    break;
+                case 'br':
+                    if (!current) start(lists.length > 0 ? 'listItem' : 'paragraph', this._listInfo(lists));
+                    current.runs.push({ text: '', break: true });
+                    break;
+                case 'ul':
+                case 'ol':
+                    flush();
+                    if (isClosing) lists.pop();
+                    else lists.push({ ordered: name === 'ol', index: 0 });
+                    break;
+                case 'td':
+                case 'th':
+                    if (!isClosing && current && current.runs.length > 0) {
+                        current.runs.push({ text: ' | ' });
+                    }
+                    break;
+                default:
+                    if (!BLOCK_TAGS.includes(name)) break;
+
+                    if (isClosing) {
+                        if (name === 'pre') format.pre = Math.max(0, format.pre - 1);
+                        flush();
+                    } else if (name === 'li') {
+                        const list = lists[lists.length - 1];
+                        if (list) list.index += 1;
+                        start('listItem', this._listInfo(lists));
+                    } else if (/^h[1-6]$/.test(name)) {
+                        start('heading', { level: parseInt(name[1]) });
+                    } else if (name === 'pre') {
+                        format.pre += 1;
+                        start('pre');
+                    } else {
+                        start(lists.length > 0 ? 'listItem' : 'paragraph', this._listInfo(lists));
+                    }
+            }
+
+            // Clamp counters for unbalanced markup
+            Object.keys(format).forEach(key => {
+                if (format[key] < 0) format[key] = 0;
+            });
+        });
+
+        flush();
+        return blocks;
+    }
+
+    _listInfo(lists) {
+        const list = lists[lists.length - 1];
+        if (!list) return {};
+        return { level: lists.length - 1, ordered: list.ordered, index: list.index || 1 };
+    }
+
+    /**
+     * Plain text of an HTML fragment, one line per block
+     * @param {String} html - HTML fragment
+     * @returns {String} - Text
+     */
+    toPlainText(html) {
+        return this.toBlocks(html)
+            .map(block => block.runs.map(run => (run.break ? '\n' : run.text)).join(''))
+            .join('\n');
+    }
+
+    /**
+     * Read the first table of an HTML fragment into a table section value
+     * Text outside the table becomes the caption (datasets used to be a description plus a table)
+     * @param {String} html - HTML fragment
+     * @returns {Object} - { columns, rows, caption }
+     */
+    tableFromHtml(html) {
+        const source = String(html || '');
+        const table = source.match(/<table[\s>][\s\S]*?<\/table>/i);
+        const cleanText = text => this.toPlainText(text).replace(/\s+/g, ' ').trim();
+        const caption = cleanText(table ? source.replace(table[0], ' ') : source);
+
+        if (!table) return { columns: [], rows: [], caption };
+
+        const rows = [...table[0].matchAll(/<tr[\s>][\s\S]*?<\/tr>/gi)].map(([row]) => ({
+            header: /<th[\s>]/i.test(row) && !/<td[\s>]/i.test(row),
+            cells: [...row.matchAll(/<t([hd])(?:\s[^>]*)?>([\s\S]*?)<\/t\1>/gi)].map(([, , cell]) => cleanText(cell))
+        }));
+        const header = rows[0]?.header ? rows.shift() : null;
+
+        return { columns: header ? header.cells : [], rows: rows.map(row => row.cells), caption };
+    }
+
+    /**
+     * Convert an HTML fragment to GitHub-flavored Markdown
+     * @param {String} html - HTML fragment
+     * @returns {String} - Markdown
+     */
+    toMarkdown(html) {
+        const blocks = this.toBlocks(html);
+
+        return blocks.map((block, idx) => {
+            let text;
+            switch (block.type) {
+                case 'heading':
+                    text = `${'#'.repeat(Math.min(block.level + 2, 6))} ${this._markdownRuns(block.runs)}`;
+                    break;
+                case 'listItem':
+                    text = `${'  '.repeat(block.level || 0)}${block.ordered ? `${block.index}.` : '-'} ${this._markdownRuns(block.runs)}`;
+                    break;
+                case 'pre': {
+                    const code = block.runs.map(run => (run.break ? '\n' : run.text)).join('');
+                    const fence = this.markdownFence(code);
+                    text = `${fence}\n${code}\n${fence}`;
+                    break;
+                }
+                default:
+                    text = this._markdownRuns(block.runs);
+            }
+
+            // List items stay together, everything else is separated by a blank line
+            const next = blocks[idx + 1];
+            const separator = !next ? '' : block.type === 'listItem' && next.type === 'listItem' ? '\n' : '\n\n';
+            return text + separator;
+        }).join('');
+    }
+
+    _markdownRuns(runs) {
+        return runs.map(run => {
+            if (run.break) return '  \n';
+            if (!run.text.trim()) return run.text;
+
+            // Keep surrounding spaces outside the markers so emphasis is recognised
+            const [, lead, core, trail] = run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            let text = run.code ? `\`${core.replace(/`/g, '\\`')}\`` : this.escapeMarkdown(core);
+            if (run.italic) text = `*${text}*`;
+            if (run.bold) text = `**${text}**`;
+            return `${lead}${text}${trail}`;
+        }).join('');
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+    }
+
+    // Code fence longer than any backtick run inside the code
+    markdownFence(code) {
+        const longest = Math.max(0, ...(String(code).match(/`+/g) || []).map(run => run.length));
+        return '`'.repeat(Math.max(3, longest + 1));
+    }
+
+    /**
+     * Convert an HTML fragment to LaTeX body markup
+     * @param {String} html - HTML fragment
+     * @returns {String} - LaTeX
+     */
+    toLatex(html) {
+        const lines = [];
+        const openLists = [];
+
+        const closeListsTo = (depth) => {
+            while (openLists.length > depth) {
+                lines.push(`\\end{${openLists.pop()}}`);
+            }
+        };
+
+        this.toBlocks(html).forEach(block => {
+            if (block.type !== 'listItem') {
+                closeListsTo(0);
+            } else {
+                const env = block.ordered ? 'enumerate' : 'itemize';
+                closeListsTo(block.level + 1);
+                if (openLists.length === block.level + 1 && openLists[block.level] !== env) {
+                    closeListsTo(block.level);
+                }
+                while (openLists.length < block.level + 1) {
+                    openLists.push(env);
+                    lines.push(`\\begin{${env}}`);
+                }
+                lines.push(`  \\item ${this._latexRuns(block.runs)}`);
+                return;
+            }
+
+            switch (block.type) {
+                case 'heading':
+                    lines.push(`\\subsubsection*{${this._latexRuns(block.runs)}}`, '');
+                    break;
+                case 'pre':
+                    lines.push(
+                        '\\begin{verbatim}',
+                        block.runs.map(run => (run.break ? '\n' : run.text)).join(''),
+                        '\\end{verbatim}',
+                        ''
+                    );
+                    break;
+                default:
+                    lines.push(this._latexRuns(block.runs), '');
+            }
+        });
+
+        closeListsTo(0);
+        return lines.join('\n').trim();
+    }
+
+    _latexRuns(runs) {
+        return runs.map(run => {
+            if (run.break) return '\\newline ';
+
+            let text = this.escapeLatex(run.text);
+            if (run.code) text = `\\texttt{${text}}`;
+            if (run.underline) text = `\\underline{${text}}`;
+            if (run.italic) text = `\\emph{${text}}`;
+            if (run.bold) text = `\\textbf{${text}}`;
+            return text;
+        }).join('');
+    }
+
+    escapeLatex(text) {
+        const map = {
+            '\\': '\\textbackslash{}',
+            '{': '\\{',
+            '}': '\\}',
+            '$': '\\$',
+            '&': '\\&',
+            '#': '\\#',
+            '^': '\\textasciicircum{}',
+            '_': '\\_',
+            '%': '\\%',
+            '~': '\\textasciitilde{}',
+            '|': '\\textbar{}',
+            '<': '\\textless{}',
+            '>': '\\textgreater{}'
+        };
+        return String(text).replace(/[\\{}$&#^_%~|<>]/g, char => map[char]);
+    }
+
+    decodeEntities(text) {
+        return String(text)
+            .replace(/&(nbsp|lt|gt|quot|apos|amp|#0?39);/g, entity => ENTITIES[entity] ?? entity)
+            .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+    }
+}
+
+export default new HtmlConverterService();
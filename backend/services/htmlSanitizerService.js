@@ -0,0 +1,139 @@
+import sanitizeHtml from 'sanitize-html';
+import sectionRegistry from './sectionRegistry.js';
+
+const CSS_LENGTH = /^(0|\d+(\.\d+)?(px|em|rem|pt|%))$/;
+const CSS_BOX = /^(0|auto|\d+(\.\d+)?(px|em|rem|pt|%))(\s+(0|auto|\d+(\.\d+)?(px|em|rem|pt|%))){0,3}$/;
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+const CSS_BORDER = /^(none|\d+(\.\d+)?px\s+(solid|dashed|dotted)(\s+(#[0-9a-f]{3,8}|[a-z]+))?)$/i;
+
+// Allow-list for worksheet markup: text formatting, headings, lists, tables and the inline styles the AI prompt uses
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'hr', 'div', 'span', 'blockquote',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'sub', 'sup', 'mark', 'small',
+        'code', 'pre', 'kbd', 'samp',
+        'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+        'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'colgroup', 'col',
+        'a', 'img'
+    ],
+    allowedAttributes: {
+        '*': ['style', 'class'],
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        ol: ['start', 'type'],
+        th: ['colspan', 'rowspan', 'scope'],
+        td: ['colspan', 'rowspan'],
+        col: ['span']
+    },
+    // Editor formatting classes (ql-align-center, ql-indent-1, ...) and our own table class
+    allowedClasses: {
+        '*': ['ql-*', 'data-table', 'language-*']
+    },
+    allowedStyles: {
+        '*': {
+            'text-align': [/^(left|right|center|justify)$/],
+            'font-weight': [/^(normal|bold|bolder|lighter|\d{3})$/],
+            'font-style': [/^(normal|italic)$/],
+            'text-decoration': [/^(none|underline|line-through)$/],
+            color: [CSS_COLOR],
+            'background-color': [CSS_COLOR],
+            'font-size': [CSS_LENGTH],
+            'line-height': [/^\d+(\.\d+)?(px|em|%)?$/],
+            background: [CSS_COLOR],
+            margin: [CSS_BOX],
+            'margin-left': [CSS_LENGTH],
+            'margin-top': [CSS_LENGTH],
+            'margin-bottom': [CSS_LENGTH],
+            padding: [CSS_BOX],
+            'padding-left': [CSS_LENGTH],
+            border: [CSS_BORDER],
+            'border-collapse': [/^(collapse|separate)$/],
+            'list-style-type': [/^[a-z-]+$/],
+            width: [CSS_LENGTH]
+        }
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['http', 'https', 'data']
+    },
+    allowProtocolRelative: false,
+    // Drop the contents of these entirely instead of keeping their text
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'iframe', 'object', 'embed'],
+    transformTags: {
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: attribs.target === '_blank'
+                ? { ...attribs, rel: 'noopener noreferrer' }
+                : attribs
+        })
+    }
+};
+
+class HtmlSanitizerService {
+    /**
+     * Clean an HTML fragment with the worksheet allow-list
+     * Scripts, event handlers, javascript: URLs and unknown tags are removed
+     * @param {String} html - Untrusted HTML
+     * @returns {String} - Safe HTML
+     */
+    sanitize(html) {
+        if (html === undefined || html === null || html === '') return '';
+        return sanitizeHtml(String(html), SANITIZE_OPTIONS);
+    }
+
+    /**
+     * Clean a section value by section type
+     * Code source and table cells are plain text (escaped when rendered) and kept as is
+     * @param {String} type - html | list | code | table
+     * @param {*} value - Section value
+     * @returns {*} - Clean value
+     */
+    sanitizeSectionValue(type, value) {
+        if (value === undefined || value === null) return value;
+
+        switch (type) {
+            case 'list':
+                return Array.isArray(value)
+                    ? value.map(item => this.sanitize(item))
+                    : this.sanitize(value);
+            case 'code':
+                if (typeof value !== 'object') return value;
+                return { ...value, explanation: this.sanitize(value.explanation) };
+            case 'table':
+                // Datasets written before they became tables are still HTML
+                return typeof value === 'string' ? this.sanitize(value) : value;
+            default:
+                return typeof value === 'string' ? this.sanitize(value) : value;
+        }
+    }
+
+    /**
+     * Clean every section of a worksheet
+     * @param {Array} sections - [{ key, heading, type, value }]
+     * @returns {Array} - Clean sections
+     */
+    sanitizeSections(sections = []) {
+        return sections.map(section => ({
+            ...section,
+            value: this.sanitizeSectionValue(section.type, section.value)
+        }));
+    }
+
+    /**
+     * Clean the section fields of worksheet content (or a partial content patch)
+     * Fields without a section (questionParts, imageAnalysis) are plain data and kept as is
+     * @param {Object} content - Worksheet content
+     * @returns {Object} - Clean content
+     */
+    sanitizeContent(content = {}) {
+        if (!content || typeof content !== 'object') return content;
+
+        return Object.fromEntries(Object.entries(content).map(([field, value]) => {
+            const key = sectionRegistry.getKeyForField(field);
+            return [field, key ? this.sanitizeSectionValue(sectionRegistry.getType(key), value) : value];
+        }));
+    }
+}
+
+export default new HtmlSanitizerService();
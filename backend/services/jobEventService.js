@@ -0,0 +1,70 @@
+import { EventEmitter } from 'events';
+
+class JobEventService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // One listener per open SSE connection
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Publish an event for a generation job
+     * @param {String} jobId - Generation job ID
+     * @param {String} event - Event name ('stage' or 'status')
+     * @param {Object} data - Event payload
+     */
+    publish(jobId, event, data) {
+        this.emitter.emit(jobId.toString(), { event, data });
+    }
+
+    /**
+     * Publish the current state of a job
+     * @param {Object} job - GenerationJob document
+     */
+    publishStatus(job) {
+        this.publish(job._id, 'status', this.toStatus(job));
+    }
+
+    /**
+     * Subscribe to events for a generation job
+     * @param {String} jobId - Generation job ID
+     * @param {Function} listener - Called with { event, data }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(jobId, listener) {
+        const key = jobId.toString();
+        this.emitter.on(key, listener);
+        return () => this.emitter.off(key, listener);
+    }
+
+    /**
+     * Build the status payload sent to clients
+     * @param {Object} job - GenerationJob document
+     * @returns {Object} - Status snapshot
+     */
+    toStatus(job) {
+        return {
+            jobId: job._id,
+            status: job.status,
+            error: job.error,
+            worksheetId: job.worksheetId,
+            pdf: {
+                status: job.pdf.status,
+                url: job.pdf.url,
+                error: job.pdf.error
+            }
+        };
+    }
+
+    /**
+     * Check whether a job will not emit any further events
+     * @param {Object} status - Status snapshot from toStatus()
+     * @returns {Boolean}
+     */
+    isFinished(status) {
+        if (status.status === 'failed') return true;
+        return status.status === 'succeeded' && ['succeeded', 'failed'].includes(status.pdf.status);
+    }
+}
+
+export default new JobEventService();
@@ -0,0 +1,341 @@
+import JSZip from 'jszip';
+import sectionRegistry from './sectionRegistry.js';
+import htmlConverterService from './htmlConverterService.js';
+import exportImageService from './exportImageService.js';
+import pdfGeneratorService from './pdfGeneratorService.js';
+
+// listings package language names for the languages the AI produces
+const LISTINGS_LANGUAGES = {
+    python: 'Python',
+    java: 'Java',
+    c: 'C',
+    cpp: 'C++',
+    'c++': 'C++',
+    csharp: '[Sharp]C',
+    'c#': '[Sharp]C',
+    sql: 'SQL',
+    r: 'R',
+    bash: 'bash',
+    shell: 'bash',
+    sh: 'bash',
+    matlab: 'Matlab',
+    html: 'HTML',
+    xml: 'XML',
+    php: 'PHP',
+    ruby: 'Ruby',
+    perl: 'Perl',
+    go: 'Go'
+};
+
+// pdflatex can only include these image formats
+const LATEX_IMAGE_TYPES = ['png', 'jpg'];
+
+const FORMATS = {
+    latex: { file: 'worksheet.tex' },
+    markdown: { file: 'README.md' }
+};
+
+class MarkupExportService {
+    /**
+     * Export a worksheet as LaTeX or Markdown, zipped with its images
+     * @param {Object} worksheet - Worksheet document
+     * @param {Object} user - User document
+     * @param {Object} template - Template document, optional
+     * @param {String} format - 'latex' | 'markdown'
+     * @returns {Promise<Buffer>} - ZIP buffer
+     */
+    async generateWorksheetBundle(worksheet, user, template, format) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        try {
+            const images = worksheet.images || [];
+            const sections = pdfGeneratorService.getWorksheetSections(worksheet, template);
+            const imageCache = await exportImageService.loadImages([
+                worksheet.headerImageUrl,
+                ...images.map(image => image.url)
+            ]);
+
+            // Give every downloaded image a stable file name inside images/
+            const zip = new JSZip();
+            const files = new Map();
+            const counters = {};
+            const addImage = (url, name) => {
+                const data = imageCache.get(url);
+                if (!data || files.has(url)) return;
+                counters[name] = (counters[name] || 0) + 1;
+                const path = `images/${name}-${counters[name]}.${data.type}`;
+                files.set(url, { path, type: data.type });
+                zip.file(path, data.buffer);
+            };
+
+            addImage(worksheet.headerImageUrl, 'header');
+            images.forEach(image => addImage(image.url, (image.section || 'image').replace(/[^a-zA-Z0-9-]+/g, '-')));
+
+            const document = format === 'latex'
+                ? this.toLatex(worksheet, user, sections, images, files)
+                : this.toMarkdown(worksheet, user, sections, images, files);
+
+            zip.file(FORMATS[format].file, document);
+
+            return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+        } catch (error) {
+            console.error(`${format} export error:`, error);
+            throw new Error(`Failed to export worksheet as ${format}`);
+        }
+    }
+
+    /**
+     * Student details shown in the header table
+     * @returns {Array} - [[label, value], ...] pairs, two per row
+     */
+    _details(worksheet, user) {
+        const clean = value => pdfGeneratorService.cleanValue(value);
+        const dateOfPerf = worksheet.dateOfPerformance
+            ? new Date(worksheet.dateOfPerformance).toLocaleDateString('en-IN')
+            : '';
+
+        return [
+            [['Student Name', clean(user.name)], ['UID', clean(user.uid)]],
+            [['Branch', clean(user.branch || user.course)], ['Section/Group', clean(user.section)]],
+            [['Semester', clean(user.semester)], ['Date of Performance', dateOfPerf]],
+            [['Subject Name', clean(worksheet.subject || user.defaultSubject)], ['Subject Code', '']]
+        ];
+    }
+
+    // ========== MARKDOWN ==========
+
+    toMarkdown(worksheet, user, sections, images, files) {
+        const parts = [];
+        const header = files.get(worksheet.headerImageUrl);
+
+        if (header) parts.push(`![University Header](${header.path})`);
+        parts.push(`# Worksheet No - ${pdfGeneratorService.cleanValue(worksheet.experimentNumber)}`);
+        parts.push([
+            '| | |',
+            '|---|---|',
+            ...this._details(worksheet, user).map(row =>
+                `| ${row.map(([label, value]) => `**${label}:** ${this._markdownCell(value)}`).join(' | ')} |`
+            )
+        ].join('\n'));
+
+        if (!worksheet.content?.questionTitle) {
+            parts.push(`**${htmlConverterService.escapeMarkdown(worksheet.topic)}**`);
+        }
+
+        sections.forEach(section => {
+            const body = this._markdownSection(section);
+            if (!body) return;
+
+            const title = section.heading || sectionRegistry.getLabel(section.key);
+            parts.push(`## ${title}`, body);
+            parts.push(...this._markdownImages(exportImageService.getSectionImages(images, section.key), files, `Figure: ${title} Image`));
+        });
+
+        const additional = this._markdownImages(
+            exportImageService.getUnassignedImages(images, sections.map(section => section.key)),
+            files,
+            'Figure: Additional Resource'
+        );
+        if (additional.length > 0) {
+            parts.push('## Additional Resources', ...additional);
+        }
+
+        return parts.join('\n\n') + '\n';
+    }
+
+    _markdownSection({ key, type, value }) {
+        if (key === 'output') {
+            return htmlConverterService.toMarkdown(value) || 'No output description provided';
+        }
+
+        switch (type) {
+            case 'list':
+                return (value || []).map(item => `- ${htmlConverterService.toMarkdown(item).replace(/\n+/g, ' ')}`).join('\n');
+            case 'code': {
+                if (!value) return '';
+                const source = value.source || '';
+                const fence = htmlConverterService.markdownFence(source);
+                const parts = [];
+                if (source) parts.push(`${fence}${(value.language || '').toLowerCase()}\n${source}\n${fence}`);
+                if (value.explanation) parts.push(`**Explanation:**\n\n${htmlConverterService.toMarkdown(value.explanation)}`);
+                return parts.join('\n\n');
+            }
+            case 'table': {
+                const caption = value?.caption ? `*${htmlConverterService.escapeMarkdown(value.caption)}*` : '';
+                if (!value?.rows?.length) return caption;
+                const width = Math.max(value.columns?.length || 0, ...value.rows.map(row => row.length));
+                const header = value.columns?.length ? value.columns : new Array(width).fill('');
+                const row = cells => `| ${Array.from({ length: width }, (_, idx) => this._markdownCell(cells[idx])).join(' | ')} |`;
+                const table = [row(header), `|${' --- |'.repeat(width)}`, ...value.rows.map(row)].join('\n');
+                return caption ? `${caption}\n\n${table}` : table;
+            }
+            default:
+                return htmlConverterService.toMarkdown(value);
+        }
+    }
+
+    _markdownCell(value) {
+        return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    }
+
+    _markdownImages(images, files, defaultCaption) {
+        return images
+            .filter(image => files.has(image.url))
+            .map(image => {
+                const caption = image.caption || defaultCaption;
+                return `![${caption.replace(/[[\]]/g, '')}](${files.get(image.url).path})\n\n*${htmlConverterService.escapeMarkdown(caption)}*`;
+            });
+    }
+
+    // ========== LATEX ==========
+
+    toLatex(worksheet, user, sections, images, files) {
+        const escape = text => htmlConverterService.escapeLatex(text);
+        const header = files.get(worksheet.headerImageUrl);
+        const lines = [
+            '\\documentclass[11pt,a4paper]{article}',
+            '\\usepackage[utf8]{inputenc}',
+            '\\usepackage[T1]{fontenc}',
+            '\\usepackage[margin=20mm]{geometry}',
+            '\\usepackage{graphicx}',
+            '\\usepackage{float}',
+            '\\usepackage{xcolor}',
+            '\\usepackage{listings}',
+            '\\usepackage{array}',
+            '',
+            '\\lstset{',
+            '  basicstyle=\\ttfamily\\small,',
+            '  backgroundcolor=\\color{gray!8},',
+            '  frame=single,',
+            '  breaklines=true,',
+            '  columns=fullflexible,',
+            '  keepspaces=true,',
+            '  showstringspaces=false',
+            '}',
+            '',
+            '\\begin{document}',
+            ''
+        ];
+
+        if (header && LATEX_IMAGE_TYPES.includes(header.type)) {
+            lines.push('\\begin{center}', `\\includegraphics[width=\\textwidth,height=25mm,keepaspectratio]{${header.path}}`, '\\end{center}', '');
+        }
+
+        lines.push(
+            '\\begin{center}',
+            `{\\Large\\textbf{Worksheet No - ${escape(pdfGeneratorService.cleanValue(worksheet.experimentNumber))}}}`,
+            '\\end{center}',
+            '',
+            '\\noindent',
+            '\\begin{tabular}{@{}p{0.5\\textwidth}p{0.5\\textwidth}@{}}',
+            ...this._details(worksheet, user).map(row =>
+                `${row.map(([label, value]) => `\\textbf{${escape(label.toUpperCase())}:} ${escape(value)}`).join(' & ')} \\\\[4pt]`
+            ),
+            '\\end{tabular}',
+            ''
+        );
+
+        if (!worksheet.content?.questionTitle) {
+            lines.push('\\begin{center}', `\\textbf{${escape(worksheet.topic)}}`, '\\end{center}', '');
+        }
+
+        sections.forEach(section => {
+            const body = this._latexSection(section);
+            if (!body) return;
+
+            const title = section.heading || sectionRegistry.getLabel(section.key);
+            lines.push(`\\section*{${escape(title)}}`, body, '');
+            lines.push(...this._latexFigures(exportImageService.getSectionImages(images, section.key), files, `${title} Image`));
+        });
+
+        const additional = this._latexFigures(
+            exportImageService.getUnassignedImages(images, sections.map(section => section.key)),
+            files,
+            'Additional Resource'
+        );
+        if (additional.length > 0) {
+            lines.push('\\section*{Additional Resources}', ...additional);
+        }
+
+        lines.push('\\end{document}', '');
+        return lines.join('\n');
+    }
+
+    _latexSection({ key, type, value }) {
+        if (key === 'output') {
+            return htmlConverterService.toLatex(value) || 'No output description provided';
+        }
+
+        switch (type) {
+            case 'list':
+                if (!value || value.length === 0) return '';
+                return [
+                    '\\begin{itemize}',
+                    ...value.map(item => `  \\item ${htmlConverterService.toLatex(item).replace(/\n+/g, ' ')}`),
+                    '\\end{itemize}'
+                ].join('\n');
+            case 'code': {
+                if (!value) return '';
+                const parts = [];
+                if (value.source) {
+                    const language = LISTINGS_LANGUAGES[(value.language || '').toLowerCase()];
+                    parts.push(
+                        `\\begin{lstlisting}${language ? `[language=${language}]` : ''}`,
+                        value.source,
+                        '\\end{lstlisting}'
+                    );
+                }
+                if (value.explanation) {
+                    parts.push('', '\\textbf{Explanation:}', '', htmlConverterService.toLatex(value.explanation));
+                }
+                return parts.join('\n');
+            }
+            case 'table': {
+                const escape = text => htmlConverterService.escapeLatex(text ?? '');
+                const caption = value?.caption ? `\\emph{${escape(value.caption)}}\n\n` : '';
+                if (!value?.rows?.length) return caption.trim();
+                const width = Math.max(value.columns?.length || 0, ...value.rows.map(row => row.length));
+                const row = (cells, format = text => text) =>
+                    `${Array.from({ length: width }, (_, idx) => format(escape(cells[idx]))).join(' & ')} \\\\ \\hline`;
+                return caption + [
+                    '\\begin{center}',
+                    `\\begin{tabular}{|${'l|'.repeat(width)}}`,
+                    '\\hline',
+                    ...(value.columns?.length ? [row(value.columns, text => `\\textbf{${text}}`)] : []),
+                    ...value.rows.map(cells => row(cells)),
+                    '\\end{tabular}',
+                    '\\end{center}'
+                ].join('\n');
+            }
+            default:
+                return htmlConverterService.toLatex(value);
+        }
+    }
+
+    _latexFigures(images, files, defaultCaption) {
+        return images
+            .filter(image => files.has(image.url))
+            .flatMap(image => {
+                const { path, type } = files.get(image.url);
+                const caption = htmlConverterService.escapeLatex(image.caption || defaultCaption);
+
+                // GIF/BMP stay in the zip but need converting before pdflatex can use them
+                if (!LATEX_IMAGE_TYPES.includes(type)) {
+                    return [`% ${path}: convert to PNG to include it (${caption})`, ''];
+                }
+
+                return [
+                    '\\begin{figure}[H]',
+                    '  \\centering',
+                    `  \\includegraphics[width=0.8\\textwidth,keepaspectratio]{${path}}`,
+                    `  \\caption{${caption}}`,
+                    '\\end{figure}',
+                    ''
+                ];
+            });
+    }
+}
+
+export default new MarkupExportService();
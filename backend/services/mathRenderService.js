@@ -0,0 +1,107 @@
+import katex from 'katex';
+import 'katex/contrib/mhchem';
+import htmlConverterService from './htmlConverterService.js';
+
+/**
+ * Pre-renders LaTeX math and \ce{} chemical equations in section HTML
+ *
+ * Delimiters: $$...$$ and \[...\] for display math, $...$ and \(...\) for inline math.
+ * An inline $ must hug its formula ("$x^2$", not "$ 5 and $"), and a closing $ followed by
+ * a digit is not a delimiter, so prices like "$5 and $10" stay text.
+ */
+
+// Display math first so "$$" is never read as two empty inline formulas
+const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?!\s)((?:\\\$|[^$])+?)(?<!\s)\$(?!\d)/g;
+
+// Elements whose text is never treated as math
+const SKIPPED_ELEMENTS = ['pre', 'code', 'kbd', 'samp', 'script', 'style', 'textarea', 'math'];
+
+class MathRenderService {
+    /**
+     * Whether HTML contains anything that looks like math
+     * @param {String} html - Section HTML
+     * @returns {Boolean}
+     */
+    hasMath(html) {
+        return typeof html === 'string' && /\$|\\\[|\\\(/.test(html);
+    }
+
+    /**
+     * Replace math in the text of an HTML fragment with MathML
+     * MathML is drawn by the browser itself, so the PDF needs no fonts, stylesheets or network
+     * @param {String} html - Sanitized section HTML
+     * @returns {String} - HTML with math rendered
+     */
+    render(html) {
+        if (!this.hasMath(html)) return html;
+
+        const skipped = [];
+
+        return html.split(/(<[^>]*>)/).map(part => {
+            const tag = part.match(/^<(\/?)([a-zA-Z][\w-]*)/);
+            if (tag) {
+                const name = tag[2].toLowerCase();
+                if (SKIPPED_ELEMENTS.includes(name)) {
+                    if (tag[1]) {
+                        const index = skipped.lastIndexOf(name);
+                        if (index !== -1) skipped.splice(index, 1);
+                    } else if (!part.endsWith('/>')) {
+                        skipped.push(name);
+                    }
+                }
+                return part;
+            }
+            if (part.startsWith('<') || skipped.length > 0) return part;
+
+            return part.replace(MATH_PATTERN, (match, display, bracketDisplay, bracketInline, inline) => {
+                const tex = display ?? bracketDisplay ?? bracketInline ?? inline;
+                return this.renderTex(tex, display !== undefined || bracketDisplay !== undefined) ?? match;
+            });
+        }).join('');
+    }
+
+    /**
+     * Render math inside a section value, matching its type
+     * @param {String} type - html | list | code | table
+     * @param {*} value - Sanitized section value
+     * @returns {*} - Value with math rendered
+     */
+    renderSectionValue(type, value) {
+        switch (type) {
+            case 'list':
+                return Array.isArray(value) ? value.map(item => this.render(item)) : value;
+            case 'code':
+                return value ? { ...value, explanation: this.render(value.explanation) } : value;
+            case 'table':
+                return value;
+            default:
+                return this.render(value);
+        }
+    }
+
+    /**
+     * Render one formula
+     * @param {String} tex - LaTeX source as it appears in the HTML (entities encoded)
+     * @param {Boolean} displayMode - Block formula
+     * @returns {String|null} - MathML, or null when it is not valid LaTeX
+     */
+    renderTex(tex, displayMode) {
+        const source = htmlConverterService.decodeEntities(tex).trim();
+        if (!source) return null;
+
+        try {
+            return katex.renderToString(source, {
+                displayMode,
+                output: 'mathml',
+                throwOnError: true,
+                strict: 'ignore',
+                trust: false
+            });
+        } catch (error) {
+            // Leave it as written; it may not have been math at all
+            return null;
+        }
+    }
+}
+
+export default new MathRenderService();
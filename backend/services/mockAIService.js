@@ -0,0 +1,55 @@
+import AIProviderBase from './aiProviderBase.js';
+import {
+    MOCK_STRUCTURE,
+    buildWorksheetFixture,
+    buildSectionFixture,
+    buildRewriteFixture,
+    buildTextReply
+} from './fixtures/mockAIFixtures.js';
+
+/**
+ * Offline provider returning deterministic fixtures (AI_PROVIDER=mock)
+ * Used for local development, demos and CI without API keys
+ */
+class MockAIService extends AIProviderBase {
+    constructor() {
+        super('mock', 'Mock AI');
+        this.modelName = 'mock-fixtures';
+    }
+
+    _ensureInitialized() {
+        // Nothing to configure
+    }
+
+    async _generate({ prompt }) {
+        return buildTextReply(prompt);
+    }
+
+    async analyzeWorksheetStructure() {
+        return structuredClone(MOCK_STRUCTURE);
+    }
+
+    /**
+     * Generate worksheet content from fixtures
+     * Runs through the same validation as real providers
+     * @param {Object} params - Generation parameters
+     * @returns {Promise<Object>} - Generated content
+     */
+    async generateWorksheetContent(params) {
+        const fixture = buildWorksheetFixture(params);
+        return await this._parseAndValidateContent(JSON.stringify(fixture), {
+            topic: params.topic,
+            syllabus: params.syllabus
+        });
+    }
+
+    async regenerateSection(section, context = {}) {
+        return buildSectionFixture(section, context);
+    }
+
+    async rewritePassage(params) {
+        return buildRewriteFixture(params);
+    }
+}
+
+export default new MockAIService();
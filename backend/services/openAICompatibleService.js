@@ -0,0 +1,119 @@
+import axios from 'axios';
+import AIProviderBase from './aiProviderBase.js';
+
+// How JSON replies are requested: 'json_schema' (strict schema), 'json_object' or 'none'
+const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+
+/**
+ * Provider for any server exposing the OpenAI chat completions API
+ * (OpenAI, Azure-compatible gateways, OpenRouter, Ollama, LM Studio, vLLM, ...)
+ */
+class OpenAICompatibleService extends AIProviderBase {
+    constructor() {
+        super('openai', 'OpenAI-compatible AI');
+        this.http = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize HTTP client (lazy initialization)
+     * Called on first use to ensure env vars are loaded
+     */
+    _ensureInitialized() {
+        if (this.initialized) {
+            return;
+        }
+
+        const baseURL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const apiKey = process.env.OPENAI_API_KEY;
+        const isDefaultHost = baseURL === 'https://api.openai.com/v1';
+
+        // Local servers (Ollama, LM Studio) usually run without a key
+        if (!apiKey && isDefaultHost) {
+            throw new Error('❌ OPENAI_API_KEY not found. Please set it in .env file.');
+        }
+
+        this.modelName = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+        this.responseFormat = RESPONSE_FORMATS.includes(process.env.OPENAI_RESPONSE_FORMAT)
+            ? process.env.OPENAI_RESPONSE_FORMAT
+            : 'json_schema';
+
+        this.http = axios.create({
+            baseURL,
+            timeout: Number(process.env.OPENAI_TIMEOUT_MS) || 120000,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+            }
+        });
+        this.initialized = true;
+        console.log(`✅ OpenAI-compatible AI initialized successfully (${this.modelName} @ ${baseURL})`);
+    }
+
+    /**
+     * Send a prompt (and optional images) to /chat/completions
+     * @param {Object} request - See AIProviderBase._generate
+     * @returns {Promise<String>} - Reply text
+     */
+    async _generate({ prompt, images, jsonSchema, temperature, topP, maxOutputTokens }) {
+        const body = {
+            model: this.modelName,
+            messages: [{ role: 'user', content: this.buildMessageContent(prompt, images) }],
+            temperature,
+            top_p: topP,
+            max_tokens: maxOutputTokens
+        };
+
+        if (jsonSchema && this.responseFormat === 'json_schema') {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'worksheet_response', schema: jsonSchema }
+            };
+        } else if (jsonSchema && this.responseFormat === 'json_object') {
+            body.response_format = { type: 'json_object' };
+        }
+
+        try {
+            const { data } = await this.http.post('/chat/completions', body);
+            const text = data?.choices?.[0]?.message?.content;
+
+            if (typeof text !== 'string') {
+                throw new Error('Response did not contain any message content');
+            }
+
+            return text;
+        } catch (error) {
+            if (!error.response) throw error;
+
+            // Surface the HTTP status so _retryOperation can retry 429 / 503
+            const message = error.response.data?.error?.message || error.message;
+            const wrapped = new Error(message);
+            wrapped.status = error.response.status;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Build chat message content: prompt text, then each image preceded by its index label
+     * @param {String} prompt - Prompt text
+     * @param {Array} images - Parts shaped as { inlineData: { data, mimeType } }
+     * @returns {String|Array} - Plain string when there are no images
+     */
+    buildMessageContent(prompt, images = []) {
+        if (!images?.length) return prompt;
+
+        const content = [{ type: 'text', text: prompt }];
+
+        images.forEach((image, index) => {
+            content.push({ type: 'text', text: `Image ${index}:` });
+            content.push({
+                type: 'image_url',
+                image_url: { url: `data:${image.inlineData.mimeType};base64,${image.inlineData.data}` }
+            });
+        });
+
+        return content;
+    }
+}
+
+export default new OpenAICompatibleService();
@@ -1,82 +1,215 @@
-import puppeteer from 'puppeteer';
+import sectionRegistry from './sectionRegistry.js';
+import pdfService from './pdfService.js';
+import browserPoolService from './browserPoolService.js';
+import htmlSanitizerService from './htmlSanitizerService.js';
+import codeHighlightService from './codeHighlightService.js';
+import mathRenderService from './mathRenderService.js';
+import diagramService from './diagramService.js';
+import chartService from './chartService.js';
 
 class PDFGeneratorService {
   /**
    * Generate PDF from worksheet content
    * @param {Object} worksheet - Worksheet document
    * @param {Object} user - User document
+   * @param {Object} template - Template document (section order and headings), optional
    * @returns {Promise<Buffer>} - PDF buffer
    */
-  async generateWorksheetPDF(worksheet, user) {
-    let browser;
-
+  async generateWorksheetPDF(worksheet, user, template = null) {
     try {
-      // Launch browser
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      // Fresh page in a warm pooled browser (closed again by the pool)
+      return await browserPoolService.withPage(async (page) => {
+        // Generate HTML content
+        const htmlContent = this.generateHTML(worksheet, user, template);
+
+        // Set content
+        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+
+        // Generate PDF
+        return await page.pdf({
+          format: 'A4',
+          printBackground: true,
+          margin: {
+            top: '20mm',
+            right: '15mm',
+            bottom: '20mm',
+            left: '15mm'
+          }
+        });
       });
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      throw new Error('Failed to generate PDF');
+    }
+  }
 
-      const page = await browser.newPage();
+  /**
+   * Generate a single lab record PDF from several worksheets
+   * Cover page, index with page numbers, then each worksheet on a new page,
+   * with a running header/footer and continuous page numbering
+   * @param {Array} entries - [{ worksheet, template }] in record order
+   * @param {Object} user - User document
+   * @param {Object} options - { title, subject }
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateLabRecordPDF(entries, user, options = {}) {
+    try {
+      return await browserPoolService.withPage(async (page) => {
+        const subject = options.subject || entries[0]?.worksheet.subject || user.defaultSubject || '';
+        const pdfOptions = this.getLabRecordPDFOptions(user, subject);
+        const cover = this.renderCoverPage(user, { ...options, subject, count: entries.length });
+        const bodies = entries.map(({ worksheet, template }) => this.renderWorksheetBody(worksheet, user, template));
+
+        // Every part starts on a new page, so page counts of the parts rendered
+        // alone give the start page of each worksheet in the combined record
+        const countPages = async (body) => {
+          await page.setContent(this.wrapDocument('Lab Record', body), { waitUntil: 'networkidle0' });
+          return await pdfService.countPages(await page.pdf(pdfOptions));
+        };
+
+        const coverPages = await countPages(cover);
+        const indexPages = await countPages(this.renderIndex(entries, entries.map(() => 0)));
+
+        const startPages = [];
+        let nextPage = coverPages + indexPages + 1;
+        for (const body of bodies) {
+          startPages.push(nextPage);
+          nextPage += await countPages(body);
+        }
 
-      // Generate HTML content
-      const htmlContent = this.generateHTML(worksheet, user);
+        const record = [
+          cover,
+          `<div class="record-page">${this.renderIndex(entries, startPages)}</div>`,
+          ...bodies.map(body => `<div class="record-page">${body}</div>`)
+        ].join('\n');
 
-      // Set content
-      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+        await page.setContent(this.wrapDocument(options.title || 'Lab Record', record), { waitUntil: 'networkidle0' });
 
-      // Generate PDF
-      const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20mm',
-          right: '15mm',
-          bottom: '20mm',
-          left: '15mm'
-        }
+        return await page.pdf(pdfOptions);
       });
-
-      return pdfBuffer;
     } catch (error) {
-      console.error('PDF generation error:', error);
-      throw new Error('Failed to generate PDF');
-    } finally {
-      // Always cleanup browser
-      if (browser) {
-        try {
-          await browser.close();
-        } catch (closeError) {
-          console.error('Error closing browser:', closeError);
-        }
-      }
+      console.error('Lab record generation error:', error);
+      throw new Error('Failed to generate lab record PDF');
     }
   }
 
+  // A4 options with running header (subject, student) and page number footer
+  getLabRecordPDFOptions(user, subject) {
+    const student = [this.cleanValue(user.name), this.cleanValue(user.uid)].filter(Boolean).join(' - ');
+    const bar = 'font-family: \'Times New Roman\', serif; font-size: 8pt; width: 100%; padding: 0 15mm; display: flex; justify-content: space-between;';
+
+    return {
+      format: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: `<div style="${bar}"><span>${this.escapeHtml(subject)}</span><span>${this.escapeHtml(student)}</span></div>`,
+      footerTemplate: `<div style="${bar}"><span>Lab Record</span><span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span></div>`,
+      margin: {
+        top: '25mm',
+        right: '15mm',
+        bottom: '20mm',
+        left: '15mm'
+      }
+    };
+  }
+
+  /**
+   * Cover page of a lab record
+   * @param {Object} user - User data
+   * @param {Object} options - { title, subject, count }
+   * @returns {String} - HTML content
+   */
+  renderCoverPage(user, { title, subject, count }) {
+    const rows = [
+      ['Student Name', user.name],
+      ['UID', user.uid],
+      ['Branch', user.branch || user.course],
+      ['Semester', user.semester],
+      ['Section/Group', user.section],
+      ['Subject', subject],
+      ['Experiments', count]
+    ].filter(([, value]) => this.cleanValue(value));
+
+    return `
+  <div class="cover-page">
+    ${user.headerImageUrl ? `
+    <div class="header-image-container">
+      <img src="${user.headerImageUrl}" alt="University Header" />
+    </div>` : ''}
+    <div class="cover-title">${this.escapeHtml(title || 'Practical Record')}</div>
+    <div class="cover-subject">${this.escapeHtml(subject || '')}</div>
+    <table class="cover-details">
+      ${rows.map(([label, value]) => `<tr><td class="header-label">${label}:</td><td>${this.escapeHtml(this.cleanValue(value))}</td></tr>`).join('\n      ')}
+    </table>
+  </div>`;
+  }
+
+  /**
+   * Index table of a lab record
+   * @param {Array} entries - [{ worksheet }] in record order
+   * @param {Array} startPages - Start page of each worksheet
+   * @returns {String} - HTML content
+   */
+  renderIndex(entries, startPages) {
+    return `
+  <div class="index-heading">INDEX</div>
+  <table class="index-table">
+    <thead>
+      <tr>
+        <th class="index-number">Exp. No.</th>
+        <th>Title</th>
+        <th class="index-date">Date of Performance</th>
+        <th class="index-page">Page No.</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${entries.map(({ worksheet }, idx) => `<tr>
+        <td class="index-number">${this.escapeHtml(this.cleanValue(worksheet.experimentNumber) || String(idx + 1))}</td>
+        <td>${this.escapeHtml(worksheet.topic || '')}</td>
+        <td class="index-date">${worksheet.dateOfPerformance ? new Date(worksheet.dateOfPerformance).toLocaleDateString('en-IN') : ''}</td>
+        <td class="index-page">${startPages[idx] || ''}</td>
+      </tr>`).join('\n      ')}
+    </tbody>
+  </table>`;
+  }
+
   /**
    * Generate HTML template for worksheet
    * @param {Object} worksheet - Worksheet data
    * @param {Object} user - User data
+   * @param {Object} template - Template data, optional
    * @returns {String} - HTML content
    */
-  generateHTML(worksheet, user) {
-    const currentDate = new Date().toLocaleDateString('en-IN');
-    const images = worksheet.images || [];
-
-    // Format date of performance
-    const dateOfPerf = worksheet.dateOfPerformance
-      ? new Date(worksheet.dateOfPerformance).toLocaleDateString('en-IN')
-      : '';
+  generateHTML(worksheet, user, template = null) {
+    return this.wrapDocument(`Worksheet - ${worksheet.topic}`, this.renderWorksheetBody(worksheet, user, template));
+  }
 
+  /**
+   * Wrap body markup in a full HTML document with the worksheet styles
+   * @param {String} title - Document title
+   * @param {String} body - Body HTML
+   * @returns {String} - HTML content
+   */
+  wrapDocument(title, body) {
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Worksheet - ${worksheet.topic}</title>
+  <title>${this.escapeHtml(title)}</title>
   <style>
-    * {
+${this.getStyles()}  </style>
+</head>
+<body>
+${body}</body>
+</html>
+    `.trim();
+  }
+
+  // Shared stylesheet for single worksheets and lab records
+  getStyles() {
+    return `    * {
       margin: 0;
       padding: 0;
       box-sizing: border-box;
@@ -162,16 +295,67 @@ class PDFGeneratorService {
       background-color: #f8f9fa;
       border: 1px solid #eee;
       padding: 10px;
-      font-family: 'Courier New', monospace;
+      font-family: 'DejaVu Sans Mono', Consolas, 'Liberation Mono', 'Courier New', monospace;
       font-size: 9pt;
-      white-space: pre-wrap;
+      line-height: 1.35;
+      color: #24292e;
       margin: 10px 0;
       border-radius: 4px;
     }
-    
+${codeHighlightService.getStyles()}    
+    /* Pre-rendered math (MathML, drawn by the browser) */
+    math { font-size: 1.05em; }
+    math[display="block"] { display: block math; margin: 8px 0; text-align: center; }
+    .katex annotation { display: none; }
+
     .objective-list, .outcome-list {
       margin-left: 20px;
     }
+
+    .data-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 10pt;
+      margin: 10px 0;
+    }
+    .data-table th, .data-table td {
+      border: 1px solid #999;
+      padding: 4px 6px;
+      text-align: left;
+    }
+    .data-table th {
+      background-color: #f0f0f0;
+      font-weight: bold;
+    }
+    .data-table tbody tr:nth-child(even) {
+      background-color: #fafafa;
+    }
+    .data-table tr {
+      page-break-inside: avoid;
+    }
+    .data-table thead {
+      display: table-header-group;
+    }
+    .table-caption {
+      margin: 6px 0;
+      font-style: italic;
+    }
+
+    /* Formatting classes from the rich-text editor */
+    .ql-align-center { text-align: center; }
+    .ql-align-right { text-align: right; }
+    .ql-align-justify { text-align: justify; }
+    .ql-indent-1 { padding-left: 3em; }
+    .ql-indent-2 { padding-left: 6em; }
+    .ql-indent-3 { padding-left: 9em; }
+    pre.ql-syntax {
+      background-color: #f8f9fa;
+      border: 1px solid #ddd;
+      padding: 8px;
+      font-family: 'Courier New', monospace;
+      font-size: 9pt;
+      white-space: pre-wrap;
+    }
     
     .image-container {
       text-align: center;
@@ -193,23 +377,100 @@ class PDFGeneratorService {
     /* Standard Elements */
     b, strong { font-weight: bold; }
     p { margin-bottom: 8px; }
+
+    /* Lab Record */
+    .record-page {
+      page-break-before: always;
+    }
+    .cover-page {
+      text-align: center;
+      padding-top: 40px;
+    }
+    .cover-page .header-image-container img {
+      max-height: 140px;
+    }
+    .cover-title {
+      font-size: 24pt;
+      font-weight: bold;
+      margin: 80px 0 20px;
+      text-transform: uppercase;
+    }
+    .cover-subject {
+      font-size: 16pt;
+      margin-bottom: 80px;
+    }
+    .cover-details {
+      margin: 0 auto;
+      border-collapse: collapse;
+      font-size: 13pt;
+      text-align: left;
+    }
+    .cover-details td {
+      padding: 8px 16px;
+    }
+    .index-heading {
+      text-align: center;
+      font-weight: bold;
+      font-size: 16pt;
+      margin-bottom: 20px;
+    }
+    .index-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 11pt;
+    }
+    .index-table th, .index-table td {
+      border: 1px solid #000;
+      padding: 6px 8px;
+      text-align: left;
+      vertical-align: top;
+    }
+    .index-table .index-number, .index-table .index-page {
+      text-align: center;
+      width: 12%;
+    }
+    .index-table .index-date {
+      width: 18%;
+    }
     
     @media print {
       body { -webkit-print-color-adjust: exact; }
     }
-  </style>
-</head>
-<body>
+`;
+  }
+
+  /**
+   * Body of one worksheet: header image, student details and sections
+   * @param {Object} worksheet - Worksheet data
+   * @param {Object} user - User data
+   * @param {Object} template - Template data, optional
+   * @returns {String} - HTML content
+   */
+  renderWorksheetBody(worksheet, user, template = null) {
+    // Rendered diagrams and dataset charts are placed like images: under their section, or at the end
+    const images = [
+      ...(worksheet.images || []),
+      ...diagramService.toImages(worksheet.diagrams),
+      ...chartService.toImages(worksheet)
+    ];
+    const sections = this.getWorksheetSections(worksheet, template);
+
+    // Format date of performance
+    const dateOfPerf = worksheet.dateOfPerformance
+      ? new Date(worksheet.dateOfPerformance).toLocaleDateString('en-IN')
+      : '';
+
+    return `
 
   <!-- Header Image -->
   ${worksheet.headerImageUrl ? `
   <div class="header-image-container">
-    <img src="${worksheet.headerImageUrl}" alt="University Header" />
+    <img src="${this.escapeHtml(worksheet.headerImageUrl)}" alt="University Header" />
   </div>` : ''}
 
   <!-- Worksheet Heading -->
   <div class="worksheet-heading">
-    Worksheet No - ${this.cleanValue(worksheet.experimentNumber) || ''}
+    Worksheet No - ${this.escapeHtml(this.cleanValue(worksheet.experimentNumber))}
   </div>
 
   <!-- Student Details Table (2 Columns) -->
@@ -218,26 +479,26 @@ class PDFGeneratorService {
       <!-- Left Column -->
       <td>
         <div class="detail-row">
-          <span class="header-label">Student Name:</span> ${this.cleanValue(user.name)}
+          <span class="header-label">Student Name:</span> ${this.escapeHtml(this.cleanValue(user.name))}
         </div>
         <div class="detail-row">
-          <span class="header-label">Branch:</span> ${this.cleanValue(user.branch || user.course)}
+          <span class="header-label">Branch:</span> ${this.escapeHtml(this.cleanValue(user.branch || user.course))}
         </div>
         <div class="detail-row">
-          <span class="header-label">Semester:</span> ${this.cleanValue(user.semester)}
+          <span class="header-label">Semester:</span> ${this.escapeHtml(this.cleanValue(user.semester))}
         </div>
         <div class="detail-row">
-          <span class="header-label">Subject Name:</span> ${this.cleanValue(worksheet.subject || user.defaultSubject)}
+          <span class="header-label">Subject Name:</span> ${this.escapeHtml(this.cleanValue(worksheet.subject || user.defaultSubject))}
         </div>
       </td>
       
       <!-- Right Column -->
       <td ">
         <div class="detail-row">
-          <span class="header-label">UID:</span> ${this.cleanValue(user.uid)}
+          <span class="header-label">UID:</span> ${this.escapeHtml(this.cleanValue(user.uid))}
         </div>
         <div class="detail-row">
-          <span class="header-label">Section/Group:</span> ${this.cleanValue(user.section)}
+          <span class="header-label">Section/Group:</span> ${this.escapeHtml(this.cleanValue(user.section))}
         </div>
         <div class="detail-row">
           <span class="header-label">Date of Performance:</span> ${dateOfPerf}
@@ -252,23 +513,48 @@ class PDFGeneratorService {
 
   <!-- Title (if needed, otherwise relying on Worksheet No) -->
   <!-- Check if main question title exists to decide structure -->
-  ${!worksheet.content.questionTitle ? `<div style="text-align: center; font-weight: bold; margin-bottom: 20px; font-size: 14pt;">${worksheet.topic}</div>` : ''}
-
-  ${this.renderSection('Main Question', worksheet.content.questionTitle, images, 'mainQuestion')}
-  ${this.renderSection('Aim', worksheet.content.aim, images, 'aim')}
-  ${this.renderSection('Problem Statement', worksheet.content.problemStatement, images, 'problemStatement')}
-  ${this.renderSection('Dataset Description', worksheet.content.dataset, images, 'dataset')}
-  ${this.renderObjectives(worksheet.content.objective)}
-  ${this.renderCode(worksheet.content.code, images)}
-  ${this.renderOutput(worksheet.content.output, images)}
-  ${this.renderLearningOutcomes(worksheet.content.learningOutcome)}
-  ${this.renderSection('Conclusion', worksheet.content.conclusion, images, 'conclusion')}
+  ${!worksheet.content.questionTitle ? `<div style="text-align: center; font-weight: bold; margin-bottom: 20px; font-size: 14pt;">${this.escapeHtml(worksheet.topic || '')}</div>` : ''}
+
+  ${sections.map(section => this.renderWorksheetSection(section, images, { lineNumbers: Boolean(user?.codeLineNumbers) })).join('')}
   
-  ${this.renderAdditionalImages(images, worksheet.content)}
+  ${this.renderAdditionalImages(images, sections.map(section => section.key))}
 
-</body>
-</html>
-    `.trim();
+`;
+  }
+
+  /**
+   * Sections to render, in order
+   * Worksheets saved before sections existed are laid out from their template
+   * @param {Object} worksheet - Worksheet data
+   * @param {Object} template - Template data, optional
+   * @returns {Array} - [{ key, heading, type, value }]
+   */
+  getWorksheetSections(worksheet, template) {
+    if (worksheet.sections && worksheet.sections.length > 0) return worksheet.sections;
+    return sectionRegistry.buildSections(worksheet.content || {}, template?.sectionsOrder);
+  }
+
+  // Render one section with the renderer for its type
+  // Values are sanitized again here so markup saved before sanitization cannot run in the browser,
+  // then LaTeX / \ce{} notation is rendered to MathML (after sanitizing, which would strip it)
+  // options: { lineNumbers } for code sections
+  renderWorksheetSection({ key, heading, type, value: rawValue }, images = [], options = {}) {
+    const title = this.escapeHtml(heading || sectionRegistry.getLabel(key));
+    const value = mathRenderService.renderSectionValue(type, htmlSanitizerService.sanitizeSectionValue(type, rawValue));
+
+    // Output keeps its placeholder so the section is never missing from the record
+    if (key === 'output') return this.renderOutput(value, images, title);
+
+    switch (type) {
+      case 'list':
+        return this.renderList(value, title, key === 'learningOutcome' ? 'outcome-list' : 'objective-list');
+      case 'code':
+        return this.renderCode(value, images, title, options);
+      case 'table':
+        return this.renderTable(value, images, title, key);
+      default:
+        return this.renderSection(title, value, images, key);
+    }
   }
 
   // Helper to render images for a specific section
@@ -289,22 +575,24 @@ class PDFGeneratorService {
 
     return sectionImages.map(img => `
     <div class="image-container">
-      <img src="${img.url}" alt="${img.caption || 'Section Image'}" />
-      <div class="image-caption">${img.caption || `Figure: ${sectionName} Image`}</div>
+      <img src="${this.escapeHtml(img.url)}" alt="${this.escapeHtml(img.caption || 'Section Image')}" />
+      <div class="image-caption">${this.escapeHtml(img.caption || `Figure: ${sectionName} Image`)}</div>
     </div>`).join('');
   }
 
-  renderAdditionalImages(images, content) {
+  renderAdditionalImages(images, renderedKeys = []) {
     if (!images || images.length === 0) return '';
 
-    // Define standard sections that might have images
-    const standardSections = ['mainQuestion', 'aim', 'problemStatement', 'dataset', 'code', 'output', 'overview', 'result'];
+    // Sections rendered above already show their images
+    const standardSections = renderedKeys.map(key => key.toLowerCase());
+    if (standardSections.includes('aim')) standardSections.push('overview');
+    if (standardSections.includes('output')) standardSections.push('result');
 
     // Normalize image sections
     const unassignedImages = images.filter(img => {
       if (!img.section) return true;
       const section = img.section.toLowerCase();
-      // Check if this section is one of the standard ones we already rendered
+      // Check if this section is one of the ones we already rendered
       // Note: 'overview' maps to 'aim', 'result' maps to 'output'
       return !standardSections.includes(section);
     });
@@ -316,8 +604,8 @@ class PDFGeneratorService {
     <div class="section-heading">Additional Resources</div>
     ${unassignedImages.map(img => `
     <div class="image-container">
-      <img src="${img.url}" alt="${img.caption || 'Additional Image'}" />
-      <div class="image-caption">${img.caption || 'Figure: Additional Resource'}</div>
+      <img src="${this.escapeHtml(img.url)}" alt="${this.escapeHtml(img.caption || 'Additional Image')}" />
+      <div class="image-caption">${this.escapeHtml(img.caption || 'Figure: Additional Resource')}</div>
     </div>`).join('')}
   </div>`;
   }
@@ -332,18 +620,37 @@ class PDFGeneratorService {
   </div>`;
   }
 
-  renderObjectives(objectives) {
-    if (!objectives || objectives.length === 0) return '';
+  renderList(items, heading, listClass = 'objective-list') {
+    if (!items || items.length === 0) return '';
     return `
   <div class="section">
-    <div class="section-heading">Objective</div>
-    <ul class="objective-list">
-      ${objectives.map(obj => `<li>${obj}</li>`).join('\n      ')}
+    <div class="section-heading">${heading}</div>
+    <ul class="${listClass}">
+      ${items.map(item => `<li>${item}</li>`).join('\n      ')}
     </ul>
   </div>`;
   }
 
-  renderCode(code, images = []) {
+  renderTable(table, images = [], heading, sectionKey = '') {
+    if (!sectionRegistry.hasValue({ type: 'table', value: table })) return '';
+    const columns = table.columns || [];
+    const rows = table.rows || [];
+
+    return `
+  <div class="section">
+    <div class="section-heading">${heading}</div>
+    ${table.caption ? `<p class="table-caption">${this.escapeHtml(table.caption)}</p>` : ''}
+    ${rows.length > 0 ? `<table class="data-table">
+      ${columns.length > 0 ? `<thead><tr>${columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}</tr></thead>` : ''}
+      <tbody>
+        ${rows.map(row => `<tr>${row.map(cell => `<td>${this.escapeHtml(cell ?? '')}</td>`).join('')}</tr>`).join('\n        ')}
+      </tbody>
+    </table>` : ''}
+    ${this.renderImagesForSection(images, sectionKey)}
+  </div>`;
+  }
+
+  renderCode(code, images = [], heading = 'Code / Implementation', { lineNumbers = false } = {}) {
     if (!code) return '';
 
     let codeSource = code;
@@ -361,11 +668,12 @@ class PDFGeneratorService {
 
     let html = `
   <div class="section">
-    <div class="section-heading">Code / Implementation${this.escapeHtml(languageLabel)}</div>`;
+    <div class="section-heading">${heading}${this.escapeHtml(languageLabel)}</div>`;
 
     if (codeSource) {
+      // Highlighted server-side from the code language; plain text when the language is unknown
       html += `
-    <pre class="code-block">${this.escapeHtml(codeSource)}</pre>`;
+    ${codeHighlightService.renderBlock(codeSource, typeof code === 'object' ? code.language : '', { lineNumbers })}`;
     }
 
     // Render images assigned to 'code' section
@@ -384,10 +692,10 @@ class PDFGeneratorService {
     return html;
   }
 
-  renderOutput(output, images = []) {
+  renderOutput(output, images = [], heading = 'Output') {
     let html = `
   <div class="section">
-    <div class="section-heading">Output</div>
+    <div class="section-heading">${heading}</div>
     <div class="section-content">${output || 'No output description provided'}</div>`;
 
     // Render images assigned to 'output' section
@@ -398,17 +706,6 @@ class PDFGeneratorService {
     return html;
   }
 
-  renderLearningOutcomes(outcomes) {
-    if (!outcomes || outcomes.length === 0) return '';
-    return `
-  <div class="section">
-    <div class="section-heading">Learning Outcome</div>
-    <ul class="outcome-list">
-      ${outcomes.map(outcome => `<li>${outcome}</li>`).join('\n      ')}
-    </ul>
-  </div>`;
-  }
-
   cleanValue(val) {
     if (!val) return '';
     const strVal = String(val).trim();
@@ -23,6 +23,17 @@ class PDFService {
         }
     }
 
+    /**
+     * Count the pages of a PDF buffer
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @returns {Promise<Number>} - Number of pages
+     */
+    async countPages(pdfBuffer) {
+        // Skip text extraction, only the page tree is needed
+        const data = await pdf(pdfBuffer, { max: 1 });
+        return data.numpages;
+    }
+
     /**
      * Extract text from PDF URL (Cloudinary)
      * @param {String} pdfUrl - URL of the PDF
@@ -0,0 +1,286 @@
+import htmlConverterService from './htmlConverterService.js';
+
+/**
+ * Maps template section headings (as written in university samples) to worksheet content keys
+ * e.g. "Aim / Overview of the Practical" -> aim, "Code / Implementation" -> code
+ * and builds the ordered Worksheet.sections array from them
+ */
+
+// Value shapes per section type
+// html: String, list: [String], code: { language, source, explanation },
+// table: { columns: [String], rows: [[String]], caption } (caption is optional plain text)
+const SECTION_TYPES = ['html', 'list', 'code', 'table'];
+
+// Known sections, with the headings they are commonly written as
+// field is the Worksheet.content key the section is mirrored to
+const SECTION_DEFINITIONS = [
+    { key: 'mainQuestion', field: 'questionTitle', type: 'html', label: 'Main Question', aliases: ['main question', 'question title', 'question'] },
+    { key: 'aim', field: 'aim', type: 'html', label: 'Aim', aliases: ['aim', 'aim overview', 'overview', 'aim of the practical', 'aim objective'] },
+    { key: 'problemStatement', field: 'problemStatement', type: 'html', label: 'Problem Statement', aliases: ['problem statement', 'problem definition', 'problem', 'task'] },
+    { key: 'dataset', field: 'dataset', type: 'table', label: 'Dataset Description', aliases: ['dataset', 'dataset description', 'data set', 'data description', 'input data'] },
+    { key: 'algorithm', field: 'algorithm', type: 'html', label: 'Algorithm', aliases: ['algorithm', 'procedure', 'steps', 'methodology', 'approach', 'pseudocode'] },
+    { key: 'objective', field: 'objective', type: 'list', label: 'Objective', aliases: ['objective', 'objectives', 'goals'] },
+    { key: 'code', field: 'code', type: 'code', label: 'Code / Implementation', aliases: ['code', 'implementation', 'code implementation', 'program', 'source code', 'script'] },
+    { key: 'output', field: 'output', type: 'html', label: 'Output', aliases: ['output', 'outputs', 'result', 'results', 'observation', 'observations', 'screenshots'] },
+    { key: 'learningOutcome', field: 'learningOutcome', type: 'list', label: 'Learning Outcome', aliases: ['learning outcome', 'learning outcomes', 'outcome', 'outcomes'] },
+    { key: 'conclusion', field: 'conclusion', type: 'html', label: 'Conclusion', aliases: ['conclusion', 'conclusions', 'summary'] },
+    { key: 'additionalNotes', field: 'additionalNotes', type: 'html', label: 'Additional Notes', aliases: ['additional notes', 'notes', 'remarks'] }
+];
+
+// Order used when a worksheet has no (readable) template, matching the original fixed PDF layout
+const DEFAULT_ORDER = ['aim', 'problemStatement', 'dataset', 'objective', 'code', 'output', 'learningOutcome', 'conclusion'];
+
+class SectionRegistry {
+    constructor() {
+        this.definitions = SECTION_DEFINITIONS;
+        this.byKey = new Map(SECTION_DEFINITIONS.map(definition => [definition.key, definition]));
+    }
+
+    /**
+     * Lowercase a heading and strip numbering / punctuation ("3. Aim:" -> "aim")
+     * @param {String} heading - Heading text
+     * @returns {String} - Normalized heading
+     */
+    normalize(heading) {
+        return String(heading || '')
+            .toLowerCase()
+            .replace(/^\s*(?:\d+|[ivx]+|[a-z])[.)]\s+/, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Resolve a template heading to a known content key
+     * @param {String} heading - Heading text from the template
+     * @returns {String|null} - Content key, or null for custom sections
+     */
+    resolveKey(heading) {
+        const normalized = this.normalize(heading);
+        if (!normalized) return null;
+
+        const exact = this.definitions.find(({ aliases }) => aliases.includes(normalized));
+        if (exact) return exact.key;
+
+        // "Aim / Overview of the Practical", "Code Implementation in Python", ...
+        const partial = this.definitions.find(({ aliases }) =>
+            aliases.some(alias => normalized.startsWith(`${alias} `))
+        );
+        return partial ? partial.key : null;
+    }
+
+    /**
+     * Stable key for a custom section heading ("Viva Questions" -> "vivaQuestions")
+     * @param {String} heading - Heading text
+     * @returns {String} - camelCase key
+     */
+    customKey(heading) {
+        return this.normalize(heading)
+            .split(' ')
+            .filter(Boolean)
+            .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+            .join('');
+    }
+
+    /**
+     * Default heading for a known content key
+     * @param {String} key - Content key
+     * @returns {String} - Heading label
+     */
+    getLabel(key) {
+        return this.byKey.get(key)?.label || key;
+    }
+
+    /**
+     * Check whether a key belongs to a known (non-custom) section
+     * @param {String} key - Section key
+     * @returns {Boolean}
+     */
+    isKnownKey(key) {
+        return this.byKey.has(key);
+    }
+
+    /**
+     * Worksheet.content field a known section is mirrored to
+     * @param {String} key - Section key
+     * @returns {String|null} - Content field, or null for custom sections
+     */
+    getContentField(key) {
+        return this.byKey.get(key)?.field || null;
+    }
+
+    /**
+     * Section key mirrored to a Worksheet.content field ("questionTitle" -> "mainQuestion")
+     * @param {String} field - Content field
+     * @returns {String|null} - Section key, or null if the field has no section
+     */
+    getKeyForField(field) {
+        return this.definitions.find(definition => definition.field === field)?.key || null;
+    }
+
+    /**
+     * Value type for a section key (custom sections default to html)
+     * @param {String} key - Section key
+     * @returns {String} - html | list | code | table
+     */
+    getType(key) {
+        return this.byKey.get(key)?.type || 'html';
+    }
+
+    /**
+     * Check whether a section type is supported
+     * @param {String} type - Section type
+     * @returns {Boolean}
+     */
+    isValidType(type) {
+        return SECTION_TYPES.includes(type);
+    }
+
+    /**
+     * Empty value for a section type
+     * @param {String} type - Section type
+     * @returns {*} - Empty value of the right shape
+     */
+    emptyValue(type) {
+        switch (type) {
+            case 'list': return [];
+            case 'code': return { language: 'plaintext', source: '', explanation: '' };
+            case 'table': return { columns: [], rows: [] };
+            default: return '';
+        }
+    }
+
+    /**
+     * Coerce a value into the shape its section type expects
+     * @param {String} type - Section type
+     * @param {*} value - Raw value (e.g. from an edit request)
+     * @returns {*} - Normalized value
+     */
+    normalizeValue(type, value) {
+        if (value === undefined || value === null) return this.emptyValue(type);
+
+        switch (type) {
+            case 'list':
+                if (Array.isArray(value)) return value.map(item => String(item ?? ''));
+                return String(value).split(/\n+/).map(line => line.trim()).filter(Boolean);
+            case 'code':
+                if (typeof value === 'string') return { language: 'plaintext', source: value, explanation: '' };
+                return {
+                    language: value.language || 'plaintext',
+                    source: value.source || '',
+                    explanation: value.explanation || ''
+                };
+            case 'table': {
+                // HTML (datasets saved before they were tables) is read from its <table>
+                if (typeof value === 'string') return this.normalizeValue('table', htmlConverterService.tableFromHtml(value));
+
+                const columns = Array.isArray(value.columns) ? value.columns.map(column => String(column ?? '')) : [];
+                const rows = Array.isArray(value.rows)
+                    ? value.rows.map(row => (Array.isArray(row) ? row.map(cell => String(cell ?? '')) : []))
+                    : [];
+                const caption = typeof value.caption === 'string' ? value.caption.trim() : '';
+                return caption ? { columns, rows, caption } : { columns, rows };
+            }
+            default:
+                if (typeof value === 'object') return '';
+                return typeof value === 'string' ? value : String(value);
+        }
+    }
+
+    /**
+     * Check whether a section value has anything worth rendering
+     * @param {Object} section - { type, value }
+     * @returns {Boolean}
+     */
+    hasValue({ type, value }) {
+        if (!value) return false;
+
+        switch (type) {
+            case 'list': return Array.isArray(value) && value.some(item => String(item).trim());
+            case 'code': return Boolean(value.source || value.explanation);
+            case 'table': return (Array.isArray(value.rows) && value.rows.length > 0) || Boolean(value.caption);
+            default: return String(value).trim().length > 0;
+        }
+    }
+
+    /**
+     * Build the ordered list of sections to render for a template
+     * Known headings keep the template's wording; unknown ones become custom sections
+     * @param {Array} sectionsOrder - Template.sectionsOrder (falls back to the default layout when empty)
+     * @returns {Array} - [{ key, heading, custom }]
+     */
+    buildLayout(sectionsOrder) {
+        if (!Array.isArray(sectionsOrder) || sectionsOrder.length === 0) {
+            return DEFAULT_ORDER.map(key => ({ key, heading: this.getLabel(key), custom: false }));
+        }
+
+        const seen = new Set();
+        const layout = [];
+
+        sectionsOrder.forEach(heading => {
+            if (!heading || !String(heading).trim()) return;
+
+            const knownKey = this.resolveKey(heading);
+            const key = knownKey || this.customKey(heading);
+            if (!key || seen.has(key)) return;
+
+            seen.add(key);
+            layout.push({ key, heading: String(heading).trim(), custom: !knownKey });
+        });
+
+        return layout;
+    }
+
+    /**
+     * Build Worksheet.sections from fixed content fields and custom section values
+     * The main question always comes first unless the template places it explicitly
+     * @param {Object} content - Worksheet.content (or AI response)
+     * @param {Array} sectionsOrder - Template.sectionsOrder
+     * @param {Array} customSections - [{ heading, type, value }] for headings without a content field
+     * @returns {Array} - [{ key, heading, type, value }]
+     */
+    buildSections(content = {}, sectionsOrder = [], customSections = []) {
+        let layout = this.buildLayout(sectionsOrder);
+        if (!layout.some(section => section.key === 'mainQuestion')) {
+            layout = [{ key: 'mainQuestion', heading: this.getLabel('mainQuestion'), custom: false }, ...layout];
+        }
+
+        const customByKey = new Map(
+            customSections
+                .filter(section => section && section.heading)
+                .map(section => [this.customKey(section.heading), section])
+        );
+
+        const sections = layout.map(({ key, heading, custom }) => {
+            if (custom) {
+                const match = customByKey.get(key);
+                const type = this.isValidType(match?.type) ? match.type : 'html';
+                customByKey.delete(key);
+                return { key, heading, type, value: this.normalizeValue(type, match?.value) };
+            }
+
+            const type = this.getType(key);
+            return { key, heading, type, value: this.normalizeValue(type, content[this.getContentField(key)]) };
+        });
+
+        // Custom sections the template does not list are kept at the end rather than dropped
+        customByKey.forEach((section, key) => {
+            const type = this.isValidType(section.type) ? section.type : 'html';
+            sections.push({ key, heading: section.heading, type, value: this.normalizeValue(type, section.value) });
+        });
+
+        return sections;
+    }
+
+    /**
+     * Headings in a template that do not map to a known content key
+     * @param {Array} sectionsOrder - Template.sectionsOrder
+     * @returns {Array} - Custom heading strings
+     */
+    getCustomHeadings(sectionsOrder) {
+        return this.buildLayout(sectionsOrder)
+            .filter(section => section.custom)
+            .map(section => section.heading);
+    }
+}
+
+export default new SectionRegistry();
@@ -0,0 +1,60 @@
+// Upper bound on experiments per batch (a full semester lab file is usually 10-15)
+const MAX_TOPICS = 30;
+
+class SyllabusSplitterService {
+    constructor() {
+        this.maxTopics = MAX_TOPICS;
+    }
+
+    /**
+     * Split a pasted syllabus / list of practicals into one topic per experiment
+     * Handles numbered lines ("1.", "2)", "Exp 3:", "Experiment-4"), bullets and
+     * semicolon separated lists; headings like "List of Experiments" are skipped
+     * @param {String} text - Pasted syllabus
+     * @returns {Array} - Topic strings in order
+     */
+    splitTopics(text) {
+        if (!text || typeof text !== 'string') return [];
+
+        let lines = text
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        // A single line with several practicals separated by semicolons
+        if (lines.length === 1 && lines[0].includes(';')) {
+            lines = lines[0].split(';').map(part => part.trim()).filter(Boolean);
+        }
+
+        const itemPattern = /^(?:(?:exp(?:eriment)?|practical|lab|program)\s*(?:no\.?)?\s*[-:.]?\s*\d+\s*[-:.)]?|\d+\s*[.):-]|[ivx]+\s*[.)]|[-*•●▪])\s*/i;
+        const hasMarkers = lines.some(line => itemPattern.test(line));
+
+        const topics = [];
+        lines.forEach(line => {
+            const isItem = itemPattern.test(line);
+            const cleaned = line.replace(itemPattern, '').trim();
+
+            if (!cleaned || this._isHeading(cleaned)) return;
+
+            // Unmarked lines in a marked list continue the previous item
+            if (hasMarkers && !isItem && topics.length > 0) {
+                topics[topics.length - 1] = `${topics[topics.length - 1]} ${cleaned}`;
+                return;
+            }
+
+            topics.push(cleaned);
+        });
+
+        return topics
+            .map(topic => topic.replace(/\s+/g, ' ').trim())
+            .filter(topic => topic.length >= 2)
+            .slice(0, this.maxTopics);
+    }
+
+    _isHeading(line) {
+        return /^(list of (experiments|practicals|programs)|experiments?|practicals?|syllabus|unit\s*[-:]?\s*[ivx\d]+)\s*:?$/i.test(line);
+    }
+}
+
+export default new SyllabusSplitterService();
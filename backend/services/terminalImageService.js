@@ -0,0 +1,237 @@
+import browserPoolService from './browserPoolService.js';
+import codeRunnerService from './codeRunnerService.js';
+import htmlConverterService from './htmlConverterService.js';
+
+// Terminal colour schemes
+const THEMES = {
+    ubuntu: { background: '#300a24', foreground: '#ffffff', user: '#8ae234', path: '#729fcf', titleBar: '#2b2b2b', titleText: '#dfdbd2' },
+    dark: { background: '#1e1e1e', foreground: '#d4d4d4', user: '#4ec9b0', path: '#569cd6', titleBar: '#323233', titleText: '#cccccc' },
+    light: { background: '#ffffff', foreground: '#1f2328', user: '#116329', path: '#0550ae', titleBar: '#e5e5e5', titleText: '#333333' },
+    powershell: { background: '#012456', foreground: '#eeedf0', user: '#eeedf0', path: '#eeedf0', titleBar: '#ffffff', titleText: '#1f1f1f' },
+    cmd: { background: '#0c0c0c', foreground: '#cccccc', user: '#cccccc', path: '#cccccc', titleBar: '#ffffff', titleText: '#1f1f1f' }
+};
+
+// Window decorations
+const CHROMES = ['macos', 'windows', 'linux', 'none'];
+
+// Prompts matching each style of terminal
+const DEFAULT_PROMPTS = {
+    unix: 'student@lab:~$',
+    windows: 'C:\\Users\\student\\lab>',
+    powershell: 'PS C:\\Users\\student\\lab>'
+};
+
+// Command shown before the output, per runnable language
+const RUN_COMMANDS = {
+    python: 'python3 main.py',
+    javascript: 'node main.js',
+    c: 'gcc main.c -o main && ./main',
+    cpp: 'g++ main.cpp -o main && ./main',
+    java: 'javac Main.java && java Main'
+};
+
+// Longer output is cut so the image stays readable on a page
+const MAX_LINES = 60;
+
+class TerminalImageService {
+    /**
+     * Names of the available themes and window chromes
+     * @returns {Object} - { themes, chromes }
+     */
+    getOptions() {
+        return { themes: Object.keys(THEMES), chromes: CHROMES };
+    }
+
+    /**
+     * Output text of a worksheet
+     * Uses the captured program output while the Output section still shows that run,
+     * otherwise the text of the Output section
+     * @param {Object} worksheet - Worksheet document
+     * @returns {String} - Plain text
+     */
+    getOutputText(worksheet) {
+        const run = worksheet.codeRun;
+        if (run?.status && codeRunnerService.toOutputHtml(run) === worksheet.content?.output) {
+            return [run.stdout, run.stderr].filter(Boolean).join('\n');
+        }
+        return htmlConverterService.toPlainText(worksheet.content?.output || '');
+    }
+
+    /**
+     * Command line shown before the output
+     * @param {String} language - Code language
+     * @returns {String} - Command, empty when the language cannot be run
+     */
+    getRunCommand(language) {
+        return RUN_COMMANDS[codeRunnerService.resolveLanguage(language)] || '';
+    }
+
+    /**
+     * Render output text as a terminal window screenshot
+     * @param {String} text - Program output
+     * @param {Object} options - { theme, chrome, prompt, command, title }
+     * @returns {Promise<Buffer>} - PNG image
+     */
+    async render(text, options = {}) {
+        const html = this.buildHtml(text, options);
+
+        return await browserPoolService.withPage(async (page) => {
+            // 2x for a sharp image in print
+            await page.setViewport({ width: 900, height: 400, deviceScaleFactor: 2 });
+            await page.setContent(html, { waitUntil: 'load' });
+            // The padded body keeps the window shadow in the image
+            const body = await page.$('body');
+            return await body.screenshot({ type: 'png', omitBackground: true });
+        });
+    }
+
+    /**
+     * HTML page with the terminal window
+     * @param {String} text - Program output
+     * @param {Object} options - { theme, chrome, prompt, command, title }
+     * @returns {String} - HTML document
+     */
+    buildHtml(text, options = {}) {
+        const themeName = THEMES[options.theme] ? options.theme : 'ubuntu';
+        const theme = THEMES[themeName];
+        const chrome = CHROMES.includes(options.chrome) ? options.chrome : (['powershell', 'cmd'].includes(themeName) ? 'windows' : 'linux');
+
+        let promptStyle = 'unix';
+        if (themeName === 'powershell') promptStyle = 'powershell';
+        else if (themeName === 'cmd') promptStyle = 'windows';
+
+        const prompt = options.prompt?.trim() || DEFAULT_PROMPTS[promptStyle];
+        const title = options.title?.trim() || this.defaultTitle(themeName, prompt);
+        const command = options.command?.trim() || '';
+
+        const lines = this.cleanText(text).split('\n');
+        const shown = lines.length > MAX_LINES
+            ? [...lines.slice(0, MAX_LINES), `... (${lines.length - MAX_LINES} more lines)`]
+            : lines;
+
+        const promptHtml = this.renderPrompt(prompt);
+        const body = [
+            command ? `<div>${promptHtml} ${this.escapeHtml(command)}</div>` : '',
+            `<div class="output">${this.escapeHtml(shown.join('\n'))}</div>`,
+            `<div>${promptHtml} <span class="cursor"></span></div>`
+        ].join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+  html, body { margin: 0; padding: 0; background: transparent; }
+  body { padding: 24px; display: inline-block; }
+  .window {
+    width: 820px;
+    border-radius: ${chrome === 'windows' ? '2px' : '8px'};
+    overflow: hidden;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+    border: 1px solid rgba(0, 0, 0, 0.4);
+    font-family: 'Ubuntu Mono', 'DejaVu Sans Mono', Consolas, 'Liberation Mono', 'Courier New', monospace;
+  }
+  .title-bar {
+    position: relative;
+    height: 32px;
+    line-height: 32px;
+    background: ${theme.titleBar};
+    color: ${theme.titleText};
+    font-family: 'Ubuntu', 'Segoe UI', 'DejaVu Sans', Arial, sans-serif;
+    font-size: 13px;
+    text-align: ${chrome === 'windows' ? 'left' : 'center'};
+    padding: 0 ${chrome === 'windows' ? '12px' : '80px'};
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .dots { position: absolute; left: 12px; top: 10px; display: flex; gap: 8px; }
+  .dots span { width: 12px; height: 12px; border-radius: 50%; }
+  .controls { position: absolute; right: 0; top: 0; display: flex; }
+  .controls span { width: 46px; text-align: center; font-size: 14px; }
+  .linux-controls { position: absolute; right: 10px; top: 8px; display: flex; gap: 6px; }
+  .linux-controls span {
+    width: 16px; height: 16px; line-height: 16px; border-radius: 50%;
+    background: rgba(255, 255, 255, 0.12); font-size: 10px; text-align: center;
+  }
+  .screen {
+    background: ${theme.background};
+    color: ${theme.foreground};
+    font-size: 15px;
+    line-height: 1.4;
+    padding: 12px 14px 16px;
+    white-space: pre-wrap;
+    word-break: break-all;
+  }
+  .prompt-user { color: ${theme.user}; font-weight: bold; }
+  .prompt-path { color: ${theme.path}; font-weight: bold; }
+  .cursor { display: inline-block; width: 9px; height: 17px; vertical-align: text-bottom; background: ${theme.foreground}; }
+</style>
+</head>
+<body>
+<div class="window">
+  ${this.renderTitleBar(chrome, title)}
+  <div class="screen">${body}</div>
+</div>
+</body>
+</html>`;
+    }
+
+    // Title bar for the chosen window style
+    renderTitleBar(chrome, title) {
+        const text = this.escapeHtml(title);
+
+        switch (chrome) {
+            case 'none':
+                return '';
+            case 'macos':
+                return `<div class="title-bar"><div class="dots"><span style="background:#ff5f57"></span><span style="background:#febc2e"></span><span style="background:#28c840"></span></div>${text}</div>`;
+            case 'windows':
+                return `<div class="title-bar">${text}<div class="controls"><span>&#8211;</span><span>&#9744;</span><span>&#10005;</span></div></div>`;
+            default:
+                return `<div class="title-bar">${text}<div class="linux-controls"><span>&#8211;</span><span>&#9633;</span><span>&#10005;</span></div></div>`;
+        }
+    }
+
+    // "user@host:path$" gets the usual bash colours, any other prompt is shown as written
+    renderPrompt(prompt) {
+        const match = prompt.match(/^([^\s:]+@[^\s:]+):(.*?)([$#])$/);
+        if (!match) return this.escapeHtml(prompt);
+
+        const [, userHost, path, symbol] = match;
+        return `<span class="prompt-user">${this.escapeHtml(userHost)}</span>:<span class="prompt-path">${this.escapeHtml(path)}</span>${symbol}`;
+    }
+
+    // Window title like the terminal would show it
+    defaultTitle(themeName, prompt) {
+        if (themeName === 'powershell') return 'Windows PowerShell';
+        if (themeName === 'cmd') return 'Command Prompt';
+
+        const match = prompt.match(/^([^\s:]+@[^\s:]+):(.*?)[$#]$/);
+        return match ? `${match[1]}: ${match[2]}` : 'Terminal';
+    }
+
+    // Strip ANSI escape codes and trailing blank lines, normalise line endings and tabs
+    cleanText(text) {
+        return String(text || '')
+            .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .replace(/\s+$/, '');
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {String} text - Raw text
+     * @returns {String} - Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default new TerminalImageService();
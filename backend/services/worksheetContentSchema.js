@@ -0,0 +1,320 @@
+import htmlConverterService from './htmlConverterService.js';
+
+/**
+ * JSON schema for AI-generated worksheet content
+ * Mirrors the Worksheet.content shape plus the image placement hints used during generation
+ */
+
+// Sections an uploaded image can be placed in
+const IMAGE_SECTIONS = ['aim', 'problemStatement', 'dataset', 'algorithm', 'code', 'output', 'additionalNotes'];
+
+const stringField = { type: 'string' };
+const stringList = { type: 'array', items: { type: 'string' } };
+const indexList = { type: 'array', items: { type: 'integer' } };
+
+// Table section value (the dataset)
+const tableField = {
+    type: 'object',
+    properties: {
+        columns: stringList,
+        rows: { type: 'array', items: stringList },
+        caption: stringField
+    },
+    required: ['columns', 'rows']
+};
+
+const WORKSHEET_CONTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        mainQuestionTitle: stringField,
+        questionParts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    part: stringField,
+                    title: stringField,
+                    description: stringField
+                },
+                required: ['part', 'description']
+            }
+        },
+        aim: stringField,
+        problemStatement: stringField,
+        dataset: tableField,
+        algorithm: stringField,
+        objective: stringList,
+        code: {
+            type: 'object',
+            properties: {
+                language: stringField,
+                source: stringField,
+                explanation: stringField
+            },
+            required: ['language', 'source']
+        },
+        output: stringField,
+        conclusion: stringField,
+        learningOutcome: stringList,
+        imageAnalysis: stringField,
+        imagePlacements: {
+            type: 'object',
+            properties: Object.fromEntries(IMAGE_SECTIONS.map(section => [section, indexList]))
+        },
+        imageCaptions: stringList,
+        additionalNotes: stringField,
+        customSections: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    heading: stringField,
+                    type: { type: 'string', enum: ['html', 'list'] },
+                    content: stringField,     // HTML, when type is "html"
+                    items: stringList         // Bullet points, when type is "list"
+                },
+                required: ['heading', 'type']
+            }
+        },
+        // Optional diagram-as-code, rendered to SVG under the given section
+        diagrams: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    section: stringField,     // Section key, e.g. "algorithm"
+                    title: stringField,
+                    format: { type: 'string', enum: ['mermaid', 'graphviz'] },
+                    source: stringField
+                },
+                required: ['section', 'format', 'source']
+            }
+        },
+        // Optional charts of the dataset, drawn in the Output section
+        charts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['bar', 'line', 'pie', 'scatter'] },
+                    title: stringField,
+                    x: stringField,           // Dataset column along the x axis
+                    y: stringList             // Dataset columns plotted against it
+                },
+                required: ['type', 'x', 'y']
+            }
+        }
+    },
+    required: ['mainQuestionTitle', 'aim', 'objective', 'code', 'output', 'learningOutcome']
+};
+
+// Value schema per section type (regenerating a single section)
+const SECTION_VALUE_SCHEMAS = {
+    html: stringField,
+    list: stringList,
+    code: WORKSHEET_CONTENT_SCHEMA.properties.code,
+    table: tableField
+};
+
+// Values used when a field is still invalid after repair
+const FIELD_DEFAULTS = {
+    mainQuestionTitle: '',
+    questionParts: [],
+    aim: '',
+    problemStatement: '',
+    dataset: { columns: [], rows: [] },
+    algorithm: '',
+    objective: [],
+    code: { language: 'plaintext', source: '', explanation: '' },
+    output: '',
+    conclusion: '',
+    learningOutcome: [],
+    imageAnalysis: '',
+    imagePlacements: {},
+    imageCaptions: [],
+    additionalNotes: '',
+    customSections: [],
+    diagrams: [],
+    charts: []
+};
+
+class WorksheetContentSchema {
+    constructor() {
+        this.schema = WORKSHEET_CONTENT_SCHEMA;
+    }
+
+    /**
+     * Get the JSON schema, optionally limited to some top-level fields
+     * @param {Array} fields - Field names to keep (all when omitted)
+     * @returns {Object} - JSON schema
+     */
+    getJsonSchema(fields) {
+        if (!fields) return this.schema;
+
+        return {
+            type: 'object',
+            properties: Object.fromEntries(fields.map(field => [field, this.schema.properties[field]])),
+            required: fields.filter(field => this.schema.required.includes(field))
+        };
+    }
+
+    /**
+     * JSON schema for a single section reply: { value }
+     * @param {String} type - Section type (html | list | code | table)
+     * @returns {Object} - JSON schema
+     */
+    getSectionSchema(type) {
+        return {
+            type: 'object',
+            properties: { value: SECTION_VALUE_SCHEMAS[type] || stringField },
+            required: ['value']
+        };
+    }
+
+    /**
+     * Validate content against the schema
+     * @param {Object} content - Parsed AI response
+     * @returns {Object} - { valid, errors: [{ field, path, message }] }
+     */
+    validate(content) {
+        const errors = [];
+
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            return { valid: false, errors: [{ field: null, path: '', message: 'Response is not a JSON object' }] };
+        }
+
+        this.schema.required.forEach(field => {
+            if (content[field] === undefined || content[field] === null) {
+                errors.push({ field, path: field, message: 'is required' });
+            }
+        });
+
+        Object.entries(this.schema.properties).forEach(([field, fieldSchema]) => {
+            if (content[field] === undefined || content[field] === null) return;
+            this._validateValue(content[field], fieldSchema, field, field, errors);
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Fix common shape mistakes without another AI call
+     * (code returned as a string, lists returned as text, indices as strings, a dataset as HTML)
+     * @param {Object} content - Parsed AI response
+     * @returns {Object} - Coerced copy
+     */
+    coerce(content) {
+        const result = { ...content };
+
+        if (typeof result.code === 'string') {
+            result.code = { language: 'plaintext', source: result.code, explanation: '' };
+        } else if (result.code && typeof result.code === 'object') {
+            result.code = {
+                ...result.code,
+                language: result.code.language || 'plaintext',
+                explanation: result.code.explanation || ''
+            };
+        }
+
+        ['objective', 'learningOutcome', 'imageCaptions'].forEach(field => {
+            if (typeof result[field] === 'string') {
+                result[field] = result[field]
+                    .split(/\n+/)
+                    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+                    .filter(Boolean);
+            }
+        });
+
+        if (typeof result.dataset === 'string') {
+            result.dataset = htmlConverterService.tableFromHtml(result.dataset);
+        } else if (result.dataset && typeof result.dataset === 'object' && Array.isArray(result.dataset.rows)) {
+            // Numeric cells come back as numbers
+            result.dataset = {
+                ...result.dataset,
+                rows: result.dataset.rows.map(row => (Array.isArray(row) ? row.map(cell => String(cell ?? '')) : row))
+            };
+        }
+
+        if (result.imageAnalysis && typeof result.imageAnalysis === 'object') {
+            result.imageAnalysis = JSON.stringify(result.imageAnalysis);
+        }
+
+        if (result.imagePlacements && typeof result.imagePlacements === 'object') {
+            result.imagePlacements = Object.fromEntries(
+                Object.entries(result.imagePlacements).map(([section, indices]) => [
+                    section,
+                    (Array.isArray(indices) ? indices : [indices])
+                        .map(Number)
+                        .filter(Number.isInteger)
+                ])
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Replace the given fields with their defaults
+     * @param {Object} content - Content object
+     * @param {Array} fields - Field names to reset
+     * @returns {Object} - Content with defaults applied
+     */
+    applyDefaults(content, fields) {
+        const result = { ...content };
+        fields.forEach(field => {
+            result[field] = structuredClone(FIELD_DEFAULTS[field]);
+        });
+        return result;
+    }
+
+    /**
+     * Top-level fields referenced by validation errors
+     * @param {Array} errors - Errors from validate()
+     * @returns {Array} - Unique field names
+     */
+    invalidFields(errors) {
+        return [...new Set(errors.map(error => error.field).filter(Boolean))];
+    }
+
+    _validateValue(value, schema, field, path, errors) {
+        if (!this._matchesType(value, schema.type)) {
+            errors.push({ field, path, message: `must be of type ${schema.type}` });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ field, path, message: `must be one of ${schema.enum.join(', ')}` });
+            return;
+        }
+
+        if (schema.type === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                this._validateValue(item, schema.items, field, `${path}[${index}]`, errors);
+            });
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push({ field, path: `${path}.${key}`, message: 'is required' });
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+                if (value[key] === undefined || value[key] === null) return;
+                this._validateValue(value[key], childSchema, field, `${path}.${key}`, errors);
+            });
+        }
+    }
+
+    _matchesType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'integer': return Number.isInteger(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+            default: return true;
+        }
+    }
+}
+
+export default new WorksheetContentSchema();
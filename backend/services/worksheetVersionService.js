@@ -0,0 +1,230 @@
+import WorksheetVersion from '../models/WorksheetVersion.js';
+import sectionRegistry from './sectionRegistry.js';
+
+class WorksheetVersionService {
+    /**
+     * Copy the versioned parts of a worksheet
+     * @param {Object} worksheet - Worksheet document
+     * @returns {Object} - { version, sections, content, experimentNumber, dateOfPerformance }
+     */
+    snapshot(worksheet) {
+        const plain = worksheet.toObject ? worksheet.toObject() : worksheet;
+
+        // JSON round trip turns ObjectIds and Dates into plain values for the Mixed fields
+        return JSON.parse(JSON.stringify({
+            version: plain.version,
+            sections: plain.sections || [],
+            content: plain.content || {},
+            experimentNumber: plain.experimentNumber,
+            dateOfPerformance: plain.dateOfPerformance
+        }));
+    }
+
+    /**
+     * Store the current state of a worksheet as a version
+     * @param {Object} worksheet - Worksheet document
+     * @param {Object} meta - { userId, source, changedSections, restoredFrom }
+     * @returns {Promise<Object>} - WorksheetVersion document
+     */
+    async record(worksheet, { userId, source, changedSections = [], restoredFrom = null }) {
+        return await WorksheetVersion.create({
+            ...this.snapshot(worksheet),
+            worksheetId: worksheet._id,
+            userId: userId || worksheet.userId,
+            source,
+            changedSections,
+            restoredFrom
+        });
+    }
+
+    /**
+     * Bump the worksheet version and store a snapshot of the change
+     * Nothing is saved when the worksheet did not change, so autosaves without edits add no entries
+     * @param {Object} worksheet - Worksheet document with unsaved changes
+     * @param {Object} before - snapshot() taken before the changes
+     * @param {Object} meta - { userId, source, restoredFrom }
+     * @returns {Promise<Object|null>} - WorksheetVersion document, or null when nothing changed
+     */
+    async commit(worksheet, before, { userId, source, restoredFrom = null }) {
+        const after = this.snapshot(worksheet);
+        if (!this.hasChanges(before, after)) {
+            // Fields outside the history (such as the last code run) are still kept
+            if (worksheet.isModified()) {
+                await worksheet.save();
+            }
+            return null;
+        }
+
+        const changedSections = this.changedSectionKeys(before.sections, after.sections);
+
+        // Worksheets created before history existed keep their previous state as the first version
+        const hasHistory = await WorksheetVersion.exists({ worksheetId: worksheet._id });
+        if (!hasHistory) {
+            await WorksheetVersion.create({
+                ...before,
+                worksheetId: worksheet._id,
+                userId: worksheet.userId,
+                source: 'generation'
+            });
+        }
+
+        await worksheet.incrementVersion();
+
+        return await this.record(worksheet, { userId, source, changedSections, restoredFrom });
+    }
+
+    /**
+     * Whether a snapshot differs from an earlier one (the version number aside)
+     * @param {Object} before - Earlier snapshot()
+     * @param {Object} after - Later snapshot()
+     * @returns {Boolean}
+     */
+    hasChanges(before, after) {
+        const fields = ({ sections, content, experimentNumber, dateOfPerformance }) => JSON.stringify([
+            sections, content, experimentNumber ?? null, dateOfPerformance ?? null
+        ]);
+        return fields(before) !== fields(after);
+    }
+
+    /**
+     * Keys of sections that were added, removed or changed
+     * @param {Array} fromSections - Older sections
+     * @param {Array} toSections - Newer sections
+     * @returns {Array} - Section keys
+     */
+    changedSectionKeys(fromSections = [], toSections = []) {
+        const fromByKey = new Map(fromSections.map(section => [section.key, section]));
+        const toByKey = new Map(toSections.map(section => [section.key, section]));
+        const keys = [...new Set([...fromByKey.keys(), ...toByKey.keys()])];
+
+        return keys.filter(key => {
+            const from = fromByKey.get(key);
+            const to = toByKey.get(key);
+            if (!from || !to) return true;
+            return JSON.stringify([from.heading, from.type, from.value]) !== JSON.stringify([to.heading, to.type, to.value]);
+        });
+    }
+
+    /**
+     * Compare two versions section by section
+     * @param {Object} fromVersion - Older WorksheetVersion
+     * @param {Object} toVersion - Newer WorksheetVersion
+     * @returns {Object} - { from, to, sections: [{ key, heading, status, changes }] }
+     */
+    diff(fromVersion, toVersion) {
+        const fromSections = fromVersion.sections || [];
+        const toSections = toVersion.sections || [];
+        const fromByKey = new Map(fromSections.map(section => [section.key, section]));
+        const toByKey = new Map(toSections.map(section => [section.key, section]));
+
+        // Newer order first, then sections that only exist in the older version
+        const keys = [...new Set([...toSections.map(section => section.key), ...fromSections.map(section => section.key)])];
+
+        const sections = keys.map(key => {
+            const from = fromByKey.get(key);
+            const to = toByKey.get(key);
+
+            let status = 'unchanged';
+            if (!from) status = 'added';
+            else if (!to) status = 'removed';
+            else if (this.changedSectionKeys([from], [to]).length > 0) status = 'changed';
+
+            return {
+                key,
+                heading: (to || from).heading || sectionRegistry.getLabel(key),
+                status,
+                changes: status === 'unchanged' ? [] : this.diffLines(this.toLines(from), this.toLines(to))
+            };
+        });
+
+        return {
+            from: fromVersion.version,
+            to: toVersion.version,
+            sections
+        };
+    }
+
+    /**
+     * Readable text lines for a section value
+     * @param {Object} section - { type, value }
+     * @returns {Array} - Lines
+     */
+    toLines(section) {
+        if (!section) return [];
+        const { type, value } = section;
+
+        switch (type) {
+            case 'list':
+                return (value || []).map(item => `• ${this.stripHtml(item)}`);
+            case 'code':
+                return [
+                    `[${value?.language || 'plaintext'}]`,
+                    ...String(value?.source || '').split('\n'),
+                    ...this.stripHtml(value?.explanation || '').split('\n')
+                ].filter(line => line !== '');
+            case 'table':
+                return [
+                    ...(value?.caption ? [value.caption] : []),
+                    ...[value?.columns || [], ...(value?.rows || [])].map(row => row.join(' | '))
+                ];
+            default:
+                return this.stripHtml(value || '').split('\n').filter(line => line.trim());
+        }
+    }
+
+    stripHtml(html) {
+        return String(html)
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|h[1-6]|tr|pre)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .trim();
+    }
+
+    /**
+     * Line diff using the longest common subsequence
+     * @param {Array} fromLines - Older lines
+     * @param {Array} toLines - Newer lines
+     * @returns {Array} - [{ type: 'equal' | 'added' | 'removed', text }]
+     */
+    diffLines(fromLines, toLines) {
+        const m = fromLines.length;
+        const n = toLines.length;
+        const lcs = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+
+        for (let i = m - 1; i >= 0; i--) {
+            for (let j = n - 1; j >= 0; j--) {
+                lcs[i][j] = fromLines[i] === toLines[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const changes = [];
+        let i = 0;
+        let j = 0;
+        while (i < m && j < n) {
+            if (fromLines[i] === toLines[j]) {
+                changes.push({ type: 'equal', text: fromLines[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                changes.push({ type: 'removed', text: fromLines[i++] });
+            } else {
+                changes.push({ type: 'added', text: toLines[j++] });
+            }
+        }
+        while (i < m) changes.push({ type: 'removed', text: fromLines[i++] });
+        while (j < n) changes.push({ type: 'added', text: toLines[j++] });
+
+        return changes;
+    }
+}
+
+export default new WorksheetVersionService();
@@ -0,0 +1,241 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import aiService from '../services/aiService.js';
+import AIProviderBase from '../services/aiProviderBase.js';
+import geminiService from '../services/geminiService.js';
+import openAICompatibleService from '../services/openAICompatibleService.js';
+import mockAIService from '../services/mockAIService.js';
+import worksheetContentSchema from '../services/worksheetContentSchema.js';
+
+const ENV_KEYS = ['AI_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_MODEL', 'OPENAI_RESPONSE_FORMAT'];
+
+// Each test sets the provider variables it needs; the singletons are reset to read them again
+let savedEnv;
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    openAICompatibleService.initialized = false;
+    mock.method(console, 'log', () => { });
+    mock.method(console, 'warn', () => { });
+    mock.method(console, 'error', () => { });
+});
+
+afterEach(() => {
+    ENV_KEYS.forEach(key => {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    });
+    openAICompatibleService.initialized = false;
+    mock.restoreAll();
+});
+
+/**
+ * Provider whose replies are queued by the test
+ */
+class ScriptedProvider extends AIProviderBase {
+    constructor(replies) {
+        super('scripted', 'Scripted AI');
+        this.replies = [...replies];
+        this.prompts = [];
+    }
+
+    _ensureInitialized() { }
+
+    async _generate({ prompt }) {
+        this.prompts.push(prompt);
+        const reply = this.replies.shift();
+        if (reply instanceof Error) throw reply;
+        return reply;
+    }
+}
+
+const validContent = () => mockAIService.generateWorksheetContent({ topic: 'Binary Search', syllabus: 'Searching' });
+
+describe('aiService.getProvider', () => {
+    it('uses Gemini when AI_PROVIDER is not set', () => {
+        assert.equal(aiService.getProvider(), geminiService);
+    });
+
+    it('selects providers by name, ignoring case', () => {
+        process.env.AI_PROVIDER = 'OpenAI';
+        assert.equal(aiService.getProvider(), openAICompatibleService);
+        process.env.AI_PROVIDER = 'mock';
+        assert.equal(aiService.getProvider(), mockAIService);
+    });
+
+    it('rejects unknown providers with the supported names', () => {
+        process.env.AI_PROVIDER = 'claude';
+        assert.throws(() => aiService.getProvider(), /Unknown AI_PROVIDER "claude"\. Use one of: gemini, openai, mock/);
+    });
+
+    it('delegates calls to the selected provider', async () => {
+        process.env.AI_PROVIDER = 'mock';
+        const result = await aiService.rewritePassage({ text: 'hello', action: 'translate', language: 'Hindi' });
+        assert.equal(result, '[Hindi] hello');
+    });
+});
+
+describe('AIProviderBase fallbacks', () => {
+    it('asks for a corrected copy when the reply is not JSON', async () => {
+        const content = await validContent();
+        const provider = new ScriptedProvider([`\`\`\`json\n${JSON.stringify(content)}\n\`\`\``]);
+
+        const result = await provider._parseAndValidateContent('{"aim": "<p>cut off', { topic: 'T', syllabus: 'S' });
+
+        assert.equal(provider.prompts.length, 1);
+        assert.match(provider.prompts[0], /not valid JSON/);
+        assert.equal(result.aim, content.aim);
+    });
+
+    it('fails when the corrected copy is still not JSON', async () => {
+        const provider = new ScriptedProvider(['still broken']);
+        await assert.rejects(
+            provider._parseAndValidateContent('not json', { topic: 'T', syllabus: 'S' }),
+            /AI did not return valid JSON format/
+        );
+    });
+
+    it('repairs only the invalid fields', async () => {
+        const content = { ...await validContent(), objective: { text: 'not a list' } };
+        const provider = new ScriptedProvider([JSON.stringify({ objective: ['Fixed objective'], aim: '<p>ignored</p>' })]);
+
+        const result = await provider._parseAndValidateContent(JSON.stringify(content), { topic: 'T', syllabus: 'S' });
+
+        assert.deepEqual(result.objective, ['Fixed objective']);
+        assert.equal(result.aim, content.aim);
+        assert.match(provider.prompts[0], /corrected values for these fields: objective/);
+    });
+
+    it('falls back to defaults when repairs keep failing', async () => {
+        const content = { ...await validContent(), code: 42 };
+        const provider = new ScriptedProvider([new Error('model unavailable')]);
+
+        const result = await provider._parseAndValidateContent(JSON.stringify(content), { topic: 'T', syllabus: 'S' });
+
+        assert.deepEqual(result.code, { language: 'plaintext', source: '', explanation: '' });
+        assert.equal(worksheetContentSchema.validate(result).valid, true);
+    });
+
+    it('retries rate limits and overloads but not other errors', async () => {
+        const provider = new ScriptedProvider([]);
+        let calls = 0;
+        const flaky = async () => {
+            calls++;
+            if (calls < 3) throw Object.assign(new Error('busy'), { status: 429 });
+            return 'ok';
+        };
+
+        assert.equal(await provider._retryOperation(flaky, 5, 1), 'ok');
+        assert.equal(calls, 3);
+
+        calls = 0;
+        const broken = async () => {
+            calls++;
+            throw Object.assign(new Error('bad request'), { status: 400 });
+        };
+        await assert.rejects(provider._retryOperation(broken, 5, 1), /bad request/);
+        assert.equal(calls, 1);
+    });
+});
+
+describe('openAICompatibleService', () => {
+    it('requires an API key for the hosted OpenAI API', () => {
+        assert.throws(() => openAICompatibleService._ensureInitialized(), /OPENAI_API_KEY not found/);
+    });
+
+    it('allows local servers without a key and defaults the model and response format', () => {
+        process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1/';
+        process.env.OPENAI_RESPONSE_FORMAT = 'yaml';
+
+        openAICompatibleService._ensureInitialized();
+
+        assert.equal(openAICompatibleService.modelName, 'gpt-4o-mini');
+        assert.equal(openAICompatibleService.responseFormat, 'json_schema');
+        assert.equal(openAICompatibleService.http.defaults.baseURL, 'http://localhost:11434/v1');
+        assert.equal(openAICompatibleService.http.defaults.headers.Authorization, undefined);
+    });
+
+    it('asks for JSON the way OPENAI_RESPONSE_FORMAT says', async () => {
+        process.env.OPENAI_API_KEY = 'test-key';
+        const formats = {};
+
+        for (const format of ['json_schema', 'json_object', 'none']) {
+            process.env.OPENAI_RESPONSE_FORMAT = format;
+            openAICompatibleService.initialized = false;
+            openAICompatibleService._ensureInitialized();
+
+            const post = mock.method(openAICompatibleService.http, 'post', async () => ({
+                data: { choices: [{ message: { content: '{}' } }] }
+            }));
+            await openAICompatibleService._generate({ prompt: 'Hi', jsonSchema: { type: 'object' } });
+            formats[format] = post.mock.calls[0].arguments[1].response_format?.type;
+        }
+
+        assert.deepEqual(formats, { json_schema: 'json_schema', json_object: 'json_object', none: undefined });
+    });
+
+    it('keeps the HTTP status of failed requests so rate limits are retried', async () => {
+        process.env.OPENAI_API_KEY = 'test-key';
+        openAICompatibleService._ensureInitialized();
+        mock.method(openAICompatibleService.http, 'post', async () => {
+            throw Object.assign(new Error('Request failed'), {
+                response: { status: 429, data: { error: { message: 'Rate limit reached' } } }
+            });
+        });
+
+        await assert.rejects(openAICompatibleService._generate({ prompt: 'Hi' }), { message: 'Rate limit reached', status: 429 });
+    });
+
+    it('sends each image after its index label', () => {
+        const content = openAICompatibleService.buildMessageContent('Prompt', [
+            { inlineData: { data: 'AAAA', mimeType: 'image/png' } }
+        ]);
+
+        assert.deepEqual(content, [
+            { type: 'text', text: 'Prompt' },
+            { type: 'text', text: 'Image 0:' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+        ]);
+        assert.equal(openAICompatibleService.buildMessageContent('Prompt', []), 'Prompt');
+    });
+});
+
+describe('mockAIService', () => {
+    it('generates content that passes the worksheet schema as is', async () => {
+        const content = await validContent();
+
+        assert.equal(worksheetContentSchema.validate(content).valid, true);
+        assert.deepEqual(content.dataset.columns, ['Input', 'Expected output']);
+        assert.deepEqual(content.dataset.rows[0], ['1', '2']);
+    });
+
+    it('is deterministic for the same input', async () => {
+        assert.deepEqual(await validContent(), await validContent());
+    });
+
+    it('places attached images and adds custom template sections', async () => {
+        const content = await mockAIService.generateWorksheetContent({
+            topic: 'Sorting',
+            syllabus: 'Arrays',
+            sections: ['aim', 'Viva Questions'],
+            images: [{ inlineData: { data: 'AAAA', mimeType: 'image/png' } }]
+        });
+
+        assert.deepEqual(content.imagePlacements, { output: [0] });
+        assert.deepEqual(content.customSections.map(section => section.heading), ['Viva Questions']);
+    });
+
+    it('regenerates values shaped for the section type', async () => {
+        const context = { topic: 'Sorting', instruction: 'shorter' };
+
+        assert.equal(typeof await mockAIService.regenerateSection({ key: 'aim', heading: 'Aim', type: 'html' }, context), 'string');
+        assert.equal(Array.isArray(await mockAIService.regenerateSection({ key: 'objective', heading: 'Objective', type: 'list' }, context)), true);
+        assert.deepEqual(Object.keys(await mockAIService.regenerateSection({ key: 'code', heading: 'Code', type: 'code' }, context)), ['language', 'source', 'explanation']);
+        assert.deepEqual(Object.keys(await mockAIService.regenerateSection({ key: 'dataset', heading: 'Dataset', type: 'table' }, context)), ['columns', 'rows']);
+    });
+
+    it('answers the connection test prompt', async () => {
+        const result = await mockAIService.testConnection();
+        assert.equal(result.success, true);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import chartService from '../services/chartService.js';
+
+const sales = {
+    columns: ['Month', 'Sales', 'Returns', 'Region'],
+    rows: [
+        ['Jan', '1,200', '5%', 'North'],
+        ['Feb', '1500', '3%', 'South'],
+        ['Mar', '$900', '', 'North']
+    ]
+};
+
+describe('chartService.validate', () => {
+    it('accepts a chart of existing numeric columns', () => {
+        assert.equal(chartService.validate({ type: 'bar', x: 'Month', y: ['Sales', 'Returns'] }, sales), null);
+        assert.equal(chartService.validate({ type: 'pie', x: 'Month', y: ['Sales'] }, sales), null);
+    });
+
+    it('rejects unknown chart types', () => {
+        assert.equal(chartService.validate({ type: 'radar', x: 'Month', y: ['Sales'] }, sales), 'Chart type must be one of: bar, line, pie, scatter');
+    });
+
+    it('rejects an empty dataset', () => {
+        assert.equal(
+            chartService.validate({ type: 'bar', x: 'Month', y: ['Sales'] }, { columns: ['Month'], rows: [] }),
+            'The dataset is empty; add columns and rows first'
+        );
+    });
+
+    it('rejects columns that are not in the dataset', () => {
+        assert.equal(chartService.validate({ type: 'bar', x: 'Year', y: ['Sales'] }, sales), 'Column "Year" is not in the dataset');
+        assert.equal(chartService.validate({ type: 'bar', x: 'Month', y: ['Sales', 'Profit'] }, sales), 'Column "Profit" is not in the dataset');
+    });
+
+    it('needs between one and six value columns', () => {
+        assert.equal(chartService.validate({ type: 'line', x: 'Month', y: [] }, sales), 'Choose at least one value column');
+        assert.equal(chartService.validate({ type: 'line', x: 'Month' }, sales), 'Choose at least one value column');
+        assert.equal(
+            chartService.validate({ type: 'line', x: 'Month', y: Array(7).fill('Sales') }, sales),
+            'At most 6 value columns can be drawn'
+        );
+    });
+
+    it('allows one value column in a pie chart', () => {
+        assert.equal(chartService.validate({ type: 'pie', x: 'Month', y: ['Sales', 'Returns'] }, sales), 'A pie chart shows one value column');
+    });
+
+    it('rejects value columns without numbers', () => {
+        assert.equal(chartService.validate({ type: 'bar', x: 'Month', y: ['Region'] }, sales), 'Column "Region" has no numbers to plot');
+    });
+
+    it('needs numbers along the x axis of a scatter chart', () => {
+        assert.equal(chartService.validate({ type: 'scatter', x: 'Month', y: ['Sales'] }, sales), 'A scatter chart needs numbers in "Month"');
+        assert.equal(chartService.validate({ type: 'scatter', x: 'Sales', y: ['Returns'] }, sales), null);
+    });
+});
+
+describe('chartService.parseNumber', () => {
+    it('reads formatted numbers and rejects text', () => {
+        assert.equal(chartService.parseNumber('1,200'), 1200);
+        assert.equal(chartService.parseNumber('45%'), 45);
+        assert.equal(chartService.parseNumber('$3.50'), 3.5);
+        assert.equal(chartService.parseNumber('-2'), -2);
+        assert.equal(chartService.parseNumber(''), null);
+        assert.equal(chartService.parseNumber(null), null);
+        assert.equal(chartService.parseNumber('North'), null);
+    });
+});
+
+describe('chartService.niceScale', () => {
+    it('rounds bounds to a 1, 2 or 5 step', () => {
+        assert.deepEqual(chartService.niceScale(0, 1500), { min: 0, max: 1500, step: 500 });
+        assert.deepEqual(chartService.niceScale(3, 97), { min: 0, max: 100, step: 20 });
+    });
+
+    it('widens a range of one value', () => {
+        assert.deepEqual(chartService.niceScale(0, 0), { min: -1, max: 1, step: 0.5 });
+    });
+});
+
+describe('chartService.render', () => {
+    it('draws an SVG with the escaped title', () => {
+        const { svg, error } = chartService.render({ type: 'bar', title: 'Sales <2026>', x: 'Month', y: ['Sales'] }, sales);
+        assert.equal(error, null);
+        assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+        assert.match(svg, /Sales &lt;2026&gt;/);
+        assert.match(svg, /<\/svg>$/);
+    });
+
+    it('returns the validation error instead of an SVG', () => {
+        assert.deepEqual(chartService.render({ type: 'bar', x: 'Year', y: ['Sales'] }, sales), {
+            svg: '',
+            error: 'Column "Year" is not in the dataset'
+        });
+    });
+});
+
+describe('chartService.toImages', () => {
+    it('turns drawable charts into Output section images', () => {
+        const worksheet = {
+            sections: [{ key: 'dataset', value: sales }],
+            charts: [
+                { type: 'line', title: '', x: 'Month', y: ['Sales', 'Returns'] },
+                { type: 'bar', title: 'Broken', x: 'Year', y: ['Sales'] }
+            ]
+        };
+
+        const images = chartService.toImages(worksheet);
+        assert.equal(images.length, 1);
+        assert.equal(images[0].section, 'output');
+        assert.equal(images[0].caption, 'Sales, Returns by Month');
+        assert.match(images[0].url, /^data:image\/svg\+xml;base64,/);
+    });
+});
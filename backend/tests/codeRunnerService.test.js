@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import codeRunnerService from '../services/codeRunnerService.js';
+
+const hasCommand = (command) => {
+    try {
+        execFileSync(command, ['--version'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// A killed process the container's init has not reaped yet still answers kill(pid, 0)
+const isRunning = (pid) => {
+    try {
+        return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch (error) {
+        return false;
+    }
+};
+
+const noPython = !hasCommand('python3') && 'python3 is not installed';
+const noGcc = !hasCommand('gcc') && 'gcc is not installed';
+const notLinux = process.platform !== 'linux' && 'process checks read /proc';
+
+describe('codeRunnerService.run (local mode)', () => {
+    let saved;
+
+    before(() => {
+        saved = { mode: codeRunnerService.mode, timeoutMs: codeRunnerService.timeoutMs };
+        codeRunnerService.mode = 'local';
+        codeRunnerService.timeoutMs = 1000;
+    });
+
+    after(() => {
+        Object.assign(codeRunnerService, saved);
+    });
+
+    it('captures the output of a successful run', { skip: noPython }, async () => {
+        const result = await codeRunnerService.run({ language: 'py', source: 'print("hello")' });
+
+        assert.equal(result.status, 'success');
+        assert.equal(result.stdout, 'hello\n');
+        assert.equal(result.exitCode, 0);
+    });
+
+    it('reports a runtime error with its exit code', { skip: noPython }, async () => {
+        const result = await codeRunnerService.run({ language: 'python', source: 'import sys\nsys.exit(3)' });
+
+        assert.equal(result.status, 'runtime_error');
+        assert.equal(result.exitCode, 3);
+    });
+
+    it('stops a program at the time limit', { skip: noPython }, async () => {
+        const result = await codeRunnerService.run({ language: 'python', source: 'while True:\n    pass' });
+
+        assert.equal(result.status, 'timeout');
+        assert.ok(result.durationMs < 5000);
+    });
+
+    it('kills the processes a timed-out program started', { skip: noPython || notLinux }, async () => {
+        const source = [
+            'import subprocess',
+            'child = subprocess.Popen(["sleep", "30"])',
+            'print(child.pid, flush=True)',
+            'while True:',
+            '    pass'
+        ].join('\n');
+
+        const result = await codeRunnerService.run({ language: 'python', source });
+
+        assert.equal(result.status, 'timeout');
+        assert.equal(isRunning(Number(result.stdout)), false);
+    });
+
+    it('kills background processes left behind by a program that exited', { skip: noPython || notLinux }, async () => {
+        const source = [
+            'import subprocess',
+            'child = subprocess.Popen(["sleep", "30"], stdout=subprocess.DEVNULL, stderr=subprocess.DEVNULL)',
+            'print(child.pid)'
+        ].join('\n');
+
+        const result = await codeRunnerService.run({ language: 'python', source });
+
+        assert.equal(result.status, 'success');
+        assert.equal(isRunning(Number(result.stdout)), false);
+    });
+
+    it('stops a program that prints too much', { skip: noPython }, async () => {
+        const result = await codeRunnerService.run({ language: 'python', source: 'while True:\n    print("x" * 1000)' });
+
+        assert.equal(result.status, 'output_limit');
+        assert.equal(result.truncated, true);
+        assert.equal(result.stdout.length, 64 * 1024);
+    });
+
+    it('reports compiler errors without running the program', { skip: noGcc }, async () => {
+        const result = await codeRunnerService.run({ language: 'c', source: 'int main(void) { return missing; }' });
+
+        assert.equal(result.status, 'compile_error');
+        assert.notEqual(result.exitCode, 0);
+        assert.match(result.stderr, /missing/);
+        assert.doesNotMatch(result.stderr, /worksheet-run-/);
+    });
+
+    it('rejects languages it cannot run', async () => {
+        await assert.rejects(codeRunnerService.run({ language: 'cobol', source: 'x' }), /not supported/);
+    });
+});
+
+describe('codeRunnerService.toOutputHtml', () => {
+    const result = { stdout: 'partial\n', stderr: '', exitCode: 0, durationMs: 5000 };
+
+    it('explains why a program was stopped', () => {
+        assert.match(codeRunnerService.toOutputHtml({ ...result, status: 'timeout' }), /Stopped after 5 seconds \(time limit\)/);
+        assert.match(codeRunnerService.toOutputHtml({ ...result, status: 'output_limit' }), /Output truncated/);
+    });
+
+    it('shows only the compiler output for compile errors', () => {
+        const html = codeRunnerService.toOutputHtml({ ...result, status: 'compile_error', stderr: 'main.c:1: error: <missing>' });
+        assert.equal(html, '<p><strong>Compilation failed:</strong></p>\n<pre>main.c:1: error: &lt;missing&gt;</pre>');
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import datasetService from '../services/datasetService.js';
+
+describe('datasetService.parseCsv', () => {
+    it('reads the header row as columns', () => {
+        assert.deepEqual(datasetService.parseCsv('Month,Sales\nJan,1200\nFeb,1500\n'), {
+            columns: ['Month', 'Sales'],
+            rows: [['Jan', '1200'], ['Feb', '1500']]
+        });
+    });
+
+    it('accepts a Buffer with a byte order mark and Windows line endings', () => {
+        const table = datasetService.parseCsv(Buffer.from('﻿Month,Sales\r\nJan,1200\r\n', 'utf8'));
+        assert.deepEqual(table, { columns: ['Month', 'Sales'], rows: [['Jan', '1200']] });
+    });
+
+    it('handles quoted fields with delimiters, quotes and line breaks', () => {
+        const table = datasetService.parseCsv('Item,Note\n"Widget, large","He said ""hi""\nthen left"\n');
+        assert.deepEqual(table.rows, [['Widget, large', 'He said "hi"\nthen left']]);
+    });
+
+    it('detects semicolon and tab delimiters from the header', () => {
+        assert.deepEqual(datasetService.parseCsv('A;B\n1,5;2\n').rows, [['1,5', '2']]);
+        assert.deepEqual(datasetService.parseCsv('A\tB\n1\t2\n').rows, [['1', '2']]);
+    });
+
+    it('pads short rows, names empty headers and skips blank lines', () => {
+        assert.deepEqual(datasetService.parseCsv('Name,\nAnn\n\n,,\nBob,3,x\n'), {
+            columns: ['Name', 'Column 2', 'Column 3'],
+            rows: [['Ann', '', ''], ['Bob', '3', 'x']]
+        });
+    });
+
+    it('trims cells and cuts long ones', () => {
+        const { rows } = datasetService.parseCsv(`A,B\n  x  ,${'y'.repeat(300)}\n`);
+        assert.equal(rows[0][0], 'x');
+        assert.equal(rows[0][1].length, 200);
+    });
+
+    it('rejects empty files and files without data rows', () => {
+        assert.throws(() => datasetService.parseCsv(''), /The CSV file is empty/);
+        assert.throws(() => datasetService.parseCsv('  \n '), /The CSV file is empty/);
+        assert.throws(() => datasetService.parseCsv('A,B\n'), /header row and at least one data row/);
+    });
+
+    it('rejects too many rows or columns', () => {
+        const manyRows = `A\n${'1\n'.repeat(501)}`;
+        assert.throws(() => datasetService.parseCsv(manyRows), /501 rows; at most 500/);
+
+        const manyColumns = `${Array.from({ length: 31 }, (_, idx) => `C${idx}`).join(',')}\n1\n`;
+        assert.throws(() => datasetService.parseCsv(manyColumns), /31 columns; at most 30/);
+    });
+});
+
+describe('datasetService.getWorksheetTable', () => {
+    it('prefers the dataset section over content', () => {
+        const worksheet = {
+            sections: [{ key: 'dataset', value: { columns: ['A'], rows: [['1']], caption: 'Data' } }],
+            content: { dataset: { columns: ['B'], rows: [] } }
+        };
+        assert.deepEqual(datasetService.getWorksheetTable(worksheet), { columns: ['A'], rows: [['1']] });
+    });
+
+    it('reads legacy HTML datasets and missing ones', () => {
+        const worksheet = { content: { dataset: '<table><tr><th>A</th></tr><tr><td>1</td></tr></table>' } };
+        const { columns, rows } = datasetService.getWorksheetTable(worksheet);
+        assert.deepEqual({ columns, rows }, { columns: ['A'], rows: [['1']] });
+        assert.deepEqual(datasetService.getWorksheetTable({ content: {} }), { columns: [], rows: [] });
+    });
+});
+
+describe('datasetService.toPromptText', () => {
+    it('lists the rows and says how many are left out', () => {
+        const rows = Array.from({ length: 25 }, (_, idx) => [`r${idx}`, String(idx)]);
+        const text = datasetService.toPromptText({ columns: ['Name', 'Value'], rows });
+
+        assert.match(text, /\(25 rows\)/);
+        assert.match(text, /\nName, Value\nr0, 0\n/);
+        assert.match(text, /r19, 19\n\.\.\. 5 more rows$/);
+        assert.doesNotMatch(text, /r20/);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import htmlSanitizerService from '../services/htmlSanitizerService.js';
+
+describe('htmlSanitizerService.sanitize', () => {
+    it('returns an empty string for empty input', () => {
+        for (const html of [undefined, null, '']) {
+            assert.equal(htmlSanitizerService.sanitize(html), '');
+        }
+    });
+
+    it('removes scripts with their content', () => {
+        assert.equal(htmlSanitizerService.sanitize('<p>Hi</p><script>alert(1)</script>'), '<p>Hi</p>');
+    });
+
+    it('removes event handlers and javascript: links', () => {
+        const html = htmlSanitizerService.sanitize('<img src="x.png" onerror="alert(1)"><a href="javascript:alert(1)">x</a>');
+        assert.doesNotMatch(html, /onerror|javascript:/);
+        assert.match(html, /<img src="x.png" \/>/);
+    });
+
+    it('unwraps unknown tags but keeps their text', () => {
+        assert.equal(htmlSanitizerService.sanitize('<custom-tag>text</custom-tag>'), 'text');
+    });
+
+    it('keeps the table and spacing styles the AI prompt uses', () => {
+        const html = '<table class="data-table" style="border-collapse:collapse;width:100%"><tr><td style="border:1px solid #ccc;padding:8px">1</td></tr></table>';
+        const clean = htmlSanitizerService.sanitize(html);
+        assert.match(clean, /class="data-table"/);
+        assert.match(clean, /border-collapse:collapse/);
+        assert.match(clean, /width:100%/);
+        assert.match(clean, /border:1px solid #ccc/);
+        assert.match(clean, /padding:8px/);
+    });
+
+    it('drops styles outside the allow-list', () => {
+        const clean = htmlSanitizerService.sanitize('<p style="position:fixed;background:url(x);color:red">x</p>');
+        assert.equal(clean, '<p style="color:red">x</p>');
+    });
+
+    it('keeps editor classes and drops others', () => {
+        assert.equal(
+            htmlSanitizerService.sanitize('<p class="ql-align-center evil">x</p>'),
+            '<p class="ql-align-center">x</p>'
+        );
+    });
+
+    it('adds rel to links opening a new tab', () => {
+        assert.equal(
+            htmlSanitizerService.sanitize('<a href="https://example.com" target="_blank">x</a>'),
+            '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+        );
+    });
+
+    it('allows data URLs only for images', () => {
+        assert.match(htmlSanitizerService.sanitize('<img src="data:image/png;base64,AAAA">'), /src="data:image\/png/);
+        assert.doesNotMatch(htmlSanitizerService.sanitize('<a href="data:text/html,x">x</a>'), /data:/);
+    });
+});
+
+describe('htmlSanitizerService.sanitizeSectionValue', () => {
+    it('cleans each list item', () => {
+        assert.deepEqual(
+            htmlSanitizerService.sanitizeSectionValue('list', ['<b>a</b>', '<script>x</script>b']),
+            ['<b>a</b>', 'b']
+        );
+    });
+
+    it('keeps code source as is and cleans the explanation', () => {
+        const value = { language: 'html', source: '<script>alert(1)</script>', explanation: '<p>Why</p><script>x</script>' };
+        assert.deepEqual(htmlSanitizerService.sanitizeSectionValue('code', value), {
+            language: 'html',
+            source: '<script>alert(1)</script>',
+            explanation: '<p>Why</p>'
+        });
+    });
+
+    it('keeps table cells as is and cleans legacy HTML tables', () => {
+        const table = { columns: ['<b>A</b>'], rows: [['<script>1</script>']] };
+        assert.equal(htmlSanitizerService.sanitizeSectionValue('table', table), table);
+        assert.equal(htmlSanitizerService.sanitizeSectionValue('table', '<table><tr><td>1</td></tr></table><script>x</script>'), '<table><tr><td>1</td></tr></table>');
+    });
+
+    it('passes missing values through', () => {
+        assert.equal(htmlSanitizerService.sanitizeSectionValue('html', null), null);
+        assert.equal(htmlSanitizerService.sanitizeSectionValue('html', undefined), undefined);
+    });
+});
+
+describe('htmlSanitizerService.sanitizeContent', () => {
+    it('cleans section fields by their type and keeps plain data fields', () => {
+        const questionParts = [{ part: 'a', description: '<script>kept as data</script>' }];
+        const content = htmlSanitizerService.sanitizeContent({
+            aim: '<p>Aim</p><script>x</script>',
+            objective: ['<i>one</i><iframe src="x"></iframe>'],
+            questionParts
+        });
+
+        assert.equal(content.aim, '<p>Aim</p>');
+        assert.deepEqual(content.objective, ['<i>one</i>']);
+        assert.equal(content.questionParts, questionParts);
+    });
+
+    it('cleans every section of a list', () => {
+        const sections = htmlSanitizerService.sanitizeSections([
+            { key: 'aim', heading: 'Aim', type: 'html', value: '<p onclick="x()">Aim</p>' }
+        ]);
+        assert.deepEqual(sections, [{ key: 'aim', heading: 'Aim', type: 'html', value: '<p>Aim</p>' }]);
+    });
+});
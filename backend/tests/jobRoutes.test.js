@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import router from '../routes/worksheets.js';
+import GenerationJob from '../models/GenerationJob.js';
+import GenerationBatch from '../models/GenerationBatch.js';
+import jobEventService from '../services/jobEventService.js';
+
+// Handler after the auth middleware
+const handlerFor = (path, method = 'get') => {
+    const layer = router.stack.find(entry => entry.route?.path === path && entry.route.methods[method]);
+    return layer.route.stack.at(-1).handle;
+};
+
+const fakeRequest = (id, body = {}) => Object.assign(new EventEmitter(), { params: { id }, userId: 'user-1', body });
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    headersSent: false,
+    ended: false,
+    body: null,
+    chunks: [],
+    set() { return this; },
+    flushHeaders() { this.headersSent = true; },
+    write(chunk) {
+        assert.equal(this.ended, false, 'write after end');
+        this.chunks.push(chunk);
+    },
+    end() { this.ended = true; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.ended = true; }
+});
+
+const fakeJob = (id, overrides = {}) => ({
+    _id: id,
+    status: 'running',
+    error: null,
+    worksheetId: null,
+    pdf: { status: 'pending', url: null, error: null },
+    stages: [],
+    ...overrides
+});
+
+describe('GET /jobs/:id', () => {
+    const handler = handlerFor('/jobs/:id');
+
+    afterEach(() => mock.restoreAll());
+
+    it('returns 404 for a malformed id without querying', async () => {
+        const findOne = mock.method(GenerationJob, 'findOne', async () => null);
+
+        const res = fakeResponse();
+        await handler(fakeRequest('not-an-id'), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.message, 'Generation job not found');
+        assert.equal(findOne.mock.callCount(), 0);
+    });
+});
+
+describe('GET /jobs/:id/events', () => {
+    const handler = handlerFor('/jobs/:id/events');
+    const id = new mongoose.Types.ObjectId().toString();
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval'] });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        mock.timers.reset();
+    });
+
+    it('closes without a heartbeat when the job finishes while it is loading', async () => {
+        mock.method(GenerationJob, 'findOne', async () => {
+            jobEventService.publish(id, 'status', {
+                ...jobEventService.toStatus(fakeJob(id)),
+                status: 'succeeded',
+                pdf: { status: 'succeeded', url: 'https://example.com/a.pdf', error: null }
+            });
+            return fakeJob(id);
+        });
+
+        const req = fakeRequest(id);
+        const res = fakeResponse();
+        await handler(req, res);
+
+        assert.equal(res.ended, true);
+        assert.equal(jobEventService.emitter.listenerCount(id), 0);
+
+        const written = res.chunks.length;
+        mock.timers.tick(60000);
+        assert.equal(res.chunks.length, written);
+        assert.match(res.chunks.at(-1), /"status":"succeeded"/);
+    });
+
+    it('keeps streaming until a finished status is published', async () => {
+        mock.method(GenerationJob, 'findOne', async () => fakeJob(id));
+
+        const req = fakeRequest(id);
+        const res = fakeResponse();
+        await handler(req, res);
+
+        assert.equal(res.ended, false);
+        mock.timers.tick(15000);
+        assert.equal(res.chunks.at(-1), ': keep-alive\n\n');
+
+        jobEventService.publishStatus(fakeJob(id, { status: 'failed', error: 'boom' }));
+        assert.equal(res.ended, true);
+        assert.equal(jobEventService.emitter.listenerCount(id), 0);
+
+        req.emit('close');
+        mock.timers.tick(60000);
+    });
+
+    it('returns 404 for a malformed id without subscribing', async () => {
+        const findOne = mock.method(GenerationJob, 'findOne', async () => null);
+
+        const res = fakeResponse();
+        await handler(fakeRequest('not-an-id'), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(findOne.mock.callCount(), 0);
+        assert.equal(jobEventService.emitter.listenerCount('not-an-id'), 0);
+    });
+
+    it('returns 404 for a job of another user', async () => {
+        mock.method(GenerationJob, 'findOne', async () => null);
+
+        const res = fakeResponse();
+        await handler(fakeRequest(id), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(jobEventService.emitter.listenerCount(id), 0);
+    });
+});
+
+describe('POST /batches/:id/retry', () => {
+    const handler = handlerFor('/batches/:id/retry', 'post');
+
+    afterEach(() => mock.restoreAll());
+
+    it('keeps worksheets that arrived after the item timed out instead of generating them again', async () => {
+        const jobId = new mongoose.Types.ObjectId();
+        const worksheetId = new mongoose.Types.ObjectId();
+        const item = { _id: new mongoose.Types.ObjectId(), topic: 'Stacks', status: 'failed', jobId };
+        const batch = { _id: new mongoose.Types.ObjectId(), userId: 'user-1', items: [item] };
+
+        mock.method(GenerationBatch, 'findOne', async () => batch);
+        mock.method(GenerationBatch, 'findById', async () => new GenerationBatch({ ...batch, items: [{ ...item, status: 'succeeded', worksheetId }] }));
+        const find = mock.method(GenerationJob, 'find', async () => [{ _id: jobId, worksheetId }]);
+        const updateItem = mock.method(GenerationBatch, 'updateItem', async () => { });
+
+        const res = fakeResponse();
+        await handler(fakeRequest(batch._id.toString()), res);
+
+        assert.equal(res.statusCode, 202);
+        assert.deepEqual(find.mock.calls[0].arguments[0]._id.$in, [jobId]);
+        assert.deepEqual(updateItem.mock.calls.map(call => call.arguments.slice(1)), [
+            [item._id, { status: 'succeeded', worksheetId, error: null }]
+        ]);
+        assert.equal(res.body.message, '0 item(s) queued again, 1 already had a worksheet');
+    });
+});
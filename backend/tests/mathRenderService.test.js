@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mathRenderService from '../services/mathRenderService.js';
+
+describe('mathRenderService.render', () => {
+    it('leaves HTML without math untouched', () => {
+        const html = '<p>No formulas here</p>';
+        assert.equal(mathRenderService.render(html), html);
+    });
+
+    it('renders inline math as MathML', () => {
+        const html = mathRenderService.render('<p>Area is $\\pi r^2$.</p>');
+        assert.match(html, /^<p>Area is <span class="katex"><math/);
+        assert.doesNotMatch(html, /display="block"/);
+        assert.match(html, /<\/math><\/span>\.<\/p>$/);
+    });
+
+    it('renders $$ and \\[ \\] as display math', () => {
+        for (const html of ['<p>$$E = mc^2$$</p>', '<p>\\[E = mc^2\\]</p>']) {
+            assert.match(mathRenderService.render(html), /<math[^>]*display="block"/);
+        }
+    });
+
+    it('renders \\( \\) as inline math', () => {
+        assert.match(mathRenderService.render('<p>\\(x + 1\\)</p>'), /<math/);
+    });
+
+    it('keeps prices and loose dollar signs as text', () => {
+        for (const html of ['<p>It costs $5 and $10.</p>', '<p>Pay $ 5 and $ 6</p>']) {
+            assert.equal(mathRenderService.render(html), html);
+        }
+    });
+
+    it('does not render math inside code elements', () => {
+        const html = '<pre>echo $HOME $PATH</pre><code>$x$</code>';
+        assert.equal(mathRenderService.render(html), html);
+    });
+
+    it('renders math again after a code element closes', () => {
+        const html = mathRenderService.render('<code>$a$</code><p>$b$</p>');
+        assert.match(html, /^<code>\$a\$<\/code><p><span class="katex">/);
+    });
+
+    it('decodes entities before rendering', () => {
+        assert.match(mathRenderService.render('<p>$a &lt; b$</p>'), /<mo>&lt;<\/mo>/);
+    });
+
+    it('keeps invalid LaTeX as written', () => {
+        const html = '<p>$\\frac{1$</p>';
+        assert.equal(mathRenderService.render(html), html);
+    });
+
+    it('renders chemical equations with \\ce', () => {
+        const html = mathRenderService.render('<p>$\\ce{2H2 + O2 -> 2H2O}$</p>');
+        assert.match(html, /<math/);
+        assert.match(html, /<mn>2<\/mn>/);
+    });
+});
+
+describe('mathRenderService.renderSectionValue', () => {
+    it('renders list items and code explanations', () => {
+        const [item] = mathRenderService.renderSectionValue('list', ['$x$']);
+        assert.match(item, /<math/);
+
+        const code = mathRenderService.renderSectionValue('code', { language: 'python', source: 'x = "$a$"', explanation: '$y$' });
+        assert.equal(code.source, 'x = "$a$"');
+        assert.match(code.explanation, /<math/);
+    });
+
+    it('leaves tables alone', () => {
+        const table = { columns: ['$x$'], rows: [['$y$']] };
+        assert.equal(mathRenderService.renderSectionValue('table', table), table);
+    });
+});
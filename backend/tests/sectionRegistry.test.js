@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sectionRegistry from '../services/sectionRegistry.js';
+import { UNMIGRATED_QUERY, buildLegacySections, migrateSections } from '../scripts/migrateWorksheetSections.js';
+
+// Content saved before worksheets had sections
+const legacyContent = () => ({
+    questionTitle: '<h3>Sort an array</h3>',
+    aim: '<p>Sort numbers</p>',
+    problemStatement: '<p>Given n numbers</p>',
+    dataset: '<table><tr><th>n</th></tr><tr><td>5</td></tr></table>',
+    algorithm: '<ol><li>Compare</li></ol>',
+    objective: ['Learn sorting'],
+    code: 'print(sorted(a))',
+    output: '<pre>[1, 2]</pre>',
+    learningOutcome: ['Sorting'],
+    conclusion: '<p>Done</p>'
+});
+
+describe('sectionRegistry legacy content mapping', () => {
+    it('maps each content field to its section key', () => {
+        const pairs = ['questionTitle', 'aim', 'problemStatement', 'dataset', 'algorithm', 'objective', 'code', 'output', 'learningOutcome', 'conclusion', 'additionalNotes']
+            .map(field => [field, sectionRegistry.getKeyForField(field)]);
+
+        assert.deepEqual(Object.fromEntries(pairs), {
+            questionTitle: 'mainQuestion',
+            aim: 'aim',
+            problemStatement: 'problemStatement',
+            dataset: 'dataset',
+            algorithm: 'algorithm',
+            objective: 'objective',
+            code: 'code',
+            output: 'output',
+            learningOutcome: 'learningOutcome',
+            conclusion: 'conclusion',
+            additionalNotes: 'additionalNotes'
+        });
+        assert.equal(sectionRegistry.getContentField('mainQuestion'), 'questionTitle');
+        assert.equal(sectionRegistry.getKeyForField('mainQuestionTitle'), null);
+    });
+
+    it('builds typed sections from legacy values in the default order', () => {
+        const sections = sectionRegistry.buildSections(legacyContent());
+
+        assert.deepEqual(sections.map(({ key, type }) => `${key}:${type}`), [
+            'mainQuestion:html', 'aim:html', 'problemStatement:html', 'dataset:table',
+            'objective:list', 'code:code', 'output:html', 'learningOutcome:list', 'conclusion:html'
+        ]);
+        assert.equal(sections[0].value, '<h3>Sort an array</h3>');
+        assert.deepEqual(sections[3].value, { columns: ['n'], rows: [['5']] });
+        assert.deepEqual(sections[5].value, { language: 'plaintext', source: 'print(sorted(a))', explanation: '' });
+    });
+
+    it('gives missing fields an empty value of their type', () => {
+        const sections = sectionRegistry.buildSections({}, ['Aim', 'Dataset', 'Objectives', 'Code']);
+
+        assert.deepEqual(sections.map(({ key, value }) => [key, value]), [
+            ['mainQuestion', ''],
+            ['aim', ''],
+            ['dataset', { columns: [], rows: [] }],
+            ['objective', []],
+            ['code', { language: 'plaintext', source: '', explanation: '' }]
+        ]);
+    });
+
+    it('keeps template wording for known headings and adds custom ones', () => {
+        const sections = sectionRegistry.buildSections(
+            legacyContent(),
+            ['1. Aim / Overview of the Practical', 'Viva Questions', 'Conclusion'],
+            [{ heading: 'Viva Questions', type: 'list', value: ['Why?'] }]
+        );
+
+        assert.deepEqual(sections.map(({ key, heading }) => [key, heading]), [
+            ['mainQuestion', 'Main Question'],
+            ['aim', '1. Aim / Overview of the Practical'],
+            ['vivaQuestions', 'Viva Questions'],
+            ['conclusion', 'Conclusion']
+        ]);
+        assert.deepEqual(sections[2].value, ['Why?']);
+    });
+});
+
+/**
+ * In-memory stand-in for the raw worksheets collection
+ * Supports the $or / $exists / $size filter and the $set / $unset update the migration uses
+ */
+const fakeCollection = (docs) => {
+    const matchesCondition = (doc, condition) => Object.entries(condition).every(([field, test]) => {
+        if ('$exists' in test) return (doc[field] !== undefined) === test.$exists;
+        if ('$size' in test) return Array.isArray(doc[field]) && doc[field].length === test.$size;
+        return false;
+    });
+    const matches = (doc, query) => query.$or.some(condition => matchesCondition(doc, condition));
+
+    return {
+        docs,
+        updates: 0,
+        async countDocuments(query) {
+            return docs.filter(doc => matches(doc, query)).length;
+        },
+        async *find(query) {
+            yield* docs.filter(doc => matches(doc, query)).map(doc => structuredClone(doc));
+        },
+        async updateOne({ _id }, { $set, $unset }) {
+            const doc = docs.find(existing => existing._id === _id);
+            Object.assign(doc, structuredClone($set));
+            Object.keys($unset).forEach(path => {
+                const [parent, child] = path.split('.');
+                delete doc[parent][child];
+            });
+            this.updates += 1;
+        }
+    };
+};
+
+describe('migrateWorksheetSections', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => { });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const templates = { t1: { sectionsOrder: ['Aim', 'Viva Questions', 'Code'] } };
+    const loadTemplate = async (id) => templates[id] || null;
+
+    it('keeps legacy custom sections as html sections', () => {
+        const sections = buildLegacySections(
+            { content: { aim: '<p>Aim</p>', customSections: [{ heading: 'Viva Questions', content: '<p>Q1</p>' }] } },
+            templates.t1
+        );
+
+        assert.deepEqual(sections.find(section => section.key === 'vivaQuestions'), {
+            key: 'vivaQuestions',
+            heading: 'Viva Questions',
+            type: 'html',
+            value: '<p>Q1</p>'
+        });
+    });
+
+    it('migrates worksheets without sections once and changes nothing on a second run', async () => {
+        const collection = fakeCollection([
+            { _id: 'a', templateId: 't1', content: { ...legacyContent(), customSections: [{ heading: 'Viva Questions', content: '<p>Q1</p>' }] } },
+            { _id: 'b', templateId: 'gone', content: legacyContent(), sections: [] },
+            { _id: 'c', content: legacyContent(), sections: [{ key: 'aim', heading: 'Aim', type: 'html', value: '<p>Edited</p>' }] }
+        ]);
+
+        const first = await migrateSections(collection, { loadTemplate });
+        const afterFirst = structuredClone(collection.docs);
+        const second = await migrateSections(collection, { loadTemplate });
+
+        assert.deepEqual(first, { total: 2, migrated: 2, failed: 0 });
+        assert.deepEqual(second, { total: 0, migrated: 0, failed: 0 });
+        assert.equal(collection.updates, 2);
+        assert.deepEqual(collection.docs, afterFirst);
+
+        const [a, b, c] = collection.docs;
+        assert.deepEqual(a.sections.map(section => section.key), ['mainQuestion', 'aim', 'vivaQuestions', 'code']);
+        assert.equal(a.content.customSections, undefined);
+        assert.equal(b.sections.length, 9);
+        assert.deepEqual(c.sections, [{ key: 'aim', heading: 'Aim', type: 'html', value: '<p>Edited</p>' }]);
+    });
+
+    it('counts worksheets without writing them in a dry run', async () => {
+        const collection = fakeCollection([{ _id: 'a', content: legacyContent() }]);
+
+        assert.deepEqual(await migrateSections(collection, { loadTemplate, dryRun: true }), { total: 1, migrated: 1, failed: 0 });
+        assert.equal(collection.updates, 0);
+        assert.equal(collection.docs[0].sections, undefined);
+    });
+
+    it('selects only worksheets with missing or empty sections', () => {
+        assert.deepEqual(UNMIGRATED_QUERY, { $or: [{ sections: { $exists: false } }, { sections: { $size: 0 } }] });
+    });
+});
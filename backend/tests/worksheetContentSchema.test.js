@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worksheetContentSchema from '../services/worksheetContentSchema.js';
+
+const validContent = () => ({
+    mainQuestionTitle: 'Linear Regression',
+    aim: '<p>Fit a line</p>',
+    objective: ['Load data', 'Fit model'],
+    code: { language: 'python', source: 'print(1)', explanation: '' },
+    output: '<pre>1</pre>',
+    learningOutcome: ['Understand regression']
+});
+
+describe('worksheetContentSchema.validate', () => {
+    it('accepts content with every required field', () => {
+        assert.deepEqual(worksheetContentSchema.validate(validContent()), { valid: true, errors: [] });
+    });
+
+    it('rejects a value that is not an object', () => {
+        for (const content of [null, 'text', [1, 2]]) {
+            const result = worksheetContentSchema.validate(content);
+            assert.equal(result.valid, false);
+            assert.equal(result.errors[0].message, 'Response is not a JSON object');
+        }
+    });
+
+    it('reports missing required fields', () => {
+        const content = validContent();
+        delete content.aim;
+        content.output = null;
+
+        const { valid, errors } = worksheetContentSchema.validate(content);
+        assert.equal(valid, false);
+        assert.deepEqual(errors.map(error => error.path).sort(), ['aim', 'output']);
+    });
+
+    it('reports nested type errors with their path', () => {
+        const content = { ...validContent(), objective: ['ok', 3], dataset: { columns: ['A'], rows: [['1', 2]] } };
+
+        const { errors } = worksheetContentSchema.validate(content);
+        assert.deepEqual(errors.map(({ field, path }) => ({ field, path })), [
+            { field: 'dataset', path: 'dataset.rows[0][1]' },
+            { field: 'objective', path: 'objective[1]' }
+        ]);
+    });
+
+    it('requires the source of a code object', () => {
+        const { errors } = worksheetContentSchema.validate({ ...validContent(), code: { language: 'python' } });
+        assert.deepEqual(errors, [{ field: 'code', path: 'code.source', message: 'is required' }]);
+    });
+
+    it('rejects section, diagram and chart types outside their enums', () => {
+        const { errors } = worksheetContentSchema.validate({
+            ...validContent(),
+            customSections: [{ heading: 'Viva', type: 'list', items: [] }, { heading: 'Notes', type: 'table' }],
+            diagrams: [{ section: 'algorithm', format: 'plantuml', source: 'a -> b' }],
+            charts: [{ type: 'bar', x: 'Month', y: ['Sales'] }, { type: 'radar', x: 'Month', y: ['Sales'] }]
+        });
+
+        assert.deepEqual(errors, [
+            { field: 'customSections', path: 'customSections[1].type', message: 'must be one of html, list' },
+            { field: 'diagrams', path: 'diagrams[0].format', message: 'must be one of mermaid, graphviz' },
+            { field: 'charts', path: 'charts[1].type', message: 'must be one of bar, line, pie, scatter' }
+        ]);
+    });
+});
+
+describe('worksheetContentSchema.coerce', () => {
+    it('wraps code returned as a string', () => {
+        const { code } = worksheetContentSchema.coerce({ code: 'print(1)' });
+        assert.deepEqual(code, { language: 'plaintext', source: 'print(1)', explanation: '' });
+    });
+
+    it('fills a missing code language and explanation', () => {
+        const { code } = worksheetContentSchema.coerce({ code: { source: 'x = 1' } });
+        assert.deepEqual(code, { source: 'x = 1', language: 'plaintext', explanation: '' });
+    });
+
+    it('splits lists returned as text and strips bullets and numbers', () => {
+        const result = worksheetContentSchema.coerce({ objective: '1. Load data\n- Fit model\n\n• Plot' });
+        assert.deepEqual(result.objective, ['Load data', 'Fit model', 'Plot']);
+    });
+
+    it('turns numeric dataset cells into strings', () => {
+        const result = worksheetContentSchema.coerce({ dataset: { columns: ['Month', 'Sales'], rows: [['Jan', 1200], ['Feb', null]] } });
+        assert.deepEqual(result.dataset.rows, [['Jan', '1200'], ['Feb', '']]);
+        assert.equal(worksheetContentSchema.validate({ ...validContent(), dataset: result.dataset }).valid, true);
+    });
+
+    it('reads a dataset returned as an HTML table', () => {
+        const result = worksheetContentSchema.coerce({
+            dataset: '<table><tr><th>Month</th><th>Sales</th></tr><tr><td>Jan</td><td>1200</td></tr></table>'
+        });
+        assert.deepEqual(result.dataset.columns, ['Month', 'Sales']);
+        assert.deepEqual(result.dataset.rows, [['Jan', '1200']]);
+    });
+
+    it('normalizes image placements to integer lists', () => {
+        const result = worksheetContentSchema.coerce({ imagePlacements: { aim: '0', output: ['1', 'x', 2] } });
+        assert.deepEqual(result.imagePlacements, { aim: [0], output: [1, 2] });
+    });
+
+    it('does not modify its input', () => {
+        const content = { code: 'print(1)' };
+        worksheetContentSchema.coerce(content);
+        assert.equal(content.code, 'print(1)');
+    });
+});
+
+describe('worksheetContentSchema.applyDefaults', () => {
+    it('resets fields to fresh copies of their defaults', () => {
+        const first = worksheetContentSchema.applyDefaults({ aim: 42 }, ['aim', 'dataset']);
+        const second = worksheetContentSchema.applyDefaults({}, ['dataset']);
+
+        assert.equal(first.aim, '');
+        assert.deepEqual(first.dataset, { columns: [], rows: [] });
+        first.dataset.rows.push(['x']);
+        assert.deepEqual(second.dataset.rows, []);
+    });
+});
+
+describe('worksheetContentSchema.invalidFields', () => {
+    it('lists each invalid top-level field once', () => {
+        const { errors } = worksheetContentSchema.validate({ ...validContent(), objective: [1, 2], aim: 3 });
+        assert.deepEqual(worksheetContentSchema.invalidFields(errors).sort(), ['aim', 'objective']);
+    });
+});
+
+describe('worksheetContentSchema.getJsonSchema', () => {
+    it('limits the schema to the requested fields', () => {
+        const schema = worksheetContentSchema.getJsonSchema(['aim', 'dataset']);
+        assert.deepEqual(Object.keys(schema.properties), ['aim', 'dataset']);
+        assert.deepEqual(schema.required, ['aim']);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import WorksheetVersion from '../models/WorksheetVersion.js';
+import worksheetVersionService from '../services/worksheetVersionService.js';
+
+const snapshot = (overrides = {}) => ({
+    version: 3,
+    sections: [
+        { key: 'aim', heading: 'Aim', type: 'html', value: '<p>Aim</p>' },
+        { key: 'objective', heading: 'Objective', type: 'list', value: ['one'] }
+    ],
+    content: { aim: '<p>Aim</p>', objective: ['one'] },
+    experimentNumber: '4',
+    dateOfPerformance: '2026-10-01T00:00:00.000Z',
+    ...overrides
+});
+
+describe('worksheetVersionService.snapshot', () => {
+    it('copies the versioned fields as plain values', () => {
+        const worksheet = { ...snapshot(), dateOfPerformance: new Date('2026-10-01T00:00:00.000Z'), topic: 'ignored' };
+        assert.deepEqual(worksheetVersionService.snapshot(worksheet), snapshot());
+    });
+});
+
+describe('worksheetVersionService.hasChanges', () => {
+    it('ignores the version number', () => {
+        assert.equal(worksheetVersionService.hasChanges(snapshot(), snapshot({ version: 4 })), false);
+    });
+
+    it('notices section, content and header detail changes', () => {
+        const before = snapshot();
+        const [aim, objective] = before.sections;
+        assert.equal(worksheetVersionService.hasChanges(before, snapshot({ sections: [aim, { ...objective, value: ['two'] }] })), true);
+        assert.equal(worksheetVersionService.hasChanges(before, snapshot({ content: { aim: '' } })), true);
+        assert.equal(worksheetVersionService.hasChanges(before, snapshot({ experimentNumber: '5' })), true);
+        assert.equal(worksheetVersionService.hasChanges(before, snapshot({ dateOfPerformance: undefined })), true);
+    });
+});
+
+describe('worksheetVersionService.commit', () => {
+    afterEach(() => mock.restoreAll());
+
+    const fakeWorksheet = () => ({
+        _id: 'worksheet-1',
+        userId: 'user-1',
+        ...snapshot(),
+        isModified: () => true,
+        save: async () => { },
+        async incrementVersion() { this.version += 1; }
+    });
+
+    it('stores one entry per version for consecutive manual saves', async () => {
+        mock.method(WorksheetVersion, 'exists', async () => ({ _id: 'version-1' }));
+        const create = mock.method(WorksheetVersion, 'create', async (doc) => doc);
+        const worksheet = fakeWorksheet();
+
+        for (const aim of ['<p>One</p>', '<p>Two</p>']) {
+            const before = worksheetVersionService.snapshot(worksheet);
+            worksheet.sections = [{ ...worksheet.sections[0], value: aim }, worksheet.sections[1]];
+            await worksheetVersionService.commit(worksheet, before, { userId: 'user-1', source: 'manual' });
+        }
+
+        assert.deepEqual(create.mock.calls.map(call => call.arguments[0].version), [4, 5]);
+        assert.equal(create.mock.calls[1].arguments[0].sections[0].value, '<p>Two</p>');
+        assert.deepEqual(create.mock.calls[1].arguments[0].changedSections, ['aim']);
+    });
+
+    it('keeps the previous state as the first version of worksheets without history', async () => {
+        mock.method(WorksheetVersion, 'exists', async () => null);
+        const create = mock.method(WorksheetVersion, 'create', async (doc) => doc);
+        const worksheet = fakeWorksheet();
+
+        const before = worksheetVersionService.snapshot(worksheet);
+        worksheet.experimentNumber = '5';
+        await worksheetVersionService.commit(worksheet, before, { userId: 'user-1', source: 'manual' });
+
+        assert.deepEqual(create.mock.calls.map(call => [call.arguments[0].version, call.arguments[0].source]), [
+            [3, 'generation'],
+            [4, 'manual']
+        ]);
+    });
+
+    it('records nothing when the worksheet did not change', async () => {
+        const create = mock.method(WorksheetVersion, 'create', async (doc) => doc);
+        const worksheet = fakeWorksheet();
+
+        const result = await worksheetVersionService.commit(worksheet, worksheetVersionService.snapshot(worksheet), { userId: 'user-1', source: 'manual' });
+
+        assert.equal(result, null);
+        assert.equal(worksheet.version, 3);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});
+
+describe('worksheetVersionService.changedSectionKeys', () => {
+    it('lists added, removed and changed sections', () => {
+        const { sections } = snapshot();
+        const changed = worksheetVersionService.changedSectionKeys(sections, [
+            { ...sections[0], heading: 'Objective of the experiment' },
+            { key: 'conclusion', heading: 'Conclusion', type: 'html', value: '' }
+        ]);
+        assert.deepEqual(changed, ['aim', 'objective', 'conclusion']);
+    });
+});
+
+describe('worksheetVersionService.diffLines', () => {
+    it('marks added and removed lines around common ones', () => {
+        assert.deepEqual(worksheetVersionService.diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+            { type: 'equal', text: 'a' },
+            { type: 'removed', text: 'b' },
+            { type: 'added', text: 'x' },
+            { type: 'equal', text: 'c' },
+            { type: 'added', text: 'd' }
+        ]);
+    });
+});
+
+describe('worksheetVersionService.toLines', () => {
+    it('gives readable lines per section type', () => {
+        assert.deepEqual(worksheetVersionService.toLines({ type: 'list', value: ['<b>one</b>'] }), ['• one']);
+        assert.deepEqual(
+            worksheetVersionService.toLines({ type: 'table', value: { caption: 'Data', columns: ['A', 'B'], rows: [['1', '2']] } }),
+            ['Data', 'A | B', '1 | 2']
+        );
+        assert.deepEqual(worksheetVersionService.toLines({ type: 'html', value: '<p>x &amp; y</p><p>z</p>' }), ['x & y', 'z']);
+    });
+});
@@ -7,7 +7,7 @@ import { Analytics } from '@vercel/analytics/react';
 import Landing from './pages/Landing';
 import Login from './pages/Login';
 import Register from './pages/Register';
-import { ProfileSetup, Dashboard, UploadSample, StructurePreview, GenerateWorksheet, WorksheetPreview, Download, History } from './pages/index';
+import { ProfileSetup, Dashboard, UploadSample, TemplateManager, GenerateWorksheet, WorksheetPreview, Download, History, BatchGenerate } from './pages/index';
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
 
@@ -57,12 +57,19 @@ function App() {
                 <Route path="/upload-sample" element={
                     <ProtectedRoute><UploadSample /></ProtectedRoute>
                 } />
-                <Route path="/structure-preview" element={
-                    <ProtectedRoute><StructurePreview /></ProtectedRoute>
+                <Route path="/templates" element={
+                    <ProtectedRoute><TemplateManager /></ProtectedRoute>
                 } />
+                <Route path="/structure-preview" element={<Navigate to="/templates" replace />} />
                 <Route path="/generate" element={
                     <ProtectedRoute><GenerateWorksheet /></ProtectedRoute>
                 } />
+                <Route path="/generate/batch" element={
+                    <ProtectedRoute><BatchGenerate /></ProtectedRoute>
+                } />
+                <Route path="/generate/batch/:id" element={
+                    <ProtectedRoute><BatchGenerate /></ProtectedRoute>
+                } />
                 <Route path="/preview/:id" element={
                     <ProtectedRoute><WorksheetPreview /></ProtectedRoute>
                 } />
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Check } from 'lucide-react';
+import './ConflictResolver.css';
+
+// Readable text of a section value for side-by-side comparison
+const toText = (type, value) => {
+    const stripHtml = (html) => new DOMParser().parseFromString(html || '', 'text/html').body.textContent.trim();
+
+    if (!value) return '';
+    if (type === 'list') return (value || []).map(item => `• ${stripHtml(item)}`).join('\n');
+    if (type === 'code') {
+        return [
+            value.language ? `[${value.language}]` : '',
+            value.source || '',
+            stripHtml(value.explanation)
+        ].filter(Boolean).join('\n\n');
+    }
+    if (type === 'table') {
+        return [value.columns || [], ...(value.rows || [])].map(row => row.join(' | ')).join('\n');
+    }
+    return stripHtml(value);
+};
+
+/**
+ * Choose between local edits and the server copy for sections changed in both places
+ * @param {Array} conflicts - [{ key, heading, type, mine, theirs }]
+ * @param {Number} serverVersion - Version of the saved copy
+ * @param {Function} onResolve - Called with { [key]: 'mine' | 'theirs' }
+ */
+const ConflictResolver = ({ conflicts, serverVersion, onResolve }) => {
+    const [choices, setChoices] = useState(() =>
+        Object.fromEntries(conflicts.map(conflict => [conflict.key, 'mine']))
+    );
+
+    const chooseAll = (choice) => setChoices(Object.fromEntries(conflicts.map(conflict => [conflict.key, choice])));
+
+    return (
+        <div className="conflict-backdrop no-print">
+            <div className="conflict-dialog">
+                <div className="conflict-header">
+                    <h3 className="flex items-center gap-2">
+                        <AlertTriangle size={18} color="var(--warning)" /> Changes made somewhere else
+                    </h3>
+                    <p className="text-sm text-secondary">
+                        This worksheet was saved in another tab or device (now version {serverVersion}).
+                        Sections only changed there are already merged. Pick which copy to keep for the sections below.
+                    </p>
+                    <div className="flex gap-2 mt-2">
+                        <button onClick={() => chooseAll('mine')} className="btn btn-secondary btn-sm">Keep all mine</button>
+                        <button onClick={() => chooseAll('theirs')} className="btn btn-secondary btn-sm">Use all theirs</button>
+                    </div>
+                </div>
+
+                <div className="conflict-list">
+                    {conflicts.map(({ key, heading, type, mine, theirs }) => (
+                        <div key={key} className="conflict-section">
+                            <h4 className="conflict-section-title">{heading}</h4>
+                            <div className="conflict-columns">
+                                {[['mine', 'Your edit', mine], ['theirs', 'Saved copy', theirs]].map(([choice, label, value]) => (
+                                    <button
+                                        key={choice}
+                                        type="button"
+                                        className={`conflict-option ${choices[key] === choice ? 'active' : ''}`}
+                                        onClick={() => setChoices({ ...choices, [key]: choice })}
+                                    >
+                                        <span className="conflict-option-label">
+                                            {choices[key] === choice && <Check size={14} />} {label}
+                                        </span>
+                                        <pre className="conflict-option-text">{toText(type, value) || '(empty)'}</pre>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="conflict-footer">
+                    <button onClick={() => onResolve(choices)} className="btn btn-primary btn-sm">
+                        Apply and save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConflictResolver;
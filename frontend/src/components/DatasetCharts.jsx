@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { BarChart3, Pencil, Trash2, Loader, AlertTriangle } from 'lucide-react';
+import api from '../services/api';
+import './SectionDiagrams.css';
+import './DatasetCharts.css';
+
+const CHART_TYPES = [
+    { value: 'bar', label: 'Bar' },
+    { value: 'line', label: 'Line' },
+    { value: 'pie', label: 'Pie' },
+    { value: 'scatter', label: 'Scatter' }
+];
+
+const toImageUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+/**
+ * Charts of the dataset table, shown in the Output section
+ * The server draws each chart from the current dataset, so editing the table redraws them
+ * @param {Object} worksheet - Worksheet being previewed
+ * @param {Array} charts - Charts with their rendered svg (or error)
+ * @param {Array} columns - Dataset column names to choose from
+ * @param {Boolean} adding - Show the form for a new chart
+ * @param {Function} onCloseAdd - Called when the new chart form closes
+ * @param {Function} onChange - (serverWorksheet) => void, after a chart was saved or deleted
+ */
+const DatasetCharts = ({ worksheet, charts, columns, adding = false, onCloseAdd, onChange }) => {
+    const [form, setForm] = useState(null); // { id, type, title, x, y, error }
+    const [saving, setSaving] = useState(false);
+    const [deletingId, setDeletingId] = useState(null);
+
+    const openForm = (chart) => setForm({
+        id: chart._id,
+        type: chart.type,
+        title: chart.title || '',
+        x: chart.x,
+        y: chart.y || [],
+        error: chart.error || null
+    });
+
+    // First column along the x axis and the second plotted is the usual layout (Month, Sales)
+    const currentForm = form || (adding ? { id: null, type: 'bar', title: '', x: columns[0] || '', y: columns.slice(1, 2), error: null } : null);
+
+    const closeForm = () => {
+        setForm(null);
+        if (!form?.id && onCloseAdd) onCloseAdd();
+    };
+
+    const toggleColumn = (column) => {
+        // A pie chart shows one value column
+        const y = currentForm.type === 'pie'
+            ? [column]
+            : currentForm.y.includes(column)
+                ? currentForm.y.filter(item => item !== column)
+                : [...currentForm.y, column];
+        setForm({ ...currentForm, y });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const { id, type, title, x, y } = currentForm;
+
+        setSaving(true);
+        try {
+            const response = id
+                ? await api.updateChart(worksheet._id, id, { type, title, x, y })
+                : await api.addChart(worksheet._id, { type, title, x, y });
+            onChange(response.data.worksheet);
+            closeForm();
+            toast.success(id ? 'Chart updated' : 'Chart added');
+        } catch (error) {
+            const message = error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save chart';
+            setForm({ ...currentForm, error: message });
+            console.error('Save chart error:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (chart) => {
+        if (!window.confirm(`Delete ${chart.title ? `"${chart.title}"` : 'this chart'}?`)) return;
+
+        setDeletingId(chart._id);
+        try {
+            const response = await api.deleteChart(worksheet._id, chart._id);
+            onChange(response.data.worksheet);
+            toast.success('Chart deleted');
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to delete chart');
+            console.error('Delete chart error:', error);
+        } finally {
+            setDeletingId(null);
+        }
+    };
+
+    const renderForm = () => (
+        <form className="diagram-form no-print" onSubmit={handleSave}>
+            <div className="flex flex-wrap gap-2">
+                <input
+                    className="input-field"
+                    value={currentForm.title}
+                    onChange={(e) => setForm({ ...currentForm, title: e.target.value })}
+                    placeholder="Title, e.g. Monthly sales"
+                    maxLength={200}
+                />
+                <select
+                    className="input-field"
+                    value={currentForm.type}
+                    onChange={(e) => {
+                        const type = e.target.value;
+                        setForm({ ...currentForm, type, y: type === 'pie' ? currentForm.y.slice(0, 1) : currentForm.y });
+                    }}
+                >
+                    {CHART_TYPES.map(({ value, label }) => <option key={value} value={value}>{label} chart</option>)}
+                </select>
+            </div>
+            <label className="chart-form-row">
+                <span>{currentForm.type === 'pie' ? 'Labels' : 'X axis'}</span>
+                <select
+                    className="input-field"
+                    value={currentForm.x}
+                    onChange={(e) => setForm({ ...currentForm, x: e.target.value, y: currentForm.y.filter(item => item !== e.target.value) })}
+                >
+                    {columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+            </label>
+            <div className="chart-form-row">
+                <span>{currentForm.type === 'pie' ? 'Values' : 'Y axis'}</span>
+                <div className="chart-columns">
+                    {columns.filter(column => column !== currentForm.x).map(column => (
+                        <label key={column}>
+                            <input
+                                type={currentForm.type === 'pie' ? 'radio' : 'checkbox'}
+                                checked={currentForm.y.includes(column)}
+                                onChange={() => toggleColumn(column)}
+                            />
+                            {column}
+                        </label>
+                    ))}
+                </div>
+            </div>
+            {currentForm.error && (
+                <p className="diagram-error">
+                    <AlertTriangle size={14} /> {currentForm.error}
+                </p>
+            )}
+            <div className="flex gap-2 justify-end">
+                <button type="button" onClick={closeForm} className="btn btn-secondary btn-sm">
+                    Cancel
+                </button>
+                <button type="submit" disabled={saving || !currentForm.x || currentForm.y.length === 0} className="btn btn-primary btn-sm">
+                    {saving ? <Loader size={14} className="spinner" /> : <BarChart3 size={14} />}
+                    {currentForm.id ? 'Save chart' : 'Add chart'}
+                </button>
+            </div>
+        </form>
+    );
+
+    if (charts.length === 0 && !currentForm) return null;
+
+    return (
+        <div className="section-diagrams">
+            {charts.map((chart) => (
+                form?.id === chart._id ? (
+                    <React.Fragment key={chart._id}>{renderForm()}</React.Fragment>
+                ) : (
+                    <figure key={chart._id} className="diagram-figure">
+                        {chart.svg ? (
+                            <img src={toImageUrl(chart.svg)} alt={chart.title || 'Chart'} />
+                        ) : (
+                            <p className="diagram-error no-print">
+                                <AlertTriangle size={14} /> {chart.error || 'This chart could not be drawn'}
+                            </p>
+                        )}
+                        <div className="diagram-actions no-print">
+                            <button type="button" onClick={() => openForm(chart)} disabled={Boolean(form)} title="Edit chart">
+                                <Pencil size={14} />
+                            </button>
+                            <button type="button" onClick={() => handleDelete(chart)} disabled={deletingId === chart._id} title="Delete chart">
+                                {deletingId === chart._id ? <Loader size={14} className="spinner" /> : <Trash2 size={14} />}
+                            </button>
+                        </div>
+                    </figure>
+                )
+            ))}
+            {currentForm && !currentForm.id && renderForm()}
+        </div>
+    );
+};
+
+export default DatasetCharts;
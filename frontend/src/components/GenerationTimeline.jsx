@@ -0,0 +1,76 @@
+import React from 'react';
+import { CheckCircle, Circle, Loader, XCircle } from 'lucide-react';
+
+// Stages emitted by the backend, in the order they happen
+const GENERATION_STAGES = [
+    { key: 'queued', label: 'Waiting in queue' },
+    { key: 'template_resolved', label: 'Template resolved' },
+    { key: 'images_uploaded', label: 'Context images uploaded' },
+    { key: 'prompt_sent', label: 'Prompt sent to AI' },
+    { key: 'json_parsed', label: 'AI response parsed' },
+    { key: 'worksheet_saved', label: 'Worksheet saved' },
+    { key: 'code_run', label: 'Code run in sandbox', optional: true },
+    { key: 'diagrams_rendered', label: 'Diagrams rendered', optional: true },
+    { key: 'pdf_queued', label: 'PDF queued' },
+    { key: 'pdf_uploaded', label: 'PDF uploaded' }
+];
+
+const GenerationTimeline = ({ stages = [], status, queuePosition, error }) => {
+    const reached = new Map(stages.map(entry => [entry.stage, entry]));
+    // Optional stages only appear once the job reports them
+    const visibleStages = GENERATION_STAGES.filter(({ key, optional }) => !optional || reached.has(key));
+    const isRunning = status && status !== 'queued';
+
+    // Index of the first stage that has not been reached yet
+    const currentIndex = visibleStages.findIndex(({ key }) => (
+        key === 'queued' ? !isRunning : !reached.has(key)
+    ));
+
+    return (
+        <div className="card mt-3">
+            <h4 className="mb-2">Generation Progress</h4>
+            <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                {visibleStages.map(({ key, label }, index) => {
+                    const entry = reached.get(key);
+                    const isDone = currentIndex === -1 || index < currentIndex;
+                    const isCurrent = index === currentIndex;
+                    const isFailed = isCurrent && status === 'failed';
+
+                    let icon = <Circle size={18} style={{ color: 'var(--border)' }} />;
+                    if (isFailed) icon = <XCircle size={18} style={{ color: 'var(--error)' }} />;
+                    else if (isDone) icon = <CheckCircle size={18} style={{ color: 'var(--success)' }} />;
+                    else if (isCurrent) icon = <Loader size={18} className="spinner" style={{ color: 'var(--primary)' }} />;
+
+                    let detail = entry?.message;
+                    if (key === 'queued' && isCurrent) detail = `Position ${queuePosition || 1} in queue`;
+                    if (isFailed) detail = error;
+
+                    return (
+                        <li
+                            key={key}
+                            style={{
+                                display: 'flex',
+                                gap: '0.75rem',
+                                alignItems: 'flex-start',
+                                padding: '0.4rem 0',
+                                opacity: isDone || isCurrent ? 1 : 0.5
+                            }}
+                        >
+                            <span style={{ flexShrink: 0, marginTop: '2px' }}>{icon}</span>
+                            <div>
+                                <p style={{ fontWeight: isCurrent ? 600 : 500, margin: 0 }}>{label}</p>
+                                {detail && (
+                                    <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', margin: 0 }}>
+                                        {detail}
+                                    </p>
+                                )}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+};
+
+export default GenerationTimeline;
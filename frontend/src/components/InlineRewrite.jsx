@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { Sparkles, Loader, Check, X } from 'lucide-react';
+import api from '../services/api';
+import './InlineRewrite.css';
+
+const ACTIONS = [
+    { action: 'simplify', label: 'Simplify' },
+    { action: 'expand', label: 'Expand' },
+    { action: 'grammar', label: 'Fix grammar' },
+    { action: 'formal', label: 'More formal' }
+];
+
+const LANGUAGES = ['Hindi', 'English', 'Spanish', 'French', 'German', 'Punjabi', 'Tamil', 'Bengali'];
+
+// Character offsets of a range inside an element's text
+// Rendered formulas (see MathHtml) count as the length of their LaTeX source
+const getTextOffsets = (element, range) => {
+    const before = document.createRange();
+    before.selectNodeContents(element);
+    before.setEnd(range.startContainer, range.startOffset);
+    let start = before.toString().length;
+    element.querySelectorAll('[data-math-length]').forEach((math) => {
+        if (before.intersectsNode(math)) start += Number(math.dataset.mathLength) - math.textContent.length;
+    });
+    return { start, end: start + range.toString().length };
+};
+
+/**
+ * Replace the text between two character offsets of an HTML fragment, keeping the markup around it
+ * Parsed with DOMParser so nothing in the fragment runs
+ * @returns {String|null} - New HTML, or null when the offsets no longer match the expected text
+ */
+const replaceTextRange = (html, start, end, expected, replacement) => {
+    const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    const range = doc.createRange();
+    let position = 0;
+    let startSet = false;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const length = node.textContent.length;
+        if (!startSet && start <= position + length) {
+            range.setStart(node, start - position);
+            startSet = true;
+        }
+        if (startSet && end <= position + length) {
+            range.setEnd(node, end - position);
+            break;
+        }
+        position += length;
+    }
+
+    if (!startSet || range.toString() !== expected) return null;
+
+    range.deleteContents();
+    range.insertNode(doc.createTextNode(replacement));
+    return doc.body.innerHTML;
+};
+
+/**
+ * Floating toolbar for rewriting selected text inside rendered sections
+ * Elements marked with data-rewrite-section / data-rewrite-part (and data-rewrite-index for list items)
+ * are rewritable; the suggestion is shown for accept/reject before onApply saves it
+ * @param {Object} worksheet - Worksheet being previewed
+ * @param {Object} containerRef - Ref of the positioned element holding the sections
+ * @param {Function} onApply - async (sectionKey, newValue) => Boolean, saves the new section value
+ */
+const InlineRewrite = ({ worksheet, containerRef, onApply }) => {
+    const [selection, setSelection] = useState(null);
+    const [language, setLanguage] = useState(LANGUAGES[0]);
+    const [pending, setPending] = useState(null); // { action }
+    const [suggestion, setSuggestion] = useState(null);
+    const [applying, setApplying] = useState(false);
+
+    const busy = Boolean(pending || suggestion || applying);
+
+    const handleSelectionChange = useCallback(() => {
+        if (busy) return;
+
+        const current = window.getSelection();
+        const container = containerRef.current;
+        if (!current || current.isCollapsed || current.rangeCount === 0 || !container) {
+            setSelection(null);
+            return;
+        }
+
+        const range = current.getRangeAt(0);
+        const text = range.toString();
+        const startElement = range.startContainer.parentElement?.closest('[data-rewrite-section]');
+        const endElement = range.endContainer.parentElement?.closest('[data-rewrite-section]');
+
+        // Only plain text within one rewritable block can be replaced reliably (not rendered math)
+        if (!text.trim() || text.length > 5000 || !startElement || startElement !== endElement || !container.contains(startElement)
+            || [...startElement.querySelectorAll('[data-math-length]')].some(math => range.intersectsNode(math))) {
+            setSelection(null);
+            return;
+        }
+
+        const rect = range.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+
+        setSelection({
+            sectionKey: startElement.dataset.rewriteSection,
+            part: startElement.dataset.rewritePart,
+            index: startElement.dataset.rewriteIndex !== undefined ? Number(startElement.dataset.rewriteIndex) : null,
+            text,
+            ...getTextOffsets(startElement, range),
+            top: rect.bottom - containerRect.top + 8,
+            left: Math.max(0, Math.min(rect.left - containerRect.left, containerRect.width - 360))
+        });
+    }, [busy, containerRef]);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+
+        container.addEventListener('mouseup', handleSelectionChange);
+        container.addEventListener('keyup', handleSelectionChange);
+        return () => {
+            container.removeEventListener('mouseup', handleSelectionChange);
+            container.removeEventListener('keyup', handleSelectionChange);
+        };
+    }, [containerRef, handleSelectionChange]);
+
+    const close = () => {
+        setSelection(null);
+        setSuggestion(null);
+        setPending(null);
+    };
+
+    const handleAction = async (action) => {
+        setPending({ action });
+        try {
+            const response = await api.rewritePassage(worksheet._id, {
+                section: selection.sectionKey,
+                text: selection.text,
+                action,
+                language: action === 'translate' ? language : undefined
+            });
+            setSuggestion({ action, text: response.data.suggestion });
+        } catch (error) {
+            console.error('Rewrite error:', error);
+            toast.error(error.response?.data?.message || 'Failed to rewrite the selected text');
+        } finally {
+            setPending(null);
+        }
+    };
+
+    const handleAccept = async () => {
+        const section = (worksheet.sections || []).find(existing => existing.key === selection.sectionKey);
+        if (!section) return;
+
+        const { part, index, start, end, text } = selection;
+        // The server trims the selection, so keep the whitespace around it
+        const [, leading, trailing] = text.match(/^(\s*)[\s\S]*?(\s*)$/);
+        const replace = (html) => replaceTextRange(html, start, end, text, `${leading}${suggestion.text}${trailing}`);
+
+        let value = null;
+        if (part === 'item') {
+            const item = replace(section.value?.[index]);
+            if (item !== null) value = section.value.map((existing, idx) => (idx === index ? item : existing));
+        } else if (part === 'explanation') {
+            const explanation = replace(section.value?.explanation);
+            if (explanation !== null) value = { ...section.value, explanation };
+        } else {
+            value = replace(section.value);
+        }
+
+        if (value === null) {
+            toast.warning('The section changed since you selected the text. Select it again.');
+            close();
+            return;
+        }
+
+        setApplying(true);
+        try {
+            if (await onApply(section.key, value)) {
+                window.getSelection()?.removeAllRanges();
+                close();
+            }
+        } finally {
+            setApplying(false);
+        }
+    };
+
+    if (!selection) return null;
+
+    return (
+        <div
+            className="inline-rewrite no-print"
+            style={{ top: selection.top, left: selection.left }}
+            onMouseUp={(e) => e.stopPropagation()}
+        >
+            {!suggestion ? (
+                <div className="inline-rewrite-actions">
+                    <Sparkles size={14} className="inline-rewrite-icon" />
+                    {ACTIONS.map(({ action, label }) => (
+                        <button
+                            key={action}
+                            type="button"
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => handleAction(action)}
+                            disabled={busy}
+                        >
+                            {pending?.action === action ? <Loader size={12} className="spinner" /> : label}
+                        </button>
+                    ))}
+                    <span className="inline-rewrite-divider" />
+                    <select value={language} onChange={(e) => setLanguage(e.target.value)} disabled={busy} title="Target language">
+                        {LANGUAGES.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                    <button
+                        type="button"
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => handleAction('translate')}
+                        disabled={busy}
+                    >
+                        {pending?.action === 'translate' ? <Loader size={12} className="spinner" /> : 'Translate'}
+                    </button>
+                </div>
+            ) : (
+                <div className="inline-rewrite-suggestion">
+                    <div className="inline-rewrite-original">{selection.text}</div>
+                    <div className="inline-rewrite-replacement">{suggestion.text}</div>
+                    <div className="flex gap-2 justify-end">
+                        <button type="button" onClick={close} disabled={applying} className="btn btn-secondary btn-sm">
+                            <X size={14} /> Reject
+                        </button>
+                        <button type="button" onClick={handleAccept} disabled={applying} className="btn btn-primary btn-sm">
+                            {applying ? <Loader size={14} className="spinner" /> : <Check size={14} />} Accept
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InlineRewrite;
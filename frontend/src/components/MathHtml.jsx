@@ -0,0 +1,77 @@
+import React, { useMemo } from 'react';
+import katex from 'katex';
+import 'katex/contrib/mhchem';
+import 'katex/dist/katex.min.css';
+
+// Same delimiters as the PDF renderer: $$...$$, \[...\], \(...\) and $...$ (not "$5 and $10")
+const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?!\s)((?:\\\$|[^$])+?)(?<!\s)\$(?!\d)/g;
+
+const SKIPPED_SELECTOR = 'pre, code, kbd, samp, script, style, textarea, math, .katex';
+
+/**
+ * Render LaTeX math and \ce{} chemical equations found in the text of an HTML fragment
+ * Each formula is wrapped in a span carrying the length of its source, so text offsets
+ * (used by inline rewrites) can still be mapped back to the stored HTML
+ * @param {String} html - Section HTML
+ * @returns {String} - HTML with math rendered
+ */
+const renderMath = (html) => {
+    if (!html || !/\$|\\\[|\\\(/.test(html)) return html;
+
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!node.parentElement.closest(SKIPPED_SELECTOR)) textNodes.push(node);
+    }
+
+    let changed = false;
+    textNodes.forEach((node) => {
+        const text = node.textContent;
+        const fragment = doc.createDocumentFragment();
+        let last = 0;
+
+        for (const match of text.matchAll(MATH_PATTERN)) {
+            const [source, display, bracketDisplay, bracketInline, inline] = match;
+            let rendered;
+            try {
+                rendered = katex.renderToString((display ?? bracketDisplay ?? bracketInline ?? inline).trim(), {
+                    displayMode: display !== undefined || bracketDisplay !== undefined,
+                    throwOnError: true,
+                    strict: 'ignore',
+                    trust: false
+                });
+            } catch (error) {
+                // Not valid LaTeX, leave it as written
+                continue;
+            }
+
+            fragment.append(text.slice(last, match.index));
+            const wrapper = doc.createElement('span');
+            wrapper.dataset.mathLength = source.length;
+            wrapper.innerHTML = rendered;
+            fragment.append(wrapper);
+            last = match.index + source.length;
+        }
+
+        if (last > 0) {
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+            changed = true;
+        }
+    });
+
+    return changed ? doc.body.innerHTML : html;
+};
+
+/**
+ * Element showing section HTML with its math rendered
+ * @param {String} as - Tag name, default div
+ * @param {String} html - Section HTML
+ */
+const MathHtml = ({ as: Tag = 'div', html, ...props }) => {
+    const rendered = useMemo(() => renderMath(html), [html]);
+    return <Tag {...props} dangerouslySetInnerHTML={{ __html: rendered }} />;
+};
+
+export default MathHtml;
@@ -6,6 +6,7 @@ import {
     FilePlus,
     History as HistoryIcon,
     Upload,
+    LayoutTemplate,
     LogOut,
     Menu,
     X,
@@ -31,6 +32,7 @@ const Navbar = () => {
         { path: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
         { path: '/generate', label: 'Generate', icon: FilePlus },
         { path: '/history', label: 'History', icon: HistoryIcon },
+        { path: '/templates', label: 'Templates', icon: LayoutTemplate },
         { path: '/upload-sample', label: 'Upload Sample', icon: Upload },
     ];
 
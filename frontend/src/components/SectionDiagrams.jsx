@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Workflow, Code2, Trash2, Loader, AlertTriangle } from 'lucide-react';
+import api from '../services/api';
+import './SectionDiagrams.css';
+
+const FORMATS = [
+    { value: 'mermaid', label: 'Mermaid' },
+    { value: 'graphviz', label: 'Graphviz (DOT)' }
+];
+
+// Starting point for a new diagram in each format
+const SAMPLE_SOURCES = {
+    mermaid: 'flowchart TD\n    A([Start]) --> B[/Read input/]\n    B --> C{Condition?}\n    C -- Yes --> D[Process]\n    C -- No --> E([Stop])\n    D --> E',
+    graphviz: 'digraph G {\n    rankdir=LR;\n    node [shape=box];\n    Input -> Process -> Output;\n}'
+};
+
+// Rendered SVG is shown through <img>, so nothing inside it can run
+const toImageUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+/**
+ * Diagrams (Mermaid / Graphviz source rendered to SVG by the server) shown under a section
+ * Each diagram's source can be edited in place; the server re-renders it and rejects source with errors
+ * @param {Object} worksheet - Worksheet being previewed
+ * @param {Array} diagrams - Diagrams to show
+ * @param {String} sectionKey - Section new diagrams are added to
+ * @param {Boolean} adding - Show the form for a new diagram
+ * @param {Function} onCloseAdd - Called when the new diagram form closes
+ * @param {Function} onChange - (serverWorksheet) => void, after a diagram was saved or deleted
+ */
+const SectionDiagrams = ({ worksheet, diagrams, sectionKey, adding = false, onCloseAdd, onChange }) => {
+    const [form, setForm] = useState(null); // { id, title, format, source, error }
+    const [saving, setSaving] = useState(false);
+    const [deletingId, setDeletingId] = useState(null);
+
+    const openForm = (diagram) => setForm({
+        id: diagram._id,
+        title: diagram.title || '',
+        format: diagram.format,
+        source: diagram.source,
+        error: diagram.error || null
+    });
+
+    // The add form uses the same state, without an id
+    const currentForm = form || (adding ? { id: null, title: '', format: 'mermaid', source: SAMPLE_SOURCES.mermaid, error: null } : null);
+
+    const closeForm = () => {
+        setForm(null);
+        if (!form?.id && onCloseAdd) onCloseAdd();
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const { id, title, format, source } = currentForm;
+
+        setSaving(true);
+        try {
+            const response = id
+                ? await api.updateDiagram(worksheet._id, id, { title, format, source })
+                : await api.addDiagram(worksheet._id, { section: sectionKey, title, format, source });
+            onChange(response.data.worksheet);
+            closeForm();
+            toast.success(id ? 'Diagram updated' : 'Diagram added');
+        } catch (error) {
+            const message = error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save diagram';
+            // Syntax errors stay next to the source so they can be fixed
+            setForm({ ...currentForm, error: message });
+            console.error('Save diagram error:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (diagram) => {
+        if (!window.confirm(`Delete ${diagram.title ? `"${diagram.title}"` : 'this diagram'}?`)) return;
+
+        setDeletingId(diagram._id);
+        try {
+            const response = await api.deleteDiagram(worksheet._id, diagram._id);
+            onChange(response.data.worksheet);
+            toast.success('Diagram deleted');
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to delete diagram');
+            console.error('Delete diagram error:', error);
+        } finally {
+            setDeletingId(null);
+        }
+    };
+
+    const renderForm = () => (
+        <form className="diagram-form no-print" onSubmit={handleSave}>
+            <div className="flex flex-wrap gap-2">
+                <input
+                    className="input-field"
+                    value={currentForm.title}
+                    onChange={(e) => setForm({ ...currentForm, title: e.target.value })}
+                    placeholder="Title, e.g. Flowchart of binary search"
+                    maxLength={200}
+                />
+                <select
+                    className="input-field"
+                    value={currentForm.format}
+                    onChange={(e) => {
+                        const format = e.target.value;
+                        // Swap the sample for the other format, but never the user's own source
+                        const source = currentForm.source === SAMPLE_SOURCES[currentForm.format] ? SAMPLE_SOURCES[format] : currentForm.source;
+                        setForm({ ...currentForm, format, source });
+                    }}
+                >
+                    {FORMATS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <textarea
+                className="input-field diagram-source"
+                value={currentForm.source}
+                onChange={(e) => setForm({ ...currentForm, source: e.target.value })}
+                rows={Math.min(16, Math.max(6, currentForm.source.split('\n').length + 1))}
+                maxLength={10000}
+                spellCheck={false}
+            />
+            {currentForm.error && (
+                <p className="diagram-error">
+                    <AlertTriangle size={14} /> {currentForm.error}
+                </p>
+            )}
+            <div className="flex gap-2 justify-end">
+                <button type="button" onClick={closeForm} className="btn btn-secondary btn-sm">
+                    Cancel
+                </button>
+                <button type="submit" disabled={saving || !currentForm.source.trim()} className="btn btn-primary btn-sm">
+                    {saving ? <Loader size={14} className="spinner" /> : <Workflow size={14} />}
+                    {currentForm.id ? 'Render & save' : 'Add diagram'}
+                </button>
+            </div>
+        </form>
+    );
+
+    if (diagrams.length === 0 && !currentForm) return null;
+
+    return (
+        <div className="section-diagrams">
+            {diagrams.map((diagram) => (
+                form?.id === diagram._id ? (
+                    <React.Fragment key={diagram._id}>{renderForm()}</React.Fragment>
+                ) : (
+                    <figure key={diagram._id} className="diagram-figure">
+                        {diagram.svg ? (
+                            <img src={toImageUrl(diagram.svg)} alt={diagram.title || 'Diagram'} />
+                        ) : (
+                            <p className="diagram-error no-print">
+                                <AlertTriangle size={14} /> {diagram.error || 'This diagram has not been rendered'}
+                            </p>
+                        )}
+                        {diagram.title && <figcaption>{diagram.title}</figcaption>}
+                        <div className="diagram-actions no-print">
+                            <button type="button" onClick={() => openForm(diagram)} disabled={Boolean(form)} title="Edit diagram source">
+                                <Code2 size={14} />
+                            </button>
+                            <button type="button" onClick={() => handleDelete(diagram)} disabled={deletingId === diagram._id} title="Delete diagram">
+                                {deletingId === diagram._id ? <Loader size={14} className="spinner" /> : <Trash2 size={14} />}
+                            </button>
+                        </div>
+                    </figure>
+                )
+            ))}
+            {currentForm && !currentForm.id && renderForm()}
+        </div>
+    );
+};
+
+export default SectionDiagrams;
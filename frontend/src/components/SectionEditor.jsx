@@ -0,0 +1,411 @@
+import React, { useState, useRef } from 'react';
+import ReactQuill from 'react-quill';
+import Editor from 'react-simple-code-editor';
+import Prism from 'prismjs';
+import 'prismjs/components/prism-clike';
+import 'prismjs/components/prism-c';
+import 'prismjs/components/prism-cpp';
+import 'prismjs/components/prism-csharp';
+import 'prismjs/components/prism-java';
+import 'prismjs/components/prism-python';
+import 'prismjs/components/prism-sql';
+import 'prismjs/components/prism-bash';
+import 'prismjs/components/prism-r';
+import 'prismjs/components/prism-matlab';
+import 'prismjs/components/prism-go';
+import 'prismjs/themes/prism.css';
+import { toast } from 'react-toastify';
+import { Plus, Trash2, ArrowUp, ArrowDown, Table as TableIcon, Type, FileUp, Loader } from 'lucide-react';
+import api from '../services/api';
+import './SectionEditor.css';
+
+// Formatting the backend sanitizer keeps (alignment and indent are stored as ql-* classes)
+const RICH_TEXT_MODULES = {
+    toolbar: [
+        [{ header: [3, 4, false] }],
+        ['bold', 'italic', 'underline', 'strike'],
+        [{ list: 'ordered' }, { list: 'bullet' }, { indent: '-1' }, { indent: '+1' }],
+        [{ align: [] }],
+        ['code-block', 'link'],
+        ['clean']
+    ]
+};
+const RICH_TEXT_FORMATS = ['header', 'bold', 'italic', 'underline', 'strike', 'list', 'bullet', 'indent', 'align', 'code-block', 'code', 'link'];
+
+// List items are single lines: inline formatting only, through keyboard shortcuts
+const LIST_ITEM_MODULES = { toolbar: false };
+const LIST_ITEM_FORMATS = ['bold', 'italic', 'underline', 'code'];
+
+// Languages offered for code sections, with the Prism grammar used to highlight them
+const CODE_LANGUAGES = [
+    { value: 'python', label: 'Python', grammar: 'python' },
+    { value: 'java', label: 'Java', grammar: 'java' },
+    { value: 'c', label: 'C', grammar: 'c' },
+    { value: 'cpp', label: 'C++', grammar: 'cpp' },
+    { value: 'csharp', label: 'C#', grammar: 'csharp' },
+    { value: 'javascript', label: 'JavaScript', grammar: 'javascript' },
+    { value: 'sql', label: 'SQL', grammar: 'sql' },
+    { value: 'r', label: 'R', grammar: 'r' },
+    { value: 'matlab', label: 'MATLAB', grammar: 'matlab' },
+    { value: 'go', label: 'Go', grammar: 'go' },
+    { value: 'bash', label: 'Shell', grammar: 'bash' },
+    { value: 'html', label: 'HTML', grammar: 'markup' },
+    { value: 'plaintext', label: 'Plain text', grammar: null }
+];
+
+const GRAMMAR_ALIASES = { 'c++': 'cpp', 'c#': 'csharp', js: 'javascript', py: 'python', sh: 'bash', shell: 'bash', xml: 'markup' };
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Quill returns "<p><br></p>" for an empty document
+const isEmptyHtml = (html) => !html || html.replace(/<(p|br)\s*\/?>|<\/p>/g, '').trim() === '';
+
+const highlightCode = (code, language) => {
+    const name = (language || '').toLowerCase();
+    const grammarName = CODE_LANGUAGES.find(lang => lang.value === name)?.grammar ?? GRAMMAR_ALIASES[name] ?? name;
+    const grammar = grammarName && Prism.languages[grammarName];
+    return grammar ? Prism.highlight(code, grammar, grammarName) : escapeHtml(code);
+};
+
+// ========== TABLE HELPERS ==========
+
+const emptyTable = () => ({ columns: ['Column 1', 'Column 2'], rows: [['', '']] });
+
+// Read the first <table> of an HTML fragment into { columns, rows }
+const parseHtmlTable = (html) => {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const table = doc.querySelector('table');
+    if (!table) return null;
+
+    const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+        Array.from(row.children).map(cell => cell.textContent.trim())
+    );
+    const headerRow = table.querySelector('thead tr') || (table.querySelector('tr th') ? table.querySelector('tr') : null);
+    if (headerRow) {
+        const index = Array.from(table.querySelectorAll('tr')).indexOf(headerRow);
+        const [columns] = rows.splice(index, 1);
+        return { columns, rows };
+    }
+    return { columns: [], rows };
+};
+
+const tableToHtml = ({ columns, rows }) => [
+    '<table class="data-table">',
+    columns.length > 0 ? `<thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>` : '',
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`,
+    '</table>'
+].join('');
+
+// Swap the first <table> of an HTML fragment, keeping the text around it
+const replaceHtmlTable = (html, table) => {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const existing = doc.querySelector('table');
+    const replacement = doc.createElement('div');
+    replacement.innerHTML = tableToHtml(table);
+
+    if (existing) {
+        existing.replaceWith(replacement.firstChild);
+    } else {
+        doc.body.appendChild(replacement.firstChild);
+    }
+    return doc.body.innerHTML;
+};
+
+// ========== EDITORS ==========
+
+const RichTextEditor = ({ value, onChange, placeholder }) => (
+    <ReactQuill
+        theme="snow"
+        className="rich-text-editor"
+        value={value || ''}
+        modules={RICH_TEXT_MODULES}
+        formats={RICH_TEXT_FORMATS}
+        placeholder={placeholder}
+        onChange={(html, delta, source) => {
+            // Quill normalises the markup it is given; only user edits count as changes
+            if (source === 'user') onChange(isEmptyHtml(html) ? '' : html);
+        }}
+    />
+);
+
+const ListEditor = ({ value, onChange }) => {
+    const nextId = useRef(0);
+    const newItem = (html = '') => ({ id: nextId.current++, html });
+    const [items, setItems] = useState(() => (value || []).map(html => newItem(html)));
+
+    const update = (nextItems) => {
+        setItems(nextItems);
+        onChange(nextItems.map(item => item.html));
+    };
+
+    const move = (idx, offset) => {
+        const next = [...items];
+        [next[idx], next[idx + offset]] = [next[idx + offset], next[idx]];
+        update(next);
+    };
+
+    return (
+        <div className="list-editor">
+            {items.map((item, idx) => (
+                <div key={item.id} className="list-editor-row">
+                    <span className="list-editor-bullet">•</span>
+                    <ReactQuill
+                        theme="snow"
+                        className="list-item-editor"
+                        value={item.html}
+                        modules={LIST_ITEM_MODULES}
+                        formats={LIST_ITEM_FORMATS}
+                        placeholder="List item"
+                        onChange={(html, delta, source) => {
+                            if (source !== 'user') return;
+                            // Single-paragraph items are stored without their <p> wrapper
+                            const inner = html.match(/^<p>([\s\S]*?)<\/p>$/);
+                            const itemHtml = isEmptyHtml(html) ? '' : inner && !inner[1].includes('<p>') ? inner[1] : html;
+                            update(items.map(existing => (existing.id === item.id ? { ...existing, html: itemHtml } : existing)));
+                        }}
+                    />
+                    <div className="list-editor-actions">
+                        <button type="button" onClick={() => move(idx, -1)} disabled={idx === 0} title="Move up">
+                            <ArrowUp size={14} />
+                        </button>
+                        <button type="button" onClick={() => move(idx, 1)} disabled={idx === items.length - 1} title="Move down">
+                            <ArrowDown size={14} />
+                        </button>
+                        <button type="button" onClick={() => update(items.filter(existing => existing.id !== item.id))} title="Remove item">
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                </div>
+            ))}
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => update([...items, newItem()])}>
+                <Plus size={14} /> Add item
+            </button>
+        </div>
+    );
+};
+
+// withCaption: table sections keep a caption line above the grid (HTML tables have their own text)
+const TableEditor = ({ value, onChange, withCaption = false }) => {
+    const [importing, setImporting] = useState(false);
+    const fileInputRef = useRef(null);
+    const columns = value?.columns || [];
+    const rows = value?.rows || [];
+    const width = Math.max(columns.length, ...rows.map(row => row.length), 1);
+
+    const pad = (cells) => Array.from({ length: width }, (_, idx) => cells[idx] ?? '');
+    const table = { ...value, columns: pad(columns), rows: rows.map(pad) };
+
+    // The server reads the CSV (quoting, delimiters, size limits) and returns { columns, rows }
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        if (rows.some(row => row.some(cell => String(cell).trim())) && !window.confirm('Replace the current table with the CSV file?')) return;
+
+        const formData = new FormData();
+        formData.append('dataset', file);
+
+        setImporting(true);
+        try {
+            const response = await api.parseDatasetCsv(formData);
+            const { dataset } = response.data;
+            onChange({ ...table, columns: dataset.columns, rows: dataset.rows });
+            toast.success(`Imported ${dataset.rows.length} rows`);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to import CSV file');
+            console.error('Import CSV error:', error);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const setCell = (rowIdx, colIdx, text) => {
+        if (rowIdx === -1) {
+            onChange({ ...table, columns: table.columns.map((cell, idx) => (idx === colIdx ? text : cell)) });
+        } else {
+            onChange({
+                ...table,
+                rows: table.rows.map((row, idx) => (idx === rowIdx ? row.map((cell, cIdx) => (cIdx === colIdx ? text : cell)) : row))
+            });
+        }
+    };
+
+    const addColumn = () => onChange({
+        ...table,
+        columns: [...table.columns, `Column ${width + 1}`],
+        rows: table.rows.map(row => [...row, ''])
+    });
+
+    const removeColumn = (colIdx) => onChange({
+        ...table,
+        columns: table.columns.filter((_, idx) => idx !== colIdx),
+        rows: table.rows.map(row => row.filter((_, idx) => idx !== colIdx))
+    });
+
+    return (
+        <div className="table-editor">
+            {withCaption && (
+                <input
+                    className="table-editor-caption"
+                    value={table.caption || ''}
+                    onChange={(e) => onChange({ ...table, caption: e.target.value })}
+                    placeholder="Caption, e.g. Monthly sales of the company (2023)"
+                />
+            )}
+            <div className="table-editor-scroll">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            {table.columns.map((column, colIdx) => (
+                                <th key={colIdx}>
+                                    <div className="table-editor-cell">
+                                        <input value={column} onChange={(e) => setCell(-1, colIdx, e.target.value)} placeholder="Header" />
+                                        {width > 1 && (
+                                            <button type="button" onClick={() => removeColumn(colIdx)} title="Remove column">
+                                                <Trash2 size={12} />
+                                            </button>
+                                        )}
+                                    </div>
+                                </th>
+                            ))}
+                            <th className="table-editor-action-cell" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {table.rows.map((row, rowIdx) => (
+                            <tr key={rowIdx}>
+                                {row.map((cell, colIdx) => (
+                                    <td key={colIdx}>
+                                        <input value={cell} onChange={(e) => setCell(rowIdx, colIdx, e.target.value)} />
+                                    </td>
+                                ))}
+                                <td className="table-editor-action-cell">
+                                    <button
+                                        type="button"
+                                        onClick={() => onChange({ ...table, rows: table.rows.filter((_, idx) => idx !== rowIdx) })}
+                                        title="Remove row"
+                                    >
+                                        <Trash2 size={12} />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex gap-2 mt-2">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => onChange({ ...table, rows: [...table.rows, pad([])] })}>
+                    <Plus size={14} /> Add row
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={addColumn}>
+                    <Plus size={14} /> Add column
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => fileInputRef.current?.click()} disabled={importing}>
+                    {importing ? <Loader size={14} className="spinner" /> : <FileUp size={14} />} Import CSV
+                </button>
+                <input ref={fileInputRef} type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleImport} hidden />
+            </div>
+        </div>
+    );
+};
+
+const CodeEditor = ({ value, onChange }) => {
+    const code = value && typeof value === 'object' ? value : { language: 'plaintext', source: String(value || ''), explanation: '' };
+    const language = (code.language || 'plaintext').toLowerCase();
+    const languages = CODE_LANGUAGES.some(lang => lang.value === language)
+        ? CODE_LANGUAGES
+        : [...CODE_LANGUAGES, { value: language, label: code.language }];
+
+    return (
+        <div className="flex flex-col gap-3">
+            <div>
+                <div className="flex justify-between items-center mb-1">
+                    <label className="text-sm font-bold text-gray-500">Source Code</label>
+                    <select
+                        className="code-language-select"
+                        value={language}
+                        onChange={(e) => onChange({ ...code, language: e.target.value })}
+                    >
+                        {languages.map(lang => <option key={lang.value} value={lang.value}>{lang.label}</option>)}
+                    </select>
+                </div>
+                <div className="code-editor">
+                    <Editor
+                        value={code.source || ''}
+                        onValueChange={(source) => onChange({ ...code, source })}
+                        highlight={(source) => highlightCode(source, language)}
+                        padding={12}
+                        tabSize={4}
+                        insertSpaces
+                        placeholder="Paste your code here..."
+                        textareaClassName="code-editor-textarea"
+                    />
+                </div>
+            </div>
+            <div>
+                <label className="text-sm font-bold text-gray-500">Explanation</label>
+                <RichTextEditor
+                    value={code.explanation}
+                    onChange={(explanation) => onChange({ ...code, explanation })}
+                    placeholder="Explain the logic..."
+                />
+            </div>
+        </div>
+    );
+};
+
+// HTML sections that hold a table (datasets) can be edited as a grid or as rich text
+const HtmlSectionEditor = ({ sectionKey, value, onChange }) => {
+    const hasTable = /<table[\s>]/i.test(value || '');
+    const [mode, setMode] = useState(hasTable ? 'table' : 'text');
+    const canUseTable = hasTable || sectionKey === 'dataset';
+
+    return (
+        <div>
+            {canUseTable && (
+                <div className="editor-mode-toggle">
+                    <button type="button" className={mode === 'table' ? 'active' : ''} onClick={() => setMode('table')}>
+                        <TableIcon size={14} /> Table
+                    </button>
+                    <button type="button" className={mode === 'text' ? 'active' : ''} onClick={() => setMode('text')}>
+                        <Type size={14} /> Rich text
+                    </button>
+                    {mode === 'text' && hasTable && (
+                        <span className="text-xs text-secondary">Tables are flattened to text in this mode</span>
+                    )}
+                </div>
+            )}
+            {mode === 'table' && canUseTable ? (
+                <TableEditor
+                    value={parseHtmlTable(value) || emptyTable()}
+                    onChange={(table) => onChange(replaceHtmlTable(value, table))}
+                />
+            ) : (
+                <RichTextEditor value={value} onChange={onChange} />
+            )}
+        </div>
+    );
+};
+
+/**
+ * Editor for one worksheet section, chosen by section type
+ * Edits the section value in its stored shape (HTML string, string list, code object, table object)
+ */
+const SectionEditor = ({ section, value, onChange }) => {
+    switch (section.type) {
+        case 'list':
+            return <ListEditor value={value} onChange={onChange} />;
+        case 'table':
+            return <TableEditor value={value?.rows ? value : emptyTable()} onChange={onChange} withCaption />;
+        case 'code':
+            return <CodeEditor value={value} onChange={onChange} />;
+        default:
+            return <HtmlSectionEditor sectionKey={section.key} value={typeof value === 'string' ? value : ''} onChange={onChange} />;
+    }
+};
+
+export default SectionEditor;
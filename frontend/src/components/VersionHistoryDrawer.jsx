@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { X, History, RotateCcw, Loader, Edit3, Sparkles, FileText, Play } from 'lucide-react';
+import api from '../services/api';
+import './VersionHistoryDrawer.css';
+
+const SOURCE_LABELS = {
+    generation: { label: 'Generated', icon: FileText },
+    manual: { label: 'Manual edit', icon: Edit3 },
+    ai_regeneration: { label: 'AI regeneration', icon: Sparkles },
+    code_run: { label: 'Code run', icon: Play },
+    restore: { label: 'Restored', icon: RotateCcw }
+};
+
+const VersionHistoryDrawer = ({ worksheetId, currentVersion, isOpen, onClose, onRestored }) => {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [diffLoading, setDiffLoading] = useState(false);
+    const [restoring, setRestoring] = useState(false);
+
+    const loadVersions = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.getWorksheetVersions(worksheetId);
+            setVersions(response.data.versions || []);
+        } catch (error) {
+            console.error('Failed to load versions:', error);
+            toast.error('Failed to load version history');
+        } finally {
+            setLoading(false);
+        }
+    }, [worksheetId]);
+
+    useEffect(() => {
+        if (isOpen) {
+            setSelected(null);
+            setDiff(null);
+            loadVersions();
+        }
+    }, [isOpen, currentVersion, loadVersions]);
+
+    const handleSelect = async (version) => {
+        setSelected(version);
+        setDiff(null);
+
+        // Compare with the current version, or with the previous one when the current version is picked
+        const previous = versions.find(v => v.version < version.version);
+        const [from, to] = version.version === currentVersion
+            ? [previous?.version, version.version]
+            : [version.version, currentVersion];
+
+        if (from === undefined || from === to) return;
+
+        setDiffLoading(true);
+        try {
+            const response = await api.diffWorksheetVersions(worksheetId, from, to);
+            setDiff(response.data.diff);
+        } catch (error) {
+            console.error('Failed to compare versions:', error);
+            toast.error('Failed to compare versions');
+        } finally {
+            setDiffLoading(false);
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!selected || !window.confirm(`Restore version ${selected.version}? Your current content will stay in history.`)) return;
+
+        setRestoring(true);
+        try {
+            const response = await api.restoreWorksheetVersion(worksheetId, selected.version);
+            toast.success(response.data.message || 'Version restored');
+            onRestored(response.data.worksheet);
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            toast.error('Failed to restore version');
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const changedSections = diff ? diff.sections.filter(section => section.status !== 'unchanged') : [];
+
+    return (
+        <div className="history-drawer-backdrop no-print" onClick={onClose}>
+            <aside className="history-drawer" onClick={(e) => e.stopPropagation()}>
+                <div className="history-drawer-header">
+                    <h3 className="flex items-center gap-2">
+                        <History size={18} /> Version History
+                    </h3>
+                    <button onClick={onClose} className="btn btn-secondary btn-sm" title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                {loading ? (
+                    <div className="flex justify-center p-4">
+                        <Loader size={24} className="spinner" />
+                    </div>
+                ) : versions.length === 0 ? (
+                    <p className="text-sm text-secondary p-4">No saved versions yet. Versions are recorded on every edit.</p>
+                ) : (
+                    <ul className="history-version-list">
+                        {versions.map((version) => {
+                            const source = SOURCE_LABELS[version.source] || SOURCE_LABELS.manual;
+                            const Icon = source.icon;
+                            return (
+                                <li
+                                    key={version._id}
+                                    className={`history-version ${selected?.version === version.version ? 'active' : ''}`}
+                                    onClick={() => handleSelect(version)}
+                                >
+                                    <div className="flex justify-between items-center">
+                                        <strong>
+                                            Version {version.version}
+                                            {version.version === currentVersion && <span className="history-badge">Current</span>}
+                                        </strong>
+                                        <span className="history-source">
+                                            <Icon size={12} /> {source.label}
+                                            {version.restoredFrom ? ` v${version.restoredFrom}` : ''}
+                                        </span>
+                                    </div>
+                                    <p className="text-xs text-secondary">
+                                        {new Date(version.createdAt).toLocaleString('en-IN')}
+                                        {version.userId?.name ? ` • ${version.userId.name}` : ''}
+                                    </p>
+                                    {version.changedSections?.length > 0 && (
+                                        <p className="text-xs text-secondary">Changed: {version.changedSections.join(', ')}</p>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                {selected && (
+                    <div className="history-diff">
+                        <div className="flex justify-between items-center mb-2">
+                            <h4>
+                                {diff ? `Changes v${diff.from} → v${diff.to}` : `Version ${selected.version}`}
+                            </h4>
+                            {selected.version !== currentVersion && (
+                                <button onClick={handleRestore} disabled={restoring} className="btn btn-primary btn-sm">
+                                    {restoring ? <Loader size={14} className="spinner" /> : <RotateCcw size={14} />}
+                                    Restore
+                                </button>
+                            )}
+                        </div>
+
+                        {diffLoading && <Loader size={20} className="spinner" />}
+                        {diff && changedSections.length === 0 && (
+                            <p className="text-sm text-secondary">No section changes between these versions.</p>
+                        )}
+                        {changedSections.map(section => (
+                            <div key={section.key} className="history-diff-section">
+                                <p className="history-diff-heading">
+                                    {section.heading} <span className={`history-status ${section.status}`}>{section.status}</span>
+                                </p>
+                                <pre className="history-diff-lines">
+                                    {section.changes.map((change, idx) => (
+                                        <div key={idx} className={`diff-line ${change.type}`}>
+                                            {change.type === 'added' ? '+ ' : change.type === 'removed' ? '- ' : '  '}
+                                            {change.text}
+                                        </div>
+                                    ))}
+                                </pre>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+export default VersionHistoryDrawer;
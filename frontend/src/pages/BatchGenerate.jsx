@@ -0,0 +1,418 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import { Layers, Loader, ListChecks, RotateCcw, Eye, CheckCircle, XCircle, Clock, ArrowLeft } from 'lucide-react';
+import api from '../services/api';
+import './Pages.css';
+
+const BATCH_POLL_INTERVAL = 3000; // 3 seconds
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const ITEM_STATUS = {
+    queued: { label: 'Queued', icon: Clock, color: 'var(--text-secondary)' },
+    running: { label: 'Generating', icon: Loader, color: 'var(--primary)' },
+    succeeded: { label: 'Ready', icon: CheckCircle, color: 'var(--success)' },
+    failed: { label: 'Failed', icon: XCircle, color: 'var(--error)' }
+};
+
+const BatchGenerate = () => {
+    const { user } = useAuth();
+    const { id: batchId } = useParams();
+    const navigate = useNavigate();
+
+    const [formData, setFormData] = useState({
+        title: '',
+        subject: user?.defaultSubject || '',
+        syllabus: '',
+        difficulty: 'medium',
+        startExperimentNumber: 1,
+        additionalInstructions: '',
+        runCode: false
+    });
+    const [templates, setTemplates] = useState([]);
+    const [templateId, setTemplateId] = useState('');
+    const [topics, setTopics] = useState([]);
+    const [splitting, setSplitting] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [batch, setBatch] = useState(null);
+    const [retrying, setRetrying] = useState(false);
+    const [pollKey, setPollKey] = useState(0);
+
+    useEffect(() => {
+        const fetchTemplates = async () => {
+            try {
+                const response = await api.getTemplateSuggestions();
+                const templatesData = response.data.templates || [];
+                setTemplates(templatesData);
+                if (templatesData.length > 0) {
+                    setTemplateId(templatesData[0]._id);
+                }
+            } catch (error) {
+                console.error('Failed to fetch templates:', error);
+            }
+        };
+
+        fetchTemplates();
+    }, []);
+
+    const fetchBatch = useCallback(async () => {
+        try {
+            const response = await api.getGenerationBatch(batchId);
+            setBatch(response.data.batch);
+            return response.data.batch;
+        } catch (error) {
+            console.error('Failed to fetch batch:', error);
+            toast.error('Failed to load batch status');
+            return null;
+        }
+    }, [batchId]);
+
+    // Poll while items are still queued or generating
+    useEffect(() => {
+        if (!batchId) {
+            setBatch(null);
+            return;
+        }
+
+        let timer = null;
+        let cancelled = false;
+
+        const poll = async () => {
+            const current = await fetchBatch();
+            if (!cancelled && current && ACTIVE_STATUSES.includes(current.status)) {
+                timer = setTimeout(poll, BATCH_POLL_INTERVAL);
+            }
+        };
+
+        poll();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [batchId, fetchBatch, pollKey]);
+
+    const handleInputChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+        if (name === 'syllabus') {
+            setTopics([]);
+        }
+    };
+
+    const handleSplit = async () => {
+        if (!formData.syllabus.trim()) {
+            toast.error('Paste your syllabus or list of experiments first');
+            return;
+        }
+
+        setSplitting(true);
+        try {
+            const response = await api.splitSyllabus(formData.syllabus);
+            setTopics(response.data.topics);
+            if (response.data.count === 0) {
+                toast.warning('No experiments found. Put one experiment per line.');
+            }
+        } catch (error) {
+            console.error('Failed to split syllabus:', error);
+            toast.error('Failed to read the syllabus');
+        } finally {
+            setSplitting(false);
+        }
+    };
+
+    const handleTopicChange = (index, value) => {
+        setTopics(prev => prev.map((topic, idx) => (idx === index ? value : topic)));
+    };
+
+    const handleRemoveTopic = (index) => {
+        setTopics(prev => prev.filter((_, idx) => idx !== index));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!templateId) {
+            toast.error('Please select a template first');
+            return;
+        }
+
+        const cleanTopics = topics.map(topic => topic.trim()).filter(Boolean);
+        if (cleanTopics.length === 0 && !formData.syllabus.trim()) {
+            toast.error('Add at least one experiment');
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            const response = await api.createGenerationBatch({
+                ...formData,
+                templateId,
+                startExperimentNumber: parseInt(formData.startExperimentNumber) || 1,
+                ...(cleanTopics.length > 0 && { topics: cleanTopics })
+            });
+            toast.success(response.data.message);
+            navigate(`/generate/batch/${response.data.batch._id}`);
+        } catch (error) {
+            console.error('Failed to start batch:', error);
+            toast.error(error.response?.data?.message || 'Failed to start batch generation');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRetry = async (itemIds) => {
+        setRetrying(true);
+        try {
+            const response = await api.retryGenerationBatch(batchId, itemIds);
+            toast.success(response.data.message);
+            setBatch(response.data.batch);
+            // Restart polling for the requeued items
+            setPollKey(key => key + 1);
+        } catch (error) {
+            console.error('Failed to retry batch:', error);
+            toast.error(error.response?.data?.message || 'Failed to retry');
+        } finally {
+            setRetrying(false);
+        }
+    };
+
+    if (batchId) {
+        if (!batch) {
+            return (
+                <div className="flex justify-center items-center min-h-screen">
+                    <Loader className="spinner text-primary" size={48} />
+                </div>
+            );
+        }
+
+        const { summary } = batch;
+        const progress = summary.total ? Math.round(((summary.succeeded + summary.failed) / summary.total) * 100) : 0;
+
+        return (
+            <div className="page-container">
+                <div className="container container-sm">
+                    <Link to="/generate/batch" className="btn btn-secondary btn-sm mb-3">
+                        <ArrowLeft size={16} /> New batch
+                    </Link>
+
+                    <div className="card mb-3">
+                        <div className="flex justify-between items-center mb-2">
+                            <div>
+                                <h2 className="mb-1">{batch.title}</h2>
+                                <p className="text-sm text-secondary">
+                                    {summary.succeeded} of {summary.total} ready
+                                    {summary.failed > 0 && ` • ${summary.failed} failed`}
+                                </p>
+                            </div>
+                            {summary.failed > 0 && !ACTIVE_STATUSES.includes(batch.status) && (
+                                <button onClick={() => handleRetry()} disabled={retrying} className="btn btn-primary btn-sm">
+                                    {retrying ? <Loader size={14} className="spinner" /> : <RotateCcw size={14} />}
+                                    Retry failed
+                                </button>
+                            )}
+                        </div>
+                        <div style={{ height: '6px', background: 'var(--bg-tertiary)', borderRadius: 'var(--radius-full)' }}>
+                            <div style={{ width: `${progress}%`, height: '100%', background: 'var(--primary)', borderRadius: 'var(--radius-full)', transition: 'width 0.3s ease' }} />
+                        </div>
+                    </div>
+
+                    <div className="card">
+                        {batch.items.map(item => {
+                            const status = ITEM_STATUS[item.status] || ITEM_STATUS.queued;
+                            const Icon = status.icon;
+                            const worksheetId = item.worksheetId?._id || item.worksheetId;
+
+                            return (
+                                <div key={item._id} className="flex justify-between items-center gap-2" style={{ padding: '0.75rem 0', borderBottom: '1px solid var(--border)' }}>
+                                    <div>
+                                        <p className="font-semibold">
+                                            Experiment {item.experimentNumber}: {item.topic}
+                                        </p>
+                                        <span className="text-sm flex items-center gap-1" style={{ color: status.color }}>
+                                            <Icon size={14} className={item.status === 'running' ? 'spinner' : ''} />
+                                            {status.label}
+                                            {item.attempts > 1 && ` (attempt ${item.attempts})`}
+                                        </span>
+                                        {item.error && <p className="text-xs" style={{ color: 'var(--error)' }}>{item.error}</p>}
+                                    </div>
+                                    <div className="flex gap-2">
+                                        {worksheetId && (
+                                            <Link to={`/preview/${worksheetId}`} className="btn btn-secondary btn-sm">
+                                                <Eye size={14} /> Preview
+                                            </Link>
+                                        )}
+                                        {item.status === 'failed' && (
+                                            <button onClick={() => handleRetry([item._id])} disabled={retrying} className="btn btn-secondary btn-sm">
+                                                <RotateCcw size={14} /> Retry
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="page-container">
+            <div className="container container-sm">
+                <div className="text-center mb-4 fade-in">
+                    <h1 className="gradient-text mb-1">Semester Lab File</h1>
+                    <p className="text-secondary text-lg">
+                        Paste your list of experiments and generate every worksheet in one go
+                    </p>
+                </div>
+
+                <form onSubmit={handleSubmit} className="card">
+                    <div className="input-group">
+                        <label className="input-label">Template *</label>
+                        <select
+                            value={templateId}
+                            onChange={(e) => setTemplateId(e.target.value)}
+                            className="input-field"
+                        >
+                            {templates.length === 0 && <option value="">No templates - upload a sample first</option>}
+                            {templates.map(template => (
+                                <option key={template._id} value={template._id}>
+                                    {template.templateName} ({template.subject})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label">Lab File Title</label>
+                        <input
+                            type="text"
+                            name="title"
+                            value={formData.title}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="e.g., Data Structures Lab - Semester 3"
+                        />
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label">Subject</label>
+                        <input
+                            type="text"
+                            name="subject"
+                            value={formData.subject}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="e.g., Data Structures"
+                        />
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label">
+                            <ListChecks size={16} className="inline mr-1" />
+                            Syllabus / List of Experiments *
+                        </label>
+                        <textarea
+                            name="syllabus"
+                            value={formData.syllabus}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            rows="8"
+                            maxLength="5000"
+                            placeholder={'1. Implement a stack using arrays\n2. Implement a queue using linked lists\n3. Binary search tree traversal'}
+                        />
+                        <button type="button" onClick={handleSplit} disabled={splitting} className="btn btn-secondary btn-sm mt-2">
+                            {splitting ? <Loader size={14} className="spinner" /> : <Layers size={14} />}
+                            Preview experiments
+                        </button>
+                    </div>
+
+                    {topics.length > 0 && (
+                        <div className="input-group">
+                            <label className="input-label">{topics.length} experiment(s) - edit before generating</label>
+                            {topics.map((topic, index) => (
+                                <div key={index} className="flex items-center gap-2 mb-2">
+                                    <span className="text-sm text-secondary">
+                                        {(parseInt(formData.startExperimentNumber) || 1) + index}.
+                                    </span>
+                                    <input
+                                        type="text"
+                                        value={topic}
+                                        onChange={(e) => handleTopicChange(index, e.target.value)}
+                                        className="input-field"
+                                    />
+                                    <button type="button" onClick={() => handleRemoveTopic(index)} className="btn btn-secondary btn-sm" title="Remove">
+                                        <XCircle size={14} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="input-group">
+                            <label className="input-label">First Experiment No.</label>
+                            <input
+                                type="number"
+                                name="startExperimentNumber"
+                                min="1"
+                                value={formData.startExperimentNumber}
+                                onChange={handleInputChange}
+                                className="input-field"
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Difficulty</label>
+                            <select
+                                name="difficulty"
+                                value={formData.difficulty}
+                                onChange={handleInputChange}
+                                className="input-field"
+                            >
+                                <option value="easy">Easy</option>
+                                <option value="medium">Medium</option>
+                                <option value="hard">Hard</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label">Additional Instructions</label>
+                        <textarea
+                            name="additionalInstructions"
+                            value={formData.additionalInstructions}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            rows="3"
+                            placeholder="Applied to every experiment, e.g., use Python for all programs"
+                        />
+                    </div>
+
+                    <div className="input-group">
+                        <label className="flex items-center gap-2" style={{ cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                name="runCode"
+                                checked={formData.runCode}
+                                onChange={handleInputChange}
+                            />
+                            Run the code and use its real output
+                        </label>
+                        <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+                            The program of every experiment is run in a sandbox (Python, JavaScript, C, C++, Java) and its real output is used.
+                        </p>
+                    </div>
+
+                    <button type="submit" disabled={submitting} className="btn btn-primary w-full justify-center">
+                        {submitting ? <Loader size={18} className="spinner" /> : <Layers size={18} />}
+                        Generate Lab File
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default BatchGenerate;
@@ -8,7 +8,8 @@ import {
     ArrowRight,
     GraduationCap,
     BookOpen,
-    FileText
+    FileText,
+    Layers
 } from 'lucide-react';
 import './Dashboard.css';
 import '../components/Navbar.css'; // Re-use general styles if needed
@@ -62,6 +63,22 @@ const Dashboard = () => {
                     </div>
                 </div>
 
+                {/* Semester Lab File */}
+                <div className="overview-card animate-slide-up delay-100">
+                    <div className="card-content">
+                        <div className="card-icon-wrapper icon-blue">
+                            <Layers />
+                        </div>
+                        <h3>Semester Lab File</h3>
+                        <p>Paste your syllabus and generate every experiment of the semester at once.</p>
+                    </div>
+                    <div className="card-action">
+                        <Link to="/generate/batch" className="btn btn-outline w-full justify-center">
+                            Generate All <ArrowRight size={16} />
+                        </Link>
+                    </div>
+                </div>
+
                 {/* Upload Sample */}
                 <div className="overview-card animate-slide-up delay-200">
                     <div className="card-content">
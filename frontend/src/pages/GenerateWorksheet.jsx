@@ -1,11 +1,12 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useWorksheet } from '../context/WorksheetContext';
 import { toast } from 'react-toastify';
-import { Sparkles, Loader, FileText, AlertCircle, Zap, Image as ImageIcon, X } from 'lucide-react';
+import { Sparkles, Loader, FileText, AlertCircle, Zap, Image as ImageIcon, X, FileSpreadsheet } from 'lucide-react';
 import { useDropzone } from 'react-dropzone';
 import api from '../services/api';
+import GenerationTimeline from '../components/GenerationTimeline';
 
 const GenerateWorksheet = () => {
     const { user, refreshProfile } = useAuth();
@@ -17,7 +18,8 @@ const GenerateWorksheet = () => {
         syllabus: '',
         difficulty: 'medium',
         subject: user?.defaultSubject || '',
-        additionalInstructions: ''
+        additionalInstructions: '',
+        runCode: false
     });
 
     const [templates, setTemplates] = useState([]);
@@ -26,12 +28,18 @@ const GenerateWorksheet = () => {
     const [loadingTemplates, setLoadingTemplates] = useState(true);
     const [uploadedImages, setUploadedImages] = useState([]);
     const [headerImage, setHeaderImage] = useState(null);
+    const [datasetFile, setDatasetFile] = useState(null);
     const [previewUrl, setPreviewUrl] = useState(null);
     const [loadingPreview, setLoadingPreview] = useState(false);
+    const [jobStatus, setJobStatus] = useState(null);
+    const [jobStages, setJobStages] = useState([]);
+    const isMountedRef = useRef(true);
+    const streamControllerRef = useRef(null);
 
     // Template caching constants
     const TEMPLATE_CACHE_KEY = 'worksheet_template_cache';
     const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
+    const JOB_POLL_INTERVAL = 2000; // 2 seconds
 
     const fetchTemplateSuggestions = useCallback(async (forceRefresh = false) => {
         // Check cache first (unless force refresh)
@@ -134,8 +142,8 @@ const GenerateWorksheet = () => {
     }, [selectedTemplate]);
 
     const handleInputChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
     };
 
     const onDrop = useCallback((acceptedFiles) => {
@@ -217,6 +225,60 @@ const GenerateWorksheet = () => {
         disabled: generating
     });
 
+    // Poll a queued generation job until it finishes (or the page is left)
+    const waitForJob = async (jobId) => {
+        while (isMountedRef.current) {
+            const response = await api.getGenerationJob(jobId);
+            const job = response.data.job;
+            setJobStatus(prev => ({ ...prev, status: job.status }));
+            setJobStages(job.stages || []);
+
+            if (job.status === 'succeeded') return job;
+            if (job.status === 'failed') {
+                throw new Error(job.error || 'Worksheet generation failed');
+            }
+
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+        }
+        return null;
+    };
+
+    // Follow a job through its SSE progress stream, falling back to polling
+    const followJob = async (jobId) => {
+        const controller = new AbortController();
+        streamControllerRef.current = controller;
+        let finalStatus = null;
+
+        try {
+            await api.streamGenerationJobEvents(jobId, (event, data) => {
+                if (event === 'stage') {
+                    setJobStages(prev => [...prev, data]);
+                } else if (event === 'status') {
+                    setJobStatus(prev => ({ ...prev, status: data.status, error: data.error }));
+                    // The preview picks up the PDF once the worksheet is saved
+                    if (data.status === 'succeeded' || data.status === 'failed') {
+                        finalStatus = data;
+                        controller.abort();
+                    }
+                }
+            }, controller.signal);
+        } catch (error) {
+            if (!finalStatus && !controller.signal.aborted) {
+                console.warn('Progress stream unavailable, falling back to polling:', error);
+            }
+        } finally {
+            streamControllerRef.current = null;
+        }
+
+        if (finalStatus?.status === 'failed') {
+            throw new Error(finalStatus.error || 'Worksheet generation failed');
+        }
+        if (finalStatus) return finalStatus;
+        if (!isMountedRef.current) return null;
+
+        return waitForJob(jobId);
+    };
+
     const handleGenerate = async (e) => {
         e.preventDefault();
 
@@ -231,6 +293,7 @@ const GenerateWorksheet = () => {
         }
 
         setGenerating(true);
+        setJobStages([]);
 
         try {
             // Create FormData for multipart upload
@@ -243,26 +306,41 @@ const GenerateWorksheet = () => {
                 data.append('templateId', selectedTemplate._id);
             }
             data.append('additionalInstructions', formData.additionalInstructions);
+            data.append('runCode', formData.runCode);
 
             // Append Header Image
             if (headerImage) {
                 data.append('headerImage', headerImage);
             }
 
+            // Optional CSV becomes the worksheet dataset
+            if (datasetFile) {
+                data.append('dataset', datasetFile);
+            }
+
             // Append images
             uploadedImages.forEach((file) => {
                 data.append('images', file);
             });
 
-            // Need to adjust API call to handle FormData (not JSON)
-            // api.generateWorksheet handles this if updated, or we use axios directly with correct headers
-            // Assuming api.generateWorksheet is flexible or we update it.
-            // For now, let's assume we need to update api.js or force header here if possible, 
-            // but standard axios handles FormData automatically.
-
             const response = await api.generateWorksheet(data);
+            let worksheet = response.data.worksheet;
+
+            // Async mode returns a job id - follow it until the worksheet is saved
+            if (!worksheet && response.data.jobId) {
+                setJobStatus({
+                    status: response.data.status,
+                    queuePosition: response.data.queuePosition
+                });
+
+                const job = await followJob(response.data.jobId);
+                if (!job) return; // Page was left while waiting
 
-            setCurrentWorksheet(response.data.worksheet);
+                const worksheetResponse = await api.getWorksheetById(job.worksheetId);
+                worksheet = worksheetResponse.data.worksheet;
+            }
+
+            setCurrentWorksheet(worksheet);
             toast.success('Worksheet generated successfully!');
 
             // Cleanup previews
@@ -270,19 +348,24 @@ const GenerateWorksheet = () => {
 
             // Navigate to preview with ID
             setTimeout(() => {
-                navigate(`/preview/${response.data.worksheet._id}`);
+                navigate(`/preview/${worksheet._id}`);
             }, 1000);
         } catch (error) {
-            toast.error(error.response?.data?.message || 'Failed to generate worksheet');
+            toast.error(error.response?.data?.message || error.message || 'Failed to generate worksheet');
             console.error('Generation error:', error);
         } finally {
             setGenerating(false);
+            setJobStatus(null);
         }
     };
 
     useEffect(() => {
+        isMountedRef.current = true;
+
         // Cleanup function for previews on unmount
         return () => {
+            isMountedRef.current = false;
+            streamControllerRef.current?.abort();
             uploadedImages.forEach(file => URL.revokeObjectURL(file.preview));
         };
     }, []);
@@ -651,6 +734,36 @@ const GenerateWorksheet = () => {
                                     </p>
                                 </div>
 
+                                {/* Dataset CSV */}
+                                <div className="input-group">
+                                    <label className="input-label">
+                                        Dataset CSV (Optional)
+                                    </label>
+                                    <div className="flex items-center gap-2">
+                                        <label className="btn btn-secondary btn-sm" style={{ cursor: 'pointer' }}>
+                                            <FileSpreadsheet size={16} />
+                                            {datasetFile ? 'Change file' : 'Choose CSV file'}
+                                            <input
+                                                type="file"
+                                                accept=".csv,.tsv,.txt,text/csv"
+                                                onChange={(e) => setDatasetFile(e.target.files[0] || null)}
+                                                hidden
+                                            />
+                                        </label>
+                                        {datasetFile && (
+                                            <>
+                                                <span style={{ fontSize: '0.875rem' }}>{datasetFile.name}</span>
+                                                <button type="button" onClick={() => setDatasetFile(null)} className="btn btn-secondary btn-sm" title="Remove file">
+                                                    <X size={14} />
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                    <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+                                        For Excel and data analysis labs: the first row is the header, up to 500 rows. The table is printed as the dataset and the AI works with its columns and can chart them.
+                                    </p>
+                                </div>
+
                                 {/* Additional Instructions */}
                                 <div className="input-group">
                                     <label className="input-label">
@@ -665,6 +778,21 @@ const GenerateWorksheet = () => {
                                         onChange={handleInputChange}
                                     />
                                 </div>
+
+                                <div className="input-group">
+                                    <label className="flex items-center gap-2" style={{ cursor: 'pointer' }}>
+                                        <input
+                                            type="checkbox"
+                                            name="runCode"
+                                            checked={formData.runCode}
+                                            onChange={handleInputChange}
+                                        />
+                                        Run the code and use its real output
+                                    </label>
+                                    <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+                                        Python, JavaScript, C, C++ and Java programs are run in a sandbox and their real output (or compile error) replaces the generated one.
+                                    </p>
+                                </div>
                             </div>
 
                             {/* Info Card */}
@@ -694,7 +822,9 @@ const GenerateWorksheet = () => {
                                 {generating ? (
                                     <>
                                         <Loader size={20} className="spinner" />
-                                        Generating Worksheet... (30-60s)
+                                        {jobStatus?.status === 'queued'
+                                            ? `Queued (position ${jobStatus.queuePosition || 1})...`
+                                            : 'Generating Worksheet... (30-60s)'}
                                     </>
                                 ) : (
                                     <>
@@ -704,7 +834,16 @@ const GenerateWorksheet = () => {
                                 )}
                             </button>
 
-                            {generating && (
+                            {generating && jobStatus && (
+                                <GenerationTimeline
+                                    stages={jobStages}
+                                    status={jobStatus.status}
+                                    queuePosition={jobStatus.queuePosition}
+                                    error={jobStatus.error}
+                                />
+                            )}
+
+                            {generating && !jobStatus && (
                                 <div className="alert alert-info mt-3">
                                     <AlertCircle size={20} />
                                     <span>
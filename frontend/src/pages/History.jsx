@@ -7,7 +7,8 @@ import {
     Download,
     Eye,
     ArrowLeft,
-    Loader
+    Loader,
+    BookOpen
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 
@@ -16,6 +17,8 @@ const History = () => {
     const [worksheets, setWorksheets] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [generatingRecord, setGeneratingRecord] = useState(false);
 
     useEffect(() => {
         fetchHistory();
@@ -46,6 +49,51 @@ const History = () => {
         window.open(url, '_blank');
     };
 
+    const toggleSelected = (e, id) => {
+        e.stopPropagation();
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+    };
+
+    // Combine the selected worksheets into one PDF, ordered by experiment number
+    const handleLabRecord = async () => {
+        const worksheetIds = worksheets
+            .filter(item => selectedIds.includes(item._id))
+            .sort((a, b) => (parseInt(a.experimentNumber) || 0) - (parseInt(b.experimentNumber) || 0))
+            .map(item => item._id);
+
+        setGeneratingRecord(true);
+        try {
+            const response = await api.generateLabRecord({ worksheetIds });
+            const { pdfUrl, pdfBase64 } = response.data;
+
+            if (pdfBase64) {
+                const byteCharacters = atob(pdfBase64);
+                const byteArray = new Uint8Array(byteCharacters.length);
+                for (let i = 0; i < byteCharacters.length; i++) {
+                    byteArray[i] = byteCharacters.charCodeAt(i);
+                }
+                const url = window.URL.createObjectURL(new Blob([byteArray], { type: 'application/pdf' }));
+
+                const link = document.createElement('a');
+                link.href = url;
+                link.setAttribute('download', 'Lab_Record.pdf');
+                document.body.appendChild(link);
+                link.click();
+
+                document.body.removeChild(link);
+                window.URL.revokeObjectURL(url);
+            } else {
+                window.open(pdfUrl, '_blank');
+            }
+            toast.success('Lab record generated!');
+        } catch (err) {
+            console.error('Failed to generate lab record:', err);
+            toast.error(err.response?.data?.message || 'Failed to generate lab record');
+        } finally {
+            setGeneratingRecord(false);
+        }
+    };
+
     if (loading) {
         return (
             <div className="flex justify-center items-center min-h-screen">
@@ -70,6 +118,17 @@ const History = () => {
                         <h1 className="text-3xl font-bold text-gray-800">My Worksheets</h1>
                         <p className="text-gray-500">History of your generated practicals</p>
                     </div>
+                    {worksheets.length > 0 && (
+                        <button
+                            onClick={handleLabRecord}
+                            disabled={selectedIds.length === 0 || generatingRecord}
+                            className="btn btn-primary ml-auto"
+                            title="Select worksheets to combine them into one lab record PDF"
+                        >
+                            {generatingRecord ? <Loader size={18} className="spinner" /> : <BookOpen size={18} />}
+                            Lab Record{selectedIds.length > 0 ? ` (${selectedIds.length})` : ''}
+                        </button>
+                    )}
                 </div>
 
                 {/* Content */}
@@ -96,23 +155,33 @@ const History = () => {
                                 className="bg-white p-5 rounded-lg shadow-sm border border-gray-200 flex flex-col md:flex-row justify-between items-start md:items-center hover:shadow-md transition-shadow cursor-pointer"
                                 onClick={() => navigate(`/preview/${item._id}`)}
                             >
-                                <div className="mb-4 md:mb-0">
-                                    <h3 className="text-lg font-bold text-gray-800 mb-1">
-                                        {item.topic}
-                                    </h3>
-                                    <div className="flex items-center text-sm text-gray-500 gap-4">
-                                        <span className="flex items-center">
-                                            <Calendar size={14} className="mr-1" />
-                                            {new Date(item.createdAt).toLocaleDateString()}
-                                        </span>
-                                        <span className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full text-xs font-medium uppercase">
-                                            {item.subject}
-                                        </span>
-                                        {item.status === 'finalized' && (
-                                            <span className="bg-green-100 text-green-800 px-2 py-0.5 rounded-full text-xs font-medium">
-                                                Ready
+                                <div className="mb-4 md:mb-0 flex items-start gap-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(item._id)}
+                                        onClick={(e) => toggleSelected(e, item._id)}
+                                        onChange={() => { }}
+                                        className="mt-2"
+                                        title="Include in lab record"
+                                    />
+                                    <div>
+                                        <h3 className="text-lg font-bold text-gray-800 mb-1">
+                                            {item.topic}
+                                        </h3>
+                                        <div className="flex items-center text-sm text-gray-500 gap-4">
+                                            <span className="flex items-center">
+                                                <Calendar size={14} className="mr-1" />
+                                                {new Date(item.createdAt).toLocaleDateString()}
+                                            </span>
+                                            <span className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full text-xs font-medium uppercase">
+                                                {item.subject}
                                             </span>
-                                        )}
+                                            {item.status === 'finalized' && (
+                                                <span className="bg-green-100 text-green-800 px-2 py-0.5 rounded-full text-xs font-medium">
+                                                    Ready
+                                                </span>
+                                            )}
+                                        </div>
                                     </div>
                                 </div>
 
@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+    LayoutTemplate,
+    Loader,
+    Pencil,
+    Archive,
+    ArchiveRestore,
+    Trash2,
+    Copy,
+    Sparkles,
+    ArrowUp,
+    ArrowDown,
+    Plus,
+    Upload,
+    AlertTriangle
+} from 'lucide-react';
+import { useWorksheet } from '../context/WorksheetContext';
+import api from '../services/api';
+import './Pages.css';
+import './TemplateManager.css';
+
+// The generate page caches template suggestions; it must refetch after the library changes
+const TEMPLATE_CACHE_KEY = 'worksheet_template_cache';
+
+// Values the sample analysis produces, offered as suggestions (any text is accepted)
+const STYLE_OPTIONS = ['Formal Academic', 'Practical', 'Research-oriented'];
+const LEVEL_OPTIONS = ['Undergraduate', 'Post Graduate', 'Research'];
+
+const TABS = [
+    { value: 'active', label: 'Active' },
+    { value: 'archived', label: 'Archived' }
+];
+
+const TemplateManager = () => {
+    const navigate = useNavigate();
+    const { setCurrentTemplate } = useWorksheet();
+
+    const [templates, setTemplates] = useState([]);
+    const [suggestions, setSuggestions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [tab, setTab] = useState('active');
+    const [editing, setEditing] = useState(null); // { _id, templateName, subject, style, level, sectionsOrder }
+    const [newHeading, setNewHeading] = useState('');
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchTemplates = useCallback(async () => {
+        try {
+            const [mine, suggested] = await Promise.all([api.getMyTemplates(), api.getTemplateSuggestions()]);
+            setTemplates(mine.data.templates || []);
+            setSuggestions(suggested.data.templates || []);
+        } catch (error) {
+            toast.error('Failed to load templates');
+            console.error('Load templates error:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTemplates();
+    }, [fetchTemplates]);
+
+    // Run a template action, then reload the library
+    const runAction = async (templateId, action, successMessage) => {
+        setBusyId(templateId);
+        try {
+            await action();
+            localStorage.removeItem(TEMPLATE_CACHE_KEY);
+            toast.success(successMessage);
+            await fetchTemplates();
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Template action failed');
+            console.error('Template action error:', error);
+            return false;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const startEdit = (template) => {
+        setEditing({
+            _id: template._id,
+            templateName: template.templateName,
+            subject: template.subject,
+            style: template.style || '',
+            level: template.level || '',
+            sectionsOrder: [...(template.sectionsOrder || [])]
+        });
+        setNewHeading('');
+    };
+
+    const setHeading = (idx, heading) => setEditing({
+        ...editing,
+        sectionsOrder: editing.sectionsOrder.map((item, itemIdx) => (itemIdx === idx ? heading : item))
+    });
+
+    const moveHeading = (idx, offset) => {
+        const sectionsOrder = [...editing.sectionsOrder];
+        [sectionsOrder[idx], sectionsOrder[idx + offset]] = [sectionsOrder[idx + offset], sectionsOrder[idx]];
+        setEditing({ ...editing, sectionsOrder });
+    };
+
+    const addHeading = () => {
+        if (!newHeading.trim()) return;
+        setEditing({ ...editing, sectionsOrder: [...editing.sectionsOrder, newHeading.trim()] });
+        setNewHeading('');
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const { _id, ...changes } = editing;
+        const saved = await runAction(_id, () => api.updateTemplate(_id, {
+            ...changes,
+            sectionsOrder: changes.sectionsOrder.map(heading => heading.trim()).filter(Boolean)
+        }), 'Template updated');
+        if (saved) setEditing(null);
+    };
+
+    const handleArchive = (template) => {
+        const archiving = template.status === 'active';
+        runAction(
+            template._id,
+            () => api.updateTemplate(template._id, { status: archiving ? 'archived' : 'active' }),
+            archiving ? 'Template archived' : 'Template restored'
+        );
+    };
+
+    const handleDelete = (template) => {
+        if (!window.confirm(`Delete "${template.templateName}"? Worksheets generated from it are kept.`)) return;
+        runAction(template._id, () => api.deleteTemplate(template._id), 'Template deleted');
+    };
+
+    const handleClone = (template) => {
+        runAction(template._id, () => api.cloneTemplate(template._id), 'Template copied to your library');
+    };
+
+    const handleUse = (template) => {
+        setCurrentTemplate(template);
+        navigate('/generate');
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center min-h-screen">
+                <Loader size={48} className="spinner text-primary" />
+            </div>
+        );
+    }
+
+    const ownIds = templates.map(template => template._id);
+    const otherSuggestions = suggestions.filter(template => !ownIds.includes(template._id));
+    // Invalid templates (sample PDF deleted) stay in the active list so they can be fixed or deleted
+    const shown = templates.filter(template => (tab === 'archived' ? template.status === 'archived' : template.status !== 'archived'));
+
+    const renderEditForm = () => (
+        <form onSubmit={handleSave} className="template-edit-form">
+            <div className="template-edit-fields">
+                <div className="input-group">
+                    <label className="input-label">Template name</label>
+                    <input
+                        className="input-field"
+                        value={editing.templateName}
+                        onChange={(e) => setEditing({ ...editing, templateName: e.target.value })}
+                        maxLength={150}
+                        required
+                    />
+                </div>
+                <div className="input-group">
+                    <label className="input-label">Subject</label>
+                    <input
+                        className="input-field"
+                        value={editing.subject}
+                        onChange={(e) => setEditing({ ...editing, subject: e.target.value })}
+                        maxLength={150}
+                        required
+                    />
+                </div>
+                <div className="input-group">
+                    <label className="input-label">Writing style</label>
+                    <input
+                        className="input-field"
+                        list="template-style-options"
+                        value={editing.style}
+                        onChange={(e) => setEditing({ ...editing, style: e.target.value })}
+                        maxLength={100}
+                        required
+                    />
+                    <datalist id="template-style-options">
+                        {STYLE_OPTIONS.map(option => <option key={option} value={option} />)}
+                    </datalist>
+                </div>
+                <div className="input-group">
+                    <label className="input-label">Academic level</label>
+                    <input
+                        className="input-field"
+                        list="template-level-options"
+                        value={editing.level}
+                        onChange={(e) => setEditing({ ...editing, level: e.target.value })}
+                        maxLength={100}
+                        required
+                    />
+                    <datalist id="template-level-options">
+                        {LEVEL_OPTIONS.map(option => <option key={option} value={option} />)}
+                    </datalist>
+                </div>
+            </div>
+
+            <div className="input-group">
+                <label className="input-label">Sections (in order, as headed on the worksheet)</label>
+                <ol className="template-headings">
+                    {editing.sectionsOrder.map((heading, idx) => (
+                        <li key={idx}>
+                            <input
+                                className="input-field"
+                                value={heading}
+                                onChange={(e) => setHeading(idx, e.target.value)}
+                                maxLength={100}
+                            />
+                            <button type="button" onClick={() => moveHeading(idx, -1)} disabled={idx === 0} title="Move up">
+                                <ArrowUp size={14} />
+                            </button>
+                            <button type="button" onClick={() => moveHeading(idx, 1)} disabled={idx === editing.sectionsOrder.length - 1} title="Move down">
+                                <ArrowDown size={14} />
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => setEditing({ ...editing, sectionsOrder: editing.sectionsOrder.filter((_, itemIdx) => itemIdx !== idx) })}
+                                disabled={editing.sectionsOrder.length === 1}
+                                title="Remove section"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+                <div className="flex gap-2 mt-2">
+                    <input
+                        className="input-field"
+                        value={newHeading}
+                        onChange={(e) => setNewHeading(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                                e.preventDefault();
+                                addHeading();
+                            }
+                        }}
+                        placeholder="New section, e.g. Viva Questions"
+                        maxLength={100}
+                    />
+                    <button type="button" onClick={addHeading} disabled={!newHeading.trim()} className="btn btn-secondary btn-sm">
+                        <Plus size={14} /> Add
+                    </button>
+                </div>
+                <p className="text-sm text-secondary mt-1">
+                    Known headings (Aim, Code, Output, ...) keep their usual content; any other heading becomes its own section.
+                </p>
+            </div>
+
+            <div className="template-edit-actions">
+                <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary btn-sm">
+                    Cancel
+                </button>
+                <button type="submit" disabled={busyId === editing._id} className="btn btn-primary btn-sm">
+                    {busyId === editing._id && <Loader size={14} className="spinner" />}
+                    Save template
+                </button>
+            </div>
+        </form>
+    );
+
+    return (
+        <div className="page-container">
+            <div className="container">
+                <div className="flex justify-between items-center mb-4 fade-in">
+                    <div>
+                        <h1 className="gradient-text mb-1">Template Library</h1>
+                        <p className="text-secondary">Your worksheet formats: section headings and order, writing style and level</p>
+                    </div>
+                    <Link to="/upload-sample" className="btn btn-primary">
+                        <Upload size={18} /> New from sample PDF
+                    </Link>
+                </div>
+
+                <div className="template-tabs">
+                    {TABS.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            type="button"
+                            className={tab === value ? 'active' : ''}
+                            onClick={() => setTab(value)}
+                        >
+                            {label} ({templates.filter(template => (value === 'archived' ? template.status === 'archived' : template.status !== 'archived')).length})
+                        </button>
+                    ))}
+                </div>
+
+                {shown.length === 0 ? (
+                    <div className="card text-center">
+                        <LayoutTemplate size={48} className="text-secondary mb-2" />
+                        <p className="text-secondary">
+                            {tab === 'archived'
+                                ? 'No archived templates.'
+                                : 'No templates yet. Upload a sample worksheet or copy a suggested template below.'}
+                        </p>
+                    </div>
+                ) : (
+                    <div className="grid gap-4">
+                        {shown.map(template => (
+                            <div key={template._id} className="card template-card">
+                                {editing?._id === template._id ? renderEditForm() : (
+                                    <>
+                                        <div className="flex justify-between items-center gap-3">
+                                            <div>
+                                                <h3 className="mb-1">{template.templateName}</h3>
+                                                <p className="text-sm text-secondary">
+                                                    {template.subject} • {template.style} • {template.level} • Used {template.usageCount} times
+                                                </p>
+                                            </div>
+                                            <div className="template-actions">
+                                                {template.status === 'active' && (
+                                                    <button type="button" onClick={() => handleUse(template)} className="btn btn-primary btn-sm" title="Generate a worksheet with this template">
+                                                        <Sparkles size={14} /> Use
+                                                    </button>
+                                                )}
+                                                <button type="button" onClick={() => startEdit(template)} disabled={Boolean(editing) || busyId === template._id} title="Edit template">
+                                                    <Pencil size={16} />
+                                                </button>
+                                                {template.status !== 'invalid' && (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => handleArchive(template)}
+                                                        disabled={busyId === template._id}
+                                                        title={template.status === 'archived' ? 'Restore template' : 'Archive template'}
+                                                    >
+                                                        {template.status === 'archived' ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                                                    </button>
+                                                )}
+                                                <button type="button" onClick={() => handleDelete(template)} disabled={busyId === template._id} title="Delete template" className="danger">
+                                                    {busyId === template._id ? <Loader size={16} className="spinner" /> : <Trash2 size={16} />}
+                                                </button>
+                                            </div>
+                                        </div>
+                                        {template.status === 'invalid' && (
+                                            <div className="alert alert-warning mt-2">
+                                                <AlertTriangle size={16} />
+                                                The sample PDF of this template was deleted. Its sections still work, but it is hidden from suggestions.
+                                            </div>
+                                        )}
+                                        <ol className="template-section-list">
+                                            {(template.sectionsOrder || []).map((heading, idx) => <li key={idx}>{heading}</li>)}
+                                        </ol>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {tab === 'active' && otherSuggestions.length > 0 && (
+                    <div className="mt-3">
+                        <h2 className="mb-1">Suggested for your course</h2>
+                        <p className="text-secondary mb-2">Templates other students of your university and course use. Copy one to edit it.</p>
+                        <div className="grid gap-4">
+                            {otherSuggestions.map(template => (
+                                <div key={template._id} className="card template-card">
+                                    <div className="flex justify-between items-center gap-3">
+                                        <div>
+                                            <h3 className="mb-1">{template.templateName}</h3>
+                                            <p className="text-sm text-secondary">
+                                                {template.subject} • {template.style} • {template.level} • Used {template.usageCount} times
+                                            </p>
+                                        </div>
+                                        <button type="button" onClick={() => handleClone(template)} disabled={busyId === template._id} className="btn btn-secondary btn-sm">
+                                            {busyId === template._id ? <Loader size={14} className="spinner" /> : <Copy size={14} />} Copy to my library
+                                        </button>
+                                    </div>
+                                    <ol className="template-section-list">
+                                        {(template.sectionsOrder || []).map((heading, idx) => <li key={idx}>{heading}</li>)}
+                                    </ol>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TemplateManager;
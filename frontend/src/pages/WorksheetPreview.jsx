@@ -1,6 +1,7 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useWorksheet } from '../context/WorksheetContext';
+import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
 import {
     Download as DownloadIcon,
@@ -10,31 +11,143 @@ import {
     CheckCircle,
     RefreshCw,
     ArrowLeft,
-    Printer
+    Printer,
+    History,
+    FileDown,
+    AlertTriangle,
+    Play,
+    Terminal,
+    ListOrdered,
+    Workflow,
+    BarChart3
 } from 'lucide-react';
 import api from '../services/api';
+import VersionHistoryDrawer from '../components/VersionHistoryDrawer';
+import SectionEditor from '../components/SectionEditor';
+import ConflictResolver from '../components/ConflictResolver';
+import InlineRewrite from '../components/InlineRewrite';
+import MathHtml from '../components/MathHtml';
+import SectionDiagrams from '../components/SectionDiagrams';
+import DatasetCharts from '../components/DatasetCharts';
 import './WorksheetPreview.css';
 
+// Layout for worksheets loaded before the backend returned sections
+const LEGACY_SECTIONS = [
+    { key: 'mainQuestion', field: 'questionTitle', heading: 'Main Question', type: 'html' },
+    { key: 'aim', field: 'aim', heading: 'Aim', type: 'html' },
+    { key: 'problemStatement', field: 'problemStatement', heading: 'Problem Statement', type: 'html' },
+    { key: 'dataset', field: 'dataset', heading: 'Dataset Description', type: 'html' },
+    { key: 'algorithm', field: 'algorithm', heading: 'Algorithm', type: 'html' },
+    { key: 'code', field: 'code', heading: 'Code Implementation', type: 'code' },
+    { key: 'output', field: 'output', heading: 'Output & Results', type: 'html' },
+    { key: 'conclusion', field: 'conclusion', heading: 'Conclusion', type: 'html' }
+];
+
+const getWorksheetSections = (worksheet) => {
+    if (worksheet.sections && worksheet.sections.length > 0) return worksheet.sections;
+    return LEGACY_SECTIONS.map(({ field, ...section }) => ({ ...section, value: worksheet.content?.[field] }));
+};
+
+const hasSectionValue = ({ type, value }) => {
+    if (!value) return false;
+    if (type === 'list') return value.length > 0;
+    if (type === 'code') return Boolean(value.source || value.explanation);
+    if (type === 'table') return value.rows?.length > 0 || Boolean(value.caption);
+    return true;
+};
+
+// Copy of a section value for editing (lists, tables and code are edited in place)
+const toEditableValue = ({ type, value }) => {
+    if (type === 'list') return [...(value || [])];
+    if (type === 'table') return value ? { ...value, columns: [...(value.columns || [])], rows: (value.rows || []).map(row => [...row]) } : value;
+    if (type === 'code' && value && typeof value === 'object') return { ...value };
+    return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Quick instructions offered when regenerating a section
+const REGENERATE_SUGGESTIONS = {
+    html: ['Make it shorter', 'Add more detail', 'Use simpler language'],
+    list: ['Fewer points', 'More specific points', 'Use simpler language'],
+    code: ['Use Python instead', 'Add comments', 'Simplify the code'],
+    table: ['Add more rows', 'Use realistic values']
+};
+
+// Code languages the server can run in its sandbox
+const RUNNABLE_LANGUAGES = ['python', 'py', 'python3', 'javascript', 'js', 'node', 'nodejs', 'c', 'cpp', 'c++', 'java'];
+
+const CODE_RUN_LABELS = {
+    success: 'ran successfully',
+    runtime_error: 'exited with an error',
+    compile_error: 'failed to compile',
+    timeout: 'hit the time limit',
+    output_limit: 'printed too much output'
+};
+
+// Looks offered for the rendered output screenshot
+const TERMINAL_THEMES = [
+    { value: 'ubuntu', label: 'Ubuntu' },
+    { value: 'dark', label: 'Dark' },
+    { value: 'light', label: 'Light' },
+    { value: 'powershell', label: 'PowerShell' },
+    { value: 'cmd', label: 'Command Prompt' }
+];
+
+const TERMINAL_CHROMES = [
+    { value: 'linux', label: 'Linux window' },
+    { value: 'macos', label: 'macOS window' },
+    { value: 'windows', label: 'Windows window' },
+    { value: 'none', label: 'No window' }
+];
+
+// Open editors are saved this long after the last change
+const AUTOSAVE_DELAY = 2000;
+
+// Downloadable formats besides the PDF
+const EXPORT_FORMATS = [
+    { format: 'docx', extension: 'docx', label: 'Word', title: 'Download as an editable Word document' },
+    { format: 'latex', extension: 'zip', label: 'LaTeX', title: 'Download a .tex file with images (for Overleaf)' },
+    { format: 'markdown', extension: 'zip', label: 'Markdown', title: 'Download a Markdown file with images (for Git repos)' }
+];
+
 const WorksheetPreview = () => {
     const { id } = useParams();
     const { currentWorksheet, setCurrentWorksheet } = useWorksheet();
+    const { user, updateUser } = useAuth();
     const navigate = useNavigate();
 
     const [worksheet, setWorksheet] = useState(null);
     const [editMode, setEditMode] = useState({});
-    const [editedContent, setEditedContent] = useState({});
+    const [editedValues, setEditedValues] = useState({});
+    // Per open editor: the value last saved from this tab, and the server copy it was based on
+    const [savedValues, setSavedValues] = useState({});
+    const [serverValues, setServerValues] = useState({});
+    // Bumped to remount an editor when its value is replaced from outside (conflict resolution)
+    const [editorRevisions, setEditorRevisions] = useState({});
     const [saving, setSaving] = useState(false);
+    const [saveStatus, setSaveStatus] = useState('saved'); // saved | unsaved | saving | error | conflict
+    const [conflict, setConflict] = useState(null);
+    const [regeneratePrompt, setRegeneratePrompt] = useState(null); // { key, instruction }
+    const [regeneratingKey, setRegeneratingKey] = useState(null);
+    const [runningCode, setRunningCode] = useState(false);
+    const [screenshotForm, setScreenshotForm] = useState(null); // { theme, chrome, prompt, caption }
+    const [renderingScreenshot, setRenderingScreenshot] = useState(false);
+    const [addingDiagramKey, setAddingDiagramKey] = useState(null);
+    const [addingChart, setAddingChart] = useState(false);
     const [generatingPDF, setGeneratingPDF] = useState(false);
     const [loading, setLoading] = useState(true);
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [exportingFormat, setExportingFormat] = useState(null);
 
     const [autoGenTriggered, setAutoGenTriggered] = useState(false);
+    const paperRef = useRef(null);
 
     useEffect(() => {
         const loadWorksheet = async () => {
             // Case 1: Worksheet is already in context and matches URL ID
             if (currentWorksheet && currentWorksheet._id === id) {
                 setWorksheet(currentWorksheet);
-                setEditedContent(currentWorksheet.content || {});
                 setLoading(false);
                 return;
             }
@@ -47,7 +160,6 @@ const WorksheetPreview = () => {
 
                 setWorksheet(fetchedWorksheet);
                 setCurrentWorksheet(fetchedWorksheet); // Update context
-                setEditedContent(fetchedWorksheet.content || {});
             } catch (error) {
                 console.error('Failed to load worksheet:', error);
                 toast.error('Failed to load worksheet. Redirecting...');
@@ -62,47 +174,153 @@ const WorksheetPreview = () => {
 
 
 
+    const dirtyKeys = Object.keys(editMode).filter(key => editMode[key] && !sameValue(editedValues[key], savedValues[key]));
+
     const handleEdit = (section) => {
-        setEditMode({ ...editMode, [section]: true });
+        setEditedValues(prev => ({ ...prev, [section.key]: toEditableValue(section) }));
+        setSavedValues(prev => ({ ...prev, [section.key]: toEditableValue(section) }));
+        setServerValues(prev => ({ ...prev, [section.key]: section.value }));
+        setEditMode(prev => ({ ...prev, [section.key]: true }));
     };
 
-    const handleSave = async (section) => {
-        if (!worksheet) return;
+    const closeEditors = (keys) => {
+        setEditMode(prev => ({ ...prev, ...Object.fromEntries(keys.map(key => [key, false])) }));
+    };
+
+    const applyServerWorksheet = (serverWorksheet) => {
+        setWorksheet(serverWorksheet);
+        setCurrentWorksheet(serverWorksheet);
+    };
+
+    // Save open editors against the version they were based on; a 409 means another tab saved first
+    const saveSections = async (keys, { close = false } = {}) => {
+        if (!worksheet || keys.length === 0) return;
+
+        const sectionsByKey = new Map(getWorksheetSections(worksheet).map(section => [section.key, section]));
+        const values = Object.fromEntries(keys.map(key => [key, editedValues[key]]));
 
         setSaving(true);
+        setSaveStatus('saving');
         try {
             const response = await api.updateWorksheet(worksheet._id, {
-                content: {
-                    ...worksheet.content,
-                    [section]: editedContent[section]
-                }
+                version: worksheet.version,
+                sections: keys.map(key => ({
+                    key,
+                    heading: sectionsByKey.get(key)?.heading,
+                    type: sectionsByKey.get(key)?.type,
+                    value: values[key]
+                }))
             });
 
-            setWorksheet(response.data.worksheet);
-            setCurrentWorksheet(response.data.worksheet);
-            setEditMode({ ...editMode, [section]: false });
-            toast.success('Section updated successfully!');
+            const saved = response.data.worksheet;
+            const savedSections = new Map(getWorksheetSections(saved).map(section => [section.key, section]));
+            applyServerWorksheet(saved);
+            setSavedValues(prev => ({ ...prev, ...values }));
+            setServerValues(prev => ({ ...prev, ...Object.fromEntries(keys.map(key => [key, savedSections.get(key)?.value])) }));
+            setSaveStatus('saved');
+            if (close) {
+                closeEditors(keys);
+                toast.success('Section updated successfully!');
+            }
         } catch (error) {
-            toast.error('Failed to save changes');
-            console.error('Save error:', error);
+            if (error.response?.status === 409 && error.response.data?.worksheet) {
+                handleConflict(error.response.data.worksheet, keys);
+            } else {
+                setSaveStatus('error');
+                toast.error('Failed to save changes');
+                console.error('Save error:', error);
+            }
         } finally {
             setSaving(false);
         }
     };
 
+    // Sections changed only on the server are merged silently; both-sided changes go to the resolver
+    const handleConflict = (serverWorksheet, keys) => {
+        const serverSections = new Map(getWorksheetSections(serverWorksheet).map(section => [section.key, section]));
+        const conflicts = keys
+            .filter(key => !sameValue(serverSections.get(key)?.value, serverValues[key]))
+            .map(key => {
+                const section = serverSections.get(key);
+                return {
+                    key,
+                    heading: section?.heading || key,
+                    type: section?.type,
+                    mine: editedValues[key],
+                    theirs: section?.value
+                };
+            });
+
+        applyServerWorksheet(serverWorksheet);
+
+        if (conflicts.length === 0) {
+            // Retried by autosave against the new version
+            setSaveStatus('unsaved');
+            return;
+        }
+
+        setConflict({ version: serverWorksheet.version, conflicts });
+        setSaveStatus('conflict');
+    };
+
+    const handleResolveConflict = (choices) => {
+        const serverSections = new Map(getWorksheetSections(worksheet).map(section => [section.key, section]));
+        const theirs = conflict.conflicts.filter(({ key }) => choices[key] === 'theirs').map(({ key }) => key);
+        const theirValues = Object.fromEntries(theirs.map(key => [key, toEditableValue(serverSections.get(key) || {})]));
+
+        // Every conflicting section is now based on the server copy; kept edits stay unsaved and autosave
+        setServerValues(prev => ({
+            ...prev,
+            ...Object.fromEntries(conflict.conflicts.map(({ key }) => [key, serverSections.get(key)?.value]))
+        }));
+        setEditedValues(prev => ({ ...prev, ...theirValues }));
+        setSavedValues(prev => ({ ...prev, ...theirValues }));
+        setEditorRevisions(prev => ({ ...prev, ...Object.fromEntries(theirs.map(key => [key, (prev[key] || 0) + 1])) }));
+        setConflict(null);
+        setSaveStatus('unsaved');
+    };
+
+    const handleSave = async (section) => {
+        if (dirtyKeys.includes(section.key)) {
+            await saveSections([section.key], { close: true });
+        } else {
+            closeEditors([section.key]);
+        }
+    };
+
     const handleCancel = (section) => {
-        setEditedContent({
-            ...editedContent,
-            [section]: worksheet.content[section]
-        });
-        setEditMode({ ...editMode, [section]: false });
+        if (dirtyKeys.includes(section.key) && !window.confirm('Discard unsaved changes to this section?')) return;
+        closeEditors([section.key]);
     };
 
-    const handleContentChange = (section, value) => {
-        setEditedContent({
-            ...editedContent,
-            [section]: value
-        });
+    const handleContentChange = (key, value) => {
+        setEditedValues(prev => ({
+            ...prev,
+            [key]: value
+        }));
+        if (saveStatus === 'error') setSaveStatus('unsaved');
+    };
+
+    const handleExport = async ({ format, extension }) => {
+        setExportingFormat(format);
+        try {
+            const response = await api.exportWorksheet(worksheet._id, format);
+            const url = window.URL.createObjectURL(response.data);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `Worksheet_${worksheet.topic.replace(/\s+/g, '_')}.${extension}`);
+            document.body.appendChild(link);
+            link.click();
+
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Export error:', error);
+            toast.error('Failed to export worksheet');
+        } finally {
+            setExportingFormat(null);
+        }
     };
 
     const handleGeneratePDF = useCallback(async () => {
@@ -199,33 +417,148 @@ const WorksheetPreview = () => {
         }
     }, [worksheet, generatingPDF, autoGenTriggered, loading, handleGeneratePDF]);
 
-    const handleRegenerateSection = async (section) => {
+    const handleRegenerateSection = async (section, instruction = '') => {
         if (!worksheet) return;
 
+        setRegeneratingKey(section.key);
         try {
             const response = await api.regenerateSection(worksheet._id, {
-                section,
-                currentContent: worksheet.content[section],
-                context: {
-                    topic: worksheet.topic,
-                    syllabus: worksheet.syllabus
-                }
+                section: section.key,
+                instruction: instruction.trim() || undefined
             });
 
-            const updatedContent = {
-                ...worksheet.content,
-                [section]: response.data.content
-            };
+            if (response.data.worksheet) {
+                setWorksheet(response.data.worksheet);
+                setCurrentWorksheet(response.data.worksheet);
+            }
+            setRegeneratePrompt(null);
+            toast.success(`${section.heading} regenerated!`);
+        } catch (error) {
+            if (error.response?.status === 409 && error.response.data?.worksheet) {
+                applyServerWorksheet(error.response.data.worksheet);
+                toast.warning('This worksheet changed somewhere else. Regenerate the section again.');
+            } else {
+                toast.error(error.response?.data?.message || 'Failed to regenerate section');
+                console.error('Regenerate error:', error);
+            }
+        } finally {
+            setRegeneratingKey(null);
+        }
+    };
+
+    // Save an accepted inline rewrite; returns false when the suggestion could not be applied
+    const handleApplyRewrite = async (sectionKey, value) => {
+        const section = getWorksheetSections(worksheet).find(existing => existing.key === sectionKey);
+
+        try {
+            const response = await api.updateWorksheet(worksheet._id, {
+                version: worksheet.version,
+                sections: [{ key: sectionKey, heading: section?.heading, type: section?.type, value }]
+            });
+            applyServerWorksheet(response.data.worksheet);
+            toast.success('Rewrite applied');
+            return true;
+        } catch (error) {
+            if (error.response?.status === 409 && error.response.data?.worksheet) {
+                applyServerWorksheet(error.response.data.worksheet);
+                toast.warning('This worksheet changed somewhere else. Select the text again to rewrite it.');
+            } else {
+                toast.error(error.response?.data?.message || 'Failed to apply the rewrite');
+                console.error('Rewrite save error:', error);
+            }
+            return false;
+        }
+    };
+
+    // Run the saved code in the sandbox; the server writes the real output into the Output section
+    const handleRunCode = async () => {
+        setRunningCode(true);
+        try {
+            const response = await api.runCode(worksheet._id, { version: worksheet.version });
+            applyServerWorksheet(response.data.worksheet);
+            if (response.data.run.status === 'success') {
+                toast.success('Output updated from the program run');
+            } else {
+                toast.warning(response.data.message);
+            }
+        } catch (error) {
+            if (error.response?.status === 409 && error.response.data?.worksheet) {
+                applyServerWorksheet(error.response.data.worksheet);
+                toast.warning('This worksheet changed somewhere else. Run the code again.');
+            } else {
+                toast.error(error.response?.data?.message || 'Failed to run code');
+                console.error('Run code error:', error);
+            }
+        } finally {
+            setRunningCode(false);
+        }
+    };
+
+    // Render the output as a terminal screenshot attached to the Output section
+    const handleCreateScreenshot = async () => {
+        setRenderingScreenshot(true);
+        try {
+            const { prompt, ...options } = screenshotForm;
+            const response = await api.createOutputScreenshot(worksheet._id, {
+                ...options,
+                ...(prompt.trim() && { prompt: prompt.trim() })
+            });
+            applyServerWorksheet(response.data.worksheet);
+            setScreenshotForm(null);
+            toast.success('Output screenshot added');
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to create output screenshot');
+            console.error('Output screenshot error:', error);
+        } finally {
+            setRenderingScreenshot(false);
+        }
+    };
 
-            setWorksheet({ ...worksheet, content: updatedContent });
-            setEditedContent(updatedContent);
-            toast.success(`${section} regenerated!`);
+    // Line numbers in PDF code blocks are a profile preference, used by every PDF from now on
+    const handleToggleLineNumbers = async () => {
+        try {
+            const response = await api.updateProfile({ codeLineNumbers: !user?.codeLineNumbers });
+            updateUser(response.data.user);
+            toast.info(`Code line numbers ${response.data.user.codeLineNumbers ? 'on' : 'off'}. Regenerate the PDF to apply.`);
         } catch (error) {
-            toast.error('Failed to regenerate section');
-            console.error('Regenerate error:', error);
+            toast.error(error.response?.data?.message || 'Failed to update the PDF preference');
         }
     };
 
+    const handleVersionRestored = (restoredWorksheet) => {
+        setWorksheet(restoredWorksheet);
+        setCurrentWorksheet(restoredWorksheet);
+        setEditMode({});
+        setSaveStatus('saved');
+        setHistoryOpen(false);
+    };
+
+    // Debounced autosave of open editors with unsaved changes
+    const saveRef = useRef(saveSections);
+    saveRef.current = saveSections;
+    const dirtyKeyList = dirtyKeys.join(',');
+
+    useEffect(() => {
+        // After a failed save, wait for the next change instead of retrying in a loop
+        if (!dirtyKeyList || saving || conflict || saveStatus === 'error') return undefined;
+
+        setSaveStatus('unsaved');
+        const timer = setTimeout(() => saveRef.current(dirtyKeyList.split(',')), AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [dirtyKeyList, editedValues, saving, conflict, saveStatus]);
+
+    // Warn before leaving with edits that are not on the server yet
+    useEffect(() => {
+        if (!dirtyKeyList && !saving) return undefined;
+
+        const handleBeforeUnload = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    }, [dirtyKeyList, saving]);
+
     if (loading || !worksheet) {
         return (
             <div className="flex justify-center items-center min-h-screen">
@@ -234,66 +567,135 @@ const WorksheetPreview = () => {
         );
     }
 
-    const sections = [
-        { key: 'questionTitle', label: 'Main Question' },
-        { key: 'aim', label: 'Aim' },
-        { key: 'problemStatement', label: 'Problem Statement' },
-        { key: 'dataset', label: 'Dataset Description' },
-        { key: 'algorithm', label: 'Algorithm' },
-        { key: 'code', label: 'Code Implementation' },
-        { key: 'output', label: 'Output & Results' },
-        { key: 'conclusion', label: 'Conclusion' }
-    ];
+    const sections = getWorksheetSections(worksheet);
+    const code = worksheet.content?.code;
+    const canRunCode = Boolean(code?.source?.trim()) && RUNNABLE_LANGUAGES.includes(String(code.language).toLowerCase());
+    const diagrams = worksheet.diagrams || [];
+    // Diagrams for sections not shown on the paper are listed after the sections
+    const shownKeys = sections.filter(section => editMode[section.key] || hasSectionValue(section)).map(section => section.key);
+    const otherDiagrams = diagrams.filter(diagram => !shownKeys.includes(diagram.section));
+    // Charts are drawn from a table dataset; HTML datasets of older worksheets cannot be charted
+    const charts = worksheet.charts || [];
+    const datasetSection = sections.find(section => section.key === 'dataset' && section.type === 'table');
+    const datasetColumns = (datasetSection?.value?.columns || []).filter(Boolean);
 
-    const renderEditInput = (key) => {
-        const content = editedContent[key];
-
-        // Special handling for Code object
-        if (key === 'code' && typeof content === 'object' && content !== null) {
-            return (
-                <div className="flex flex-col gap-3">
-                    <div>
-                        <label className="text-sm font-bold text-gray-500">Source Code ({content.language || 'text'})</label>
-                        <textarea
-                            className="input-field"
-                            rows={15}
-                            value={content.source || ''}
-                            onChange={(e) => handleContentChange(key, { ...content, source: e.target.value })}
-                            style={{ fontFamily: 'monospace' }}
-                            placeholder="Paste your code here..."
-                        />
-                    </div>
-                    <div>
-                        <label className="text-sm font-bold text-gray-500">Explanation (HTML Supported)</label>
-                        <textarea
-                            className="input-field"
-                            rows={5}
-                            value={content.explanation || ''}
-                            onChange={(e) => handleContentChange(key, { ...content, explanation: e.target.value })}
-                            placeholder="Explain the logic..."
-                        />
-                    </div>
-                </div>
-            );
-        }
+    const renderEditInput = (section) => (
+        <SectionEditor
+            key={`${section.key}-${editorRevisions[section.key] || 0}`}
+            section={section}
+            value={editedValues[section.key]}
+            onChange={(value) => handleContentChange(section.key, value)}
+        />
+    );
 
-        // Default string handling
-        return (
-            <textarea
+    const renderRegeneratePrompt = (section) => (
+        <form
+            className="regenerate-prompt no-print"
+            onSubmit={(e) => {
+                e.preventDefault();
+                handleRegenerateSection(section, regeneratePrompt.instruction);
+            }}
+        >
+            <input
                 className="input-field"
-                rows={key === 'code' ? 15 : 6}
-                value={typeof content === 'object' ? JSON.stringify(content, null, 2) : content || ''}
-                onChange={(e) => handleContentChange(key, e.target.value)}
-                style={{ fontFamily: key === 'code' ? 'monospace' : 'inherit' }}
+                value={regeneratePrompt.instruction}
+                onChange={(e) => setRegeneratePrompt({ ...regeneratePrompt, instruction: e.target.value })}
+                placeholder="Optional instruction, e.g. make it shorter"
+                maxLength={500}
+                autoFocus
             />
-        );
-    };
+            <div className="flex flex-wrap gap-2 items-center">
+                {(REGENERATE_SUGGESTIONS[section.type] || REGENERATE_SUGGESTIONS.html).map(suggestion => (
+                    <button
+                        key={suggestion}
+                        type="button"
+                        className="regenerate-suggestion"
+                        onClick={() => setRegeneratePrompt({ ...regeneratePrompt, instruction: suggestion })}
+                    >
+                        {suggestion}
+                    </button>
+                ))}
+                <div className="flex gap-2 ml-auto">
+                    <button type="button" onClick={() => setRegeneratePrompt(null)} className="btn btn-secondary btn-sm">
+                        Cancel
+                    </button>
+                    <button type="submit" disabled={regeneratingKey !== null} className="btn btn-primary btn-sm">
+                        {regeneratingKey === section.key ? <Loader size={14} className="spinner" /> : <RefreshCw size={14} />}
+                        Regenerate
+                    </button>
+                </div>
+            </div>
+        </form>
+    );
 
-    const renderViewContent = (key) => {
-        const content = worksheet.content[key];
+    const renderScreenshotForm = () => (
+        <form
+            className="screenshot-form no-print"
+            onSubmit={(e) => {
+                e.preventDefault();
+                handleCreateScreenshot();
+            }}
+        >
+            <div className="flex flex-wrap gap-2">
+                <select
+                    className="input-field"
+                    value={screenshotForm.theme}
+                    onChange={(e) => setScreenshotForm({ ...screenshotForm, theme: e.target.value })}
+                >
+                    {TERMINAL_THEMES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select
+                    className="input-field"
+                    value={screenshotForm.chrome}
+                    onChange={(e) => setScreenshotForm({ ...screenshotForm, chrome: e.target.value })}
+                >
+                    {TERMINAL_CHROMES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <input
+                    className="input-field"
+                    value={screenshotForm.prompt}
+                    onChange={(e) => setScreenshotForm({ ...screenshotForm, prompt: e.target.value })}
+                    placeholder="Prompt, e.g. student@lab:~$"
+                    maxLength={100}
+                />
+                <input
+                    className="input-field"
+                    value={screenshotForm.caption}
+                    onChange={(e) => setScreenshotForm({ ...screenshotForm, caption: e.target.value })}
+                    placeholder="Caption"
+                    maxLength={200}
+                />
+            </div>
+            <div className="flex gap-2 justify-end">
+                <button type="button" onClick={() => setScreenshotForm(null)} className="btn btn-secondary btn-sm">
+                    Cancel
+                </button>
+                <button type="submit" disabled={renderingScreenshot} className="btn btn-primary btn-sm">
+                    {renderingScreenshot ? <Loader size={14} className="spinner" /> : <Terminal size={14} />}
+                    {worksheet.images?.some(image => image.kind === 'terminal') ? 'Replace screenshot' : 'Add screenshot'}
+                </button>
+            </div>
+        </form>
+    );
 
+    const renderSaveStatus = () => {
+        switch (saveStatus) {
+            case 'saving':
+                return <span className="save-status"><Loader size={12} className="spinner" /> Saving...</span>;
+            case 'unsaved':
+                return <span className="save-status">Unsaved changes</span>;
+            case 'error':
+                return <span className="save-status save-status-error"><AlertTriangle size={12} /> Not saved, retrying on next change</span>;
+            case 'conflict':
+                return <span className="save-status save-status-error"><AlertTriangle size={12} /> Changed elsewhere</span>;
+            default:
+                return <span className="save-status"><CheckCircle size={12} /> All changes saved</span>;
+        }
+    };
+
+    const renderViewContent = ({ key, type, value: content }) => {
         // Special handling for Code object
-        if (key === 'code' && typeof content === 'object' && content !== null) {
+        if (type === 'code' && typeof content === 'object' && content !== null) {
             return (
                 <div>
                     {content.source && (
@@ -314,23 +716,63 @@ const WorksheetPreview = () => {
                     {content.explanation && (
                         <div className="mt-3 p-3 bg-blue-50 border border-blue-100 rounded">
                             <h4 className="text-sm font-bold mb-2">Explanation:</h4>
-                            <div dangerouslySetInnerHTML={{ __html: content.explanation }} />
+                            <MathHtml
+                                data-rewrite-section={key}
+                                data-rewrite-part="explanation"
+                                html={content.explanation}
+                            />
                         </div>
                     )}
                 </div>
             );
         }
 
-        // Default string handling (Source code string or HTML string for other sections)
-        if (['questionTitle', 'aim', 'problemStatement', 'output', 'conclusion'].includes(key)) {
-            // Treat these as HTML safe
-            return <div dangerouslySetInnerHTML={{ __html: typeof content === 'string' ? content : '' }} />;
+        if (type === 'list') {
+            return (
+                <ul style={{ marginLeft: '1.5rem', listStyle: 'disc' }}>
+                    {content.map((item, idx) => (
+                        <MathHtml
+                            as="li"
+                            key={idx}
+                            data-rewrite-section={key}
+                            data-rewrite-part="item"
+                            data-rewrite-index={idx}
+                            html={item}
+                        />
+                    ))}
+                </ul>
+            );
         }
 
+        if (type === 'table') {
+            return (
+                <>
+                    {content.caption && <p className="table-caption">{content.caption}</p>}
+                    {content.rows?.length > 0 && (
+                        <table className="data-table">
+                            {content.columns?.length > 0 && (
+                                <thead>
+                                    <tr>{content.columns.map((column, idx) => <th key={idx}>{column}</th>)}</tr>
+                                </thead>
+                            )}
+                            <tbody>
+                                {content.rows.map((row, rowIdx) => (
+                                    <tr key={rowIdx}>{row.map((cell, idx) => <td key={idx}>{cell}</td>)}</tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            );
+        }
+
+        // HTML sections
         return (
-            <div style={{ whiteSpace: 'pre-wrap', fontFamily: key === 'code' ? 'monospace' : 'inherit' }}>
-                {typeof content === 'string' ? content : JSON.stringify(content)}
-            </div>
+            <MathHtml
+                data-rewrite-section={key}
+                data-rewrite-part="html"
+                html={typeof content === 'string' ? content : ''}
+            />
         );
     };
     return (
@@ -349,11 +791,27 @@ const WorksheetPreview = () => {
                         <h1 className="text-xl font-bold font-outfit text-primary">{worksheet.topic}</h1>
                         <p className="text-sm text-secondary">
                             {worksheet.subject} • {worksheet.difficulty} • Version {worksheet.version}
+                            {Object.values(editMode).some(Boolean) && renderSaveStatus()}
                         </p>
                     </div>
                 </div>
 
                 <div className="flex gap-2">
+                    <button onClick={() => setHistoryOpen(true)} className="btn btn-secondary btn-sm">
+                        <History size={16} /> Versions
+                    </button>
+                    {EXPORT_FORMATS.map(exportFormat => (
+                        <button
+                            key={exportFormat.format}
+                            onClick={() => handleExport(exportFormat)}
+                            disabled={exportingFormat !== null}
+                            className="btn btn-secondary btn-sm"
+                            title={exportFormat.title}
+                        >
+                            {exportingFormat === exportFormat.format ? <Loader size={16} className="spinner" /> : <FileDown size={16} />}
+                            {exportFormat.label}
+                        </button>
+                    ))}
                     <button onClick={() => window.print()} className="btn btn-secondary btn-sm">
                         <Printer size={16} /> Print
                     </button>
@@ -361,7 +819,9 @@ const WorksheetPreview = () => {
             </div>
 
             {/* Main Worksheet Paper */}
-            <div className="worksheet-paper">
+            <div className="worksheet-paper" ref={paperRef}>
+                <InlineRewrite worksheet={worksheet} containerRef={paperRef} onApply={handleApplyRewrite} />
+
                 {/* Header Image if exists */}
                 {worksheet.headerImageUrl && (
                     <div className="mb-6 text-center border-b border-gray-200 pb-4">
@@ -375,48 +835,119 @@ const WorksheetPreview = () => {
 
                 <h1 className="worksheet-title">{worksheet.topic}</h1>
 
-                {sections.map(({ key, label }) => (
-                    worksheet.content[key] && (
+                {sections.map((section) => {
+                    const { key, heading } = section;
+                    return (editMode[key] || hasSectionValue(section) || (key === 'output' && charts.length > 0)) && (
                         <div key={key} className="section-block">
                             <div className="flex justify-between items-end mb-2 border-b border-gray-200 pb-1">
-                                <h3 className="section-title">{label}</h3>
+                                <h3 className="section-title">{heading}</h3>
                                 <div className="no-print">
                                     {!editMode[key] ? (
                                         <div className="flex gap-1 opacity-0 hover:opacity-100 transition-opacity">
                                             <button
-                                                onClick={() => handleEdit(key)}
+                                                onClick={() => handleEdit(section)}
                                                 className="text-primary hover:text-primary-dark p-1"
                                                 title="Edit Section"
                                             >
                                                 <Edit3 size={14} />
                                             </button>
                                             <button
-                                                onClick={() => handleRegenerateSection(key)}
+                                                onClick={() => setRegeneratePrompt({ key, instruction: '' })}
+                                                disabled={regeneratingKey !== null}
                                                 className="text-secondary hover:text-secondary-dark p-1"
                                                 title="Regenerate Section"
                                             >
-                                                <RefreshCw size={14} />
+                                                {regeneratingKey === key ? <Loader size={14} className="spinner" /> : <RefreshCw size={14} />}
+                                            </button>
+                                            {(key === 'code' || key === 'output') && canRunCode && (
+                                                <button
+                                                    onClick={handleRunCode}
+                                                    disabled={runningCode || saving || editMode.code || editMode.output}
+                                                    className="text-secondary hover:text-secondary-dark p-1"
+                                                    title="Re-run code and update the output"
+                                                >
+                                                    {runningCode ? <Loader size={14} className="spinner" /> : <Play size={14} />}
+                                                </button>
+                                            )}
+                                            {key === 'output' && (
+                                                <button
+                                                    onClick={() => setScreenshotForm({ theme: 'ubuntu', chrome: 'linux', prompt: '', caption: 'Program output' })}
+                                                    className="text-secondary hover:text-secondary-dark p-1"
+                                                    title="Add a terminal screenshot of the output"
+                                                >
+                                                    <Terminal size={14} />
+                                                </button>
+                                            )}
+                                            {key === 'output' && datasetColumns.length > 1 && (
+                                                <button
+                                                    onClick={() => setAddingChart(true)}
+                                                    className="text-secondary hover:text-secondary-dark p-1"
+                                                    title="Add a chart of the dataset"
+                                                >
+                                                    <BarChart3 size={14} />
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => setAddingDiagramKey(key)}
+                                                className="text-secondary hover:text-secondary-dark p-1"
+                                                title="Add a diagram (flowchart, ER / UML diagram, circuit)"
+                                            >
+                                                <Workflow size={14} />
                                             </button>
                                         </div>
                                     ) : (
                                         <div className="flex gap-2">
-                                            <button onClick={() => handleSave(key)} className="text-success font-bold text-xs uppercase">Save</button>
-                                            <button onClick={() => handleCancel(key)} className="text-error font-bold text-xs uppercase">Cancel</button>
+                                            <button onClick={() => handleSave(section)} disabled={saving} className="text-success font-bold text-xs uppercase">Save</button>
+                                            <button onClick={() => handleCancel(section)} className="text-error font-bold text-xs uppercase">Cancel</button>
                                         </div>
                                     )}
                                 </div>
                             </div>
 
+                            {regeneratePrompt?.key === key && !editMode[key] && renderRegeneratePrompt(section)}
+                            {key === 'output' && screenshotForm && !editMode[key] && renderScreenshotForm()}
+
                             {editMode[key] ? (
-                                renderEditInput(key)
+                                renderEditInput(section)
                             ) : (
                                 <div className="section-content">
-                                    {renderViewContent(key)}
+                                    {renderViewContent(section)}
+                                    {key === 'output' && worksheet.codeRun?.status && (
+                                        <p className="code-run-info no-print">
+                                            <Play size={12} />
+                                            {`Real output: ${worksheet.codeRun.language} program ${CODE_RUN_LABELS[worksheet.codeRun.status]} in ${worksheet.codeRun.durationMs} ms on ${new Date(worksheet.codeRun.ranAt).toLocaleString()}`}
+                                        </p>
+                                    )}
+                                    {key === 'output' && (
+                                        <DatasetCharts
+                                            worksheet={worksheet}
+                                            charts={charts}
+                                            columns={datasetColumns}
+                                            adding={addingChart}
+                                            onCloseAdd={() => setAddingChart(false)}
+                                            onChange={applyServerWorksheet}
+                                        />
+                                    )}
+                                    <SectionDiagrams
+                                        worksheet={worksheet}
+                                        diagrams={diagrams.filter(diagram => diagram.section === key)}
+                                        sectionKey={key}
+                                        adding={addingDiagramKey === key}
+                                        onCloseAdd={() => setAddingDiagramKey(null)}
+                                        onChange={applyServerWorksheet}
+                                    />
                                 </div>
                             )}
                         </div>
-                    )
-                ))}
+                    );
+                })}
+
+                {otherDiagrams.length > 0 && (
+                    <div className="section-block">
+                        <h3 className="section-title">Diagrams</h3>
+                        <SectionDiagrams worksheet={worksheet} diagrams={otherDiagrams} onChange={applyServerWorksheet} />
+                    </div>
+                )}
 
                 {/* Images Section in Paper */}
                 {worksheet.images && worksheet.images.length > 0 && (
@@ -447,6 +978,14 @@ const WorksheetPreview = () => {
                     History
                 </button>
 
+                <button
+                    onClick={handleToggleLineNumbers}
+                    className={`btn rounded-full ${user?.codeLineNumbers ? 'btn-primary' : 'btn-secondary'}`}
+                    title="Number the lines of code in PDFs"
+                >
+                    <ListOrdered size={18} />
+                </button>
+
                 {worksheet.pdfUrl ? (
                     <>
                         <a
@@ -478,6 +1017,22 @@ const WorksheetPreview = () => {
                     </button>
                 )}
             </div>
+
+            {conflict && (
+                <ConflictResolver
+                    conflicts={conflict.conflicts}
+                    serverVersion={conflict.version}
+                    onResolve={handleResolveConflict}
+                />
+            )}
+
+            <VersionHistoryDrawer
+                worksheetId={worksheet._id}
+                currentVersion={worksheet.version}
+                isOpen={historyOpen}
+                onClose={() => setHistoryOpen(false)}
+                onRestored={handleVersionRestored}
+            />
         </div>
 
     );
@@ -10,19 +10,10 @@ export { default as History } from './History';
 export { default as UploadSample } from './UploadSample';
 export { default as GenerateWorksheet } from './GenerateWorksheet';
 export { default as WorksheetPreview } from './WorksheetPreview';
+export { default as BatchGenerate } from './BatchGenerate';
+export { default as TemplateManager } from './TemplateManager';
 
 // Placeholder exports for remaining pages
-export const StructurePreview = () => (
-    <div style={{ padding: '2rem' }}>
-        <div className="container">
-            <h1>Structure Preview</h1>
-            <div className="card mt-2" style={{ padding: '2rem' }}>
-                <p>Structure preview feature - Template saved! Check your templates in Generate Worksheet.</p>
-            </div>
-        </div>
-    </div>
-);
-
 export const Download = () => (
     <div style={{ padding: '2rem' }}>
         <div className="container">
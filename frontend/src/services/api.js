@@ -35,6 +35,59 @@ api.interceptors.response.use(
     }
 );
 
+// Parse one Server-Sent Events block ("event: x\ndata: {...}")
+const parseServerEvent = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+
+    if (dataLines.length === 0) return null; // Comment / keep-alive
+
+    try {
+        return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+        return { event, data: dataLines.join('\n') };
+    }
+};
+
+// Stream SSE from an authenticated endpoint (EventSource cannot send headers)
+const streamEvents = async (path, onEvent, signal) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        headers: {
+            Accept: 'text/event-stream',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        signal
+    });
+
+    if (!response.ok || !response.body) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach((block) => {
+            const parsed = parseServerEvent(block);
+            if (parsed) onEvent(parsed.event, parsed.data);
+        });
+    }
+};
+
 // Auth APIs
 export const authAPI = {
     register: (userData) => api.post('/auth/register', userData),
@@ -56,7 +109,11 @@ export const templateAPI = {
     save: (templateData) => api.post('/templates/save', templateData),
     getSuggestions: (subject) => api.get('/templates/suggestions', { params: { subject } }),
     getById: (id) => api.get(`/templates/${id}`),
-    getSignedUrl: (id) => api.get(`/templates/${id}/signed-url`)
+    getSignedUrl: (id) => api.get(`/templates/${id}/signed-url`),
+    getMine: (status) => api.get('/templates/mine', { params: { status } }),
+    update: (id, changes) => api.put(`/templates/${id}`, changes),
+    clone: (id, data = {}) => api.post(`/templates/${id}/clone`, data),
+    delete: (id) => api.delete(`/templates/${id}`)
 };
 
 // Worksheet APIs
@@ -65,18 +122,46 @@ export const worksheetAPI = {
         // Check if data is FormData to set correct headers
         const isFormData = data instanceof FormData;
         return api.post('/worksheets/generate', data, {
-            headers: isFormData ? { 'Content-Type': 'multipart/form-data' } : {},
-            params: { mode: 'sync' }
+            headers: isFormData ? { 'Content-Type': 'multipart/form-data' } : {}
         });
     },
+    getJob: (jobId) => api.get(`/worksheets/jobs/${jobId}`),
+    getJobs: (page = 1, limit = 10) => api.get('/worksheets/jobs', { params: { page, limit } }),
+    streamJobEvents: (jobId, onEvent, signal) => streamEvents(`/worksheets/jobs/${jobId}/events`, onEvent, signal),
     uploadImage: (worksheetId, formData) => api.post(`/worksheets/${worksheetId}/upload-image`, formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
     }),
     update: (worksheetId, data) => api.put(`/worksheets/${worksheetId}`, data),
     generatePDF: (worksheetId) => api.post(`/worksheets/${worksheetId}/generate-pdf`),
+    generateLabRecord: (data) => api.post('/worksheets/lab-record', data),
+    export: (worksheetId, format) => api.get(`/worksheets/${worksheetId}/export`, {
+        params: { format },
+        responseType: 'blob'
+    }),
     getHistory: (page = 1, limit = 10) => api.get('/worksheets/history', { params: { page, limit } }),
     getById: (id) => api.get(`/worksheets/${id}`),
-    regenerateSection: (worksheetId, data) => api.post(`/worksheets/${worksheetId}/regenerate-section`, data)
+    regenerateSection: (worksheetId, data) => api.post(`/worksheets/${worksheetId}/regenerate-section`, data),
+    rewrite: (worksheetId, data) => api.post(`/worksheets/${worksheetId}/rewrite`, data),
+    runCode: (worksheetId, data) => api.post(`/worksheets/${worksheetId}/run-code`, data),
+    createOutputScreenshot: (worksheetId, options) => api.post(`/worksheets/${worksheetId}/output-screenshot`, options),
+    addDiagram: (worksheetId, diagram) => api.post(`/worksheets/${worksheetId}/diagrams`, diagram),
+    updateDiagram: (worksheetId, diagramId, changes) => api.put(`/worksheets/${worksheetId}/diagrams/${diagramId}`, changes),
+    deleteDiagram: (worksheetId, diagramId) => api.delete(`/worksheets/${worksheetId}/diagrams/${diagramId}`),
+    parseDatasetCsv: (formData) => api.post('/worksheets/dataset/parse-csv', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+    addChart: (worksheetId, chart) => api.post(`/worksheets/${worksheetId}/charts`, chart),
+    updateChart: (worksheetId, chartId, changes) => api.put(`/worksheets/${worksheetId}/charts/${chartId}`, changes),
+    deleteChart: (worksheetId, chartId) => api.delete(`/worksheets/${worksheetId}/charts/${chartId}`),
+    getVersions: (worksheetId) => api.get(`/worksheets/${worksheetId}/versions`),
+    getVersion: (worksheetId, version) => api.get(`/worksheets/${worksheetId}/versions/${version}`),
+    diffVersions: (worksheetId, from, to) => api.get(`/worksheets/${worksheetId}/versions/diff`, { params: { from, to } }),
+    restoreVersion: (worksheetId, version) => api.post(`/worksheets/${worksheetId}/versions/${version}/restore`),
+    createBatch: (data) => api.post('/worksheets/batches', data),
+    splitSyllabus: (syllabus) => api.post('/worksheets/batches/split-syllabus', { syllabus }),
+    getBatches: (page = 1, limit = 10) => api.get('/worksheets/batches', { params: { page, limit } }),
+    getBatch: (batchId) => api.get(`/worksheets/batches/${batchId}`),
+    retryBatch: (batchId, itemIds) => api.post(`/worksheets/batches/${batchId}/retry`, { itemIds })
 };
 
 // Unified API object for easier imports
@@ -96,15 +181,43 @@ const unifiedAPI = {
     getTemplateSuggestions: (subject) => templateAPI.getSuggestions(subject),
     getTemplateById: (id) => templateAPI.getById(id),
     getTemplateSignedUrl: (id) => templateAPI.getSignedUrl(id),
+    getMyTemplates: (status) => templateAPI.getMine(status),
+    updateTemplate: (id, changes) => templateAPI.update(id, changes),
+    cloneTemplate: (id, data) => templateAPI.clone(id, data),
+    deleteTemplate: (id) => templateAPI.delete(id),
 
     // Worksheets
     generateWorksheet: (data) => worksheetAPI.generate(data),
+    getGenerationJob: (jobId) => worksheetAPI.getJob(jobId),
+    getGenerationJobs: (page, limit) => worksheetAPI.getJobs(page, limit),
+    streamGenerationJobEvents: (jobId, onEvent, signal) => worksheetAPI.streamJobEvents(jobId, onEvent, signal),
     uploadWorksheetImage: (worksheetId, formData) => worksheetAPI.uploadImage(worksheetId, formData),
     updateWorksheet: (worksheetId, data) => worksheetAPI.update(worksheetId, data),
     generateWorksheetPDF: (worksheetId) => worksheetAPI.generatePDF(worksheetId),
+    generateLabRecord: (data) => worksheetAPI.generateLabRecord(data),
+    exportWorksheet: (worksheetId, format) => worksheetAPI.export(worksheetId, format),
     getWorksheetHistory: (page, limit) => worksheetAPI.getHistory(page, limit),
     getWorksheetById: (id) => worksheetAPI.getById(id),
-    regenerateSection: (worksheetId, data) => worksheetAPI.regenerateSection(worksheetId, data)
+    regenerateSection: (worksheetId, data) => worksheetAPI.regenerateSection(worksheetId, data),
+    rewritePassage: (worksheetId, data) => worksheetAPI.rewrite(worksheetId, data),
+    runCode: (worksheetId, data) => worksheetAPI.runCode(worksheetId, data),
+    createOutputScreenshot: (worksheetId, options) => worksheetAPI.createOutputScreenshot(worksheetId, options),
+    addDiagram: (worksheetId, diagram) => worksheetAPI.addDiagram(worksheetId, diagram),
+    updateDiagram: (worksheetId, diagramId, changes) => worksheetAPI.updateDiagram(worksheetId, diagramId, changes),
+    deleteDiagram: (worksheetId, diagramId) => worksheetAPI.deleteDiagram(worksheetId, diagramId),
+    parseDatasetCsv: (formData) => worksheetAPI.parseDatasetCsv(formData),
+    addChart: (worksheetId, chart) => worksheetAPI.addChart(worksheetId, chart),
+    updateChart: (worksheetId, chartId, changes) => worksheetAPI.updateChart(worksheetId, chartId, changes),
+    deleteChart: (worksheetId, chartId) => worksheetAPI.deleteChart(worksheetId, chartId),
+    getWorksheetVersions: (worksheetId) => worksheetAPI.getVersions(worksheetId),
+    getWorksheetVersion: (worksheetId, version) => worksheetAPI.getVersion(worksheetId, version),
+    diffWorksheetVersions: (worksheetId, from, to) => worksheetAPI.diffVersions(worksheetId, from, to),
+    restoreWorksheetVersion: (worksheetId, version) => worksheetAPI.restoreVersion(worksheetId, version),
+    createGenerationBatch: (data) => worksheetAPI.createBatch(data),
+    splitSyllabus: (syllabus) => worksheetAPI.splitSyllabus(syllabus),
+    getGenerationBatches: (page, limit) => worksheetAPI.getBatches(page, limit),
+    getGenerationBatch: (batchId) => worksheetAPI.getBatch(batchId),
+    retryGenerationBatch: (batchId, itemIds) => worksheetAPI.retryBatch(batchId, itemIds)
 };
 
 export default unifiedAPI;